@@ -14,6 +14,27 @@ module.exports = {
   jwtSecret: process.env.JWT_SECRET,
   jwtExpiresIn: process.env.JWT_EXPIRES_IN || '24h',
   
+  // Streaming (server-sent events)
+  streamHeartbeatInterval: parseInt(process.env.STREAM_HEARTBEAT_INTERVAL, 10) || 15000,
+  streamHistorySize: parseInt(process.env.STREAM_HISTORY_SIZE, 10) || 500,
+  
+  // Scheduled changes
+  schedulerEnabled: process.env.SCHEDULER_ENABLED !== 'false',
+  schedulerInterval: parseInt(process.env.SCHEDULER_INTERVAL, 10) || 15000,
+  
+  // Guarded rollouts
+  guardCheckInterval: parseInt(process.env.GUARD_CHECK_INTERVAL, 10) || 60000,
+  
+  // Sample ratio mismatch checks
+  srmCheckInterval: parseInt(process.env.SRM_CHECK_INTERVAL, 10) || 300000,
+  // Exposures counted by checks of rules without a running experiment (milliseconds)
+  srmWindow: parseInt(process.env.SRM_WINDOW, 10) || 7 * 24 * 60 * 60 * 1000,
+  srmMinSampleSize: parseInt(process.env.SRM_MIN_SAMPLE_SIZE, 10) || 100,
+  srmThreshold: parseFloat(process.env.SRM_THRESHOLD) || 0.001,
+  
+  // Webhooks
+  webhookTimeout: parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 5000,
+  
   // Logging
   logLevel: process.env.LOG_LEVEL || 'info',
 };
\ No newline at end of file
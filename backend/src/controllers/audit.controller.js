@@ -0,0 +1,68 @@
+// src/controllers/audit.controller.js
+const { validationResult } = require('express-validator');
+const auditService = require('../services/audit.service');
+
+/**
+ * @desc    Get audit log entries for a project
+ * @route   GET /api/projects/:projectId/audit
+ * @access  Private
+ */
+exports.getAuditLogs = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Get audit logs
+    const result = await auditService.getAuditLogs(req.params.projectId, req.query);
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      results: result.logs.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      data: result.logs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single audit log entry
+ * @route   GET /api/projects/:projectId/audit/:auditId
+ * @access  Private
+ */
+exports.getAuditLogById = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Get audit log entry
+    const log = await auditService.getAuditLogById(
+      req.params.projectId,
+      req.params.auditId
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: log
+    });
+  } catch (error) {
+    next(error);
+  }
+};
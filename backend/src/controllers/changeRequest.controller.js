@@ -0,0 +1,188 @@
+// src/controllers/changeRequest.controller.js
+const { validationResult } = require('express-validator');
+const changeRequestService = require('../services/changeRequest.service');
+
+/**
+ * Review a change request with the given decision
+ */
+const review = (decision) => async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Review change request
+    const changeRequest = await changeRequestService.reviewChangeRequest(
+      req.params.projectId,
+      req.params.changeRequestId,
+      req.user._id,
+      decision,
+      req.body.comment
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: changeRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get change requests for a project
+ * @route   GET /api/projects/:projectId/change-requests
+ * @access  Private
+ */
+exports.getChangeRequests = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Get change requests
+    const result = await changeRequestService.getChangeRequests(req.params.projectId, req.query);
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      results: result.changeRequests.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      data: result.changeRequests
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get change request by ID
+ * @route   GET /api/projects/:projectId/change-requests/:changeRequestId
+ * @access  Private
+ */
+exports.getChangeRequestById = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Get change request
+    const changeRequest = await changeRequestService.getChangeRequestById(
+      req.params.projectId,
+      req.params.changeRequestId
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: changeRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve a change request (applies it once it has enough approvals)
+ * @route   POST /api/projects/:projectId/change-requests/:changeRequestId/approve
+ * @access  Private
+ */
+exports.approveChangeRequest = review('approved');
+
+/**
+ * @desc    Reject a change request
+ * @route   POST /api/projects/:projectId/change-requests/:changeRequestId/reject
+ * @access  Private
+ */
+exports.rejectChangeRequest = review('rejected');
+
+/**
+ * @desc    Comment on a change request
+ * @route   POST /api/projects/:projectId/change-requests/:changeRequestId/comments
+ * @access  Private
+ */
+exports.commentOnChangeRequest = review('commented');
+
+/**
+ * @desc    Retry applying an approved change request
+ * @route   POST /api/projects/:projectId/change-requests/:changeRequestId/apply
+ * @access  Private
+ */
+exports.applyChangeRequest = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Apply change request
+    const changeRequest = await changeRequestService.applyChangeRequest(
+      req.params.projectId,
+      req.params.changeRequestId,
+      req.user._id
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: changeRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a change request
+ * @route   POST /api/projects/:projectId/change-requests/:changeRequestId/cancel
+ * @access  Private
+ */
+exports.cancelChangeRequest = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Cancel change request
+    const changeRequest = await changeRequestService.cancelChangeRequest(
+      req.params.projectId,
+      req.params.changeRequestId,
+      req.user._id
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: changeRequest
+    });
+  } catch (error) {
+    next(error);
+  }
+};
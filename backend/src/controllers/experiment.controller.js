@@ -0,0 +1,266 @@
+// src/controllers/experiment.controller.js
+const { validationResult } = require('express-validator');
+const experimentService = require('../services/experiment.service');
+
+/**
+ * @desc    Get experiments for a project
+ * @route   GET /api/projects/:projectId/experiments
+ * @access  Private
+ */
+exports.getExperiments = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Get experiments
+    const result = await experimentService.getExperiments(req.params.projectId, req.query);
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      results: result.experiments.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      data: result.experiments
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a draft experiment on a flag environment
+ * @route   POST /api/projects/:projectId/experiments
+ * @access  Private
+ */
+exports.createExperiment = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Create experiment
+    const experiment = await experimentService.createExperiment(
+      req.params.projectId,
+      req.user._id,
+      req.body
+    );
+    
+    // Return response
+    res.status(201).json({
+      status: 'success',
+      data: experiment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get experiment by ID
+ * @route   GET /api/projects/:projectId/experiments/:experimentId
+ * @access  Private
+ */
+exports.getExperimentById = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Get experiment
+    const experiment = await experimentService.getExperimentById(
+      req.params.projectId,
+      req.params.experimentId
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: experiment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update an experiment
+ * @route   PUT /api/projects/:projectId/experiments/:experimentId
+ * @access  Private
+ */
+exports.updateExperiment = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Update experiment
+    const experiment = await experimentService.updateExperiment(
+      req.params.projectId,
+      req.params.experimentId,
+      req.user._id,
+      req.body
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: experiment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an experiment that is not running
+ * @route   DELETE /api/projects/:projectId/experiments/:experimentId
+ * @access  Private
+ */
+exports.deleteExperiment = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Delete experiment
+    await experimentService.deleteExperiment(
+      req.params.projectId,
+      req.params.experimentId,
+      req.user._id
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start a draft experiment
+ * @route   POST /api/projects/:projectId/experiments/:experimentId/start
+ * @access  Private
+ */
+exports.startExperiment = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Start experiment
+    const experiment = await experimentService.startExperiment(
+      req.params.projectId,
+      req.params.experimentId,
+      req.user._id
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: experiment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Stop a running experiment
+ * @route   POST /api/projects/:projectId/experiments/:experimentId/stop
+ * @access  Private
+ */
+exports.stopExperiment = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Stop experiment
+    const experiment = await experimentService.stopExperiment(
+      req.params.projectId,
+      req.params.experimentId,
+      req.user._id
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: experiment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get experiment results per variation
+ * @route   GET /api/projects/:projectId/experiments/:experimentId/results
+ * @access  Private
+ */
+exports.getResults = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Compute results
+    const results = await experimentService.getResults(
+      req.params.projectId,
+      req.params.experimentId
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: results
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,64 @@
 // src/controllers/flag.controller.js
 const { validationResult } = require('express-validator');
 const flagService = require('../services/flag.service');
+const changeRequestService = require('../services/changeRequest.service');
+const evaluationService = require('../services/evaluation.service');
+
+/**
+ * Get the flag version a change was based on, from the `If-Match` header or a `version` field
+ */
+const getExpectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+  
+  if (ifMatch && ifMatch.trim() !== '*') {
+    return parseInt(ifMatch.replace(/^W\//, '').replace(/"/g, ''), 10);
+  }
+  
+  return req.body && req.body.version !== undefined ? Number(req.body.version) : undefined;
+};
+
+/**
+ * Get the options that control how a change is written
+ */
+const getWriteOptions = (req) => ({
+  expectedVersion: getExpectedVersion(req),
+  // Used if the change needs approval because the environment is protected
+  changeDescription: req.body && req.body.changeDescription
+});
+
+/**
+ * Get the request body without the write option fields
+ */
+const getChanges = (req) => {
+  const { version, changeDescription, ...changes } = req.body || {};
+  return changes;
+};
+
+/**
+ * Expose a flag's version as its ETag
+ */
+const setVersionHeader = (res, flag) => {
+  res.set('ETag', `"${flag.revision}"`);
+};
+
+/**
+ * Send a changed flag, or the change request created instead if the environment is protected
+ */
+const sendFlagResult = (res, result, statusCode = 200) => {
+  if (changeRequestService.isChangeRequest(result)) {
+    return res.status(202).json({
+      status: 'success',
+      message: 'The environment is protected, so the change was submitted for approval',
+      data: result
+    });
+  }
+  
+  setVersionHeader(res, result);
+  res.status(statusCode).json({
+    status: 'success',
+    data: result
+  });
+};
 
 /**
  * @desc    Create a new flag
@@ -26,6 +84,7 @@ exports.createFlag = async (req, res, next) => {
     );
     
     // Return response
+    setVersionHeader(res, flag);
     res.status(201).json({
       status: 'success',
       data: flag
@@ -56,6 +115,70 @@ exports.getProjectFlags = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get the prerequisite dependency graph of a project's flags
+ * @route   GET /api/projects/:projectId/flags/dependencies
+ * @access  Private
+ */
+exports.getDependencyGraph = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Get dependency graph
+    const graph = await flagService.getDependencyGraph(
+      req.params.projectId,
+      req.query.environment
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: graph
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Preview the activation windows of a SCHEDULED rule value
+ * @route   POST /api/projects/:projectId/flags/schedule-preview
+ * @access  Private
+ */
+exports.previewSchedule = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Preview schedule
+    const preview = await flagService.previewSchedule(req.body.value, {
+      count: req.body.count,
+      from: req.body.from
+    });
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: preview
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get flag by ID
  * @route   GET /api/projects/:projectId/flags/:flagId
@@ -67,6 +190,7 @@ exports.getFlagById = async (req, res, next) => {
     const flag = await flagService.getFlagById(req.params.flagId);
     
     // Return response
+    setVersionHeader(res, flag);
     res.status(200).json({
       status: 'success',
       data: flag
@@ -96,10 +220,12 @@ exports.updateFlag = async (req, res, next) => {
     const flag = await flagService.updateFlag(
       req.params.flagId,
       req.user._id,
-      req.body
+      getChanges(req),
+      getWriteOptions(req)
     );
     
     // Return response
+    setVersionHeader(res, flag);
     res.status(200).json({
       status: 'success',
       data: flag
@@ -116,8 +242,17 @@ exports.updateFlag = async (req, res, next) => {
  */
 exports.deleteFlag = async (req, res, next) => {
   try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
     // Delete flag
-    await flagService.deleteFlag(req.params.flagId);
+    await flagService.deleteFlag(req.params.flagId, req.user._id, getWriteOptions(req));
     
     // Return response
     res.status(200).json({
@@ -146,18 +281,16 @@ exports.updateEnvironmentSettings = async (req, res, next) => {
     }
     
     // Update environment settings
-    const flag = await flagService.updateEnvironmentSettings(
+    const result = await flagService.updateEnvironmentSettings(
       req.params.flagId,
       req.params.environment,
       req.user._id,
-      req.body
+      getChanges(req),
+      getWriteOptions(req)
     );
     
     // Return response
-    res.status(200).json({
-      status: 'success',
-      data: flag
-    });
+    sendFlagResult(res, result);
   } catch (error) {
     next(error);
   }
@@ -180,18 +313,16 @@ exports.toggleFlag = async (req, res, next) => {
     }
     
     // Toggle flag
-    const flag = await flagService.toggleFlag(
+    const result = await flagService.toggleFlag(
       req.params.flagId,
       req.params.environment,
       req.user._id,
-      req.body.enabled
+      req.body.enabled,
+      getWriteOptions(req)
     );
     
     // Return response
-    res.status(200).json({
-      status: 'success',
-      data: flag
-    });
+    sendFlagResult(res, result);
   } catch (error) {
     next(error);
   }
@@ -214,18 +345,16 @@ exports.addFlagRule = async (req, res, next) => {
     }
     
     // Add rule
-    const flag = await flagService.addFlagRule(
+    const result = await flagService.addFlagRule(
       req.params.flagId,
       req.params.environment,
       req.user._id,
-      req.body
+      getChanges(req),
+      getWriteOptions(req)
     );
     
     // Return response
-    res.status(201).json({
-      status: 'success',
-      data: flag
-    });
+    sendFlagResult(res, result, 201);
   } catch (error) {
     next(error);
   }
@@ -248,18 +377,50 @@ exports.updateRule = async (req, res, next) => {
     }
     
     // Update rule
-    const flag = await flagService.updateRule(
+    const result = await flagService.updateRule(
       req.params.flagId,
       req.params.environment,
       req.params.ruleId,
       req.user._id,
-      req.body
+      getChanges(req),
+      getWriteOptions(req)
+    );
+    
+    // Return response
+    sendFlagResult(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the next activation windows of a SCHEDULED rule
+ * @route   GET /api/projects/:projectId/flags/:flagId/environments/:environment/rules/:ruleId/schedule
+ * @access  Private
+ */
+exports.getRuleSchedule = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Get rule schedule
+    const preview = await flagService.getRuleSchedule(
+      req.params.flagId,
+      req.params.environment,
+      req.params.ruleId,
+      { count: req.query.count, from: req.query.from }
     );
     
     // Return response
     res.status(200).json({
       status: 'success',
-      data: flag
+      data: preview
     });
   } catch (error) {
     next(error);
@@ -273,19 +434,26 @@ exports.updateRule = async (req, res, next) => {
  */
 exports.deleteRule = async (req, res, next) => {
   try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
     // Delete rule
-    const flag = await flagService.deleteRule(
+    const result = await flagService.deleteRule(
       req.params.flagId,
       req.params.environment,
       req.params.ruleId,
-      req.user._id
+      req.user._id,
+      getWriteOptions(req)
     );
     
     // Return response
-    res.status(200).json({
-      status: 'success',
-      data: flag
-    });
+    sendFlagResult(res, result);
   } catch (error) {
     next(error);
   }
@@ -308,18 +476,16 @@ exports.addVariation = async (req, res, next) => {
     }
     
     // Add variation
-    const flag = await flagService.addVariation(
+    const result = await flagService.addVariation(
       req.params.flagId,
       req.params.environment,
       req.user._id,
-      req.body
+      getChanges(req),
+      getWriteOptions(req)
     );
     
     // Return response
-    res.status(201).json({
-      status: 'success',
-      data: flag
-    });
+    sendFlagResult(res, result, 201);
   } catch (error) {
     next(error);
   }
@@ -342,19 +508,17 @@ exports.updateVariation = async (req, res, next) => {
     }
     
     // Update variation
-    const flag = await flagService.updateVariation(
+    const result = await flagService.updateVariation(
       req.params.flagId,
       req.params.environment,
       req.params.key,
       req.user._id,
-      req.body
+      getChanges(req),
+      getWriteOptions(req)
     );
     
     // Return response
-    res.status(200).json({
-      status: 'success',
-      data: flag
-    });
+    sendFlagResult(res, result);
   } catch (error) {
     next(error);
   }
@@ -367,19 +531,26 @@ exports.updateVariation = async (req, res, next) => {
  */
 exports.deleteVariation = async (req, res, next) => {
   try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
     // Delete variation
-    const flag = await flagService.deleteVariation(
+    const result = await flagService.deleteVariation(
       req.params.flagId,
       req.params.environment,
       req.params.key,
-      req.user._id
+      req.user._id,
+      getWriteOptions(req)
     );
     
     // Return response
-    res.status(200).json({
-      status: 'success',
-      data: flag
-    });
+    sendFlagResult(res, result);
   } catch (error) {
     next(error);
   }
@@ -392,20 +563,185 @@ exports.deleteVariation = async (req, res, next) => {
  */
 exports.setDefaultVariation = async (req, res, next) => {
   try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
     // Set default variation
-    const flag = await flagService.setDefaultVariation(
+    const result = await flagService.setDefaultVariation(
       req.params.flagId,
       req.params.environment,
       req.params.key,
-      req.user._id
+      req.user._id,
+      getWriteOptions(req)
+    );
+    
+    // Return response
+    sendFlagResult(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get flag analytics, including sample ratio mismatch checks
+ * @route   GET /api/projects/:projectId/flags/:flagId/analytics
+ * @access  Private
+ */
+exports.getFlagAnalytics = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Get analytics
+    const analytics = await evaluationService.getFlagAnalytics(
+      req.params.projectId,
+      req.params.flagId,
+      req.query
     );
     
     // Return response
     res.status(200).json({
       status: 'success',
-      data: flag
+      data: analytics
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get flag revisions
+ * @route   GET /api/projects/:projectId/flags/:flagId/revisions
+ * @access  Private
+ */
+exports.getFlagRevisions = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+        // Get revisions
+    const result = await flagService.getFlagRevisions(req.params.flagId, req.query);
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      results: result.revisions.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      data: result.revisions
     });
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Compare two flag revisions
+ * @route   GET /api/projects/:projectId/flags/:flagId/revisions/compare
+ * @access  Private
+ */
+exports.compareRevisions = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+        // Compare revisions
+    const comparison = await flagService.compareRevisions(
+      req.params.flagId,
+      Number(req.query.from),
+      Number(req.query.to)
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: comparison
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get flag revision
+ * @route   GET /api/projects/:projectId/flags/:flagId/revisions/:revision
+ * @access  Private
+ */
+exports.getFlagRevision = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+        // Get revision
+    const revision = await flagService.getFlagRevision(
+      req.params.flagId,
+      Number(req.params.revision)
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: revision
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a flag or one of its environments to a revision
+ * @route   POST /api/projects/:projectId/flags/:flagId/revisions/:revision/restore
+ * @access  Private
+ */
+exports.restoreRevision = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+        // Restore revision
+    const result = await flagService.restoreRevision(
+      req.params.flagId,
+      Number(req.params.revision),
+      req.user._id,
+      { ...getWriteOptions(req), environment: req.body.environment }
+    );
+    
+    // Return response
+    sendFlagResult(res, result);
+  } catch (error) {
+    next(error);
+  }
+};
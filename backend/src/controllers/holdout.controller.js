@@ -0,0 +1,85 @@
+// src/controllers/holdout.controller.js
+const { validationResult } = require('express-validator');
+const holdoutService = require('../services/holdout.service');
+
+/**
+ * @desc    Get the project's holdout and the flags opted into it
+ * @route   GET /api/projects/:projectId/holdout
+ * @access  Private
+ */
+exports.getHoldout = async (req, res, next) => {
+  try {
+    // Get holdout
+    const holdout = await holdoutService.getHoldout(req.params.projectId);
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: holdout
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update the project's holdout
+ * @route   PUT /api/projects/:projectId/holdout
+ * @access  Private
+ */
+exports.updateHoldout = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Update holdout
+    const holdout = await holdoutService.updateHoldout(
+      req.params.projectId,
+      req.user._id,
+      req.body
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: holdout
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Compare a metric between the holdout and the general population
+ * @route   GET /api/projects/:projectId/holdout/results
+ * @access  Private
+ */
+exports.getResults = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Get results
+    const results = await holdoutService.getResults(req.params.projectId, req.query);
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: results
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,259 @@
+// src/controllers/layer.controller.js
+const { validationResult } = require('express-validator');
+const layerService = require('../services/layer.service');
+
+/**
+ * @desc    Get the layers of a project with their allocation
+ * @route   GET /api/projects/:projectId/layers
+ * @access  Private
+ */
+exports.getLayers = async (req, res, next) => {
+  try {
+    // Get layers
+    const layers = await layerService.getLayers(req.params.projectId);
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      results: layers.length,
+      data: layers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a layer
+ * @route   POST /api/projects/:projectId/layers
+ * @access  Private
+ */
+exports.createLayer = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Create layer
+    const layer = await layerService.createLayer(
+      req.params.projectId,
+      req.user._id,
+      req.body
+    );
+    
+    // Return response
+    res.status(201).json({
+      status: 'success',
+      data: layer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a layer with its allocation and free traffic
+ * @route   GET /api/projects/:projectId/layers/:layerId
+ * @access  Private
+ */
+exports.getLayerById = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Get layer
+    const layer = await layerService.getLayerById(
+      req.params.projectId,
+      req.params.layerId
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: layer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a layer
+ * @route   PUT /api/projects/:projectId/layers/:layerId
+ * @access  Private
+ */
+exports.updateLayer = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Update layer
+    const layer = await layerService.updateLayer(
+      req.params.projectId,
+      req.params.layerId,
+      req.user._id,
+      req.body
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: layer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a layer without flags
+ * @route   DELETE /api/projects/:projectId/layers/:layerId
+ * @access  Private
+ */
+exports.deleteLayer = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Delete layer
+    await layerService.deleteLayer(
+      req.params.projectId,
+      req.params.layerId,
+      req.user._id
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a flag to a layer with a share of its traffic
+ * @route   POST /api/projects/:projectId/layers/:layerId/flags
+ * @access  Private
+ */
+exports.addFlag = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Add flag to layer
+    const layer = await layerService.addFlag(
+      req.params.projectId,
+      req.params.layerId,
+      req.user._id,
+      req.body
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: layer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change a flag's share of a layer's traffic
+ * @route   PUT /api/projects/:projectId/layers/:layerId/flags/:flagId
+ * @access  Private
+ */
+exports.updateFlag = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Update flag's slice
+    const layer = await layerService.updateFlag(
+      req.params.projectId,
+      req.params.layerId,
+      req.params.flagId,
+      req.user._id,
+      req.body
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: layer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a flag from a layer
+ * @route   DELETE /api/projects/:projectId/layers/:layerId/flags/:flagId
+ * @access  Private
+ */
+exports.removeFlag = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Remove flag from layer
+    const layer = await layerService.removeFlag(
+      req.params.projectId,
+      req.params.layerId,
+      req.params.flagId,
+      req.user._id
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: layer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,8 @@
 // src/controllers/project.controller.js
 const { validationResult } = require('express-validator');
 const projectService = require('../services/project.service');
+const promotionService = require('../services/promotion.service');
+const { formatComparison } = require('../utils/report');
 
 /**
  * @desc    Create a new project
@@ -89,7 +91,7 @@ exports.updateProject = async (req, res, next) => {
     }
     
     // Update project
-    const project = await projectService.updateProject(req.params.projectId, req.body);
+    const project = await projectService.updateProject(req.params.projectId, req.user._id, req.body);
     
     // Return response
     res.status(200).json({
@@ -109,7 +111,7 @@ exports.updateProject = async (req, res, next) => {
 exports.deleteProject = async (req, res, next) => {
   try {
     // Delete project
-    await projectService.deleteProject(req.params.projectId);
+    await projectService.deleteProject(req.params.projectId, req.user._id);
     
     // Return response
     res.status(200).json({
@@ -140,7 +142,9 @@ exports.addEnvironment = async (req, res, next) => {
     // Add environment
     const result = await projectService.addEnvironment(
       req.params.projectId,
-      req.body.environment
+      req.body.environment,
+      req.user._id,
+      { cloneFrom: req.body.cloneFrom }
     );
     
     // Return response
@@ -163,7 +167,8 @@ exports.removeEnvironment = async (req, res, next) => {
     // Remove environment
     await projectService.removeEnvironment(
       req.params.projectId,
-      req.params.environment
+      req.params.environment,
+      req.user._id
     );
     
     // Return response
@@ -176,6 +181,106 @@ exports.removeEnvironment = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Repair environment settings, API keys and evaluations of a project
+ * @route   POST /api/projects/:projectId/environments/repair
+ * @access  Private
+ */
+exports.repairEnvironments = async (req, res, next) => {
+  try {
+    // Repair environments
+    const report = await projectService.repairEnvironments(
+      req.params.projectId,
+      req.user._id
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Compare flag settings between two environments
+ * @route   GET /api/projects/:projectId/environments/compare
+ * @access  Private
+ */
+exports.compareEnvironments = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    const { from, to, format = 'json' } = req.query;
+    
+    // Compare environments
+    const comparison = await promotionService.compareEnvironments(
+      req.params.projectId,
+      from,
+      to
+    );
+    
+    // Return a human-readable diff if requested
+    if (format !== 'json') {
+      return res
+        .status(200)
+        .type(format === 'markdown' ? 'text/markdown' : 'text/plain')
+        .send(formatComparison(comparison, format));
+    }
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: comparison
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Protect or unprotect an environment
+ * @route   PUT /api/projects/:projectId/environments/:environment/protection
+ * @access  Private
+ */
+exports.setEnvironmentProtection = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Update protection settings
+    const protection = await projectService.setEnvironmentProtection(
+      req.params.projectId,
+      req.params.environment,
+      req.user._id,
+      req.body
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: protection
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Regenerate API key for environment
  * @route   POST /api/projects/:projectId/environments/:environment/regenerate-key
@@ -186,7 +291,8 @@ exports.regenerateApiKey = async (req, res, next) => {
     // Regenerate API key
     const result = await projectService.regenerateApiKey(
       req.params.projectId,
-      req.params.environment
+      req.params.environment,
+      req.user._id
     );
     
     // Return response
@@ -218,6 +324,7 @@ exports.addProjectMember = async (req, res, next) => {
     // Add member
     const result = await projectService.addProjectMember(
       req.params.projectId,
+      req.user._id,
       req.body
     );
     
@@ -251,6 +358,7 @@ exports.updateMemberRole = async (req, res, next) => {
     const result = await projectService.updateMemberRole(
       req.params.projectId,
       req.params.memberId,
+      req.user._id,
       req.body.role
     );
     
@@ -274,7 +382,8 @@ exports.removeMember = async (req, res, next) => {
     // Remove member
     await projectService.removeMember(
       req.params.projectId,
-      req.params.memberId
+      req.params.memberId,
+      req.user._id
     );
     
     // Return response
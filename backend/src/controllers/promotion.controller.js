@@ -0,0 +1,86 @@
+// src/controllers/promotion.controller.js
+const { validationResult } = require('express-validator');
+const promotionService = require('../services/promotion.service');
+const changeRequestService = require('../services/changeRequest.service');
+
+/**
+ * Pick the promotion options from the request body
+ */
+const getPromotionOptions = (body) => {
+  const { from, to, flagKeys, tags, parts, checksum, description } = body;
+  return { from, to, flagKeys, tags, parts, checksum, description };
+};
+
+/**
+ * @desc    Preview the changes a promotion would make
+ * @route   POST /api/projects/:projectId/promotions/preview
+ * @access  Private
+ */
+exports.previewPromotion = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Compute the promotion
+    const preview = await promotionService.previewPromotion(
+      req.params.projectId,
+      getPromotionOptions(req.body)
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: preview
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Promote flag settings from one environment to another
+ * @route   POST /api/projects/:projectId/promotions
+ * @access  Private
+ */
+exports.promote = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Apply the promotion
+    const result = await promotionService.promote(
+      req.params.projectId,
+      req.user._id,
+      getPromotionOptions(req.body)
+    );
+    
+    // Protected target environments get a change request to approve
+    if (changeRequestService.isChangeRequest(result)) {
+      return res.status(202).json({
+        status: 'success',
+        message: 'The target environment is protected, so the promotion was submitted for approval',
+        data: result
+      });
+    }
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,234 @@
+// src/controllers/rollout.controller.js
+const { validationResult } = require('express-validator');
+const rolloutService = require('../services/rollout.service');
+
+/**
+ * @desc    Get rollouts for a project
+ * @route   GET /api/projects/:projectId/rollouts
+ * @access  Private
+ */
+exports.getRollouts = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Get rollouts
+    const result = await rolloutService.getRollouts(req.params.projectId, req.query);
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      results: result.rollouts.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      data: result.rollouts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start a progressive rollout of a PERCENTAGE rule
+ * @route   POST /api/projects/:projectId/rollouts
+ * @access  Private
+ */
+exports.createRollout = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Create rollout
+    const rollout = await rolloutService.createRollout(
+      req.params.projectId,
+      req.user._id,
+      req.body
+    );
+    
+    // Return response
+    res.status(201).json({
+      status: 'success',
+      data: rollout
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get rollout by ID
+ * @route   GET /api/projects/:projectId/rollouts/:rolloutId
+ * @access  Private
+ */
+exports.getRolloutById = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Get rollout
+    const rollout = await rolloutService.getRolloutById(
+      req.params.projectId,
+      req.params.rolloutId
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: rollout
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace the guards of a rollout in progress
+ * @route   PUT /api/projects/:projectId/rollouts/:rolloutId/guards
+ * @access  Private
+ */
+exports.updateGuards = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Update guards
+    const rollout = await rolloutService.updateGuards(
+      req.params.projectId,
+      req.params.rolloutId,
+      req.user._id,
+      req.body
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: rollout
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Pause a rollout
+ * @route   POST /api/projects/:projectId/rollouts/:rolloutId/pause
+ * @access  Private
+ */
+exports.pauseRollout = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Pause rollout
+    const rollout = await rolloutService.pauseRollout(
+      req.params.projectId,
+      req.params.rolloutId,
+      req.user._id
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: rollout
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resume a rollout where it left off
+ * @route   POST /api/projects/:projectId/rollouts/:rolloutId/resume
+ * @access  Private
+ */
+exports.resumeRollout = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Resume rollout
+    const rollout = await rolloutService.resumeRollout(
+      req.params.projectId,
+      req.params.rolloutId,
+      req.user._id
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: rollout
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Abort a rollout and set its rule back to 0%
+ * @route   POST /api/projects/:projectId/rollouts/:rolloutId/abort
+ * @access  Private
+ */
+exports.abortRollout = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Abort rollout
+    const rollout = await rolloutService.abortRollout(
+      req.params.projectId,
+      req.params.rolloutId,
+      req.user._id
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: rollout
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,134 @@
+// src/controllers/scheduledChange.controller.js
+const { validationResult } = require('express-validator');
+const schedulerService = require('../services/scheduler.service');
+
+/**
+ * @desc    Get scheduled changes for a project
+ * @route   GET /api/projects/:projectId/scheduled-changes
+ * @access  Private
+ */
+exports.getScheduledChanges = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Get scheduled changes
+    const result = await schedulerService.getScheduledChanges(req.params.projectId, req.query);
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      results: result.scheduledChanges.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      data: result.scheduledChanges
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Schedule a change to a flag environment
+ * @route   POST /api/projects/:projectId/scheduled-changes
+ * @access  Private
+ */
+exports.createScheduledChange = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Create scheduled change
+    const scheduledChange = await schedulerService.createScheduledChange(
+      req.params.projectId,
+      req.user._id,
+      req.body
+    );
+    
+    // Return response
+    res.status(201).json({
+      status: 'success',
+      data: scheduledChange
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get scheduled change by ID
+ * @route   GET /api/projects/:projectId/scheduled-changes/:scheduledChangeId
+ * @access  Private
+ */
+exports.getScheduledChangeById = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Get scheduled change
+    const scheduledChange = await schedulerService.getScheduledChangeById(
+      req.params.projectId,
+      req.params.scheduledChangeId
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: scheduledChange
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a pending scheduled change
+ * @route   POST /api/projects/:projectId/scheduled-changes/:scheduledChangeId/cancel
+ * @access  Private
+ */
+exports.cancelScheduledChange = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Cancel scheduled change
+    const scheduledChange = await schedulerService.cancelScheduledChange(
+      req.params.projectId,
+      req.params.scheduledChangeId,
+      req.user._id
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: scheduledChange
+    });
+  } catch (error) {
+    next(error);
+  }
+};
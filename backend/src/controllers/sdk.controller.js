@@ -1,13 +1,26 @@
 // src/controllers/sdk.controller.js
+const { validationResult } = require('express-validator');
 const evaluationService = require('../services/evaluation.service');
+const eventService = require('../services/event.service');
+const streamService = require('../services/stream.service');
+const logger = require('../utils/logger');
 
 /**
- * @desc    Evaluate a flag
+ * @desc    Evaluate a flag (add ?detail=true for the variation and reason)
  * @route   POST /api/sdk/:environment/evaluate
  * @access  Private (API Key)
  */
 exports.evaluateFlag = async (req, res, next) => {
   try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
     const { flagKey, context = {} } = req.body;
     const projectId = req.project._id;
     const environment = req.environment;
@@ -22,7 +35,8 @@ exports.evaluateFlag = async (req, res, next) => {
       projectId,
       environment,
       flagKey,
-      context
+      context,
+      { detail: req.query.detail === 'true' }
     );
     
     // Return response
@@ -36,12 +50,21 @@ exports.evaluateFlag = async (req, res, next) => {
 };
 
 /**
- * @desc    Get all flags for client
+ * @desc    Get all flags for client (add ?detail=true for variations and reasons)
  * @route   GET /api/sdk/:environment/flags
  * @access  Private (API Key)
  */
 exports.getClientFlags = async (req, res, next) => {
   try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
     const projectId = req.project._id;
     const environment = req.environment;
     
@@ -60,7 +83,49 @@ exports.getClientFlags = async (req, res, next) => {
     const result = await evaluationService.evaluateAllFlags(
       projectId,
       environment,
-      context
+      context,
+      { detail: req.query.detail === 'true' }
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Evaluate all (or selected) flags for a full context
+ * @route   POST /api/sdk/:environment/flags
+ * @access  Private (API Key)
+ */
+exports.evaluateFlags = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    const { context = {}, flagKeys, tags } = req.body;
+    
+    // Add client IP to context if available
+    if (req.ip) {
+      context.clientIP = req.ip;
+    }
+    
+    // Evaluate the requested flags
+    const result = await evaluationService.evaluateAllFlags(
+      req.project._id,
+      req.environment,
+      context,
+      { detail: true, flagKeys, tags }
     );
     
     // Return response
@@ -71,4 +136,105 @@ exports.getClientFlags = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Get the environment's rule set for local evaluation
+ * @route   GET /api/sdk/:environment/ruleset
+ * @access  Private (API Key)
+ */
+exports.getRuleset = async (req, res, next) => {
+  try {
+    const ruleset = await evaluationService.getRuleset(req.project._id, req.environment);
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: ruleset
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Stream flag changes as server-sent events
+ * @route   GET /api/sdk/:environment/stream
+ * @access  Private (API Key)
+ */
+exports.streamFlags = async (req, res, next) => {
+  let unsubscribe = null;
+  let closed = false;
+  
+  // Detach the client once the connection goes away
+  res.on('close', () => {
+    closed = true;
+    if (unsubscribe) {
+      unsubscribe();
+    }
+  });
+  
+  try {
+    // Open the event stream
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    // Send the snapshot (or missed events) and subscribe to changes
+    unsubscribe = await streamService.subscribe(
+      req.project._id,
+      req.environment,
+      res,
+      req.get('Last-Event-ID') || req.query.lastEventId
+    );
+    
+    if (closed) {
+      unsubscribe();
+    }
+  } catch (error) {
+    // Headers are already sent, so the error can only end the stream
+    if (res.headersSent) {
+      logger.error(`Flag stream failed: ${error.message}`);
+      return res.end();
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Report a batch of custom events
+ * @route   POST /api/sdk/:environment/events
+ * @access  Private (API Key)
+ */
+exports.trackEvents = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Store events
+    const accepted = await eventService.recordEvents(
+      req.project._id,
+      req.environment,
+      req.body.events,
+      { sdkType: req.body.sdkType, sdkVersion: req.body.sdkVersion }
+    );
+    
+    // Return response
+    res.status(202).json({
+      status: 'success',
+      data: { accepted }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
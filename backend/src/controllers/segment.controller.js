@@ -0,0 +1,162 @@
+// src/controllers/segment.controller.js
+const { validationResult } = require('express-validator');
+const segmentService = require('../services/segment.service');
+
+/**
+ * @desc    Create a new segment
+ * @route   POST /api/projects/:projectId/segments
+ * @access  Private
+ */
+exports.createSegment = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Create segment
+    const segment = await segmentService.createSegment(
+      req.params.projectId,
+      req.user._id,
+      req.body
+    );
+    
+    // Return response
+    res.status(201).json({
+      status: 'success',
+      data: segment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get all segments for a project
+ * @route   GET /api/projects/:projectId/segments
+ * @access  Private
+ */
+exports.getProjectSegments = async (req, res, next) => {
+  try {
+    // Get project segments
+    const segments = await segmentService.getProjectSegments(req.params.projectId);
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      results: segments.length,
+      data: segments
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get segment by ID
+ * @route   GET /api/projects/:projectId/segments/:segmentId
+ * @access  Private
+ */
+exports.getSegmentById = async (req, res, next) => {
+  try {
+    // Get segment
+    const segment = await segmentService.getSegmentById(
+      req.params.projectId,
+      req.params.segmentId
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: segment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update segment
+ * @route   PUT /api/projects/:projectId/segments/:segmentId
+ * @access  Private
+ */
+exports.updateSegment = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Update segment
+    const segment = await segmentService.updateSegment(
+      req.params.projectId,
+      req.params.segmentId,
+      req.user._id,
+      req.body
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: segment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete segment
+ * @route   DELETE /api/projects/:projectId/segments/:segmentId
+ * @access  Private
+ */
+exports.deleteSegment = async (req, res, next) => {
+  try {
+    // Delete segment
+    await segmentService.deleteSegment(
+      req.params.projectId,
+      req.params.segmentId,
+      req.user._id
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get flags that use a segment
+ * @route   GET /api/projects/:projectId/segments/:segmentId/flags
+ * @access  Private
+ */
+exports.getSegmentUsage = async (req, res, next) => {
+  try {
+    // Get segment usage
+    const flags = await segmentService.getSegmentUsage(
+      req.params.projectId,
+      req.params.segmentId
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      results: flags.length,
+      data: flags
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,133 @@
+// src/controllers/webhook.controller.js
+const { validationResult } = require('express-validator');
+const webhookService = require('../services/webhook.service');
+
+/**
+ * @desc    Get webhooks for a project
+ * @route   GET /api/projects/:projectId/webhooks
+ * @access  Private
+ */
+exports.getWebhooks = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Get webhooks
+    const webhooks = await webhookService.getWebhooks(req.params.projectId);
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      results: webhooks.length,
+      data: webhooks
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a webhook (the response includes its signing secret)
+ * @route   POST /api/projects/:projectId/webhooks
+ * @access  Private
+ */
+exports.createWebhook = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Create webhook
+    const webhook = await webhookService.createWebhook(
+      req.params.projectId,
+      req.user._id,
+      req.body
+    );
+    
+    // Return response
+    res.status(201).json({
+      status: 'success',
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a webhook
+ * @route   PUT /api/projects/:projectId/webhooks/:webhookId
+ * @access  Private
+ */
+exports.updateWebhook = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Update webhook
+    const webhook = await webhookService.updateWebhook(
+      req.params.projectId,
+      req.params.webhookId,
+      req.user._id,
+      req.body
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a webhook
+ * @route   DELETE /api/projects/:projectId/webhooks/:webhookId
+ * @access  Private
+ */
+exports.deleteWebhook = async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const error = new Error('Validation error');
+      error.statusCode = 400;
+      error.errors = errors.array();
+      return next(error);
+    }
+    
+    // Delete webhook
+    await webhookService.deleteWebhook(
+      req.params.projectId,
+      req.params.webhookId,
+      req.user._id
+    );
+    
+    // Return response
+    res.status(200).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
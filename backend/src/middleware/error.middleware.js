@@ -27,6 +27,12 @@ const errorMiddleware = (err, req, res, next) => {
     err.statusCode = 400;
   }
   
+  if (err.name === 'VersionError') {
+    // Mongoose optimistic concurrency error
+    err.message = 'This resource was modified by another request. Reload it and try again';
+    err.statusCode = 409;
+  }
+  
   if (err.name === 'JsonWebTokenError') {
     err.message = 'Invalid token. Please log in again';
     err.statusCode = 401;
@@ -43,6 +49,8 @@ const errorMiddleware = (err, req, res, next) => {
       status: err.status,
       error: err,
       message: err.message,
+      ...(Array.isArray(err.errors) && { errors: err.errors }),
+      ...(err.data && { data: err.data }),
       stack: err.stack
     });
   }
@@ -50,7 +58,9 @@ const errorMiddleware = (err, req, res, next) => {
   // Production error response (without stack trace)
   return res.status(err.statusCode).json({
     status: err.status,
-    message: err.message
+    message: err.message,
+    ...(Array.isArray(err.errors) && { errors: err.errors }),
+    ...(err.data && { data: err.data })
   });
 };
 
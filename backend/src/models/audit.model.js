@@ -0,0 +1,134 @@
+// src/models/audit.model.js
+const mongoose = require('mongoose');
+
+// A single field-level change between two snapshots
+const changeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true
+    },
+    flag: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Flag'
+    },
+    // Kept separately so entries remain readable after the flag is deleted
+    flagKey: {
+      type: String
+    },
+    environment: {
+      type: String
+    },
+    // Dotted action name, e.g. 'flag.toggled' or 'environment.added'
+    action: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Full snapshots of the resource before and after the change
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    changes: [changeSchema],
+    // Additional action-specific information
+    metadata: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    // Entries are immutable, so only the creation time is tracked
+    timestamps: false,
+    minimize: false
+  }
+);
+
+// Compound indexes for the audit query filters
+auditLogSchema.index({ project: 1, timestamp: -1 });
+auditLogSchema.index({ project: 1, flag: 1, timestamp: -1 });
+auditLogSchema.index({ project: 1, actor: 1, timestamp: -1 });
+auditLogSchema.index({ project: 1, environment: 1, timestamp: -1 });
+
+// The audit log is append-only: reject modifications of existing entries
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    const error = new Error('Audit log entries cannot be modified');
+    error.statusCode = 405;
+    return next(error);
+  }
+  next();
+});
+
+auditLogSchema.pre(/^(update|replace|delete|findOneAnd)/, function(next) {
+  const error = new Error('Audit log entries cannot be modified or deleted');
+  error.statusCode = 405;
+  next(error);
+});
+
+// Static method to build the query filter for a project's audit entries
+auditLogSchema.statics.buildFilter = function(projectId, filters = {}) {
+  const { flag, flagKey, actor, environment, action, startDate, endDate } = filters;
+
+  const query = {
+    project: projectId
+  };
+
+  if (flag) {
+    query.flag = flag;
+  }
+
+  if (flagKey) {
+    query.flagKey = flagKey;
+  }
+
+  if (actor) {
+    query.actor = actor;
+  }
+
+  if (environment) {
+    query.environment = environment;
+  }
+
+  if (action) {
+    query.action = action;
+  }
+
+  if (startDate || endDate) {
+    query.timestamp = {};
+
+    if (startDate) {
+      query.timestamp.$gte = new Date(startDate);
+    }
+
+    if (endDate) {
+      query.timestamp.$lte = new Date(endDate);
+    }
+  }
+
+  return query;
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,122 @@
+// src/models/changeRequest.model.js
+const mongoose = require('mongoose');
+
+// A field-level change between two snapshots
+const diffSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// The proposed settings of one flag in the request's environment
+const flagChangeSchema = new mongoose.Schema({
+  flag: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flag',
+    required: true
+  },
+  flagKey: {
+    type: String,
+    required: true
+  },
+  // Environment setting parts covered by the change (see Flag.ENVIRONMENT_PARTS)
+  parts: [String],
+  // The parts when the request was made, and as proposed
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  diff: [diffSchema]
+}, { _id: false, minimize: false });
+
+// An approval, rejection or comment
+const reviewSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  decision: {
+    type: String,
+    enum: ['approved', 'rejected', 'commented'],
+    required: true
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot be more than 1000 characters']
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const changeRequestSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true
+    },
+    environment: {
+      type: String,
+      required: true
+    },
+    description: {
+      type: String,
+      required: [true, 'Change request description is required'],
+      trim: true,
+      maxlength: [1000, 'Description cannot be more than 1000 characters']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'applied', 'rejected', 'cancelled', 'failed'],
+      default: 'pending'
+    },
+    // Audit action recorded for each flag when the change is applied, e.g. 'flag.toggled'
+    action: {
+      type: String,
+      required: true
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    changes: [flagChangeSchema],
+    // Approval policy of the environment when the request was made
+    requiredApprovals: {
+      type: Number,
+      required: true
+    },
+    approverRoles: [String],
+    reviews: [reviewSchema],
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Why the change could not be applied
+    failureReason: String,
+    closedAt: Date
+  },
+  {
+    timestamps: true,
+    // Concurrent reviews must not overwrite each other
+    optimisticConcurrency: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+changeRequestSchema.index({ project: 1, status: 1, createdAt: -1 });
+changeRequestSchema.index({ project: 1, 'changes.flag': 1, createdAt: -1 });
+
+// Virtuals
+changeRequestSchema.virtual('approvals').get(function() {
+  return this.reviews.filter(review => review.decision === 'approved').length;
+});
+
+const ChangeRequest = mongoose.model('ChangeRequest', changeRequestSchema);
+
+module.exports = ChangeRequest;
@@ -1,6 +1,31 @@
 // src/models/evaluation.model.js
 const mongoose = require('mongoose');
 
+// Why a flag evaluated to its value
+const reasonSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['OFF', 'HOLDOUT', 'FALLTHROUGH', 'RULE_MATCH', 'PREREQUISITE_FAILED', 'ERROR'],
+    required: true
+  },
+  // RULE_MATCH: the matched rule
+  ruleId: String,
+  ruleName: String,
+  ruleIndex: Number,
+  // PREREQUISITE_FAILED: the first prerequisite that was not met
+  prerequisiteKey: String,
+  // ERROR: what went wrong (FLAG_NOT_FOUND, ENVIRONMENT_NOT_FOUND or EXCEPTION)
+  errorKind: String,
+  message: String
+}, { _id: false });
+
+/**
+ * Check if an evaluation failed, optionally with a specific errorKind
+ */
+const isError = (evaluation, errorKind) => Boolean(evaluation.reason) &&
+  evaluation.reason.kind === 'ERROR' &&
+  (!errorKind || evaluation.reason.errorKind === errorKind);
+
 const evaluationSchema = new mongoose.Schema(
   {
     project: {
@@ -8,10 +33,11 @@ const evaluationSchema = new mongoose.Schema(
       ref: 'Project',
       required: true
     },
+    // Missing when the requested flag does not exist (reason FLAG_NOT_FOUND)
     flag: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Flag',
-      required: true
+      required: function() { return !isError(this, 'FLAG_NOT_FOUND'); }
     },
     flagKey: {
       type: String,
@@ -32,15 +58,27 @@ const evaluationSchema = new mongoose.Schema(
       of: mongoose.Schema.Types.Mixed,
       default: {}
     },
+    // Null when the evaluation failed before reaching a default value
     result: {
       type: mongoose.Schema.Types.Mixed,
-      required: true
+      required: function() { return !isError(this); }
+    },
+    // Variation key served, if the value came from a variation
+    variation: {
+      type: String,
+      default: null
+    },
+    reason: {
+      type: reasonSchema,
+      default: undefined
     },
     timestamp: {
       type: Date,
       default: Date.now,
       index: true
     },
+    // ID given by an SDK reporting a local evaluation, so exposures sent again are only stored once
+    eventId: String,
     // Additional metadata
     sdkVersion: String,
     sdkType: String,
@@ -55,6 +93,12 @@ const evaluationSchema = new mongoose.Schema(
 evaluationSchema.index({ project: 1, flag: 1, timestamp: -1 });
 evaluationSchema.index({ project: 1, flagKey: 1, environment: 1, timestamp: -1 });
 evaluationSchema.index({ project: 1, userId: 1, timestamp: -1 });
+// Experiments and guards join a flag's evaluations with events by user
+evaluationSchema.index({ project: 1, flag: 1, environment: 1, userId: 1, timestamp: 1 });
+evaluationSchema.index(
+  { project: 1, environment: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } }
+);
 
 // Static method to record an evaluation
 evaluationSchema.statics.recordEvaluation = async function(data) {
@@ -62,10 +106,12 @@ evaluationSchema.statics.recordEvaluation = async function(data) {
   const evaluation = await this.create(data);
   
   // Update the flag's metrics
-  await mongoose.model('Flag').findByIdAndUpdate(data.flag, {
-    $inc: { 'metrics.evaluations': 1 },
-    $set: { 'metrics.lastEvaluated': new Date() }
-  });
+  if (data.flag) {
+    await mongoose.model('Flag').findByIdAndUpdate(data.flag, {
+      $inc: { 'metrics.evaluations': 1 },
+      $set: { 'metrics.lastEvaluated': new Date() }
+    });
+  }
   
   return evaluation;
 };
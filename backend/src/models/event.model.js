@@ -0,0 +1,54 @@
+// src/models/event.model.js
+const mongoose = require('mongoose');
+
+// Custom event reported by an SDK, such as an error or a metric value
+const eventSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true
+    },
+    environment: {
+      type: String,
+      required: true
+    },
+    // Event name, e.g. 'checkout.error' or 'page.load-time'
+    key: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    // User the event belongs to, joined with evaluations of the same user
+    userId: {
+      type: String,
+      required: true
+    },
+    // Numeric value for metrics such as durations or revenue
+    value: Number,
+    metadata: mongoose.Schema.Types.Mixed,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    // ID given by the SDK, so events sent again after a failed request are only stored once
+    eventId: String,
+    sdkType: String,
+    sdkVersion: String
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Metrics aggregate events by key and time, then join them by user
+eventSchema.index({ project: 1, environment: 1, key: 1, timestamp: -1 });
+eventSchema.index({ project: 1, environment: 1, userId: 1, timestamp: -1 });
+eventSchema.index(
+  { project: 1, environment: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } }
+);
+
+const Event = mongoose.model('Event', eventSchema);
+
+module.exports = Event;
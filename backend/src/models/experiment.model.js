@@ -0,0 +1,101 @@
+// src/models/experiment.model.js
+const mongoose = require('mongoose');
+
+// Metric measured per variation from custom events (see experiment.service.js)
+const metricSchema = new mongoose.Schema({
+  eventKey: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // rate: share of exposed users with the event; mean: average event value per exposed user
+  aggregation: {
+    type: String,
+    enum: ['rate', 'mean'],
+    default: 'rate'
+  },
+  // Which change of the metric is an improvement
+  direction: {
+    type: String,
+    enum: ['increase', 'decrease'],
+    default: 'increase'
+  }
+}, { _id: false });
+
+const experimentSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true
+    },
+    flag: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Flag',
+      required: true
+    },
+    flagKey: {
+      type: String,
+      required: true
+    },
+    environment: {
+      type: String,
+      required: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Experiment name is required'],
+      trim: true,
+      maxlength: [100, 'Experiment name cannot be more than 100 characters']
+    },
+    hypothesis: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Hypothesis cannot be more than 1000 characters']
+    },
+    primaryMetric: {
+      type: metricSchema,
+      required: true
+    },
+    secondaryMetrics: [metricSchema],
+    // Variation the other variations are compared with
+    controlVariation: {
+      type: String,
+      required: true
+    },
+    // Confidence level of intervals and significance, in percent
+    confidenceLevel: {
+      type: Number,
+      default: 95,
+      min: 80,
+      max: 99.9
+    },
+    status: {
+      type: String,
+      enum: ['draft', 'running', 'stopped'],
+      default: 'draft'
+    },
+    // Results only count exposures and events between these dates
+    startDate: Date,
+    endDate: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+experimentSchema.index({ project: 1, createdAt: -1 });
+experimentSchema.index({ flag: 1, environment: 1, status: 1 });
+
+const Experiment = mongoose.model('Experiment', experimentSchema);
+
+module.exports = Experiment;
@@ -1,5 +1,62 @@
 // src/models/flag.model.js
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const targeting = require('../utils/targeting');
+const bucketing = require('../utils/bucketing');
+const schedule = require('../utils/schedule');
+const FlagRevision = require('./revision.model');
+const Segment = require('./segment.model');
+
+// Weighted variation entry for splitting matched users across variations
+const rolloutSchema = new mongoose.Schema({
+  variation: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Share of matched users in percent (up to three decimals)
+  weight: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100,
+    validate: {
+      validator: bucketing.hasValidResolution,
+      message: 'Rollout weight cannot have more than three decimal places'
+    }
+  }
+}, { _id: false });
+
+// What a matching rule serves: a single variation or a weighted split
+const serveSchema = new mongoose.Schema({
+  variation: {
+    type: String,
+    trim: true
+  },
+  rollout: {
+    type: [rolloutSchema],
+    default: undefined
+  }
+}, { _id: false });
+
+serveSchema.pre('validate', function(next) {
+  const hasVariation = Boolean(this.variation);
+  const hasRollout = Array.isArray(this.rollout) && this.rollout.length > 0;
+
+  if (hasVariation === hasRollout) {
+    this.invalidate('variation', 'Rule must serve either a variation or a rollout, but not both');
+    return next();
+  }
+
+  if (hasRollout) {
+    const total = this.rollout.reduce((sum, entry) => sum + bucketing.percentageToBuckets(entry.weight), 0);
+    if (total !== bucketing.BUCKET_SCALE) {
+      this.invalidate('rollout', `Rollout weights must add up to 100 (got ${total / (bucketing.BUCKET_SCALE / 100)})`);
+    }
+  }
+
+  next();
+});
 
 // Rule schema for targeting and rollout rules
 const ruleSchema = new mongoose.Schema({
@@ -21,28 +78,50 @@ const ruleSchema = new mongoose.Schema({
   // Rule configuration based on type
   value: {
     type: mongoose.Schema.Types.Mixed,
-    required: true,
+    // DEFAULT rules may serve a variation instead of a literal value
+    required: function() { return !(this.type === 'DEFAULT' && this.serve); },
     validate: {
       validator: function(value) {
         switch (this.type) {
           case 'PERCENTAGE':
-            // Percentage should be a number between 0 and 100
-            return typeof value === 'number' && value >= 0 && value <= 100;
-          case 'USER_SEGMENT':
-            // User segment should be an object with attribute conditions
-            return typeof value === 'object' && value !== null;
-          case 'SCHEDULED':
-            // Scheduled should have startDate and optionally endDate
-            return value && value.startDate;
+            // Percentage should be a number between 0 and 100 with up to three decimals
+            return typeof value === 'number' && value >= 0 && value <= 100 &&
+              bucketing.hasValidResolution(value);
+          case 'USER_SEGMENT': {
+            // User segment should be a clause group or an attribute map
+            const errors = targeting.validateSegmentValue(value);
+            if (errors.length > 0) {
+              throw new Error(`Invalid USER_SEGMENT rule: ${errors.join('; ')}`);
+            }
+            return true;
+          }
+          case 'SCHEDULED': {
+            // Scheduled should have a startDate and/or a recurrence that can activate
+            const errors = schedule.validateSchedule(value);
+            if (errors.length > 0) {
+              throw new Error(`Invalid SCHEDULED rule: ${errors.join('; ')}`);
+            }
+            return true;
+          }
           case 'DEFAULT':
             // Default value should be a boolean, string, number or JSON
-            return value !== undefined;
+            return value !== undefined || Boolean(this.serve);
           default:
             return false;
         }
       },
       message: props => `Invalid value for rule type ${props.value}`
     }
+  },
+  // Context attribute used for percentage bucketing (defaults to userId)
+  bucketBy: {
+    type: String,
+    trim: true
+  },
+  // Variation served when the rule matches (defaults to `true` for boolean rules)
+  serve: {
+    type: serveSchema,
+    default: undefined
   }
 }, { _id: true });
 
@@ -63,6 +142,80 @@ const variationSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// Prerequisite: another flag that must serve a given value in the same environment
+const prerequisiteSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { _id: false });
+
+// Traffic slice of the layer a flag belongs to, copied from the layer (see layer.service.js)
+const layerSliceSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  salt: {
+    type: String,
+    required: true
+  },
+  bucketBy: String,
+  // Layer buckets [start, end) assigned to the flag
+  ranges: [{
+    _id: false,
+    start: Number,
+    end: Number
+  }]
+}, { _id: false });
+
+// Compare a served value with a required value (JSON values compare structurally)
+function isSameValue(actual, expected) {
+  if (actual === expected) {
+    return true;
+  }
+  
+  return actual !== null && expected !== null &&
+    typeof actual === 'object' && typeof expected === 'object' &&
+    JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+// Parts of an environment's settings that can be compared and promoted separately
+const ENVIRONMENT_PARTS = ['enabled', 'rules', 'variations', 'default', 'prerequisites'];
+
+// Collect the variation keys a rule can serve
+function getServedVariationKeys(rule) {
+  if (!rule.serve) {
+    return [];
+  }
+  
+  if (rule.serve.variation) {
+    return [rule.serve.variation];
+  }
+  
+  return (rule.serve.rollout || []).map(entry => entry.variation);
+}
+
+// Check if a context is in a project's holdout (contexts that cannot be bucketed are not)
+function isHeldOut(holdout, context) {
+  if (!holdout || !(holdout.percentage > 0)) {
+    return false;
+  }
+  
+  const bucket = bucketing.getContextBucket(holdout.salt, context, holdout.bucketBy);
+  return bucket !== null && bucket < bucketing.percentageToBuckets(holdout.percentage);
+}
+
+// Check if a rule splits traffic by bucket (percentage rollouts and weighted splits)
+function isBucketedRule(rule) {
+  return rule.type === 'PERCENTAGE' || Boolean(rule.serve && rule.serve.rollout && rule.serve.rollout.length > 0);
+}
+
 // Main flag schema
 const flagSchema = new mongoose.Schema(
   {
@@ -98,6 +251,10 @@ const flagSchema = new mongoose.Schema(
       enum: ['BOOLEAN', 'STRING', 'NUMBER', 'JSON'],
       default: 'BOOLEAN'
     },
+    // Per-flag salt for percentage bucketing (flags without one fall back to their key)
+    salt: {
+      type: String
+    },
     // Environment-specific settings
     environments: {
       type: Map,
@@ -107,6 +264,8 @@ const flagSchema = new mongoose.Schema(
           default: false
         },
         rules: [ruleSchema],
+        // Flags that must be on and serving the given values for this flag's rules to apply
+        prerequisites: [prerequisiteSchema],
         // For simple boolean flags
         value: {
           type: mongoose.Schema.Types.Mixed
@@ -131,6 +290,17 @@ const flagSchema = new mongoose.Schema(
       type: [String],
       default: []
     },
+    // Whether users in the project's holdout get the flag's default value
+    holdout: {
+      type: Boolean,
+      default: false
+    },
+    // Layer slice limiting the flag's bucketed rules to part of the traffic,
+    // managed through the layer (see layer.service.js)
+    layer: {
+      type: layerSliceSchema,
+      default: null
+    },
     // Flag evaluation metrics (optional)
     metrics: {
       evaluations: {
@@ -139,6 +309,11 @@ const flagSchema = new mongoose.Schema(
       },
       lastEvaluated: Date
     },
+    // Number of the latest saved revision (see FlagRevision)
+    revision: {
+      type: Number,
+      default: 0
+    },
     // Audit information
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -152,11 +327,177 @@ const flagSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    // Reject saves of documents that were modified since they were loaded
+    optimisticConcurrency: true,
     toJSON: { virtuals: true },
     toObject: { virtuals: true }
   }
 );
 
+// Give new flags a random bucketing salt
+flagSchema.pre('validate', function(next) {
+  if (this.isNew && !this.salt) {
+    this.salt = crypto.randomBytes(8).toString('hex');
+  }
+  next();
+});
+
+// Ensure rules only serve variations that exist in their environment
+flagSchema.pre('validate', function(next) {
+  if (!this.environments) {
+    return next();
+  }
+  
+  for (const [environment, envSettings] of this.environments) {
+    const variationKeys = (envSettings.variations || []).map(v => v.key);
+    
+    for (const rule of envSettings.rules || []) {
+      for (const key of getServedVariationKeys(rule)) {
+        if (!variationKeys.includes(key)) {
+          this.invalidate(
+            `environments.${environment}.rules`,
+            `Rule '${rule.name || rule.type}' serves unknown variation '${key}' in environment '${environment}'`
+          );
+        }
+      }
+    }
+  }
+  
+  next();
+});
+
+// Ensure changed rules only reference segments that exist in the project, whichever path saves them
+flagSchema.pre('validate', async function() {
+  if (!this.environments) {
+    return;
+  }
+  
+  const references = [];
+  
+  for (const [environment, envSettings] of this.environments) {
+    if (!this.isNew && !this.isModified(`environments.${environment}`)) {
+      continue;
+    }
+    
+    for (const rule of envSettings.rules || []) {
+      if (rule.type === 'USER_SEGMENT') {
+        references.push({ environment, rule, keys: targeting.getSegmentKeys(rule.value) });
+      }
+    }
+  }
+  
+  const segmentKeys = [...new Set(references.flatMap(reference => reference.keys))];
+  if (segmentKeys.length === 0) {
+    return;
+  }
+  
+  const knownKeys = await Segment
+    .find({ project: this.project, key: { $in: segmentKeys } })
+    .distinct('key');
+  
+  for (const { environment, rule, keys } of references) {
+    const unknownKeys = keys.filter(key => !knownKeys.includes(key));
+    
+    if (unknownKeys.length > 0) {
+      this.invalidate(
+        `environments.${environment}.rules`,
+        `Rule '${rule.name || rule.type}' references unknown segment(s) ${unknownKeys.join(', ')} in environment '${environment}'`
+      );
+    }
+  }
+});
+
+/**
+ * Build the revision stored for a flag's current state
+ */
+const buildRevision = (flag, restoredFrom) => ({
+  project: flag.project,
+  flag: flag._id,
+  flagKey: flag.key,
+  revision: flag.revision,
+  snapshot: flag.getRevisionSnapshot(),
+  actor: flag.updatedBy || flag.createdBy,
+  restoredFrom
+});
+
+/**
+ * Remove revisions that never described a saved state. Revisions are otherwise
+ * append-only, so this goes around the model's middleware.
+ */
+const discardRevisions = (filter, session) => FlagRevision.collection.deleteMany(filter, session ? { session } : {});
+
+/**
+ * Store the revision of a flag's current state, replacing one left behind by a failed save.
+ * Returns the revision's ID.
+ */
+const storeRevision = async (flag, session) => {
+  const revision = buildRevision(flag, flag.$locals.restoredFrom || null);
+  
+  try {
+    const [created] = await FlagRevision.create([revision], { session });
+    return created._id;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+  
+  // The revision exists: either another save got there first, or a failed save left it
+  const current = await flag.constructor.findById(flag._id).select('revision').session(session);
+  if (current && current.revision >= revision.revision) {
+    throw new mongoose.Error.VersionError(flag, flag.__v, flag.modifiedPaths());
+  }
+  
+  await discardRevisions({ flag: flag._id, revision: { $gte: revision.revision } }, session);
+  const [created] = await FlagRevision.create([revision], { session });
+  return created._id;
+};
+
+// Number every save that changes the flag and store its revision before the flag itself,
+// in the save's session if it has one, so every saved state has a revision
+flagSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified()) {
+    return;
+  }
+  
+  this.revision = (this.revision || 0) + 1;
+  
+  try {
+    this.$locals.pendingRevision = await storeRevision(this, this.$session());
+  } catch (error) {
+    this.revision -= 1;
+    throw error;
+  }
+  
+  this.$locals.restoredFrom = null;
+});
+
+// The flag is saved, so its revision stays
+flagSchema.post('save', function() {
+  this.$locals.pendingRevision = null;
+});
+
+// Remove the revision of a save that failed, then report the failure
+flagSchema.post('save', function(error, doc, next) {
+  const revisionId = this.$locals.pendingRevision;
+  const session = this.$session();
+  
+  if (!revisionId) {
+    return next(error);
+  }
+  
+  this.$locals.pendingRevision = null;
+  this.revision -= 1;
+  
+  // An aborted transaction discards the revision with everything else
+  if (session && session.inTransaction()) {
+    return next(error);
+  }
+  
+  // A revision that cannot be removed is replaced by the next save
+  discardRevisions({ _id: revisionId }).then(() => next(error), () => next(error));
+});
+
 // Index for quick lookup by project and key combination
 flagSchema.index({ project: 1, key: 1 }, { unique: true });
 flagSchema.index({ project: 1, tags: 1 });
@@ -166,6 +507,14 @@ flagSchema.virtual('environmentsList').get(function() {
   return Array.from(this.environments.keys());
 });
 
+// Progressive rollouts in progress (populated when fetching a single flag)
+flagSchema.virtual('rollouts', {
+  ref: 'RolloutPlan',
+  localField: '_id',
+  foreignField: 'flag',
+  match: { status: { $in: ['active', 'paused'] } }
+});
+
 // Static method to find flags for a specific project
 flagSchema.statics.findByProject = function(projectId) {
   return this.find({ project: projectId });
@@ -179,129 +528,478 @@ flagSchema.statics.findByTags = function(projectId, tags) {
   });
 };
 
-// Method to evaluate a flag for a specific context
-flagSchema.methods.evaluate = function(environment, context = {}) {
-  // Check if the environment exists
+// Static helper to list the variation keys a rule can serve
+flagSchema.statics.getServedVariationKeys = getServedVariationKeys;
+
+// Names of the environment setting parts (see getEnvironmentParts)
+flagSchema.statics.ENVIRONMENT_PARTS = ENVIRONMENT_PARTS;
+
+// Method to list the segment keys referenced by the flag's rules
+flagSchema.methods.getSegmentKeys = function(environment) {
+  const environments = environment
+    ? [this.environments.get(environment)].filter(Boolean)
+    : Array.from(this.environments.values());
+  
+  const keys = new Set();
+  
+  for (const envSettings of environments) {
+    for (const rule of envSettings.rules || []) {
+      if (rule.type === 'USER_SEGMENT') {
+        targeting.getSegmentKeys(rule.value).forEach(key => keys.add(key));
+      }
+    }
+  }
+  
+  return Array.from(keys);
+};
+
+// Method to add settings for an environment, optionally cloned from another one
+flagSchema.methods.seedEnvironment = function(environment, sourceEnvironment) {
+  const source = sourceEnvironment ? this.environments.get(sourceEnvironment) : null;
+  
+  if (!source) {
+    this.environments.set(environment, {
+      enabled: false,
+      rules: [],
+      value: this.type === 'BOOLEAN' ? false : undefined,
+      variations: [],
+      defaultVariation: null
+    });
+    return;
+  }
+  
+  // Cloned rules and variations get their own IDs
+  const settings = source.toObject();
+  settings.rules = (settings.rules || []).map(({ _id, ...rule }) => rule);
+  settings.variations = (settings.variations || []).map(({ _id, ...variation }) => variation);
+  
+  this.environments.set(environment, settings);
+};
+
+// Method to get the configuration stored in a revision as plain JSON
+flagSchema.methods.getRevisionSnapshot = function() {
+  return JSON.parse(JSON.stringify({
+    key: this.key,
+    name: this.name,
+    description: this.description,
+    type: this.type,
+    enabled: this.enabled,
+    tags: this.tags,
+    holdout: this.holdout,
+    layer: this.layer,
+    environments: Object.fromEntries(this.environments || [])
+  }));
+};
+
+// Method to restore the configuration of a revision snapshot, optionally for one environment only.
+// Environments the flag no longer has are skipped, and ones it gained since keep their settings.
+// The layer slice is kept, since layers assign slices (see layer.service).
+flagSchema.methods.applyRevisionSnapshot = function(snapshot, environment) {
+  const environments = environment ? [environment] : Array.from(this.environments.keys());
+  
+  if (!environment) {
+    this.name = snapshot.name;
+    this.description = snapshot.description;
+    this.type = snapshot.type;
+    this.enabled = snapshot.enabled;
+    this.tags = snapshot.tags;
+    this.holdout = Boolean(snapshot.holdout);
+  }
+  
+  for (const env of environments) {
+    if (snapshot.environments[env]) {
+      this.environments.set(env, snapshot.environments[env]);
+    }
+  }
+};
+
+// Method to get selected parts of an environment's settings as plain JSON,
+// without the IDs that differ between environments
+flagSchema.methods.getEnvironmentParts = function(environment, parts = ENVIRONMENT_PARTS) {
+  const envSettings = this.environments.get(environment);
+  
+  if (!envSettings) {
+    return null;
+  }
+  
+  const settings = JSON.parse(JSON.stringify(envSettings.toObject()));
+  const result = {};
+  
+  if (parts.includes('enabled')) {
+    result.enabled = Boolean(settings.enabled);
+  }
+  if (parts.includes('rules')) {
+    result.rules = (settings.rules || []).map(({ _id, ...rule }) => rule);
+  }
+  if (parts.includes('variations')) {
+    result.variations = (settings.variations || []).map(({ _id, ...variation }) => variation);
+  }
+  if (parts.includes('default')) {
+    result.default = {
+      value: settings.value === undefined ? null : settings.value,
+      defaultVariation: settings.defaultVariation || null
+    };
+  }
+  if (parts.includes('prerequisites')) {
+    result.prerequisites = settings.prerequisites || [];
+  }
+  
+  return result;
+};
+
+// Method to overwrite parts of an environment's settings (as returned by getEnvironmentParts)
+flagSchema.methods.setEnvironmentParts = function(environment, parts) {
+  const settings = this.environments.get(environment).toObject();
+  
+  if (parts.enabled !== undefined) {
+    settings.enabled = parts.enabled;
+  }
+  if (parts.rules !== undefined) {
+    settings.rules = parts.rules;
+  }
+  if (parts.variations !== undefined) {
+    settings.variations = parts.variations;
+  }
+  if (parts.default !== undefined) {
+    settings.value = parts.default.value === null ? undefined : parts.default.value;
+    settings.defaultVariation = parts.default.defaultVariation;
+  }
+  if (parts.prerequisites !== undefined) {
+    settings.prerequisites = parts.prerequisites;
+  }
+  
+  this.environments.set(environment, settings);
+};
+
+// Method to list the prerequisite flag keys of an environment
+flagSchema.methods.getPrerequisiteKeys = function(environment) {
+  const envSettings = this.environments.get(environment);
+  
+  return envSettings ? (envSettings.prerequisites || []).map(prerequisite => prerequisite.key) : [];
+};
+
+// Method to list the rules of an environment that split users across variations
+flagSchema.methods.getWeightedRules = function(environment) {
+  const envSettings = this.environments.get(environment);
+  
+  return envSettings
+    ? (envSettings.rules || []).filter(rule => rule.serve && rule.serve.rollout && rule.serve.rollout.length > 0)
+    : [];
+};
+
+// Static method to load the flags a flag depends on (transitively) as a key => flag map
+flagSchema.statics.getPrerequisiteFlags = async function(flag, environment) {
+  const flags = {};
+  let pending = flag.getPrerequisiteKeys(environment);
+  
+  while (pending.length > 0) {
+    const parents = await this.find({ project: flag.project, key: { $in: pending } });
+    const next = new Set();
+    
+    for (const parent of parents) {
+      flags[parent.key] = parent;
+    }
+    
+    for (const parent of parents) {
+      parent.getPrerequisiteKeys(environment)
+        .filter(key => key !== flag.key && !flags[key])
+        .forEach(key => next.add(key));
+    }
+    
+    pending = Array.from(next);
+  }
+  
+  return flags;
+};
+
+// Method to build the evaluation-ready configuration of one environment,
+// as delivered to SDKs (ruleset and streaming endpoints)
+flagSchema.methods.toEnvironmentPayload = function(environment) {
+  const envSettings = this.environments.get(environment);
+  
+  if (!envSettings) {
+    return null;
+  }
+  
+  const settings = typeof envSettings.toObject === 'function'
+    ? envSettings.toObject({ flattenMaps: true })
+    : envSettings;
+  
+  // Round-trip through JSON so ObjectIds and dates become plain strings
+  return JSON.parse(JSON.stringify({
+    key: this.key,
+    type: this.type,
+    salt: this.salt || this.key,
+    version: this.updatedAt ? this.updatedAt.getTime() : 0,
+    tags: [...this.tags],
+    holdout: Boolean(this.holdout),
+    enabled: Boolean(settings.enabled),
+    rules: settings.rules || [],
+    prerequisites: (settings.prerequisites || []).map(({ key, value }) => ({ key, value })),
+    // Left undefined when unset, as getDefaultValue distinguishes it from null
+    value: settings.value,
+    variations: (settings.variations || []).map(({ key, value }) => ({ key, value })),
+    defaultVariation: settings.defaultVariation || null,
+    layer: this.layer ? {
+      key: this.layer.key,
+      salt: this.layer.salt,
+      bucketBy: this.layer.bucketBy,
+      ranges: this.layer.ranges.map(({ start, end }) => ({ start, end }))
+    } : null
+  }));
+};
+
+// Method to evaluate a flag for a specific context.
+// `options.segments` maps segment keys to definitions for `segmentMatch` clauses,
+// `options.flags` maps flag keys to the flags used as prerequisites,
+// `options.holdout` is the project's holdout (see Project#getHoldoutConfig).
+flagSchema.methods.evaluate = function(environment, context = {}, options = {}) {
+  return this.evaluateDetail(environment, context, options).value;
+};
+
+// Method to evaluate a flag and explain the result.
+// Returns { value, variation, reason } where reason.kind is one of
+// OFF, HOLDOUT, PREREQUISITE_FAILED, RULE_MATCH, FALLTHROUGH or ERROR.
+// ERROR reasons have an errorKind: ENVIRONMENT_NOT_FOUND or EXCEPTION.
+flagSchema.methods.evaluateDetail = function(environment, context = {}, options = {}) {
+  // Without settings for the environment there is no default value either
   if (!this.environments.has(environment)) {
-    throw new Error(`Environment '${environment}' not found for flag '${this.key}'`);
+    return {
+      value: null,
+      variation: null,
+      reason: {
+        kind: 'ERROR',
+        errorKind: 'ENVIRONMENT_NOT_FOUND',
+        message: `Environment '${environment}' not found for flag '${this.key}'`
+      }
+    };
   }
   
   const envSettings = this.environments.get(environment);
   
   // If flag is disabled for this environment, return the default value
   if (!envSettings.enabled) {
-    return this.getDefaultValue(environment);
+    return this.getDefaultDetail(environment, { kind: 'OFF' });
   }
   
-  // If there are no rules, return the default value
-  if (!envSettings.rules || envSettings.rules.length === 0) {
-    return this.getDefaultValue(environment);
+  // Users in the project's holdout get the default value of flags opted into it
+  if (this.holdout && isHeldOut(options.holdout, context)) {
+    return this.getDefaultDetail(environment, { kind: 'HOLDOUT' });
   }
   
-  // Sort rules by priority (higher priority first)
-  const sortedRules = [...envSettings.rules].sort((a, b) => b.priority - a.priority);
-  
-  // Evaluate each rule in order of priority
-  for (const rule of sortedRules) {
-    const result = this.evaluateRule(rule, context);
-    if (result.matches) {
-      return result.value;
+  try {
+    // If a prerequisite is not met, return the default value
+    const failedPrerequisite = this.findFailedPrerequisite(environment, context, options);
+    if (failedPrerequisite) {
+      return this.getDefaultDetail(environment, {
+        kind: 'PREREQUISITE_FAILED',
+        prerequisiteKey: failedPrerequisite.key
+      });
+    }
+    
+    // Sort rules by priority (higher priority first), remembering their position
+    const sortedRules = (envSettings.rules || [])
+      .map((rule, index) => ({ rule, index }))
+      .sort((a, b) => b.rule.priority - a.rule.priority);
+    
+    // Evaluate each rule in order of priority
+    for (const { rule, index } of sortedRules) {
+      const result = this.evaluateRule(rule, context, environment, options);
+      if (result.matches) {
+        return {
+          value: result.value,
+          variation: result.variation,
+          reason: {
+            kind: 'RULE_MATCH',
+            ruleId: rule._id ? rule._id.toString() : null,
+            ruleName: rule.name || null,
+            ruleIndex: index
+          }
+        };
+      }
     }
+    
+    // If no rules match, return the default value
+    return this.getDefaultDetail(environment, { kind: 'FALLTHROUGH' });
+  } catch (error) {
+    return this.getDefaultDetail(environment, {
+      kind: 'ERROR',
+      errorKind: 'EXCEPTION',
+      message: error.message
+    });
   }
+};
+
+// Helper method to find the first prerequisite that is not on and serving its required value
+flagSchema.methods.findFailedPrerequisite = function(environment, context, options = {}) {
+  const prerequisites = this.environments.get(environment).prerequisites || [];
+  
+  if (prerequisites.length === 0) {
+    return null;
+  }
+  
+  const flags = options.flags || {};
+  
+  // Keys on the current evaluation path, to guard against cycles
+  const path = [...(options.path || []), this.key];
+  
+  const isMet = ({ key, value }) => {
+    const parent = flags[key];
+    
+    if (!parent || path.includes(key) || !parent.environments.has(environment)) {
+      return false;
+    }
+    
+    if (!parent.environments.get(environment).enabled) {
+      return false;
+    }
+    
+    return isSameValue(parent.evaluate(environment, context, { ...options, path }), value);
+  };
   
-  // If no rules match, return the default value
-  return this.getDefaultValue(environment);
+  return prerequisites.find(prerequisite => !isMet(prerequisite)) || null;
 };
 
 // Helper method to evaluate a specific rule
-flagSchema.methods.evaluateRule = function(rule, context) {
+flagSchema.methods.evaluateRule = function(rule, context, environment, options = {}) {
+  const noMatch = { matches: false, value: null, variation: null };
+  
+  // Bucketed rules of a flag in a layer only apply to the flag's slice of the layer,
+  // so a context is bucketed into at most one flag of the layer
+  if (this.layer && isBucketedRule(rule) && !this.isInLayerSlice(context)) {
+    return noMatch;
+  }
+  
+  if (!this.ruleMatches(rule, context, options)) {
+    return noMatch;
+  }
+  
+  // Rules whose outcome cannot be bucketed for this context do not match
+  const outcome = this.getRuleOutcome(rule, context, environment);
+  
+  return outcome ? { matches: true, ...outcome } : noMatch;
+};
+
+// Helper method to check if a rule's condition matches a context
+flagSchema.methods.ruleMatches = function(rule, context, options = {}) {
   switch (rule.type) {
     case 'PERCENTAGE':
-      // Simple percentage rollout
-      const percentageValue = rule.value;
-      const userId = context.userId || '';
-      
-      // Generate a hash of userId + flag key to get consistent results
-      let hash = 0;
-      const str = userId + this.key;
-      for (let i = 0; i < str.length; i++) {
-        hash = ((hash << 5) - hash) + str.charCodeAt(i);
-        hash = hash & hash; // Convert to 32bit integer
-      }
-      
-      // Normalize the hash to a value between 0 and 100
-      const normalizedHash = Math.abs(hash % 100);
-      
-      // If user's hash falls within the percentage, return true
-      return {
-        matches: normalizedHash < percentageValue,
-        value: true
-      };
+      // Percentage rollout: contexts without the bucket-by attribute are excluded
+      const bucket = this.getBucket(context, rule.bucketBy);
+      return bucket !== null && bucket < bucketing.percentageToBuckets(rule.value);
       
     case 'USER_SEGMENT':
-      // Check if user attributes match the segment criteria
-      const segmentValue = rule.value;
-      let matches = true;
-      
-      // For each attribute in the segment, check if the context matches
-      for (const [key, value] of Object.entries(segmentValue)) {
-        if (!context[key] || context[key] !== value) {
-          matches = false;
-          break;
-        }
-      }
-      
-      return {
-        matches,
-        value: true
-      };
+      // Check if user attributes match the segment clauses
+      return targeting.matchesSegment(rule.value, context, options);
       
     case 'SCHEDULED':
-      // Check if current time is within the scheduled window
-      const now = new Date();
-      const { startDate, endDate } = rule.value;
-      const start = new Date(startDate);
-      const end = endDate ? new Date(endDate) : null;
-      
-      const isAfterStart = now >= start;
-      const isBeforeEnd = end ? now <= end : true;
-      
-      return {
-        matches: isAfterStart && isBeforeEnd,
-        value: true
-      };
+      // Check if current time is within one of the scheduled windows
+      return schedule.isActive(rule.value);
       
     case 'DEFAULT':
       // Default rule always matches
-      return {
-        matches: true,
-        value: rule.value
-      };
+      return true;
       
     default:
-      return {
-        matches: false,
-        value: null
-      };
+      return false;
   }
 };
 
-// Helper method to get default value for an environment
-flagSchema.methods.getDefaultValue = function(environment) {
+// Helper method to check if a context falls in the flag's slice of its layer
+flagSchema.methods.isInLayerSlice = function(context) {
+  if (!this.layer) {
+    return true;
+  }
+  
+  const bucket = bucketing.getContextBucket(this.layer.salt, context, this.layer.bucketBy);
+  
+  return bucket !== null && this.layer.ranges.some(range => bucket >= range.start && bucket < range.end);
+};
+
+// Helper method to get a stable bucket in [0, BUCKET_SCALE) for a context
+flagSchema.methods.getBucket = function(context, bucketBy, seed = '') {
+  return bucketing.getContextBucket(`${this.salt || this.key}${seed}`, context, bucketBy);
+};
+
+// Helper method to resolve what a matching rule serves (null if it cannot be bucketed)
+flagSchema.methods.getRuleOutcome = function(rule, context, environment) {
+  const { serve } = rule;
+  
+  // Serve a single variation
+  if (serve && serve.variation) {
+    return this.resolveVariation(environment, serve.variation);
+  }
+  
+  // Split users across variations by weight
+  if (serve && serve.rollout && serve.rollout.length > 0) {
+    // Use a separate seed so the split is independent of percentage bucketing
+    const bucket = this.getBucket(context, rule.bucketBy, '.rollout');
+    if (bucket === null) {
+      return null;
+    }
+    
+    let cumulative = 0;
+    for (const entry of serve.rollout) {
+      cumulative += bucketing.percentageToBuckets(entry.weight);
+      if (bucket < cumulative) {
+        return this.resolveVariation(environment, entry.variation);
+      }
+    }
+    
+    // Guard against rounding: fall back to the last variation
+    const last = serve.rollout[serve.rollout.length - 1];
+    return this.resolveVariation(environment, last.variation);
+  }
+  
+  // Rules without a variation serve their literal value (DEFAULT) or true
+  return {
+    value: rule.type === 'DEFAULT' ? rule.value : true,
+    variation: null
+  };
+};
+
+// Helper method to resolve a variation key to its value
+flagSchema.methods.resolveVariation = function(environment, variationKey) {
+  const envSettings = this.environments.get(environment);
+  const variation = (envSettings.variations || []).find(v => v.key === variationKey);
+  
+  return {
+    value: variation ? variation.value : null,
+    variation: variation ? variation.key : null
+  };
+};
+
+// Helper method to get the default value and variation for an environment
+flagSchema.methods.getDefaultOutcome = function(environment) {
   const envSettings = this.environments.get(environment);
   
   if (this.type === 'BOOLEAN') {
-    return envSettings.value !== undefined ? envSettings.value : false;
+    return {
+      value: envSettings.value !== undefined ? envSettings.value : false,
+      variation: null
+    };
   }
   
   // For multivariate flags, return the default variation
   if (envSettings.variations && envSettings.variations.length > 0) {
     const defaultKey = envSettings.defaultVariation || envSettings.variations[0].key;
-    const variation = envSettings.variations.find(v => v.key === defaultKey);
-    return variation ? variation.value : null;
+    return this.resolveVariation(environment, defaultKey);
   }
   
-  return envSettings.value !== undefined ? envSettings.value : null;
+  return {
+    value: envSettings.value !== undefined ? envSettings.value : null,
+    variation: null
+  };
+};
+
+// Helper method to get default value for an environment
+flagSchema.methods.getDefaultValue = function(environment) {
+  return this.getDefaultOutcome(environment).value;
+};
+
+// Helper method to build an evaluation detail serving the default value
+flagSchema.methods.getDefaultDetail = function(environment, reason) {
+  return { ...this.getDefaultOutcome(environment), reason };
 };
 
 const Flag = mongoose.model('Flag', flagSchema);
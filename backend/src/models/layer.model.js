@@ -0,0 +1,115 @@
+// src/models/layer.model.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bucketing = require('../utils/bucketing');
+
+// Buckets [start, end) of the layer's traffic
+const bucketRangeSchema = new mongoose.Schema({
+  start: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  end: {
+    type: Number,
+    required: true,
+    max: bucketing.BUCKET_SCALE
+  }
+}, { _id: false });
+
+// Share of a layer's traffic assigned to one flag
+const sliceSchema = new mongoose.Schema({
+  flag: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flag',
+    required: true
+  },
+  flagKey: {
+    type: String,
+    required: true
+  },
+  // Share of the layer's traffic in percent (up to three decimals)
+  percentage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100,
+    validate: {
+      validator: bucketing.hasValidResolution,
+      message: 'Slice percentage cannot have more than three decimal places'
+    }
+  },
+  // Buckets of the slice, which never overlap those of other slices
+  ranges: [bucketRangeSchema]
+}, { _id: false });
+
+// Group of mutually exclusive flags (see layer.service.js)
+const layerSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Layer key is required'],
+      trim: true,
+      maxlength: [100, 'Layer key cannot be more than 100 characters'],
+      match: [/^[a-zA-Z0-9_.-]+$/, 'Layer key can only contain letters, numbers, dashes, dots, and underscores']
+    },
+    name: {
+      type: String,
+      required: [true, 'Layer name is required'],
+      trim: true,
+      maxlength: [100, 'Layer name cannot be more than 100 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot be more than 500 characters']
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true
+    },
+    // Salt for bucketing contexts into the layer, independent of the flags' own salts
+    salt: {
+      type: String
+    },
+    // Context attribute the layer buckets by
+    bucketBy: {
+      type: String,
+      trim: true,
+      default: bucketing.DEFAULT_BUCKET_BY
+    },
+    slices: [sliceSchema],
+    // Audit information
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    // Reject saves of layers that were modified since they were loaded,
+    // so concurrent allocations cannot hand out the same buckets
+    optimisticConcurrency: true
+  }
+);
+
+// Give new layers a random bucketing salt
+layerSchema.pre('validate', function(next) {
+  if (this.isNew && !this.salt) {
+    this.salt = crypto.randomBytes(8).toString('hex');
+  }
+  next();
+});
+
+layerSchema.index({ project: 1, key: 1 }, { unique: true });
+layerSchema.index({ 'slices.flag': 1 });
+
+const Layer = mongoose.model('Layer', layerSchema);
+
+module.exports = Layer;
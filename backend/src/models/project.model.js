@@ -1,6 +1,7 @@
 // src/models/project.model.js
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const bucketing = require('../utils/bucketing');
 
 const projectSchema = new mongoose.Schema(
   {
@@ -43,6 +44,48 @@ const projectSchema = new mongoose.Schema(
       ref: 'User',
       required: true
     },
+    // Environments whose flag changes must be approved through change requests
+    protectedEnvironments: [{
+      environment: {
+        type: String,
+        required: true
+      },
+      requiredApprovals: {
+        type: Number,
+        default: 1,
+        min: [1, 'At least one approval is required']
+      },
+      // Member roles allowed to approve (the owner always can)
+      approverRoles: {
+        type: [{
+          type: String,
+          enum: ['editor', 'admin']
+        }],
+        default: ['admin']
+      }
+    }],
+    // Share of users who get the default value of every flag opted into the holdout
+    // (see holdout.service.js)
+    holdout: {
+      percentage: {
+        type: Number,
+        default: 0,
+        min: [0, 'Holdout percentage cannot be negative'],
+        max: [100, 'Holdout percentage cannot be more than 100'],
+        validate: {
+          validator: bucketing.hasValidResolution,
+          message: 'Holdout percentage cannot have more than three decimal places'
+        }
+      },
+      // Bucketing salt, independent of the flags' own salts
+      salt: String,
+      bucketBy: {
+        type: String,
+        default: bucketing.DEFAULT_BUCKET_BY
+      },
+      // When the holdout's users last changed (results compare users from then on)
+      startedAt: Date
+    },
     members: [{
       user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -101,10 +144,35 @@ projectSchema.methods.removeEnvironment = function(environment) {
   
   this.environments = this.environments.filter(env => env !== environment);
   this.apiKeys.delete(environment);
+  this.protectedEnvironments = this.protectedEnvironments.filter(
+    protection => protection.environment !== environment
+  );
   
   return true;
 };
 
+// Method to get an environment's change request settings (null if it is not protected)
+projectSchema.methods.getEnvironmentProtection = function(environment) {
+  return this.protectedEnvironments.find(protection => protection.environment === environment) || null;
+};
+
+// Method to get the holdout as evaluated by Flag#evaluateDetail and SDKs (null when it is off)
+projectSchema.methods.getHoldoutConfig = function() {
+  const { percentage, salt, bucketBy } = this.holdout || {};
+  
+  return percentage > 0 && salt ? { percentage, salt, bucketBy } : null;
+};
+
+// Method to get a user's role in the project ('owner' for the owner, null for non-members)
+projectSchema.methods.getMemberRole = function(userId) {
+  if (this.owner.toString() === userId.toString()) {
+    return 'owner';
+  }
+  
+  const membership = this.members.find(member => member.user.toString() === userId.toString());
+  return membership ? membership.role : null;
+};
+
 // Pre-save hook to ensure owner is also a member with admin role
 projectSchema.pre('save', function(next) {
   const ownerExists = this.members.some(member => 
@@ -0,0 +1,73 @@
+// src/models/revision.model.js
+const mongoose = require('mongoose');
+
+const flagRevisionSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true
+    },
+    flag: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Flag',
+      required: true
+    },
+    // Kept separately so revisions remain readable after the flag is deleted
+    flagKey: {
+      type: String,
+      required: true
+    },
+    // Sequential per flag, starting at 1
+    revision: {
+      type: Number,
+      required: true
+    },
+    // The flag's configuration as saved (see Flag#getRevisionSnapshot)
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Set when the revision was created by restoring an earlier one
+    restoredFrom: {
+      type: Number,
+      default: null
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    // Revisions are immutable, so only the creation time is tracked
+    timestamps: false,
+    minimize: false
+  }
+);
+
+flagRevisionSchema.index({ flag: 1, revision: -1 }, { unique: true });
+flagRevisionSchema.index({ project: 1, flagKey: 1, revision: -1 });
+
+// Revisions are append-only: reject modifications of existing revisions
+flagRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    const error = new Error('Flag revisions cannot be modified');
+    error.statusCode = 405;
+    return next(error);
+  }
+  next();
+});
+
+flagRevisionSchema.pre(/^(update|replace|delete|findOneAnd)/, function(next) {
+  const error = new Error('Flag revisions cannot be modified or deleted');
+  error.statusCode = 405;
+  next(error);
+});
+
+const FlagRevision = mongoose.model('FlagRevision', flagRevisionSchema);
+
+module.exports = FlagRevision;
@@ -0,0 +1,183 @@
+// src/models/rolloutPlan.model.js
+const mongoose = require('mongoose');
+const bucketing = require('../utils/bucketing');
+
+// One step of a rollout: the percentage to serve, held for `duration` minutes
+const stepSchema = new mongoose.Schema({
+  percentage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Not needed for the last step, which completes the rollout
+  duration: {
+    type: Number,
+    min: 1
+  }
+}, { _id: false });
+
+// Metric compared between users served by the rule and other users (see guard.service.js)
+const guardSchema = new mongoose.Schema({
+  eventKey: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // rate: share of users with the event; mean: average event value per user
+  aggregation: {
+    type: String,
+    enum: ['rate', 'mean'],
+    default: 'rate'
+  },
+  // Which change of the metric is a regression
+  direction: {
+    type: String,
+    enum: ['increase', 'decrease'],
+    default: 'increase'
+  },
+  // Largest tolerated regression of treatment against control, in percent
+  threshold: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Users needed in each group before the guard is checked
+  minSampleSize: {
+    type: Number,
+    default: 100,
+    min: 1
+  }
+}, { _id: false });
+
+// Outcome of the latest check of a guard
+const guardResultSchema = new mongoose.Schema({
+  eventKey: String,
+  aggregation: String,
+  treatment: {
+    users: Number,
+    value: Number
+  },
+  control: {
+    users: Number,
+    value: Number
+  },
+  change: Number,
+  breached: Boolean
+}, { _id: false });
+
+// Something that happened to a rollout; `user` is empty for automatic steps
+const historySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['started', 'advanced', 'paused', 'resumed', 'aborted', 'completed', 'failed', 'rolled_back'],
+    required: true
+  },
+  step: Number,
+  percentage: Number,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  error: String,
+  // rolled_back: the guard that was breached
+  eventKey: String,
+  change: Number,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const rolloutPlanSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true
+    },
+    flag: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Flag',
+      required: true
+    },
+    flagKey: {
+      type: String,
+      required: true
+    },
+    environment: {
+      type: String,
+      required: true
+    },
+    // PERCENTAGE rule whose value the rollout drives
+    ruleId: {
+      type: String,
+      required: true
+    },
+    steps: {
+      type: [stepSchema],
+      validate: {
+        validator: function(steps) {
+          if (steps.length === 0) {
+            throw new Error('A rollout needs at least one step');
+          }
+
+          steps.forEach((step, index) => {
+            if (!bucketing.hasValidResolution(step.percentage)) {
+              throw new Error(`Step ${index + 1} percentage cannot have more than three decimal places`);
+            }
+            if (index > 0 && step.percentage <= steps[index - 1].percentage) {
+              throw new Error(`Step ${index + 1} percentage must be higher than the previous step`);
+            }
+            if (index < steps.length - 1 && !step.duration) {
+              throw new Error(`Step ${index + 1} needs a duration`);
+            }
+          });
+
+          return true;
+        }
+      }
+    },
+    status: {
+      type: String,
+      enum: ['active', 'paused', 'completed', 'aborted', 'failed', 'rolled_back'],
+      default: 'active'
+    },
+    // Index of the step currently served (-1 before the first step is applied)
+    currentStep: {
+      type: Number,
+      default: -1
+    },
+    // When the next step is due. Cleared while a scheduler instance applies it.
+    nextStepAt: Date,
+    // Time left in the current step while paused (milliseconds)
+    remainingMs: Number,
+    error: String,
+    guards: [guardSchema],
+    // What to do when a guard is breached: set the rule back to 0% or turn the flag off
+    onRegression: {
+      type: String,
+      enum: ['rollback', 'disable'],
+      default: 'rollback'
+    },
+    guardsCheckedAt: Date,
+    guardResults: [guardResultSchema],
+    history: [historySchema],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// The scheduler looks up due rollouts by status and time
+rolloutPlanSchema.index({ status: 1, nextStepAt: 1 });
+rolloutPlanSchema.index({ flag: 1, environment: 1, status: 1 });
+
+const RolloutPlan = mongoose.model('RolloutPlan', rolloutPlanSchema);
+
+module.exports = RolloutPlan;
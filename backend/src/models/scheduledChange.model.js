@@ -0,0 +1,111 @@
+// src/models/scheduledChange.model.js
+const mongoose = require('mongoose');
+
+// Operations a scheduled change can perform, each mapping to a flag service call
+const OPERATION_TYPES = [
+  'toggle',
+  'updateSettings',
+  'addRule',
+  'updateRule',
+  'deleteRule',
+  'addVariation',
+  'updateVariation',
+  'deleteVariation',
+  'setDefaultVariation'
+];
+
+// One step of a change set, e.g. { type: 'updateRule', ruleId, data: { value: 50 } }
+const operationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: OPERATION_TYPES,
+    required: true
+  },
+  // toggle
+  enabled: Boolean,
+  // updateRule, deleteRule
+  ruleId: String,
+  // updateVariation, deleteVariation, setDefaultVariation
+  variationKey: String,
+  // Settings, rule or variation data for the other operations
+  data: mongoose.Schema.Types.Mixed
+}, { _id: false, minimize: false });
+
+const scheduledChangeSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true
+    },
+    flag: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Flag',
+      required: true
+    },
+    flagKey: {
+      type: String,
+      required: true
+    },
+    environment: {
+      type: String,
+      required: true
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot be more than 500 characters']
+    },
+    // When the change becomes due
+    runAt: {
+      type: Date,
+      required: true
+    },
+    // Applied in order
+    operations: {
+      type: [operationSchema],
+      validate: {
+        validator: operations => operations.length > 0,
+        message: 'A scheduled change needs at least one operation'
+      }
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'applied', 'failed', 'cancelled'],
+      default: 'pending'
+    },
+    // Scheduler instance that claimed the change, and when
+    lockedBy: String,
+    startedAt: Date,
+    finishedAt: Date,
+    // Number of operations applied: all of them once applied, none if the change failed
+    operationsApplied: {
+      type: Number,
+      default: 0
+    },
+    error: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// The scheduler looks up due changes by status and time
+scheduledChangeSchema.index({ status: 1, runAt: 1 });
+scheduledChangeSchema.index({ project: 1, flag: 1, runAt: 1 });
+
+// Names of the supported operation types
+scheduledChangeSchema.statics.OPERATION_TYPES = OPERATION_TYPES;
+
+const ScheduledChange = mongoose.model('ScheduledChange', scheduledChangeSchema);
+
+module.exports = ScheduledChange;
@@ -0,0 +1,115 @@
+// src/models/segment.model.js
+const mongoose = require('mongoose');
+const targeting = require('../utils/targeting');
+
+const segmentSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Segment key is required'],
+      trim: true,
+      maxlength: [100, 'Segment key cannot be more than 100 characters'],
+      match: [/^[a-zA-Z0-9_.-]+$/, 'Segment key can only contain letters, numbers, dashes, dots, and underscores']
+    },
+    name: {
+      type: String,
+      required: [true, 'Segment name is required'],
+      trim: true,
+      maxlength: [100, 'Segment name cannot be more than 100 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot be more than 500 characters']
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true
+    },
+    // User IDs that are always in the segment
+    included: {
+      type: [String],
+      default: []
+    },
+    // User IDs that are never in the segment (takes precedence over included)
+    excluded: {
+      type: [String],
+      default: []
+    },
+    // Optional clause group matched against the remaining users
+    rules: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+      validate: {
+        validator: function(value) {
+          if (value === null || value === undefined) return true;
+
+          const errors = targeting.isGroup(value)
+            ? targeting.validateGroup(value, 'rules', 0, { allowSegments: false })
+            : ['rules must be a clause group with a clauses array'];
+
+          if (errors.length > 0) {
+            throw new Error(`Invalid segment rules: ${errors.join('; ')}`);
+          }
+          return true;
+        }
+      }
+    },
+    // Audit information
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    minimize: false
+  }
+);
+
+// Index for quick lookup by project and key combination
+segmentSchema.index({ project: 1, key: 1 }, { unique: true });
+
+// Static method to load segments as a key => definition map for evaluation
+segmentSchema.statics.getSegmentMap = async function(projectId, keys) {
+  const query = { project: projectId };
+
+  if (keys) {
+    if (keys.length === 0) {
+      return {};
+    }
+    query.key = { $in: keys };
+  }
+
+  const segments = await this.find(query);
+
+  return segments.reduce((map, segment) => {
+    map[segment.key] = segment.toDefinition();
+    return map;
+  }, {});
+};
+
+// Method to get the plain definition used for evaluation
+segmentSchema.methods.toDefinition = function() {
+  return {
+    key: this.key,
+    included: [...this.included],
+    excluded: [...this.excluded],
+    rules: this.rules || null
+  };
+};
+
+// Method to check if a context belongs to the segment
+segmentSchema.methods.matches = function(context = {}) {
+  return targeting.isInSegment(this.toDefinition(), context);
+};
+
+const Segment = mongoose.model('Segment', segmentSchema);
+
+module.exports = Segment;
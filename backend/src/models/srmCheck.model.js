@@ -0,0 +1,70 @@
+// src/models/srmCheck.model.js
+const mongoose = require('mongoose');
+
+// Users a weighted rule served one of its variations, against the configured weight
+const variationCountSchema = new mongoose.Schema({
+  variation: String,
+  users: Number,
+  // Configured weight in percent (0 for variations the rule should not serve)
+  expectedShare: Number,
+  observedShare: Number
+}, { _id: false });
+
+// Latest sample ratio mismatch check of a weighted rule (see srm.service.js).
+// Rules of a flag environment with a running experiment are checked per experiment.
+const srmCheckSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true
+    },
+    flag: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Flag',
+      required: true
+    },
+    flagKey: String,
+    environment: {
+      type: String,
+      required: true
+    },
+    ruleId: {
+      type: String,
+      required: true
+    },
+    ruleName: String,
+    experiment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Experiment',
+      default: null
+    },
+    // Start of the exposures counted
+    since: Date,
+    users: Number,
+    variations: [variationCountSchema],
+    statistic: Number,
+    degreesOfFreedom: Number,
+    pValue: Number,
+    // Whether the rule had enough users to be checked
+    hasSamples: Boolean,
+    mismatch: {
+      type: Boolean,
+      default: false
+    },
+    checkedAt: Date,
+    // When the current mismatch was reported to webhooks (cleared once it is resolved)
+    alertedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One check per rule and experiment, also used to claim checks across instances
+srmCheckSchema.index({ flag: 1, environment: 1, ruleId: 1, experiment: 1 }, { unique: true });
+srmCheckSchema.index({ checkedAt: 1 });
+
+const SrmCheck = mongoose.model('SrmCheck', srmCheckSchema);
+
+module.exports = SrmCheck;
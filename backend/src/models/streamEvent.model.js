@@ -0,0 +1,44 @@
+// src/models/streamEvent.model.js
+const mongoose = require('mongoose');
+
+// How long events are kept (seconds). They only need to reach every API instance's change stream.
+const RETENTION = 60 * 60;
+
+// A change to send to the streaming clients of a project environment (see stream.service.js)
+const streamEventSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true
+    },
+    environment: {
+      type: String,
+      required: true
+    },
+    event: {
+      type: String,
+      enum: ['put', 'patch', 'delete'],
+      required: true
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    // Events are immutable, so only the creation time is tracked
+    timestamps: false,
+    minimize: false
+  }
+);
+
+streamEventSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION });
+
+const StreamEvent = mongoose.model('StreamEvent', streamEventSchema);
+
+module.exports = StreamEvent;
@@ -0,0 +1,67 @@
+// src/models/webhook.model.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['rollout.rolled_back', 'srm.detected'];
+
+const webhookSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+      index: true
+    },
+    url: {
+      type: String,
+      required: [true, 'Please provide a webhook URL'],
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot be more than 500 characters']
+    },
+    // Subscribed events (all events when empty)
+    events: {
+      type: [{
+        type: String,
+        enum: WEBHOOK_EVENTS
+      }],
+      default: []
+    },
+    // Key for the HMAC signature of every delivery, only returned on creation
+    secret: {
+      type: String,
+      select: false,
+      default: () => crypto.randomBytes(24).toString('hex')
+    },
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Outcome of the most recent delivery
+    lastDelivery: {
+      event: String,
+      timestamp: Date,
+      statusCode: Number,
+      error: String
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Names of the events webhooks can subscribe to
+webhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
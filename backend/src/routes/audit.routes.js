@@ -0,0 +1,58 @@
+// src/routes/audit.routes.js
+const express = require('express');
+const { query, param } = require('express-validator');
+const auditController = require('../controllers/audit.controller');
+const { protect, checkProjectAccess } = require('../middleware/auth.middleware');
+
+const router = express.Router({ mergeParams: true });
+
+// Protect all routes
+router.use(protect);
+router.use(checkProjectAccess);
+
+// Get audit log entries for project
+router.get(
+  '/',
+  [
+    query('user')
+      .optional()
+      .isMongoId()
+      .withMessage('User must be a valid ID'),
+    query('environment')
+      .optional()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Environment cannot be empty'),
+    query('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Start date must be a valid ISO 8601 date'),
+    query('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('End date must be a valid ISO 8601 date'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be an integer between 1 and 500')
+  ],
+  auditController.getAuditLogs
+);
+
+// Get audit log entry by ID
+router.get(
+  '/:auditId',
+  [
+    param('auditId')
+      .isMongoId()
+      .withMessage('Audit log ID must be a valid ID')
+  ],
+  auditController.getAuditLogById
+);
+
+module.exports = router;
@@ -0,0 +1,109 @@
+// src/routes/changeRequest.routes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const changeRequestController = require('../controllers/changeRequest.controller');
+const { protect, checkProjectAccess, checkProjectRole } = require('../middleware/auth.middleware');
+
+const router = express.Router({ mergeParams: true });
+
+// Validate the change request ID route parameter
+const changeRequestIdValidator = param('changeRequestId')
+  .isMongoId()
+  .withMessage('Change request ID must be a valid ID');
+
+// Validate an optional review comment
+const commentValidator = body('comment')
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ max: 1000 })
+  .withMessage('Comment cannot be more than 1000 characters');
+
+// Protect all routes
+router.use(protect);
+router.use(checkProjectAccess);
+
+// Get change requests for project
+router.get(
+  '/',
+  [
+    query('status')
+      .optional()
+      .isIn(['pending', 'applied', 'rejected', 'cancelled', 'failed'])
+      .withMessage('Status must be pending, applied, rejected, cancelled or failed'),
+    query('environment')
+      .optional()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Environment cannot be empty'),
+    query('flag')
+      .optional()
+      .isMongoId()
+      .withMessage('Flag must be a valid ID'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be an integer between 1 and 500')
+  ],
+  changeRequestController.getChangeRequests
+);
+
+// Get change request by ID
+router.get(
+  '/:changeRequestId',
+  [changeRequestIdValidator],
+  changeRequestController.getChangeRequestById
+);
+
+// Approve change request (approver roles are checked against the environment's policy)
+router.post(
+  '/:changeRequestId/approve',
+  [changeRequestIdValidator, commentValidator],
+  changeRequestController.approveChangeRequest
+);
+
+// Reject change request
+router.post(
+  '/:changeRequestId/reject',
+  [changeRequestIdValidator, commentValidator],
+  changeRequestController.rejectChangeRequest
+);
+
+// Comment on change request
+router.post(
+  '/:changeRequestId/comments',
+  [
+    changeRequestIdValidator,
+    body('comment')
+      .isString()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Comment is required')
+      .isLength({ max: 1000 })
+      .withMessage('Comment cannot be more than 1000 characters')
+  ],
+  changeRequestController.commentOnChangeRequest
+);
+
+// Retry applying an approved change request
+router.post(
+  '/:changeRequestId/apply',
+  [changeRequestIdValidator],
+  checkProjectRole('admin', 'editor'),
+  changeRequestController.applyChangeRequest
+);
+
+// Cancel change request (its author or an admin)
+router.post(
+  '/:changeRequestId/cancel',
+  [changeRequestIdValidator],
+  changeRequestController.cancelChangeRequest
+);
+
+module.exports = router;
@@ -0,0 +1,179 @@
+// src/routes/experiment.routes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const experimentController = require('../controllers/experiment.controller');
+const { protect, checkProjectAccess, checkProjectRole } = require('../middleware/auth.middleware');
+
+const router = express.Router({ mergeParams: true });
+
+// Validate the experiment ID route parameter
+const experimentIdValidator = param('experimentId')
+  .isMongoId()
+  .withMessage('Experiment ID must be a valid ID');
+
+// Validate a metric at a body path (e.g. 'primaryMetric' or 'secondaryMetrics.*'),
+// only when the metric is given if it is optional
+const metricValidators = (path, isOptional = false) => {
+  const field = (name) => (isOptional ? body(`${path}.${name}`).if(body(path).exists()) : body(`${path}.${name}`));
+
+  return [
+    field('eventKey')
+      .isString()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Metric event key is required'),
+    field('aggregation')
+      .optional()
+      .isIn(['rate', 'mean'])
+      .withMessage('Metric aggregation must be rate or mean'),
+    field('direction')
+      .optional()
+      .isIn(['increase', 'decrease'])
+      .withMessage('Metric direction must be increase or decrease')
+  ];
+};
+
+// Validate the fields that can be set on creation and updated later
+const experimentValidators = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name'))
+      .isString()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Experiment name is required')
+      .isLength({ max: 100 })
+      .withMessage('Experiment name cannot be more than 100 characters'),
+    body('hypothesis')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Hypothesis cannot be more than 1000 characters'),
+    required(body('primaryMetric'))
+      .isObject()
+      .withMessage('Primary metric is required'),
+    ...metricValidators('primaryMetric', isUpdate),
+    body('secondaryMetrics')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('Secondary metrics must be an array of up to 10 metrics'),
+    ...metricValidators('secondaryMetrics.*'),
+    required(body('controlVariation'))
+      .isString()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Control variation is required'),
+    body('confidenceLevel')
+      .optional()
+      .isFloat({ min: 80, max: 99.9 })
+      .withMessage('Confidence level must be a percentage between 80 and 99.9')
+  ];
+};
+
+// Protect all routes
+router.use(protect);
+router.use(checkProjectAccess);
+
+// Get experiments for project
+router.get(
+  '/',
+  [
+    query('status')
+      .optional()
+      .isIn(['draft', 'running', 'stopped'])
+      .withMessage('Status must be draft, running or stopped'),
+    query('environment')
+      .optional()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Environment cannot be empty'),
+    query('flag')
+      .optional()
+      .isMongoId()
+      .withMessage('Flag must be a valid ID'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be an integer between 1 and 500')
+  ],
+  experimentController.getExperiments
+);
+
+// Create experiment
+router.post(
+  '/',
+  [
+    body('flag')
+      .isMongoId()
+      .withMessage('Flag must be a valid ID'),
+    body('environment')
+      .isString()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Environment is required'),
+    ...experimentValidators(false)
+  ],
+  checkProjectRole('admin', 'editor'),
+  experimentController.createExperiment
+);
+
+// Get experiment by ID
+router.get(
+  '/:experimentId',
+  [experimentIdValidator],
+  experimentController.getExperimentById
+);
+
+// Update experiment
+router.put(
+  '/:experimentId',
+  [
+    experimentIdValidator,
+    ...experimentValidators(true)
+  ],
+  checkProjectRole('admin', 'editor'),
+  experimentController.updateExperiment
+);
+
+// Delete experiment
+router.delete(
+  '/:experimentId',
+  [experimentIdValidator],
+  checkProjectRole('admin', 'editor'),
+  experimentController.deleteExperiment
+);
+
+// Start experiment
+router.post(
+  '/:experimentId/start',
+  [experimentIdValidator],
+  checkProjectRole('admin', 'editor'),
+  experimentController.startExperiment
+);
+
+// Stop experiment
+router.post(
+  '/:experimentId/stop',
+  [experimentIdValidator],
+  checkProjectRole('admin', 'editor'),
+  experimentController.stopExperiment
+);
+
+// Get experiment results
+router.get(
+  '/:experimentId/results',
+  [experimentIdValidator],
+  experimentController.getResults
+);
+
+module.exports = router;
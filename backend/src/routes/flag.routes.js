@@ -1,11 +1,171 @@
 // src/routes/flag.routes.js
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, header, param, query } = require('express-validator');
 const flagController = require('../controllers/flag.controller');
+const mongoose = require('mongoose');
+const Flag = require('../models/flag.model');
+const targeting = require('../utils/targeting');
+const bucketing = require('../utils/bucketing');
+const schedule = require('../utils/schedule');
 const { protect, checkProjectAccess, checkProjectRole } = require('../middleware/auth.middleware');
 
 const router = express.Router({ mergeParams: true });
 
+/**
+ * Load the flag targeted by the request once for use across validators
+ */
+const loadTargetFlag = async (req) => {
+  if (req.targetFlag === undefined) {
+    req.targetFlag = mongoose.isValidObjectId(req.params.flagId)
+      ? await Flag.findById(req.params.flagId)
+      : null;
+  }
+  return req.targetFlag;
+};
+
+/**
+ * Validate a rule value against its rule type (taken from the body or the existing rule)
+ */
+const validateRuleValue = async (value, { req }) => {
+  let { type } = req.body;
+  
+  if (!type && req.params.ruleId) {
+    const flag = await loadTargetFlag(req);
+    const envSettings = flag && flag.environments.get(req.params.environment);
+    const rule = envSettings && envSettings.rules.find(r => r._id.toString() === req.params.ruleId);
+    type = rule && rule.type;
+  }
+  
+  if (type === 'PERCENTAGE') {
+    if (typeof value !== 'number' || value < 0 || value > 100) {
+      throw new Error('Percentage must be a number between 0 and 100');
+    }
+    if (!bucketing.hasValidResolution(value)) {
+      throw new Error('Percentage cannot have more than three decimal places');
+    }
+  }
+  
+  if (type === 'SCHEDULED') {
+    const errors = schedule.validateSchedule(value);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+  }
+  
+  if (type === 'USER_SEGMENT') {
+    const errors = targeting.validateSegmentValue(value);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    // Referenced segments are checked by the flag model, whichever path saves the rule
+  }
+  
+  return true;
+};
+
+/**
+ * Validate a rule's `serve` outcome and check that its variations exist
+ */
+const validateServe = async (serve, { req }) => {
+  // Null clears the outcome so the rule serves its literal value again
+  if (serve === null) {
+    return true;
+  }
+  
+  if (typeof serve !== 'object' || Array.isArray(serve)) {
+    throw new Error('Serve must be an object with a variation or a rollout');
+  }
+  
+  const hasVariation = serve.variation !== undefined;
+  const hasRollout = serve.rollout !== undefined;
+  
+  if (hasVariation === hasRollout) {
+    throw new Error('Serve must specify either a variation or a rollout, but not both');
+  }
+  
+  let keys;
+  
+  if (hasVariation) {
+    if (typeof serve.variation !== 'string' || !serve.variation.trim()) {
+      throw new Error('Serve variation must be a non-empty variation key');
+    }
+    keys = [serve.variation];
+  } else {
+    if (!Array.isArray(serve.rollout) || serve.rollout.length === 0) {
+      throw new Error('Serve rollout must be a non-empty array');
+    }
+    
+    let total = 0;
+    for (const entry of serve.rollout) {
+      if (!entry || typeof entry.variation !== 'string' || !entry.variation.trim()) {
+        throw new Error('Each rollout entry must have a variation key');
+      }
+      if (typeof entry.weight !== 'number' || entry.weight < 0 || entry.weight > 100) {
+        throw new Error('Each rollout weight must be a number between 0 and 100');
+      }
+      if (!bucketing.hasValidResolution(entry.weight)) {
+        throw new Error('Rollout weights cannot have more than three decimal places');
+      }
+      total += bucketing.percentageToBuckets(entry.weight);
+    }
+    
+    if (total !== bucketing.BUCKET_SCALE) {
+      throw new Error(`Rollout weights must add up to 100 (got ${total / (bucketing.BUCKET_SCALE / 100)})`);
+    }
+    
+    keys = serve.rollout.map(entry => entry.variation);
+  }
+  
+  // Missing flags and environments are reported by the service
+  const flag = await loadTargetFlag(req);
+  if (!flag || !flag.environments.has(req.params.environment)) {
+    return true;
+  }
+  
+  const envSettings = flag.environments.get(req.params.environment);
+  const variationKeys = (envSettings.variations || []).map(v => v.key);
+  const unknownKeys = keys.filter(key => !variationKeys.includes(key));
+  
+  if (unknownKeys.length > 0) {
+    throw new Error(
+      `Unknown variation key(s) in environment '${req.params.environment}': ${unknownKeys.join(', ')}`
+    );
+  }
+  
+  return true;
+};
+
+// Options accepted by every change: the flag version it is based on (optimistic concurrency),
+// and a description used if the environment is protected and the change needs approval
+const writeOptionValidators = [
+  header('if-match')
+    .optional()
+    .matches(/^(\*|(W\/)?"\d+")$/)
+    .withMessage('If-Match must be a flag version ETag, e.g. "3"'),
+  body('version')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Version must be a non-negative integer'),
+  body('changeDescription')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Change description must be a string of at most 1000 characters')
+];
+
+// Options for previewing a schedule's activation windows
+const schedulePreviewValidators = (location) => [
+  location('count')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Count must be an integer between 1 and 50')
+    .toInt(),
+  location('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date')
+];
+
 // Protect all routes
 router.use(protect);
 router.use(checkProjectAccess);
@@ -45,12 +205,50 @@ router.post(
     body('tags')
       .optional()
       .isArray()
-      .withMessage('Tags must be an array')
+      .withMessage('Tags must be an array'),
+    body('holdout')
+      .optional()
+      .isBoolean()
+      .withMessage('Holdout must be a boolean')
   ],
   checkProjectRole('admin', 'editor'),
   flagController.createFlag
 );
 
+// Get prerequisite dependency graph
+router.get(
+  '/dependencies',
+  [
+    query('environment')
+      .optional()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Environment cannot be empty')
+  ],
+  flagController.getDependencyGraph
+);
+
+// Preview the activation windows of a SCHEDULED rule value before saving it
+router.post(
+  '/schedule-preview',
+  [
+    body('value')
+      .exists()
+      .withMessage('Schedule value is required')
+      .bail()
+      .custom(value => {
+        const errors = schedule.validateSchedule(value);
+        if (errors.length > 0) {
+          throw new Error(errors.join('; '));
+        }
+        return true;
+      }),
+    ...schedulePreviewValidators(body)
+  ],
+  flagController.previewSchedule
+);
+
 // Get flag by ID
 router.get('/:flagId', flagController.getFlagById);
 
@@ -74,7 +272,12 @@ router.put(
     body('tags')
       .optional()
       .isArray()
-      .withMessage('Tags must be an array')
+      .withMessage('Tags must be an array'),
+    body('holdout')
+      .optional()
+      .isBoolean()
+      .withMessage('Holdout must be a boolean'),
+    ...writeOptionValidators
   ],
   checkProjectRole('admin', 'editor'),
   flagController.updateFlag
@@ -83,6 +286,7 @@ router.put(
 // Delete flag
 router.delete(
   '/:flagId',
+  writeOptionValidators,
   checkProjectRole('admin'),
   flagController.deleteFlag
 );
@@ -90,6 +294,24 @@ router.delete(
 // Update environment settings
 router.put(
   '/:flagId/environments/:environment',
+  [
+    body('prerequisites')
+      .optional()
+      .isArray()
+      .withMessage('Prerequisites must be an array'),
+    body('prerequisites.*.key')
+      .isString()
+      .withMessage('Prerequisite key must be a string')
+      .bail()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Prerequisite key is required'),
+    body('prerequisites.*.value')
+      .exists({ checkNull: true })
+      .withMessage('Prerequisite value is required'),
+    ...writeOptionValidators
+  ],
   checkProjectRole('admin', 'editor'),
   flagController.updateEnvironmentSettings
 );
@@ -100,7 +322,8 @@ router.patch(
   [
     body('enabled')
       .isBoolean()
-      .withMessage('Enabled must be a boolean')
+      .withMessage('Enabled must be a boolean'),
+    ...writeOptionValidators
   ],
   checkProjectRole('admin', 'editor'),
   flagController.toggleFlag
@@ -123,9 +346,23 @@ router.post(
       .optional()
       .isInt({ min: 0 })
       .withMessage('Priority must be a non-negative integer'),
+    body('bucketBy')
+      .optional()
+      .isString()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Bucket-by attribute must be a non-empty string'),
     body('value')
+      .if((value, { req }) => !(req.body.type === 'DEFAULT' && req.body.serve))
       .exists()
       .withMessage('Rule value is required')
+      .bail()
+      .custom(validateRuleValue),
+    body('serve')
+      .optional()
+      .custom(validateServe),
+    ...writeOptionValidators
   ],
   checkProjectRole('admin', 'editor'),
   flagController.addFlagRule
@@ -145,16 +382,36 @@ router.put(
       .optional()
       .isInt({ min: 0 })
       .withMessage('Priority must be a non-negative integer'),
+    body('bucketBy')
+      .optional()
+      .isString()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Bucket-by attribute must be a non-empty string'),
     body('value')
       .optional()
+      .custom(validateRuleValue),
+    body('serve')
+      .optional()
+      .custom(validateServe),
+    ...writeOptionValidators
   ],
   checkProjectRole('admin', 'editor'),
   flagController.updateRule
 );
 
+// Get the next activation windows of a SCHEDULED rule
+router.get(
+  '/:flagId/environments/:environment/rules/:ruleId/schedule',
+  schedulePreviewValidators(query),
+  flagController.getRuleSchedule
+);
+
 // Delete rule
 router.delete(
   '/:flagId/environments/:environment/rules/:ruleId',
+  writeOptionValidators,
   checkProjectRole('admin', 'editor'),
   flagController.deleteRule
 );
@@ -173,7 +430,8 @@ router.post(
       .withMessage('Variation value is required'),
     body('description')
       .optional()
-      .trim()
+      .trim(),
+    ...writeOptionValidators
   ],
   checkProjectRole('admin', 'editor'),
   flagController.addVariation
@@ -187,7 +445,8 @@ router.put(
       .optional(),
     body('description')
       .optional()
-      .trim()
+      .trim(),
+    ...writeOptionValidators
   ],
   checkProjectRole('admin', 'editor'),
   flagController.updateVariation
@@ -196,6 +455,7 @@ router.put(
 // Delete variation
 router.delete(
   '/:flagId/environments/:environment/variations/:key',
+  writeOptionValidators,
   checkProjectRole('admin', 'editor'),
   flagController.deleteVariation
 );
@@ -203,8 +463,90 @@ router.delete(
 // Set default variation
 router.put(
   '/:flagId/environments/:environment/variations/:key/default',
+  writeOptionValidators,
   checkProjectRole('admin', 'editor'),
   flagController.setDefaultVariation
 );
 
+// Get flag analytics
+router.get(
+  '/:flagId/analytics',
+  [
+    query('environment')
+      .optional()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Environment cannot be empty'),
+    query('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Start date must be a valid ISO 8601 date'),
+    query('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('End date must be a valid ISO 8601 date')
+  ],
+  flagController.getFlagAnalytics
+);
+
+// Validate a revision number route parameter
+const revisionParamValidator = param('revision')
+  .isInt({ min: 1 })
+  .withMessage('Revision must be a positive integer');
+
+// Get flag revisions
+router.get(
+  '/:flagId/revisions',
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be an integer between 1 and 500')
+  ],
+  flagController.getFlagRevisions
+);
+
+// Compare two flag revisions
+router.get(
+  '/:flagId/revisions/compare',
+  [
+    query('from')
+      .isInt({ min: 1 })
+      .withMessage('From must be a revision number'),
+    query('to')
+      .isInt({ min: 1 })
+      .withMessage('To must be a revision number')
+  ],
+  flagController.compareRevisions
+);
+
+// Get flag revision
+router.get(
+  '/:flagId/revisions/:revision',
+  [revisionParamValidator],
+  flagController.getFlagRevision
+);
+
+// Restore flag (or one environment) to a revision
+router.post(
+  '/:flagId/revisions/:revision/restore',
+  [
+    revisionParamValidator,
+    body('environment')
+      .optional()
+      .isString()
+      .not()
+      .isEmpty()
+      .withMessage('Environment cannot be empty'),
+    ...writeOptionValidators
+  ],
+  checkProjectRole('admin', 'editor'),
+  flagController.restoreRevision
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,80 @@
+// src/routes/holdout.routes.js
+const express = require('express');
+const { body, query } = require('express-validator');
+const holdoutController = require('../controllers/holdout.controller');
+const bucketing = require('../utils/bucketing');
+const { protect, checkProjectAccess, checkProjectRole } = require('../middleware/auth.middleware');
+
+const router = express.Router({ mergeParams: true });
+
+// Protect all routes
+router.use(protect);
+router.use(checkProjectAccess);
+
+// Get holdout
+router.get('/', holdoutController.getHoldout);
+
+// Update holdout
+router.put(
+  '/',
+  [
+    body('percentage')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Percentage must be a number between 0 and 100')
+      .bail()
+      .custom(value => bucketing.hasValidResolution(Number(value)))
+      .withMessage('Percentage cannot have more than three decimal places')
+      .toFloat(),
+    body('bucketBy')
+      .optional()
+      .isString()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Bucket-by attribute must be a non-empty string')
+  ],
+  checkProjectRole('admin'),
+  holdoutController.updateHoldout
+);
+
+// Compare the holdout with the general population
+router.get(
+  '/results',
+  [
+    query('environment')
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Environment is required'),
+    query('eventKey')
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Event key is required'),
+    query('aggregation')
+      .optional()
+      .isIn(['rate', 'mean'])
+      .withMessage('Aggregation must be rate or mean'),
+    query('direction')
+      .optional()
+      .isIn(['increase', 'decrease'])
+      .withMessage('Direction must be increase or decrease'),
+    query('confidenceLevel')
+      .optional()
+      .isFloat({ min: 80, max: 99.9 })
+      .withMessage('Confidence level must be a percentage between 80 and 99.9')
+      .toFloat(),
+    query('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Start date must be a valid ISO 8601 date'),
+    query('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('End date must be a valid ISO 8601 date')
+  ],
+  holdoutController.getResults
+);
+
+module.exports = router;
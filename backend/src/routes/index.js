@@ -4,6 +4,16 @@ const authRoutes = require('./auth.routes');
 const projectRoutes = require('./project.routes');
 const flagRoutes = require('./flag.routes');
 const sdkRoutes = require('./sdk.routes');
+const auditRoutes = require('./audit.routes');
+const segmentRoutes = require('./segment.routes');
+const promotionRoutes = require('./promotion.routes');
+const changeRequestRoutes = require('./changeRequest.routes');
+const scheduledChangeRoutes = require('./scheduledChange.routes');
+const rolloutRoutes = require('./rollout.routes');
+const webhookRoutes = require('./webhook.routes');
+const experimentRoutes = require('./experiment.routes');
+const layerRoutes = require('./layer.routes');
+const holdoutRoutes = require('./holdout.routes');
 
 const router = express.Router();
 
@@ -16,6 +26,36 @@ router.use('/projects', projectRoutes);
 // Flag routes (/api/projects/:projectId/flags)
 router.use('/projects/:projectId/flags', flagRoutes);
 
+// Segment routes (/api/projects/:projectId/segments)
+router.use('/projects/:projectId/segments', segmentRoutes);
+
+// Promotion routes (/api/projects/:projectId/promotions)
+router.use('/projects/:projectId/promotions', promotionRoutes);
+
+// Change request routes (/api/projects/:projectId/change-requests)
+router.use('/projects/:projectId/change-requests', changeRequestRoutes);
+
+// Scheduled change routes (/api/projects/:projectId/scheduled-changes)
+router.use('/projects/:projectId/scheduled-changes', scheduledChangeRoutes);
+
+// Rollout routes (/api/projects/:projectId/rollouts)
+router.use('/projects/:projectId/rollouts', rolloutRoutes);
+
+// Experiment routes (/api/projects/:projectId/experiments)
+router.use('/projects/:projectId/experiments', experimentRoutes);
+
+// Layer routes (/api/projects/:projectId/layers)
+router.use('/projects/:projectId/layers', layerRoutes);
+
+// Holdout routes (/api/projects/:projectId/holdout)
+router.use('/projects/:projectId/holdout', holdoutRoutes);
+
+// Webhook routes (/api/projects/:projectId/webhooks)
+router.use('/projects/:projectId/webhooks', webhookRoutes);
+
+// Audit routes (/api/projects/:projectId/audit)
+router.use('/projects/:projectId/audit', auditRoutes);
+
 // SDK routes (/api/sdk)
 router.use('/sdk', sdkRoutes);
 
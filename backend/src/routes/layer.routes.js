@@ -0,0 +1,145 @@
+// src/routes/layer.routes.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const layerController = require('../controllers/layer.controller');
+const bucketing = require('../utils/bucketing');
+const { protect, checkProjectAccess, checkProjectRole } = require('../middleware/auth.middleware');
+
+const router = express.Router({ mergeParams: true });
+
+// Validate the layer ID route parameter
+const layerIdValidator = param('layerId')
+  .isMongoId()
+  .withMessage('Layer ID must be a valid ID');
+
+// Validate the flag ID route parameter
+const flagIdValidator = param('flagId')
+  .isMongoId()
+  .withMessage('Flag ID must be a valid ID');
+
+// Validate the share of a layer's traffic given to a flag
+const percentageValidator = body('percentage')
+  .isFloat({ gt: 0, max: 100 })
+  .withMessage('Percentage must be a number above 0 and up to 100')
+  .bail()
+  .custom(value => bucketing.hasValidResolution(Number(value)))
+  .withMessage('Percentage cannot have more than three decimal places')
+  .toFloat();
+
+// Protect all routes
+router.use(protect);
+router.use(checkProjectAccess);
+
+// Get layers for project
+router.get('/', layerController.getLayers);
+
+// Create layer
+router.post(
+  '/',
+  [
+    body('key')
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Layer key is required')
+      .matches(/^[a-zA-Z0-9_.-]+$/)
+      .withMessage('Layer key can only contain letters, numbers, dashes, dots, and underscores')
+      .isLength({ max: 100 })
+      .withMessage('Layer key cannot be more than 100 characters'),
+    body('name')
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Layer name is required')
+      .isLength({ max: 100 })
+      .withMessage('Layer name cannot be more than 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot be more than 500 characters'),
+    body('bucketBy')
+      .optional()
+      .isString()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Bucket-by attribute must be a non-empty string')
+  ],
+  checkProjectRole('admin', 'editor'),
+  layerController.createLayer
+);
+
+// Get layer by ID, with its allocation
+router.get(
+  '/:layerId',
+  [layerIdValidator],
+  layerController.getLayerById
+);
+
+// Update layer
+router.put(
+  '/:layerId',
+  [
+    layerIdValidator,
+    body('name')
+      .optional()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Layer name cannot be empty')
+      .isLength({ max: 100 })
+      .withMessage('Layer name cannot be more than 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot be more than 500 characters')
+  ],
+  checkProjectRole('admin', 'editor'),
+  layerController.updateLayer
+);
+
+// Delete layer
+router.delete(
+  '/:layerId',
+  [layerIdValidator],
+  checkProjectRole('admin', 'editor'),
+  layerController.deleteLayer
+);
+
+// Add flag to layer
+router.post(
+  '/:layerId/flags',
+  [
+    layerIdValidator,
+    body('flag')
+      .isMongoId()
+      .withMessage('Flag must be a valid ID'),
+    percentageValidator
+  ],
+  checkProjectRole('admin', 'editor'),
+  layerController.addFlag
+);
+
+// Change a flag's share of the layer
+router.put(
+  '/:layerId/flags/:flagId',
+  [
+    layerIdValidator,
+    flagIdValidator,
+    percentageValidator
+  ],
+  checkProjectRole('admin', 'editor'),
+  layerController.updateFlag
+);
+
+// Remove flag from layer
+router.delete(
+  '/:layerId/flags/:flagId',
+  [layerIdValidator, flagIdValidator],
+  checkProjectRole('admin', 'editor'),
+  layerController.removeFlag
+);
+
+module.exports = router;
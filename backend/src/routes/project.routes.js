@@ -1,6 +1,6 @@
 // src/routes/project.routes.js
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const projectController = require('../controllers/project.controller');
 const { protect, checkProjectAccess, checkProjectRole } = require('../middleware/auth.middleware');
 
@@ -86,13 +86,48 @@ router.post(
       .isLength({ max: 50 })
       .withMessage('Environment name cannot be more than 50 characters')
       .matches(/^[a-zA-Z0-9_-]+$/)
-      .withMessage('Environment name can only contain letters, numbers, dashes, and underscores')
+      .withMessage('Environment name can only contain letters, numbers, dashes, and underscores'),
+    body('cloneFrom')
+      .optional()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Source environment cannot be empty')
   ],
   checkProjectAccess,
   checkProjectRole('admin'),
   projectController.addEnvironment
 );
 
+// Repair environment settings across flags
+router.post(
+  '/:projectId/environments/repair',
+  checkProjectAccess,
+  checkProjectRole('admin'),
+  projectController.repairEnvironments
+);
+
+// Compare flag settings between environments
+router.get(
+  '/:projectId/environments/compare',
+  [
+    query('from')
+      .not()
+      .isEmpty()
+      .withMessage('Source environment is required'),
+    query('to')
+      .not()
+      .isEmpty()
+      .withMessage('Target environment is required'),
+    query('format')
+      .optional()
+      .isIn(['json', 'text', 'markdown'])
+      .withMessage('Format must be json, text or markdown')
+  ],
+  checkProjectAccess,
+  projectController.compareEnvironments
+);
+
 // Remove environment
 router.delete(
   '/:projectId/environments/:environment',
@@ -101,6 +136,30 @@ router.delete(
   projectController.removeEnvironment
 );
 
+// Protect or unprotect environment
+router.put(
+  '/:projectId/environments/:environment/protection',
+  [
+    body('protected')
+      .isBoolean()
+      .withMessage('Protected must be a boolean'),
+    body('requiredApprovals')
+      .optional()
+      .isInt({ min: 1, max: 10 })
+      .withMessage('Required approvals must be an integer between 1 and 10'),
+    body('approverRoles')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Approver roles must be a non-empty array'),
+    body('approverRoles.*')
+      .isIn(['editor', 'admin'])
+      .withMessage('Approver roles must be editor or admin')
+  ],
+  checkProjectAccess,
+  checkProjectRole('admin'),
+  projectController.setEnvironmentProtection
+);
+
 // Regenerate API key
 router.post(
   '/:projectId/environments/:environment/regenerate-key',
@@ -0,0 +1,72 @@
+// src/routes/promotion.routes.js
+const express = require('express');
+const { body } = require('express-validator');
+const promotionController = require('../controllers/promotion.controller');
+const Flag = require('../models/flag.model');
+const { protect, checkProjectAccess, checkProjectRole } = require('../middleware/auth.middleware');
+
+const router = express.Router({ mergeParams: true });
+
+// Validators shared by preview and apply
+const promotionValidators = [
+  body('from')
+    .isString()
+    .not()
+    .isEmpty()
+    .withMessage('Source environment is required'),
+  body('to')
+    .isString()
+    .not()
+    .isEmpty()
+    .withMessage('Target environment is required'),
+  body('flagKeys')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Flag keys must be a non-empty array'),
+  body('flagKeys.*')
+    .isString()
+    .withMessage('Flag keys must be strings'),
+  body('tags')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Tags must be a non-empty array'),
+  body('tags.*')
+    .isString()
+    .withMessage('Tags must be strings'),
+  body('parts')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Parts must be a non-empty array'),
+  body('parts.*')
+    .isIn(Flag.ENVIRONMENT_PARTS)
+    .withMessage(`Parts must be one of: ${Flag.ENVIRONMENT_PARTS.join(', ')}`)
+];
+
+// Protect all routes
+router.use(protect);
+router.use(checkProjectAccess);
+router.use(checkProjectRole('admin', 'editor'));
+
+// Preview a promotion
+router.post('/preview', promotionValidators, promotionController.previewPromotion);
+
+// Apply a previewed promotion
+router.post(
+  '/',
+  [
+    ...promotionValidators,
+    body('checksum')
+      .isString()
+      .not()
+      .isEmpty()
+      .withMessage('Checksum from the preview is required'),
+    body('description')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be a string of at most 1000 characters')
+  ],
+  promotionController.promote
+);
+
+module.exports = router;
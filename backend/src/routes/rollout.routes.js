@@ -0,0 +1,180 @@
+// src/routes/rollout.routes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const rolloutController = require('../controllers/rollout.controller');
+const bucketing = require('../utils/bucketing');
+const { protect, checkProjectAccess, checkProjectRole } = require('../middleware/auth.middleware');
+
+const router = express.Router({ mergeParams: true });
+
+// Validate the rollout ID route parameter
+const rolloutIdValidator = param('rolloutId')
+  .isMongoId()
+  .withMessage('Rollout ID must be a valid ID');
+
+// Check rollout steps ramp up and every step but the last has a duration
+const validateSteps = (steps) => {
+  steps.forEach((step, index) => {
+    const { percentage, duration } = step || {};
+
+    if (typeof percentage !== 'number' || percentage < 0 || percentage > 100) {
+      throw new Error(`Step ${index + 1} percentage must be a number between 0 and 100`);
+    }
+    if (!bucketing.hasValidResolution(percentage)) {
+      throw new Error(`Step ${index + 1} percentage cannot have more than three decimal places`);
+    }
+    if (index > 0 && percentage <= steps[index - 1].percentage) {
+      throw new Error(`Step ${index + 1} percentage must be higher than the previous step`);
+    }
+
+    const isLast = index === steps.length - 1;
+    if (duration !== undefined || !isLast) {
+      if (!Number.isInteger(duration) || duration < 1) {
+        throw new Error(`Step ${index + 1} duration must be a positive number of minutes`);
+      }
+    }
+  });
+
+  return true;
+};
+
+// Validate a rollout's guards and what to do when one is breached
+const guardValidators = [
+  body('guards')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Guards must be an array of up to 10 guards'),
+  body('guards.*.eventKey')
+    .isString()
+    .trim()
+    .not()
+    .isEmpty()
+    .withMessage('Guard event key is required'),
+  body('guards.*.aggregation')
+    .optional()
+    .isIn(['rate', 'mean'])
+    .withMessage('Guard aggregation must be rate or mean'),
+  body('guards.*.direction')
+    .optional()
+    .isIn(['increase', 'decrease'])
+    .withMessage('Guard direction must be increase or decrease'),
+  body('guards.*.threshold')
+    .isFloat({ min: 0 })
+    .withMessage('Guard threshold must be a non-negative percentage'),
+  body('guards.*.minSampleSize')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Guard minimum sample size must be a positive integer'),
+  body('onRegression')
+    .optional()
+    .isIn(['rollback', 'disable'])
+    .withMessage('On regression must be rollback or disable')
+];
+
+// Protect all routes
+router.use(protect);
+router.use(checkProjectAccess);
+
+// Get rollouts for project
+router.get(
+  '/',
+  [
+    query('status')
+      .optional()
+      .isIn(['active', 'paused', 'completed', 'aborted', 'failed'])
+      .withMessage('Status must be active, paused, completed, aborted or failed'),
+    query('environment')
+      .optional()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Environment cannot be empty'),
+    query('flag')
+      .optional()
+      .isMongoId()
+      .withMessage('Flag must be a valid ID'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be an integer between 1 and 500')
+  ],
+  rolloutController.getRollouts
+);
+
+// Start a rollout
+router.post(
+  '/',
+  [
+    body('flag')
+      .isMongoId()
+      .withMessage('Flag must be a valid ID'),
+    body('environment')
+      .isString()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Environment is required'),
+    body('ruleId')
+      .isMongoId()
+      .withMessage('Rule ID must be a valid ID'),
+    body('steps')
+      .isArray({ min: 1, max: 50 })
+      .withMessage('Steps must be an array of 1 to 50 steps')
+      .bail()
+      .custom(validateSteps),
+    ...guardValidators
+  ],
+  checkProjectRole('admin', 'editor'),
+  rolloutController.createRollout
+);
+
+// Get rollout by ID
+router.get(
+  '/:rolloutId',
+  [rolloutIdValidator],
+  rolloutController.getRolloutById
+);
+
+// Replace the guards of a rollout in progress
+router.put(
+  '/:rolloutId/guards',
+  [
+    rolloutIdValidator,
+    body('guards')
+      .isArray()
+      .withMessage('Guards must be an array'),
+    ...guardValidators
+  ],
+  checkProjectRole('admin', 'editor'),
+  rolloutController.updateGuards
+);
+
+// Pause rollout
+router.post(
+  '/:rolloutId/pause',
+  [rolloutIdValidator],
+  checkProjectRole('admin', 'editor'),
+  rolloutController.pauseRollout
+);
+
+// Resume rollout
+router.post(
+  '/:rolloutId/resume',
+  [rolloutIdValidator],
+  checkProjectRole('admin', 'editor'),
+  rolloutController.resumeRollout
+);
+
+// Abort rollout, setting its rule back to 0%
+router.post(
+  '/:rolloutId/abort',
+  [rolloutIdValidator],
+  checkProjectRole('admin', 'editor'),
+  rolloutController.abortRollout
+);
+
+module.exports = router;
@@ -0,0 +1,131 @@
+// src/routes/scheduledChange.routes.js
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const scheduledChangeController = require('../controllers/scheduledChange.controller');
+const ScheduledChange = require('../models/scheduledChange.model');
+const { protect, checkProjectAccess, checkProjectRole } = require('../middleware/auth.middleware');
+
+const router = express.Router({ mergeParams: true });
+
+// Validate the scheduled change ID route parameter
+const scheduledChangeIdValidator = param('scheduledChangeId')
+  .isMongoId()
+  .withMessage('Scheduled change ID must be a valid ID');
+
+// Fields each operation type needs besides its type
+const OPERATION_FIELDS = {
+  toggle: ['enabled'],
+  updateSettings: ['data'],
+  addRule: ['data'],
+  updateRule: ['ruleId', 'data'],
+  deleteRule: ['ruleId'],
+  addVariation: ['data'],
+  updateVariation: ['variationKey', 'data'],
+  deleteVariation: ['variationKey'],
+  setDefaultVariation: ['variationKey']
+};
+
+// Check every operation has a known type and the fields that type needs
+const validateOperations = (operations) => {
+  operations.forEach((operation, index) => {
+    if (!operation || !ScheduledChange.OPERATION_TYPES.includes(operation.type)) {
+      throw new Error(`Operation ${index + 1} must have a type of ${ScheduledChange.OPERATION_TYPES.join(', ')}`);
+    }
+
+    for (const field of OPERATION_FIELDS[operation.type]) {
+      const value = operation[field];
+      const valid = field === 'enabled' ? typeof value === 'boolean'
+        : field === 'data' ? value !== null && typeof value === 'object' && !Array.isArray(value)
+          : typeof value === 'string' && value.length > 0;
+
+      if (!valid) {
+        throw new Error(`Operation ${index + 1} (${operation.type}) needs a valid ${field}`);
+      }
+    }
+  });
+
+  return true;
+};
+
+// Protect all routes
+router.use(protect);
+router.use(checkProjectAccess);
+
+// Get scheduled changes for project
+router.get(
+  '/',
+  [
+    query('status')
+      .optional()
+      .isIn(['pending', 'running', 'applied', 'failed', 'cancelled'])
+      .withMessage('Status must be pending, running, applied, failed or cancelled'),
+    query('environment')
+      .optional()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Environment cannot be empty'),
+    query('flag')
+      .optional()
+      .isMongoId()
+      .withMessage('Flag must be a valid ID'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be an integer between 1 and 500')
+  ],
+  scheduledChangeController.getScheduledChanges
+);
+
+// Schedule a change
+router.post(
+  '/',
+  [
+    body('flag')
+      .isMongoId()
+      .withMessage('Flag must be a valid ID'),
+    body('environment')
+      .isString()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Environment is required'),
+    body('runAt')
+      .isISO8601()
+      .withMessage('Run time must be an ISO 8601 date'),
+    body('operations')
+      .isArray({ min: 1 })
+      .withMessage('Operations must be a non-empty array')
+      .bail()
+      .custom(validateOperations),
+    body('description')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot be more than 500 characters')
+  ],
+  checkProjectRole('admin', 'editor'),
+  scheduledChangeController.createScheduledChange
+);
+
+// Get scheduled change by ID
+router.get(
+  '/:scheduledChangeId',
+  [scheduledChangeIdValidator],
+  scheduledChangeController.getScheduledChangeById
+);
+
+// Cancel a pending scheduled change
+router.post(
+  '/:scheduledChangeId/cancel',
+  [scheduledChangeIdValidator],
+  checkProjectRole('admin', 'editor'),
+  scheduledChangeController.cancelScheduledChange
+);
+
+module.exports = router;
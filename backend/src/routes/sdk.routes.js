@@ -1,6 +1,6 @@
 // src/routes/sdk.routes.js
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const sdkController = require('../controllers/sdk.controller');
 const { verifyApiKey } = require('../middleware/auth.middleware');
 
@@ -9,8 +9,46 @@ const router = express.Router();
 // Protect all routes with API key
 router.use('/:environment', verifyApiKey);
 
+// Optional ?detail=true to include variations and reasons
+const detailValidator = query('detail')
+  .optional()
+  .isIn(['true', 'false'])
+  .withMessage('Detail must be true or false');
+
 // Get all flags for client
-router.get('/:environment/flags', sdkController.getClientFlags);
+router.get('/:environment/flags', [detailValidator], sdkController.getClientFlags);
+
+// Evaluate all (or selected) flags for a full context
+router.post(
+  '/:environment/flags',
+  [
+    body('context')
+      .optional()
+      .isObject()
+      .withMessage('Context must be an object'),
+    body('flagKeys')
+      .optional()
+      .isArray()
+      .withMessage('Flag keys must be an array'),
+    body('flagKeys.*')
+      .isString()
+      .withMessage('Flag keys must be strings'),
+    body('tags')
+      .optional()
+      .isArray()
+      .withMessage('Tags must be an array'),
+    body('tags.*')
+      .isString()
+      .withMessage('Tags must be strings')
+  ],
+  sdkController.evaluateFlags
+);
+
+// Get the rule set for local evaluation
+router.get('/:environment/ruleset', sdkController.getRuleset);
+
+// Stream flag changes (server-sent events)
+router.get('/:environment/stream', sdkController.streamFlags);
 
 // Evaluate a flag
 router.post(
@@ -20,9 +58,63 @@ router.post(
       .trim()
       .not()
       .isEmpty()
-      .withMessage('Flag key is required')
+      .withMessage('Flag key is required'),
+    detailValidator
   ],
   sdkController.evaluateFlag
 );
 
+// Report custom events (errors, conversions, metric values) and exposures of locally evaluated flags
+router.post(
+  '/:environment/events',
+  [
+    body('events')
+      .isArray({ min: 1, max: 1000 })
+      .withMessage('Events must be an array of 1 to 1000 events'),
+    body('events.*.id')
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('Event ID must be a string of up to 100 characters'),
+    body('events.*.key')
+      .isString()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Event key is required'),
+    body('events.*.userId')
+      .exists({ checkNull: true })
+      .withMessage('Event user ID is required')
+      .bail()
+      .isString()
+      .withMessage('Event user ID must be a string'),
+    body('events.*.value')
+      .optional()
+      .isFloat()
+      .withMessage('Event value must be a number')
+      .toFloat(),
+    body('events.*.timestamp')
+      .optional()
+      .isISO8601()
+      .withMessage('Event timestamp must be an ISO 8601 date'),
+    body('events.*.metadata')
+      .optional()
+      .isObject()
+      .withMessage('Event metadata must be an object'),
+    body('events.*.kind')
+      .optional()
+      .isIn(['exposure'])
+      .withMessage('Event kind must be exposure when set'),
+    body('events.*.variation')
+      .optional({ values: 'null' })
+      .isString()
+      .withMessage('Exposure variation must be a string'),
+    body('events.*.reason.kind')
+      .optional()
+      .isIn(['OFF', 'HOLDOUT', 'FALLTHROUGH', 'RULE_MATCH', 'PREREQUISITE_FAILED', 'ERROR'])
+      .withMessage('Exposure reason kind is not valid')
+  ],
+  sdkController.trackEvents
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,125 @@
+// src/routes/segment.routes.js
+const express = require('express');
+const { body } = require('express-validator');
+const segmentController = require('../controllers/segment.controller');
+const targeting = require('../utils/targeting');
+const { protect, checkProjectAccess, checkProjectRole } = require('../middleware/auth.middleware');
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Validate segment attribute rules (segments cannot reference other segments)
+ */
+const validateSegmentRules = (rules) => {
+  if (rules === null) {
+    return true;
+  }
+  
+  if (!targeting.isGroup(rules)) {
+    throw new Error('Rules must be a clause group with a clauses array');
+  }
+  
+  const errors = targeting.validateGroup(rules, 'rules', 0, { allowSegments: false });
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  
+  return true;
+};
+
+// Validators shared by create and update
+const userListValidators = [
+  body('included')
+    .optional()
+    .isArray()
+    .withMessage('Included must be an array of user IDs'),
+  body('included.*')
+    .isString()
+    .withMessage('Included user IDs must be strings'),
+  body('excluded')
+    .optional()
+    .isArray()
+    .withMessage('Excluded must be an array of user IDs'),
+  body('excluded.*')
+    .isString()
+    .withMessage('Excluded user IDs must be strings'),
+  body('rules')
+    .optional()
+    .custom(validateSegmentRules)
+];
+
+// Protect all routes
+router.use(protect);
+router.use(checkProjectAccess);
+
+// Get all segments for project
+router.get('/', segmentController.getProjectSegments);
+
+// Create new segment
+router.post(
+  '/',
+  [
+    body('key')
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Segment key is required')
+      .matches(/^[a-zA-Z0-9_.-]+$/)
+      .withMessage('Segment key can only contain letters, numbers, dashes, dots, and underscores')
+      .isLength({ max: 100 })
+      .withMessage('Segment key cannot be more than 100 characters'),
+    body('name')
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Segment name is required')
+      .isLength({ max: 100 })
+      .withMessage('Segment name cannot be more than 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot be more than 500 characters'),
+    ...userListValidators
+  ],
+  checkProjectRole('admin', 'editor'),
+  segmentController.createSegment
+);
+
+// Get segment by ID
+router.get('/:segmentId', segmentController.getSegmentById);
+
+// Get flags that use a segment
+router.get('/:segmentId/flags', segmentController.getSegmentUsage);
+
+// Update segment
+router.put(
+  '/:segmentId',
+  [
+    body('name')
+      .optional()
+      .trim()
+      .not()
+      .isEmpty()
+      .withMessage('Segment name cannot be empty')
+      .isLength({ max: 100 })
+      .withMessage('Segment name cannot be more than 100 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot be more than 500 characters'),
+    ...userListValidators
+  ],
+  checkProjectRole('admin', 'editor'),
+  segmentController.updateSegment
+);
+
+// Delete segment
+router.delete(
+  '/:segmentId',
+  checkProjectRole('admin'),
+  segmentController.deleteSegment
+);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+// src/routes/webhook.routes.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const webhookController = require('../controllers/webhook.controller');
+const Webhook = require('../models/webhook.model');
+const { protect, checkProjectAccess, checkProjectRole } = require('../middleware/auth.middleware');
+
+const router = express.Router({ mergeParams: true });
+
+// Validate the webhook ID route parameter
+const webhookIdValidator = param('webhookId')
+  .isMongoId()
+  .withMessage('Webhook ID must be a valid ID');
+
+// Validate the fields of a webhook (all optional when updating)
+const webhookValidators = (isUpdate) => [
+  body('url')
+    .if((value) => !isUpdate || value !== undefined)
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be an http(s) URL'),
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('events')
+    .optional()
+    .isArray()
+    .withMessage('Events must be an array'),
+  body('events.*')
+    .isIn(Webhook.EVENTS)
+    .withMessage(`Events must be one of: ${Webhook.EVENTS.join(', ')}`),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Enabled must be a boolean')
+];
+
+// Protect all routes; webhooks are managed by admins
+router.use(protect);
+router.use(checkProjectAccess);
+router.use(checkProjectRole('admin'));
+
+// Get webhooks for project
+router.get('/', webhookController.getWebhooks);
+
+// Create webhook
+router.post(
+  '/',
+  webhookValidators(false),
+  webhookController.createWebhook
+);
+
+// Update webhook
+router.put(
+  '/:webhookId',
+  [webhookIdValidator, ...webhookValidators(true)],
+  webhookController.updateWebhook
+);
+
+// Delete webhook
+router.delete(
+  '/:webhookId',
+  [webhookIdValidator],
+  webhookController.deleteWebhook
+);
+
+module.exports = router;
@@ -3,10 +3,20 @@ const config = require('./config');
 const logger = require('./utils/logger');
 const app = require('./app');
 const { connectDatabase } = require('./config/database');
+const schedulerService = require('./services/scheduler.service');
+const streamService = require('./services/stream.service');
 
 // Connect to MongoDB
 connectDatabase();
 
+// Send flag changes made through any instance to this instance's streaming clients
+streamService.start();
+
+// Apply scheduled flag changes when they are due
+if (config.schedulerEnabled) {
+  schedulerService.start();
+}
+
 // Start the server
 const server = app.listen(config.port, () => {
   logger.info(`Server running in ${config.nodeEnv} mode on port ${config.port}`);
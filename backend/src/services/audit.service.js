@@ -0,0 +1,159 @@
+// src/services/audit.service.js
+const mongoose = require('mongoose');
+const AuditLog = require('../models/audit.model');
+const { diff } = require('../utils/diff');
+const logger = require('../utils/logger');
+
+// Fields that change on every save and would only add noise to diffs
+const IGNORED_FIELDS = ['__v', 'updatedAt', 'updatedBy', 'metrics'];
+
+/**
+ * Mask an API key so rotations are visible without storing the secret
+ */
+const maskApiKey = (key) => (key ? `****${String(key).slice(-4)}` : key);
+
+/**
+ * Create a plain JSON snapshot of a document for the audit trail
+ */
+exports.snapshot = (doc) => {
+  if (!doc) {
+    return null;
+  }
+
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ flattenMaps: true, virtuals: false, depopulate: true })
+    : doc;
+
+  // Round-trip through JSON to turn ObjectIds and dates into strings
+  const snapshot = JSON.parse(JSON.stringify(plain));
+
+  IGNORED_FIELDS.forEach(field => delete snapshot[field]);
+
+  // Never store API keys in clear text
+  if (snapshot.apiKeys) {
+    for (const env of Object.keys(snapshot.apiKeys)) {
+      snapshot.apiKeys[env] = maskApiKey(snapshot.apiKeys[env]);
+    }
+  }
+
+  return snapshot;
+};
+
+/**
+ * Append an entry to the audit log
+ */
+exports.record = async ({ projectId, flag, environment, action, userId, before = null, after = null, metadata }) => {
+  try {
+    return await AuditLog.create({
+      project: projectId,
+      flag: flag ? flag._id : undefined,
+      flagKey: flag ? flag.key : undefined,
+      environment,
+      action,
+      actor: userId,
+      before,
+      after,
+      changes: diff(before || {}, after || {}),
+      metadata,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    // The change itself has already been persisted, so never fail the request here
+    logger.error(`Failed to record audit entry '${action}': ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Record a change to a flag, snapshotting its current state as the "after" value
+ */
+exports.recordFlagChange = async (flag, action, userId, { environment, before = null, metadata } = {}) => {
+  return exports.record({
+    projectId: flag.project,
+    flag,
+    environment,
+    action,
+    userId,
+    before,
+    after: exports.snapshot(flag),
+    metadata
+  });
+};
+
+/**
+ * Record a change to a project, snapshotting its current state as the "after" value
+ */
+exports.recordProjectChange = async (project, action, userId, { environment, before = null, metadata } = {}) => {
+  return exports.record({
+    projectId: project._id,
+    environment,
+    action,
+    userId,
+    before,
+    after: exports.snapshot(project),
+    metadata
+  });
+};
+
+/**
+ * Get audit log entries for a project
+ */
+exports.getAuditLogs = async (projectId, filters = {}) => {
+  const { flag, user, environment, action, startDate, endDate } = filters;
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 500);
+
+  // Flags can be filtered by ID or by key (keys survive flag deletion).
+  // Any 12-character key would pass ObjectId.isValid, so only hex IDs are IDs.
+  const flagFilter = {};
+  if (flag) {
+    if (mongoose.isObjectIdOrHexString(flag)) {
+      flagFilter.flag = flag;
+    } else {
+      flagFilter.flagKey = flag;
+    }
+  }
+
+  const query = AuditLog.buildFilter(projectId, {
+    ...flagFilter,
+    actor: user,
+    environment,
+    action,
+    startDate,
+    endDate
+  });
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actor', 'name email'),
+    AuditLog.countDocuments(query)
+  ]);
+
+  return {
+    logs,
+    total,
+    page,
+    limit
+  };
+};
+
+/**
+ * Get a single audit log entry
+ */
+exports.getAuditLogById = async (projectId, auditId) => {
+  const log = await AuditLog.findOne({
+    _id: auditId,
+    project: projectId
+  }).populate('actor', 'name email');
+
+  if (!log) {
+    const error = new Error('Audit log entry not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return log;
+};
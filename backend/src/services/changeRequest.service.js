@@ -0,0 +1,409 @@
+// src/services/changeRequest.service.js
+const mongoose = require('mongoose');
+const Flag = require('../models/flag.model');
+const Project = require('../models/project.model');
+const ChangeRequest = require('../models/changeRequest.model');
+const auditService = require('./audit.service');
+const streamService = require('./stream.service');
+const { diff } = require('../utils/diff');
+const { findCycle } = require('../utils/graph');
+
+/**
+ * Find a change request in a project
+ */
+const findChangeRequest = async (projectId, changeRequestId) => {
+  const changeRequest = await ChangeRequest.findOne({
+    _id: changeRequestId,
+    project: projectId
+  });
+
+  if (!changeRequest) {
+    const error = new Error('Change request not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return changeRequest;
+};
+
+/**
+ * Reject reviews of change requests that are no longer pending
+ */
+const assertPending = (changeRequest) => {
+  if (changeRequest.status !== 'pending') {
+    const error = new Error(`Change request is already ${changeRequest.status}`);
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+/**
+ * Record a step of a change request's workflow in the audit log
+ */
+const recordWorkflowEvent = (changeRequest, action, userId, metadata = {}) => {
+  // Requests for a single flag also appear in that flag's history
+  const [change] = changeRequest.changes;
+  const flag = changeRequest.changes.length === 1
+    ? { _id: change.flag, key: change.flagKey }
+    : undefined;
+
+  return auditService.record({
+    projectId: changeRequest.project,
+    flag,
+    environment: changeRequest.environment,
+    action,
+    userId,
+    metadata: {
+      changeRequest: changeRequest._id,
+      flags: changeRequest.changes.map(flagChange => flagChange.flagKey),
+      ...metadata
+    }
+  });
+};
+
+/**
+ * Reject changes whose prerequisites do not exist or would create a cycle in the environment
+ */
+const checkPrerequisiteCycles = async (projectId, environment, changes) => {
+  const changed = new Map(changes
+    .filter(({ after }) => after.prerequisites)
+    .map(({ flag, after }) => [flag.key, after.prerequisites.map(prerequisite => prerequisite.key)]));
+
+  if (changed.size === 0) {
+    return;
+  }
+
+  const flags = await Flag.find({ project: projectId });
+  const flagsByKey = new Map(flags.map(flag => [flag.key, flag]));
+
+  // Every prerequisite must exist in the project
+  for (const [key, prerequisiteKeys] of changed) {
+    const missing = prerequisiteKeys.filter(prerequisiteKey => !flagsByKey.has(prerequisiteKey));
+    if (missing.length > 0) {
+      const error = new Error(`Flag '${key}' has prerequisite(s) that do not exist: ${missing.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  // Walk the environment's graph with the changed prerequisites in place
+  const getEdges = key => {
+    if (changed.has(key)) {
+      return changed.get(key);
+    }
+    return flagsByKey.has(key) ? flagsByKey.get(key).getPrerequisiteKeys(environment) : [];
+  };
+
+  for (const key of changed.keys()) {
+    const cycle = findCycle(key, getEdges);
+    if (cycle) {
+      const error = new Error(`Change would create a prerequisite cycle: ${cycle.join(' -> ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+};
+
+/**
+ * Check if a service result is a change request rather than the changed resource
+ */
+exports.isChangeRequest = (value) => value instanceof ChangeRequest;
+
+/**
+ * Overwrite environment setting parts of several flags, validating all of them before saving any
+ * and saving them in a single transaction.
+ * `changes` is a list of { flag, after } where `after` holds the parts (see Flag#getEnvironmentParts).
+ * Each flag is audited with `action` and `metadata`.
+ */
+exports.applyEnvironmentChanges = async (projectId, environment, userId, changes, { action, metadata } = {}) => {
+  await checkPrerequisiteCycles(projectId, environment, changes);
+
+  // Apply and validate every flag before saving any of them
+  const befores = new Map();
+  for (const { flag, after } of changes) {
+    befores.set(flag.key, auditService.snapshot(flag));
+    flag.setEnvironmentParts(environment, after);
+    flag.updatedBy = userId;
+    await flag.validate();
+  }
+
+  // Save the flags in one transaction, so either every change applies or none does
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    for (const { flag } of changes) {
+      await flag.save({ session });
+    }
+    await session.commitTransaction();
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    changes.forEach(({ flag }) => flag.$session(null));
+    await session.endSession();
+  }
+
+  for (const { flag } of changes) {
+    // Record change in audit log
+    await auditService.recordFlagChange(flag, action, userId, {
+      environment,
+      before: befores.get(flag.key),
+      metadata
+    });
+
+    // Notify streaming SDK clients
+    streamService.publishFlagChange(flag, [environment]);
+  }
+
+  return changes.map(({ flag }) => flag);
+};
+
+/**
+ * Propose changes to flags in a protected environment.
+ * `changes` is a list of { flag, parts, before, after } with the current and proposed parts.
+ */
+exports.proposeChanges = async (project, environment, userId, { changes, action, metadata, description }) => {
+  const protection = project.getEnvironmentProtection(environment);
+
+  const flagChanges = changes
+    .map(({ flag, parts, before, after }) => ({
+      flag: flag._id,
+      flagKey: flag.key,
+      parts,
+      before,
+      after,
+      diff: diff(before, after)
+    }))
+    .filter(change => change.diff.length > 0);
+
+  if (flagChanges.length === 0) {
+    const error = new Error('There are no changes to propose');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const changeRequest = await ChangeRequest.create({
+    project: project._id,
+    environment,
+    description,
+    action,
+    metadata,
+    changes: flagChanges,
+    requiredApprovals: protection.requiredApprovals,
+    approverRoles: protection.approverRoles,
+    requestedBy: userId
+  });
+
+  // Record change in audit log
+  await recordWorkflowEvent(changeRequest, 'change_request.created', userId, { description });
+
+  return changeRequest;
+};
+
+/**
+ * Apply an approved change request, or mark it failed if its flags changed since it was made
+ */
+const applyChangeRequest = async (changeRequest, userId) => {
+  const { environment } = changeRequest;
+
+  try {
+    const changes = [];
+
+    for (const change of changeRequest.changes) {
+      const flag = await Flag.findOne({ _id: change.flag, project: changeRequest.project });
+      const current = flag && flag.getEnvironmentParts(environment, change.parts);
+
+      if (!current) {
+        const error = new Error(`Flag '${change.flagKey}' no longer has settings for environment '${environment}'`);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      if (diff(current, change.before).length > 0) {
+        const error = new Error(`Flag '${change.flagKey}' changed in '${environment}' since the change request was made`);
+        error.statusCode = 409;
+        throw error;
+      }
+
+      changes.push({ flag, after: change.after });
+    }
+
+    // Attribute the flag changes to their author
+    await exports.applyEnvironmentChanges(changeRequest.project, environment, changeRequest.requestedBy, changes, {
+      action: changeRequest.action,
+      metadata: { ...changeRequest.metadata, changeRequest: changeRequest._id }
+    });
+
+    changeRequest.status = 'applied';
+  } catch (error) {
+    // Unexpected errors leave the request pending, so applying it can be retried
+    if (!error.statusCode && error.name !== 'ValidationError') {
+      throw error;
+    }
+
+    changeRequest.status = 'failed';
+    changeRequest.failureReason = error.message;
+  }
+
+  changeRequest.closedAt = new Date();
+  await changeRequest.save();
+
+  await recordWorkflowEvent(
+    changeRequest,
+    changeRequest.status === 'applied' ? 'change_request.applied' : 'change_request.failed',
+    userId,
+    changeRequest.failureReason ? { reason: changeRequest.failureReason } : {}
+  );
+};
+
+/**
+ * Get the change requests of a project, newest first
+ */
+exports.getChangeRequests = async (projectId, filters = {}) => {
+  const { status, environment, flag } = filters;
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 500);
+
+  const query = { project: projectId };
+  if (status) {
+    query.status = status;
+  }
+  if (environment) {
+    query.environment = environment;
+  }
+  if (flag) {
+    query['changes.flag'] = flag;
+  }
+
+  const [changeRequests, total] = await Promise.all([
+    ChangeRequest.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('requestedBy', 'name email'),
+    ChangeRequest.countDocuments(query)
+  ]);
+
+  return {
+    changeRequests,
+    total,
+    page,
+    limit
+  };
+};
+
+/**
+ * Get a change request with its reviews
+ */
+exports.getChangeRequestById = async (projectId, changeRequestId) => {
+  await findChangeRequest(projectId, changeRequestId);
+
+  return ChangeRequest.findById(changeRequestId)
+    .populate('requestedBy', 'name email')
+    .populate('reviews.user', 'name email');
+};
+
+/**
+ * Approve, reject or comment on a change request.
+ * The request is applied as soon as it has enough approvals.
+ */
+exports.reviewChangeRequest = async (projectId, changeRequestId, userId, decision, comment) => {
+  const changeRequest = await findChangeRequest(projectId, changeRequestId);
+  assertPending(changeRequest);
+
+  if (decision !== 'commented') {
+    const project = await Project.findById(projectId);
+    const role = project.getMemberRole(userId);
+
+    if (role !== 'owner' && !changeRequest.approverRoles.includes(role)) {
+      const error = new Error(`Only ${changeRequest.approverRoles.join(' or ')} members can review changes to '${changeRequest.environment}'`);
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (changeRequest.requestedBy.toString() === userId.toString()) {
+      const error = new Error('You cannot review your own change request');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const reviewed = changeRequest.reviews.some(review => (
+      review.user.toString() === userId.toString() && review.decision === 'approved'
+    ));
+
+    if (reviewed) {
+      const error = new Error('You have already approved this change request');
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  changeRequest.reviews.push({ user: userId, decision, comment });
+
+  if (decision === 'rejected') {
+    changeRequest.status = 'rejected';
+    changeRequest.closedAt = new Date();
+  }
+
+  // Saving first means concurrent reviews cannot both apply the change
+  await changeRequest.save();
+
+  const actions = {
+    approved: 'change_request.approved',
+    rejected: 'change_request.rejected',
+    commented: 'change_request.commented'
+  };
+  await recordWorkflowEvent(changeRequest, actions[decision], userId, comment ? { comment } : {});
+
+  if (decision === 'approved' && changeRequest.approvals >= changeRequest.requiredApprovals) {
+    await applyChangeRequest(changeRequest, userId);
+  }
+
+  return exports.getChangeRequestById(projectId, changeRequestId);
+};
+
+/**
+ * Retry applying a pending change request that already has enough approvals
+ */
+exports.applyChangeRequest = async (projectId, changeRequestId, userId) => {
+  const changeRequest = await findChangeRequest(projectId, changeRequestId);
+  assertPending(changeRequest);
+
+  if (changeRequest.approvals < changeRequest.requiredApprovals) {
+    const error = new Error(`Change request needs ${changeRequest.requiredApprovals} approval(s), it has ${changeRequest.approvals}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  await applyChangeRequest(changeRequest, userId);
+
+  return exports.getChangeRequestById(projectId, changeRequestId);
+};
+
+/**
+ * Withdraw a pending change request (its author or a project admin)
+ */
+exports.cancelChangeRequest = async (projectId, changeRequestId, userId) => {
+  const changeRequest = await findChangeRequest(projectId, changeRequestId);
+  assertPending(changeRequest);
+
+  const project = await Project.findById(projectId);
+  const role = project.getMemberRole(userId);
+  const isAuthor = changeRequest.requestedBy.toString() === userId.toString();
+
+  if (!isAuthor && role !== 'owner' && role !== 'admin') {
+    const error = new Error('Only the author or an admin can cancel a change request');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  changeRequest.status = 'cancelled';
+  changeRequest.closedAt = new Date();
+  await changeRequest.save();
+
+  await recordWorkflowEvent(changeRequest, 'change_request.cancelled', userId);
+
+  return exports.getChangeRequestById(projectId, changeRequestId);
+};
@@ -1,91 +1,149 @@
 // src/services/evaluation.service.js
+const crypto = require('crypto');
 const Flag = require('../models/flag.model');
 const Evaluation = require('../models/evaluation.model');
+const Segment = require('../models/segment.model');
+const Project = require('../models/project.model');
+const srmService = require('./srm.service');
 
 /**
- * Evaluate a specific flag for a given context
+ * Get a project's holdout as used for evaluation (null when it is off)
  */
-exports.evaluateFlag = async (projectId, environment, flagKey, context = {}) => {
+const getHoldoutConfig = async (projectId) => {
+  const project = await Project.findById(projectId).select('holdout');
+  
+  return project ? project.getHoldoutConfig() : null;
+};
+
+/**
+ * Record an evaluation asynchronously, so failures to store it do not affect the result
+ */
+const recordEvaluation = (projectId, environment, flag, flagKey, context, { value, variation, reason }) => {
+  Evaluation.recordEvaluation({
+    project: projectId,
+    flag: flag ? flag._id : null,
+    flagKey,
+    environment,
+    userId: context.userId || null,
+    context: new Map(Object.entries(context)),
+    result: value,
+    variation,
+    reason,
+    timestamp: new Date(),
+    sdkVersion: context.sdkVersion,
+    sdkType: context.sdkType,
+    clientIP: context.clientIP
+  }).catch(err => {
+    // Log error but don't throw since this is non-critical
+    console.error('Failed to record evaluation:', err);
+  });
+};
+
+/**
+ * Evaluate a specific flag for a given context.
+ * Pass `options.detail` to include the served variation and the reason; a flag
+ * that does not exist, or has no settings for the environment, is then reported
+ * as an ERROR reason (FLAG_NOT_FOUND or ENVIRONMENT_NOT_FOUND) rather than a 404.
+ */
+exports.evaluateFlag = async (projectId, environment, flagKey, context = {}, options = {}) => {
   // Find flag by project and key
   const flag = await Flag.findOne({
     project: projectId,
     key: flagKey
   });
   
+  let error = null;
+  
   if (!flag) {
-    const error = new Error(`Flag '${flagKey}' not found`);
-    error.statusCode = 404;
-    throw error;
+    error = { errorKind: 'FLAG_NOT_FOUND', message: `Flag '${flagKey}' not found` };
+  } else if (!flag.environments.has(environment)) {
+    error = {
+      errorKind: 'ENVIRONMENT_NOT_FOUND',
+      message: `Environment '${environment}' not found for flag '${flagKey}'`
+    };
   }
   
-  try {
-    // Evaluate flag for given context
-    const result = flag.evaluate(environment, context);
+  if (error) {
+    if (!options.detail) {
+      const notFound = new Error(error.message);
+      notFound.statusCode = 404;
+      throw notFound;
+    }
     
-    // Record evaluation asynchronously (don't await)
-    Evaluation.recordEvaluation({
-      project: projectId,
-      flag: flag._id,
-      flagKey: flag.key,
-      environment,
-      userId: context.userId || null,
-      context: new Map(Object.entries(context)),
-      result,
-      timestamp: new Date(),
-      sdkVersion: context.sdkVersion,
-      sdkType: context.sdkType,
-      clientIP: context.clientIP
-    }).catch(err => {
-      // Log error but don't throw since this is non-critical
-      console.error('Failed to record evaluation:', err);
-    });
+    const detail = { value: null, variation: null, reason: { kind: 'ERROR', ...error } };
+    recordEvaluation(projectId, environment, flag, flagKey, context, detail);
     
-    return {
-      key: flag.key,
-      value: result
-    };
-  } catch (error) {
-    throw error;
+    return { key: flagKey, ...detail };
   }
+  
+  // Load the flag's prerequisites and the segments referenced by all of their rules
+  const flags = await Flag.getPrerequisiteFlags(flag, environment);
+  const segmentKeys = [flag, ...Object.values(flags)]
+    .flatMap(dependency => dependency.getSegmentKeys(environment));
+  const segments = await Segment.getSegmentMap(projectId, [...new Set(segmentKeys)]);
+  
+  // Load the project's holdout if the flag or its prerequisites are opted into it
+  const holdout = [flag, ...Object.values(flags)].some(dependency => dependency.holdout)
+    ? await getHoldoutConfig(projectId)
+    : null;
+  
+  // Evaluate flag for given context
+  const detail = flag.evaluateDetail(environment, context, { segments, flags, holdout });
+  recordEvaluation(projectId, environment, flag, flag.key, context, detail);
+  
+  return {
+    key: flag.key,
+    value: detail.value,
+    ...(options.detail && { variation: detail.variation, reason: detail.reason })
+  };
 };
 
 /**
- * Evaluate all flags for a given context
+ * Evaluate all flags for a given context.
+ * Pass `options.detail` to map each key to { value, variation, reason } instead of its value,
+ * and `options.flagKeys` and/or `options.tags` to only evaluate matching flags.
+ * Flags without settings for the environment are left out.
  */
-exports.evaluateAllFlags = async (projectId, environment, context = {}) => {
+exports.evaluateAllFlags = async (projectId, environment, context = {}, options = {}) => {
   // Find all flags for project
   const flags = await Flag.find({
     project: projectId
   });
   
+  // Load all project segments once for every flag
+  const segments = await Segment.getSegmentMap(projectId);
+  
+  // Load the project's holdout if any flag is opted into it
+  const holdout = flags.some(flag => flag.holdout) ? await getHoldoutConfig(projectId) : null;
+  
+  // Every flag can serve as a prerequisite of another
+  const flagMap = flags.reduce((map, flag) => {
+    map[flag.key] = flag;
+    return map;
+  }, {});
+  
+  // Restrict the flags to evaluate, if requested
+  const { flagKeys, tags } = options;
+  const selectedFlags = flags.filter(flag => (
+    flag.environments.has(environment) &&
+    (!flagKeys || flagKeys.includes(flag.key)) &&
+    (!tags || tags.some(tag => flag.tags.includes(tag)))
+  ));
+  
   const results = {};
   
   // Evaluate each flag
-  for (const flag of flags) {
+  for (const flag of selectedFlags) {
     try {
       // Evaluate flag for given context
-      const result = flag.evaluate(environment, context);
+      const detail = flag.evaluateDetail(environment, context, { segments, flags: flagMap, holdout });
       
       // Add to results
-      results[flag.key] = result;
+      results[flag.key] = options.detail
+        ? { value: detail.value, variation: detail.variation, reason: detail.reason }
+        : detail.value;
       
-      // Record evaluation asynchronously (don't await)
-      Evaluation.recordEvaluation({
-        project: projectId,
-        flag: flag._id,
-        flagKey: flag.key,
-        environment,
-        userId: context.userId || null,
-        context: new Map(Object.entries(context)),
-        result,
-        timestamp: new Date(),
-        sdkVersion: context.sdkVersion,
-        sdkType: context.sdkType,
-        clientIP: context.clientIP
-      }).catch(err => {
-        // Log error but don't throw since this is non-critical
-        console.error('Failed to record evaluation:', err);
-      });
+      recordEvaluation(projectId, environment, flag, flag.key, context, detail);
     } catch (error) {
       // Skip flags that fail to evaluate
       console.error(`Failed to evaluate flag '${flag.key}':`, error);
@@ -95,6 +153,40 @@ exports.evaluateAllFlags = async (projectId, environment, context = {}) => {
   return results;
 };
 
+/**
+ * Get the evaluation-ready rule set of an environment for local evaluation.
+ * The version is a hash of the content, so it only changes when the rules do.
+ */
+exports.getRuleset = async (projectId, environment) => {
+  const [flags, segments, holdout] = await Promise.all([
+    Flag.find({ project: projectId }).sort({ key: 1 }),
+    Segment.getSegmentMap(projectId),
+    getHoldoutConfig(projectId)
+  ]);
+  
+  const flagPayloads = {};
+  for (const flag of flags) {
+    const payload = flag.toEnvironmentPayload(environment);
+    if (payload) {
+      flagPayloads[flag.key] = payload;
+    }
+  }
+  
+  const version = crypto
+    .createHash('sha1')
+    .update(JSON.stringify({ flags: flagPayloads, segments, holdout }))
+    .digest('hex')
+    .slice(0, 16);
+  
+  return {
+    environment,
+    version,
+    flags: flagPayloads,
+    segments,
+    holdout
+  };
+};
+
 /**
  * Get evaluations for a flag for analytics
  */
@@ -102,6 +194,98 @@ exports.getFlagEvaluations = async (projectId, flagId, options = {}) => {
   return Evaluation.getAnalytics(projectId, flagId, options);
 };
 
+/**
+ * Get analytics for a flag: evaluations and users per variation and reason,
+ * and the latest sample ratio mismatch checks of its weighted rules
+ */
+exports.getFlagAnalytics = async (projectId, flagId, options = {}) => {
+  const { startDate, endDate, environment } = options;
+  
+  const flag = await Flag.findOne({ _id: flagId, project: projectId });
+  
+  if (!flag) {
+    const error = new Error('Flag not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  const match = { project: flag.project, flag: flag._id };
+  
+  if (environment) {
+    match.environment = environment;
+  }
+  
+  if (startDate || endDate) {
+    match.timestamp = {};
+    
+    if (startDate) {
+      match.timestamp.$gte = new Date(startDate);
+    }
+    
+    if (endDate) {
+      match.timestamp.$lte = new Date(endDate);
+    }
+  }
+  
+  // Get evaluations and distinct users per variation. Users are grouped first, so
+  // no group has to hold every user id of a variation.
+  const variations = await Evaluation.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { environment: '$environment', variation: '$variation', userId: '$userId' },
+        evaluations: { $sum: 1 }
+      }
+    },
+    {
+      $group: {
+        _id: { environment: '$_id.environment', variation: '$_id.variation' },
+        evaluations: { $sum: '$evaluations' },
+        // Anonymous evaluations are not users
+        users: { $sum: { $cond: [{ $in: [{ $ifNull: ['$_id.userId', null] }, [null, '']] }, 0, 1] } }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        environment: '$_id.environment',
+        variation: '$_id.variation',
+        evaluations: 1,
+        users: 1
+      }
+    },
+    { $sort: { environment: 1, evaluations: -1 } }
+  ]).allowDiskUse(true);
+  
+  // Get evaluations per reason
+  const reasons = await Evaluation.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { environment: '$environment', kind: '$reason.kind' },
+        evaluations: { $sum: 1 }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        environment: '$_id.environment',
+        kind: '$_id.kind',
+        evaluations: 1
+      }
+    },
+    { $sort: { environment: 1, evaluations: -1 } }
+  ]);
+  
+  return {
+    flag: { _id: flag._id, key: flag.key },
+    evaluations: variations.reduce((sum, entry) => sum + entry.evaluations, 0),
+    variations,
+    reasons,
+    srm: await srmService.getFlagChecks(flag, environment)
+  };
+};
+
 /**
  * Get overall project analytics
  */
@@ -0,0 +1,152 @@
+// src/services/event.service.js
+const Event = require('../models/event.model');
+const Evaluation = require('../models/evaluation.model');
+const Flag = require('../models/flag.model');
+
+/**
+ * Insert documents, skipping the ones whose SDK event ID was already stored (a batch sent again).
+ * Returns the documents inserted.
+ */
+const insertNew = async (Model, documents) => {
+  if (documents.length === 0) {
+    return [];
+  }
+
+  try {
+    return await Model.insertMany(documents, { ordered: false });
+  } catch (error) {
+    // Mongoose copies the driver's write errors, keeping their details under `err`
+    const writeErrors = error.writeErrors || [];
+    const isDuplicate = writeErrors.length > 0 &&
+      writeErrors.every(writeError => (writeError.err || writeError).code === 11000);
+
+    if (!isDuplicate) {
+      throw error;
+    }
+
+    return error.insertedDocs;
+  }
+};
+
+/**
+ * Store the exposures of flags an SDK evaluated locally as evaluations, like the server's own.
+ * Exposures of unknown flags are skipped. Returns the number stored.
+ */
+const recordExposures = async (projectId, environment, exposures, meta) => {
+  const flagKeys = [...new Set(exposures.map(exposure => exposure.key))];
+  const flags = flagKeys.length > 0
+    ? await Flag.find({ project: projectId, key: { $in: flagKeys } }).select('key')
+    : [];
+  const flagIds = new Map(flags.map(flag => [flag.key, flag._id]));
+
+  const documents = exposures
+    .filter(exposure => flagIds.has(exposure.key))
+    .map(exposure => ({
+      project: projectId,
+      flag: flagIds.get(exposure.key),
+      flagKey: exposure.key,
+      environment,
+      userId: String(exposure.userId),
+      context: { userId: String(exposure.userId) },
+      result: exposure.result,
+      variation: exposure.variation || null,
+      reason: exposure.reason,
+      eventId: exposure.id,
+      timestamp: exposure.timestamp ? new Date(exposure.timestamp) : new Date(),
+      sdkType: meta.sdkType,
+      sdkVersion: meta.sdkVersion
+    }));
+
+  const stored = await insertNew(Evaluation, documents);
+
+  // Update the flags' metrics
+  const counts = new Map();
+  for (const evaluation of stored) {
+    counts.set(evaluation.flagKey, (counts.get(evaluation.flagKey) || 0) + 1);
+  }
+  await Promise.all(Array.from(counts, ([key, count]) => Flag.updateOne(
+    { _id: flagIds.get(key) },
+    { $inc: { 'metrics.evaluations': count }, $set: { 'metrics.lastEvaluated': new Date() } }
+  )));
+
+  return stored.length;
+};
+
+/**
+ * Store a batch of events reported by an SDK: custom events, and exposures of
+ * flags evaluated locally. Returns the number stored.
+ * Events whose ID was already stored (a batch sent again) are skipped.
+ */
+exports.recordEvents = async (projectId, environment, events, meta = {}) => {
+  const exposures = events.filter(event => event.kind === 'exposure');
+  const documents = events.filter(event => event.kind !== 'exposure').map(event => ({
+    project: projectId,
+    environment,
+    key: event.key,
+    userId: String(event.userId),
+    value: event.value,
+    metadata: event.metadata,
+    eventId: event.id,
+    timestamp: event.timestamp ? new Date(event.timestamp) : new Date(),
+    sdkType: meta.sdkType,
+    sdkVersion: meta.sdkVersion
+  }));
+
+  const [stored, storedExposures] = await Promise.all([
+    insertNew(Event, documents),
+    recordExposures(projectId, environment, exposures, meta)
+  ]);
+
+  return stored.length + storedExposures;
+};
+
+/**
+ * Aggregate an event's occurrences per user since a time.
+ * Returns a Map of userId to { count, sum } where sum adds up the event values.
+ */
+exports.getUserTotals = async (projectId, environment, key, since) => {
+  const totals = await Event.aggregate([
+    {
+      $match: {
+        project: projectId,
+        environment,
+        key,
+        timestamp: { $gte: since }
+      }
+    },
+    {
+      $group: {
+        _id: '$userId',
+        count: { $sum: 1 },
+        sum: { $sum: { $ifNull: ['$value', 0] } }
+      }
+    }
+  ]);
+
+  return new Map(totals.map(({ _id, count, sum }) => [_id, { count, sum }]));
+};
+
+/**
+ * Get an event's occurrences per user between two times.
+ * Returns a Map of userId to a list of { timestamp, value }.
+ */
+exports.getUserEvents = async (projectId, environment, key, since, until) => {
+  const users = await Event.aggregate([
+    {
+      $match: {
+        project: projectId,
+        environment,
+        key,
+        timestamp: { $gte: since, $lte: until }
+      }
+    },
+    {
+      $group: {
+        _id: '$userId',
+        events: { $push: { timestamp: '$timestamp', value: '$value' } }
+      }
+    }
+  ]).allowDiskUse(true);
+
+  return new Map(users.map(({ _id, events }) => [_id, events]));
+};
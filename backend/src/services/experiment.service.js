@@ -0,0 +1,445 @@
+// src/services/experiment.service.js
+const Flag = require('../models/flag.model');
+const Evaluation = require('../models/evaluation.model');
+const Experiment = require('../models/experiment.model');
+const eventService = require('./event.service');
+const auditService = require('./audit.service');
+const srmService = require('./srm.service');
+const stats = require('../utils/stats');
+
+/**
+ * Experiments.
+ *
+ * An experiment compares the variations of a multi-variate flag in one
+ * environment. Users are exposed to a variation when the SDK records an
+ * evaluation where one of the flag's weighted rules served it; a user exposed
+ * to several variations counts for the first one. Metrics are built from the custom events SDKs report to
+ * `POST /api/sdk/:environment/events`, only counting events a user sent after
+ * their first exposure and before the experiment stopped:
+ *   - rate: share of exposed users with at least one event (conversion rate)
+ *   - mean: average event value per exposed user (e.g. revenue)
+ * Each variation is compared with the control variation (see utils/stats.js).
+ * Results also check the flag's weighted rules for a sample ratio mismatch
+ * over the experiment's exposures (see srm.service.js).
+ */
+
+// Fields that can be changed after an experiment is created
+const EDITABLE_FIELDS = ['name', 'hypothesis', 'primaryMetric', 'secondaryMetrics', 'controlVariation', 'confidenceLevel'];
+
+/**
+ * Find an experiment in a project
+ */
+const findExperiment = async (projectId, experimentId) => {
+  const experiment = await Experiment.findOne({
+    _id: experimentId,
+    project: projectId
+  });
+
+  if (!experiment) {
+    const error = new Error('Experiment not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return experiment;
+};
+
+/**
+ * Build the error for an action that does not fit the experiment's current state
+ */
+const stateConflict = (experiment, action) => {
+  const error = new Error(`Cannot ${action} an experiment that is ${experiment.status}`);
+  error.statusCode = 409;
+  return error;
+};
+
+/**
+ * Get the variation keys of an experiment's flag environment, checking it can be experimented on
+ */
+const getVariationKeys = (flag, environment) => {
+  if (!flag.environments.has(environment)) {
+    const error = new Error(`Environment '${environment}' not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const keys = (flag.environments.get(environment).variations || []).map(variation => variation.key);
+
+  if (keys.length < 2) {
+    const error = new Error('Experiments need a flag with at least two variations in the environment');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return keys;
+};
+
+/**
+ * Check the control variation exists in the flag environment
+ */
+const assertControlVariation = (variationKeys, controlVariation) => {
+  if (!variationKeys.includes(controlVariation)) {
+    const error = new Error(`Control variation '${controlVariation}' not found`);
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Record an experiment action in the audit log
+ */
+const recordEvent = (experiment, action, userId) => auditService.record({
+  projectId: experiment.project,
+  flag: { _id: experiment.flag, key: experiment.flagKey },
+  environment: experiment.environment,
+  action: `experiment.${action}`,
+  userId,
+  metadata: { experiment: experiment._id, name: experiment.name }
+});
+
+/**
+ * Get each exposed user's first variation in a time window.
+ * Only the flag's weighted rules assign variations at random, so evaluations
+ * served by targeting, defaults, the holdout or errors are not exposures.
+ * Returns a Map of userId to { variation, exposedAt }.
+ */
+const getExposures = async (experiment, flag, variationKeys, start, end) => {
+  const ruleIds = flag.getWeightedRules(experiment.environment).map(rule => rule._id.toString());
+
+  const users = await Evaluation.aggregate([
+    {
+      $match: {
+        project: experiment.project,
+        flag: experiment.flag,
+        environment: experiment.environment,
+        userId: { $nin: [null, ''] },
+        variation: { $in: variationKeys },
+        'reason.kind': 'RULE_MATCH',
+        'reason.ruleId': { $in: ruleIds },
+        timestamp: { $gte: start, $lte: end }
+      }
+    },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: '$userId',
+        variation: { $first: '$variation' },
+        exposedAt: { $first: '$timestamp' }
+      }
+    }
+  ]).allowDiskUse(true);
+
+  return new Map(users.map(({ _id, variation, exposedAt }) => [_id, { variation, exposedAt }]));
+};
+
+/**
+ * Compute a metric for every variation and compare it with the control
+ */
+const analyzeMetric = async (experiment, metric, exposures, variationKeys, window) => {
+  const userEvents = await eventService.getUserEvents(
+    experiment.project,
+    experiment.environment,
+    metric.eventKey,
+    window.start,
+    window.end
+  );
+
+  // Per-user outcome for each variation, from events after the user's first exposure
+  const outcomes = new Map(variationKeys.map(key => [key, []]));
+
+  for (const [userId, exposure] of exposures) {
+    const events = (userEvents.get(userId) || []).filter(event => event.timestamp >= exposure.exposedAt);
+    const outcome = metric.aggregation === 'mean'
+      ? events.reduce((sum, event) => sum + (typeof event.value === 'number' ? event.value : 0), 0)
+      : Number(events.length > 0);
+
+    outcomes.get(exposure.variation).push(outcome);
+  }
+
+  const confidence = experiment.confidenceLevel / 100;
+  const summarize = (values) => (metric.aggregation === 'mean'
+    ? stats.summarizeMean(values, confidence)
+    : stats.summarizeRate(values.filter(Boolean).length, values.length, confidence));
+  const compare = metric.aggregation === 'mean' ? stats.compareMeans : stats.compareRates;
+
+  const control = summarize(outcomes.get(experiment.controlVariation));
+
+  const variations = variationKeys.map(key => {
+    const summary = key === experiment.controlVariation ? control : summarize(outcomes.get(key));
+
+    if (key === experiment.controlVariation) {
+      return { variation: key, control: true, ...summary };
+    }
+
+    const { pValue, probabilityToBeatControl } = compare(control, summary);
+
+    return {
+      variation: key,
+      control: false,
+      ...summary,
+      // Relative difference from the control in percent (null if the control is 0)
+      change: control.value === 0 ? null : ((summary.value - control.value) / control.value) * 100,
+      pValue,
+      // Probability that the variation is better than the control in the metric's direction
+      probabilityToBeatControl: probabilityToBeatControl === null || metric.direction === 'increase'
+        ? probabilityToBeatControl
+        : 1 - probabilityToBeatControl,
+      significant: pValue !== null && pValue < 1 - confidence
+    };
+  });
+
+  return {
+    eventKey: metric.eventKey,
+    aggregation: metric.aggregation,
+    direction: metric.direction,
+    variations
+  };
+};
+
+/**
+ * Create a draft experiment on a flag environment
+ */
+exports.createExperiment = async (projectId, userId, data) => {
+  const { flag: flagId, environment } = data;
+
+  const flag = await Flag.findOne({ _id: flagId, project: projectId });
+
+  if (!flag) {
+    const error = new Error('Flag not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  assertControlVariation(getVariationKeys(flag, environment), data.controlVariation);
+
+  const experiment = new Experiment({
+    project: projectId,
+    flag: flag._id,
+    flagKey: flag.key,
+    environment,
+    name: data.name,
+    hypothesis: data.hypothesis,
+    primaryMetric: data.primaryMetric,
+    secondaryMetrics: data.secondaryMetrics,
+    controlVariation: data.controlVariation,
+    confidenceLevel: data.confidenceLevel,
+    createdBy: userId
+  });
+
+  await experiment.save();
+  await recordEvent(experiment, 'created', userId);
+
+  return experiment;
+};
+
+/**
+ * Get the experiments of a project, newest first
+ */
+exports.getExperiments = async (projectId, filters = {}) => {
+  const { flag, environment, status } = filters;
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 500);
+
+  const query = { project: projectId };
+  if (flag) {
+    query.flag = flag;
+  }
+  if (environment) {
+    query.environment = environment;
+  }
+  if (status) {
+    query.status = status;
+  }
+
+  const [experiments, total] = await Promise.all([
+    Experiment.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('createdBy', 'name email'),
+    Experiment.countDocuments(query)
+  ]);
+
+  return {
+    experiments,
+    total,
+    page,
+    limit
+  };
+};
+
+/**
+ * Get an experiment by ID
+ */
+exports.getExperimentById = async (projectId, experimentId) => {
+  await findExperiment(projectId, experimentId);
+
+  return Experiment.findById(experimentId)
+    .populate('createdBy', 'name email')
+    .populate('updatedBy', 'name email');
+};
+
+/**
+ * Update an experiment's description, metrics or control variation
+ */
+exports.updateExperiment = async (projectId, experimentId, userId, data) => {
+  const experiment = await findExperiment(projectId, experimentId);
+
+  if (data.controlVariation !== undefined && data.controlVariation !== experiment.controlVariation) {
+    const flag = await Flag.findById(experiment.flag);
+
+    if (!flag) {
+      const error = new Error('Flag not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    assertControlVariation(getVariationKeys(flag, experiment.environment), data.controlVariation);
+  }
+
+  for (const field of EDITABLE_FIELDS) {
+    if (data[field] !== undefined) {
+      experiment[field] = data[field];
+    }
+  }
+  experiment.updatedBy = userId;
+
+  await experiment.save();
+  await recordEvent(experiment, 'updated', userId);
+
+  return exports.getExperimentById(projectId, experimentId);
+};
+
+/**
+ * Start a draft experiment. A flag environment runs one experiment at a time.
+ */
+exports.startExperiment = async (projectId, experimentId, userId) => {
+  const experiment = await findExperiment(projectId, experimentId);
+
+  if (experiment.status !== 'draft') {
+    throw stateConflict(experiment, 'start');
+  }
+
+  const running = await Experiment.exists({
+    flag: experiment.flag,
+    environment: experiment.environment,
+    status: 'running'
+  });
+
+  if (running) {
+    const error = new Error('This flag already has a running experiment in this environment');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const started = await Experiment.findOneAndUpdate(
+    { _id: experiment._id, status: 'draft' },
+    { $set: { status: 'running', startDate: new Date(), updatedBy: userId } },
+    { new: true }
+  );
+
+  if (!started) {
+    throw stateConflict(await findExperiment(projectId, experimentId), 'start');
+  }
+
+  await recordEvent(started, 'started', userId);
+
+  return exports.getExperimentById(projectId, experimentId);
+};
+
+/**
+ * Stop a running experiment. Its results keep covering the time it ran.
+ */
+exports.stopExperiment = async (projectId, experimentId, userId) => {
+  const experiment = await findExperiment(projectId, experimentId);
+
+  if (experiment.status !== 'running') {
+    throw stateConflict(experiment, 'stop');
+  }
+
+  const stopped = await Experiment.findOneAndUpdate(
+    { _id: experiment._id, status: 'running' },
+    { $set: { status: 'stopped', endDate: new Date(), updatedBy: userId } },
+    { new: true }
+  );
+
+  if (!stopped) {
+    throw stateConflict(await findExperiment(projectId, experimentId), 'stop');
+  }
+
+  await recordEvent(stopped, 'stopped', userId);
+
+  return exports.getExperimentById(projectId, experimentId);
+};
+
+/**
+ * Delete an experiment that is not running
+ */
+exports.deleteExperiment = async (projectId, experimentId, userId) => {
+  const experiment = await findExperiment(projectId, experimentId);
+
+  if (experiment.status === 'running') {
+    throw stateConflict(experiment, 'delete');
+  }
+
+  await Experiment.deleteOne({ _id: experiment._id });
+  await recordEvent(experiment, 'deleted', userId);
+
+  return true;
+};
+
+/**
+ * Compute an experiment's results: exposures per variation, every metric
+ * compared with the control variation and sample ratio mismatch checks.
+ */
+exports.getResults = async (projectId, experimentId) => {
+  const experiment = await findExperiment(projectId, experimentId);
+
+  if (!experiment.startDate) {
+    const error = new Error('The experiment has not started yet');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const flag = await Flag.findById(experiment.flag);
+
+  if (!flag) {
+    const error = new Error('Flag not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const variationKeys = getVariationKeys(flag, experiment.environment);
+  assertControlVariation(variationKeys, experiment.controlVariation);
+
+  const window = {
+    start: experiment.startDate,
+    end: experiment.endDate || new Date()
+  };
+
+  const exposures = await getExposures(experiment, flag, variationKeys, window.start, window.end);
+
+  const exposureCounts = Object.fromEntries(variationKeys.map(key => [key, 0]));
+  for (const { variation } of exposures.values()) {
+    exposureCounts[variation] += 1;
+  }
+
+  const metrics = [];
+  for (const [index, metric] of [experiment.primaryMetric, ...experiment.secondaryMetrics].entries()) {
+    metrics.push({
+      primary: index === 0,
+      ...await analyzeMetric(experiment, metric, exposures, variationKeys, window)
+    });
+  }
+
+  return {
+    experiment: experiment._id,
+    status: experiment.status,
+    controlVariation: experiment.controlVariation,
+    confidenceLevel: experiment.confidenceLevel,
+    window,
+    exposures: exposureCounts,
+    metrics,
+    srm: await srmService.checkExperiment(experiment, flag)
+  };
+};
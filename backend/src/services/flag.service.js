@@ -1,12 +1,192 @@
 // src/services/flag.service.js
 const Flag = require('../models/flag.model');
 const Project = require('../models/project.model');
+const FlagRevision = require('../models/revision.model');
+const ScheduledChange = require('../models/scheduledChange.model');
+const RolloutPlan = require('../models/rolloutPlan.model');
+const Experiment = require('../models/experiment.model');
+const auditService = require('./audit.service');
+const streamService = require('./stream.service');
+const changeRequestService = require('./changeRequest.service');
+const layerService = require('./layer.service');
+const { diff } = require('../utils/diff');
+const { findCycle } = require('../utils/graph');
+const schedule = require('../utils/schedule');
+
+/**
+ * Find the flags in a project that list a flag as a prerequisite in any environment
+ */
+const findDependentFlags = async (projectId, flagKey) => {
+  const flags = await Flag.find({ project: projectId });
+  
+  return flags.filter(flag => (
+    Array.from(flag.environments.keys())
+      .some(environment => flag.getPrerequisiteKeys(environment).includes(flagKey))
+  ));
+};
+
+/**
+ * Check that a flag's proposed prerequisites exist and do not create a cycle
+ */
+const validatePrerequisites = async (flag, environment, prerequisites) => {
+  const keys = prerequisites.map(prerequisite => prerequisite.key);
+  
+  const duplicates = keys.filter((key, index) => keys.indexOf(key) !== index);
+  if (duplicates.length > 0) {
+    const error = new Error(`Prerequisite flag(s) listed more than once: ${[...new Set(duplicates)].join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const flags = await Flag.find({ project: flag.project });
+  const flagsByKey = new Map(flags.map(projectFlag => [projectFlag.key, projectFlag]));
+  
+  const missing = keys.filter(key => !flagsByKey.has(key));
+  if (missing.length > 0) {
+    const error = new Error(`Prerequisite flag(s) not found: ${missing.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  // Walk the dependency graph, using the proposed prerequisites for this flag
+  const cycle = findCycle(flag.key, key => {
+    if (key === flag.key) {
+      return keys;
+    }
+    return flagsByKey.has(key) ? flagsByKey.get(key).getPrerequisiteKeys(environment) : [];
+  });
+  
+  if (cycle) {
+    const error = new Error(`Prerequisites would create a cycle: ${cycle.join(' -> ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Build the error for an edit made against an outdated version of a flag.
+ * The current flag is attached so clients can reconcile their changes.
+ */
+const versionConflict = (flag) => {
+  const error = new Error(`Flag '${flag.key}' has been modified (current version ${flag.revision})`);
+  error.statusCode = 409;
+  error.data = flag;
+  return error;
+};
+
+/**
+ * Find a flag to modify, checking it is still at the version the client last read
+ */
+const findFlagForUpdate = async (flagId, expectedVersion) => {
+  const flag = await Flag.findById(flagId);
+  
+  if (!flag) {
+    const error = new Error('Flag not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  if (expectedVersion !== undefined && flag.revision !== expectedVersion) {
+    throw versionConflict(flag);
+  }
+  
+  return flag;
+};
+
+/**
+ * Save a flag, reporting a conflict if another request saved it since it was loaded
+ */
+const saveFlag = async (flag) => {
+  try {
+    await flag.save();
+  } catch (error) {
+    if (error.name !== 'VersionError') {
+      throw error;
+    }
+    
+    const current = await Flag.findById(flag._id);
+    if (!current) {
+      const notFound = new Error('Flag not found');
+      notFound.statusCode = 404;
+      throw notFound;
+    }
+    throw versionConflict(current);
+  }
+};
+
+/**
+ * Reject opting a flag in or out of the holdout while one of its environments is
+ * protected: it changes what the flag serves everywhere, which a change request
+ * for one environment cannot cover
+ */
+const assertHoldoutUnprotected = async (flag, holdout) => {
+  if (Boolean(holdout) === Boolean(flag.holdout)) {
+    return;
+  }
+  
+  const project = await Project.findById(flag.project);
+  const environment = Array.from(flag.environments.keys())
+    .find(env => project && project.getEnvironmentProtection(env));
+  
+  if (environment) {
+    const error = new Error(`Environment '${environment}' is protected, so flag '${flag.key}' cannot be opted in or out of the holdout`);
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+/**
+ * Save a change to one environment of a flag, then audit and publish it.
+ * Changes to protected environments are proposed as a change request instead,
+ * which is returned in place of the flag. Staged changes (made on a flag passed
+ * as `options.stagedFlag`) are left unsaved for the caller to apply.
+ */
+const commitEnvironmentChange = async (flag, environment, userId, action, { before, metadata, description, staged } = {}) => {
+  if (staged) {
+    return flag;
+  }
+  
+  const project = await Project.findById(flag.project);
+  
+  if (project && project.getEnvironmentProtection(environment)) {
+    // Reject invalid changes now rather than when they are approved
+    await flag.validate();
+    
+    const stored = await Flag.findById(flag._id);
+    
+    return changeRequestService.proposeChanges(project, environment, userId, {
+      changes: [{
+        flag,
+        parts: Flag.ENVIRONMENT_PARTS,
+        before: stored.getEnvironmentParts(environment),
+        after: flag.getEnvironmentParts(environment)
+      }],
+      action,
+      metadata,
+      description: description || `Apply '${action}' to flag '${flag.key}' in ${environment}`
+    });
+  }
+  
+  // Update updatedBy field
+  flag.updatedBy = userId;
+  
+  // Save flag
+  await saveFlag(flag);
+  
+  // Record change in audit log
+  await auditService.recordFlagChange(flag, action, userId, { environment, before, metadata });
+  
+  // Notify streaming SDK clients
+  streamService.publishFlagChange(flag, [environment]);
+  
+  return flag;
+};
 
 /**
  * Create a new flag
  */
 exports.createFlag = async (projectId, userId, flagData) => {
-  const { key, name, description, type = 'BOOLEAN', environments, tags } = flagData;
+  const { key, name, description, type = 'BOOLEAN', environments, tags, holdout } = flagData;
   
   // Check if flag with same key already exists in project
   const existingFlag = await Flag.findOne({
@@ -56,10 +236,17 @@ exports.createFlag = async (projectId, userId, flagData) => {
     type,
     environments: envSettings,
     tags: tags || [],
+    holdout: Boolean(holdout),
     createdBy: userId,
     updatedBy: userId
   });
   
+  // Record change in audit log
+  await auditService.recordFlagChange(flag, 'flag.created', userId);
+  
+  // Notify streaming SDK clients
+  streamService.publishFlagChange(flag);
+  
   return flag;
 };
 
@@ -73,13 +260,47 @@ exports.getProjectFlags = async (projectId) => {
   return flags;
 };
 
+/**
+ * Get the prerequisite graph of a project's flags, optionally for one environment
+ */
+exports.getDependencyGraph = async (projectId, environment) => {
+  const flags = await Flag.find({ project: projectId }).sort({ key: 1 });
+  const edges = [];
+  
+  for (const flag of flags) {
+    for (const [flagEnvironment, envSettings] of flag.environments) {
+      if (environment && flagEnvironment !== environment) {
+        continue;
+      }
+      
+      for (const prerequisite of envSettings.prerequisites || []) {
+        edges.push({
+          environment: flagEnvironment,
+          flag: flag.key,
+          prerequisite: prerequisite.key,
+          value: prerequisite.value
+        });
+      }
+    }
+  }
+  
+  // Only include flags that take part in a dependency
+  const keys = new Set(edges.flatMap(edge => [edge.flag, edge.prerequisite]));
+  const nodes = flags
+    .filter(flag => keys.has(flag.key))
+    .map(flag => ({ id: flag._id, key: flag.key, name: flag.name }));
+  
+  return { nodes, edges };
+};
+
 /**
  * Get flag by ID
  */
 exports.getFlagById = async (flagId) => {
   const flag = await Flag.findById(flagId)
     .populate('createdBy', 'name email')
-    .populate('updatedBy', 'name email');
+    .populate('updatedBy', 'name email')
+    .populate({ path: 'rollouts', select: '-history' });
   
   if (!flag) {
     const error = new Error('Flag not found');
@@ -93,58 +314,136 @@ exports.getFlagById = async (flagId) => {
 /**
  * Update flag
  */
-exports.updateFlag = async (flagId, userId, updateData) => {
-  const { name, description, tags } = updateData;
+exports.updateFlag = async (flagId, userId, updateData, options = {}) => {
+  const { name, description, tags, holdout } = updateData;
   
-  // Find flag and update
-  const flag = await Flag.findByIdAndUpdate(
-    flagId,
-    {
-      name,
-      description,
-      tags,
-      updatedBy: userId
-    },
-    { new: true, runValidators: true }
-  );
+  // Find flag at the expected version
+  const flag = await findFlagForUpdate(flagId, options.expectedVersion);
   
-  if (!flag) {
-    const error = new Error('Flag not found');
-    error.statusCode = 404;
-    throw error;
+  // Opting in or out of the holdout needs every environment of the flag unprotected
+  if (holdout !== undefined) {
+    await assertHoldoutUnprotected(flag, holdout);
   }
   
+  // Capture state for the audit trail
+  const before = auditService.snapshot(flag);
+  
+  // Update provided fields
+  if (name !== undefined) flag.name = name;
+  if (description !== undefined) flag.description = description;
+  if (tags !== undefined) flag.tags = tags;
+  if (holdout !== undefined) flag.holdout = holdout;
+  
+  // Update updatedBy field
+  flag.updatedBy = userId;
+  
+  // Save flag
+  await saveFlag(flag);
+  
+  // Record change in audit log
+  await auditService.recordFlagChange(flag, 'flag.updated', userId, { before });
+  
+  // Notify streaming SDK clients
+  streamService.publishFlagChange(flag);
+  
   return flag;
 };
 
+/**
+ * Stop the work scheduled for deleted flags: cancel pending scheduled changes,
+ * abort rollouts in progress (and with them their guards) and stop running
+ * experiments. `filter` selects the flag or the project; `reason` is recorded
+ * as the error of each cancelled change and aborted rollout.
+ */
+exports.cancelPendingWork = async (filter, userId, reason) => {
+  const now = new Date();
+  
+  const scheduledChanges = await ScheduledChange.updateMany(
+    { ...filter, status: 'pending' },
+    { $set: { status: 'cancelled', cancelledBy: userId, finishedAt: now, error: reason } }
+  );
+  
+  const rollouts = await RolloutPlan.updateMany(
+    { ...filter, status: { $in: ['active', 'paused'] } },
+    {
+      $set: { status: 'aborted', error: reason },
+      $unset: { nextStepAt: 1, remainingMs: 1 },
+      $push: { history: { action: 'aborted', user: userId, error: reason, timestamp: now } }
+    }
+  );
+  
+  const experiments = await Experiment.updateMany(
+    { ...filter, status: 'running' },
+    { $set: { status: 'stopped', endDate: now, updatedBy: userId } }
+  );
+  
+  return {
+    scheduledChangesCancelled: scheduledChanges.modifiedCount,
+    rolloutsAborted: rollouts.modifiedCount,
+    experimentsStopped: experiments.modifiedCount
+  };
+};
+
 /**
  * Delete flag
  */
-exports.deleteFlag = async (flagId) => {
-  // Find flag and delete
-  const flag = await Flag.findByIdAndDelete(flagId);
+exports.deleteFlag = async (flagId, userId, options = {}) => {
+  // Find flag at the expected version
+  const flag = await findFlagForUpdate(flagId, options.expectedVersion);
   
-  if (!flag) {
-    const error = new Error('Flag not found');
-    error.statusCode = 404;
+  // Block deletion while other flags depend on this one
+  const dependents = await findDependentFlags(flag.project, flag.key);
+  
+  if (dependents.length > 0) {
+    const flagKeys = dependents.map(dependent => dependent.key).join(', ');
+    const error = new Error(`Flag '${flag.key}' is a prerequisite of flag(s): ${flagKeys}`);
+    error.statusCode = 409;
     throw error;
   }
   
+  // Capture state for the audit trail
+  const before = auditService.snapshot(flag);
+  
+  // Delete flag, unless it was modified since it was loaded
+  const { deletedCount } = await Flag.deleteOne({ _id: flag._id, __v: flag.__v });
+  
+  if (deletedCount === 0) {
+    const current = await Flag.findById(flag._id);
+    if (current) {
+      throw versionConflict(current);
+    }
+  }
+  
+  // Free the flag's slice of its layer
+  if (flag.layer) {
+    await layerService.releaseFlag(flag);
+  }
+  
+  // Stop scheduled changes, rollouts and experiments of the flag, which could no longer run
+  const stopped = await exports.cancelPendingWork({ flag: flag._id }, userId, `Flag '${flag.key}' was deleted`);
+  
+  // Record change in audit log
+  await auditService.record({
+    projectId: flag.project,
+    flag,
+    action: 'flag.deleted',
+    userId,
+    before,
+    metadata: stopped
+  });
+  
+  // Notify streaming SDK clients
+  streamService.publishFlagDeletion(flag);
+  
   return { success: true };
 };
 
 /**
  * Update environment settings for a flag
  */
-exports.updateEnvironmentSettings = async (flagId, environment, userId, settings) => {
-  // Find flag
-  const flag = await Flag.findById(flagId);
-  
-  if (!flag) {
-    const error = new Error('Flag not found');
-    error.statusCode = 404;
-    throw error;
-  }
+exports.updateEnvironmentSettings = async (flagId, environment, userId, settings, options = {}) => {
+  // Find flag at the expected version, unless the change is staged on a flag in memory
+  const flag = options.stagedFlag || await findFlagForUpdate(flagId, options.expectedVersion);
   
   // Check if environment exists
   if (!flag.environments.has(environment)) {
@@ -153,39 +452,40 @@ exports.updateEnvironmentSettings = async (flagId, environment, userId, settings
     throw error;
   }
   
+  // Reject missing and circular prerequisites
+  if (Array.isArray(settings.prerequisites)) {
+    await validatePrerequisites(flag, environment, settings.prerequisites);
+  }
+  
+  // Capture state for the audit trail
+  const before = auditService.snapshot(flag);
+  
   // Get current settings
   const currentSettings = flag.environments.get(environment);
   
   // Update settings
   const updatedSettings = {
-    ...currentSettings,
+    ...currentSettings.toObject(),
     ...settings
   };
   
   // Set updated settings
   flag.environments.set(environment, updatedSettings);
   
-  // Update updatedBy field
-  flag.updatedBy = userId;
-  
-  // Save flag
-  await flag.save();
-  
-  return flag;
+  // Save the change, or propose it if the environment is protected
+  return commitEnvironmentChange(flag, environment, userId, 'flag.environment_updated', {
+    before,
+    description: options.changeDescription,
+    staged: Boolean(options.stagedFlag)
+  });
 };
 
 /**
  * Toggle flag enabled state for an environment
  */
-exports.toggleFlag = async (flagId, environment, userId, enabled) => {
-  // Find flag
-  const flag = await Flag.findById(flagId);
-  
-  if (!flag) {
-    const error = new Error('Flag not found');
-    error.statusCode = 404;
-    throw error;
-  }
+exports.toggleFlag = async (flagId, environment, userId, enabled, options = {}) => {
+  // Find flag at the expected version, unless the change is staged on a flag in memory
+  const flag = options.stagedFlag || await findFlagForUpdate(flagId, options.expectedVersion);
   
   // Check if environment exists
   if (!flag.environments.has(environment)) {
@@ -194,6 +494,9 @@ exports.toggleFlag = async (flagId, environment, userId, enabled) => {
     throw error;
   }
   
+  // Capture state for the audit trail
+  const before = auditService.snapshot(flag);
+  
   // Get current settings
   const currentSettings = flag.environments.get(environment);
   
@@ -203,27 +506,20 @@ exports.toggleFlag = async (flagId, environment, userId, enabled) => {
   // Set updated settings
   flag.environments.set(environment, currentSettings);
   
-  // Update updatedBy field
-  flag.updatedBy = userId;
-  
-  // Save flag
-  await flag.save();
-  
-  return flag;
+  // Save the change, or propose it if the environment is protected
+  return commitEnvironmentChange(flag, environment, userId, 'flag.toggled', {
+    before,
+    description: options.changeDescription,
+    staged: Boolean(options.stagedFlag)
+  });
 };
 
 /**
  * Add rule to flag
  */
-exports.addFlagRule = async (flagId, environment, userId, ruleData) => {
-  // Find flag
-  const flag = await Flag.findById(flagId);
-  
-  if (!flag) {
-    const error = new Error('Flag not found');
-    error.statusCode = 404;
-    throw error;
-  }
+exports.addFlagRule = async (flagId, environment, userId, ruleData, options = {}) => {
+  // Find flag at the expected version, unless the change is staged on a flag in memory
+  const flag = options.stagedFlag || await findFlagForUpdate(flagId, options.expectedVersion);
   
   // Check if environment exists
   if (!flag.environments.has(environment)) {
@@ -232,6 +528,9 @@ exports.addFlagRule = async (flagId, environment, userId, ruleData) => {
     throw error;
   }
   
+  // Capture state for the audit trail
+  const before = auditService.snapshot(flag);
+  
   // Get current settings
   const currentSettings = flag.environments.get(environment);
   
@@ -245,27 +544,20 @@ exports.addFlagRule = async (flagId, environment, userId, ruleData) => {
   // Set updated settings
   flag.environments.set(environment, currentSettings);
   
-  // Update updatedBy field
-  flag.updatedBy = userId;
-  
-  // Save flag
-  await flag.save();
-  
-  return flag;
+  // Save the change, or propose it if the environment is protected
+  return commitEnvironmentChange(flag, environment, userId, 'rule.added', {
+    before,
+    description: options.changeDescription,
+    staged: Boolean(options.stagedFlag)
+  });
 };
 
 /**
  * Update rule
  */
-exports.updateRule = async (flagId, environment, ruleId, userId, updateData) => {
-  // Find flag
-  const flag = await Flag.findById(flagId);
-  
-  if (!flag) {
-    const error = new Error('Flag not found');
-    error.statusCode = 404;
-    throw error;
-  }
+exports.updateRule = async (flagId, environment, ruleId, userId, updateData, options = {}) => {
+  // Find flag at the expected version, unless the change is staged on a flag in memory
+  const flag = options.stagedFlag || await findFlagForUpdate(flagId, options.expectedVersion);
   
   // Check if environment exists
   if (!flag.environments.has(environment)) {
@@ -274,6 +566,9 @@ exports.updateRule = async (flagId, environment, ruleId, userId, updateData) =>
     throw error;
   }
   
+  // Capture state for the audit trail
+  const before = auditService.snapshot(flag);
+  
   // Get current settings
   const currentSettings = flag.environments.get(environment);
   
@@ -290,27 +585,46 @@ exports.updateRule = async (flagId, environment, ruleId, userId, updateData) =>
   
   // Update rule
   currentSettings.rules[ruleIndex] = {
-    ...currentSettings.rules[ruleIndex],
+    ...currentSettings.rules[ruleIndex].toObject(),
     ...updateData
   };
   
   // Set updated settings
   flag.environments.set(environment, currentSettings);
   
-  // Update updatedBy field
-  flag.updatedBy = userId;
+  // Save the change, or propose it if the environment is protected
+  return commitEnvironmentChange(flag, environment, userId, 'rule.updated', {
+    before, metadata: { ruleId },
+    description: options.changeDescription,
+    staged: Boolean(options.stagedFlag)
+  });
+};
+
+/**
+ * Preview a schedule: whether it is active at `from` (now by default) and its next activation windows
+ */
+exports.previewSchedule = async (value, options = {}) => {
+  const errors = schedule.validateSchedule(value);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid schedule: ${errors.join('; ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
   
-  // Save flag
-  await flag.save();
+  const from = options.from ? new Date(options.from) : new Date();
   
-  return flag;
+  return {
+    timezone: value.timezone || 'UTC',
+    from,
+    active: schedule.isActive(value, from),
+    windows: schedule.getNextWindows(value, from, options.count || 5)
+  };
 };
 
 /**
- * Delete rule
+ * Get the next activation windows of a SCHEDULED rule
  */
-exports.deleteRule = async (flagId, environment, ruleId, userId) => {
-  // Find flag
+exports.getRuleSchedule = async (flagId, environment, ruleId, options = {}) => {
   const flag = await Flag.findById(flagId);
   
   if (!flag) {
@@ -326,6 +640,45 @@ exports.deleteRule = async (flagId, environment, ruleId, userId) => {
     throw error;
   }
   
+  const rule = flag.environments.get(environment).rules.find(
+    envRule => envRule._id.toString() === ruleId
+  );
+  
+  if (!rule) {
+    const error = new Error('Rule not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  if (rule.type !== 'SCHEDULED') {
+    const error = new Error('Only SCHEDULED rules have activation windows');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  return {
+    rule: rule._id,
+    ...await exports.previewSchedule(rule.value, options)
+  };
+};
+
+/**
+ * Delete rule
+ */
+exports.deleteRule = async (flagId, environment, ruleId, userId, options = {}) => {
+  // Find flag at the expected version, unless the change is staged on a flag in memory
+  const flag = options.stagedFlag || await findFlagForUpdate(flagId, options.expectedVersion);
+  
+  // Check if environment exists
+  if (!flag.environments.has(environment)) {
+    const error = new Error(`Environment '${environment}' not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  // Capture state for the audit trail
+  const before = auditService.snapshot(flag);
+  
   // Get current settings
   const currentSettings = flag.environments.get(environment);
   
@@ -337,27 +690,20 @@ exports.deleteRule = async (flagId, environment, ruleId, userId) => {
   // Set updated settings
   flag.environments.set(environment, currentSettings);
   
-  // Update updatedBy field
-  flag.updatedBy = userId;
-  
-  // Save flag
-  await flag.save();
-  
-  return flag;
+  // Save the change, or propose it if the environment is protected
+  return commitEnvironmentChange(flag, environment, userId, 'rule.deleted', {
+    before, metadata: { ruleId },
+    description: options.changeDescription,
+    staged: Boolean(options.stagedFlag)
+  });
 };
 
 /**
  * Add variation to flag
  */
-exports.addVariation = async (flagId, environment, userId, variationData) => {
-  // Find flag
-  const flag = await Flag.findById(flagId);
-  
-  if (!flag) {
-    const error = new Error('Flag not found');
-    error.statusCode = 404;
-    throw error;
-  }
+exports.addVariation = async (flagId, environment, userId, variationData, options = {}) => {
+  // Find flag at the expected version, unless the change is staged on a flag in memory
+  const flag = options.stagedFlag || await findFlagForUpdate(flagId, options.expectedVersion);
   
   // Check if environment exists
   if (!flag.environments.has(environment)) {
@@ -366,6 +712,9 @@ exports.addVariation = async (flagId, environment, userId, variationData) => {
     throw error;
   }
   
+  // Capture state for the audit trail
+  const before = auditService.snapshot(flag);
+  
   // Get current settings
   const currentSettings = flag.environments.get(environment);
   
@@ -395,27 +744,20 @@ exports.addVariation = async (flagId, environment, userId, variationData) => {
   // Set updated settings
   flag.environments.set(environment, currentSettings);
   
-  // Update updatedBy field
-  flag.updatedBy = userId;
-  
-  // Save flag
-  await flag.save();
-  
-  return flag;
+  // Save the change, or propose it if the environment is protected
+  return commitEnvironmentChange(flag, environment, userId, 'variation.added', {
+    before,
+    description: options.changeDescription,
+    staged: Boolean(options.stagedFlag)
+  });
 };
 
 /**
  * Update variation
  */
-exports.updateVariation = async (flagId, environment, variationKey, userId, updateData) => {
-  // Find flag
-  const flag = await Flag.findById(flagId);
-  
-  if (!flag) {
-    const error = new Error('Flag not found');
-    error.statusCode = 404;
-    throw error;
-  }
+exports.updateVariation = async (flagId, environment, variationKey, userId, updateData, options = {}) => {
+  // Find flag at the expected version, unless the change is staged on a flag in memory
+  const flag = options.stagedFlag || await findFlagForUpdate(flagId, options.expectedVersion);
   
   // Check if environment exists
   if (!flag.environments.has(environment)) {
@@ -424,6 +766,9 @@ exports.updateVariation = async (flagId, environment, variationKey, userId, upda
     throw error;
   }
   
+  // Capture state for the audit trail
+  const before = auditService.snapshot(flag);
+  
   // Get current settings
   const currentSettings = flag.environments.get(environment);
   
@@ -447,27 +792,20 @@ exports.updateVariation = async (flagId, environment, variationKey, userId, upda
   // Set updated settings
   flag.environments.set(environment, currentSettings);
   
-  // Update updatedBy field
-  flag.updatedBy = userId;
-  
-  // Save flag
-  await flag.save();
-  
-  return flag;
+  // Save the change, or propose it if the environment is protected
+  return commitEnvironmentChange(flag, environment, userId, 'variation.updated', {
+    before, metadata: { variationKey },
+    description: options.changeDescription,
+    staged: Boolean(options.stagedFlag)
+  });
 };
 
 /**
  * Delete variation
  */
-exports.deleteVariation = async (flagId, environment, variationKey, userId) => {
-  // Find flag
-  const flag = await Flag.findById(flagId);
-  
-  if (!flag) {
-    const error = new Error('Flag not found');
-    error.statusCode = 404;
-    throw error;
-  }
+exports.deleteVariation = async (flagId, environment, variationKey, userId, options = {}) => {
+  // Find flag at the expected version, unless the change is staged on a flag in memory
+  const flag = options.stagedFlag || await findFlagForUpdate(flagId, options.expectedVersion);
   
   // Check if environment exists
   if (!flag.environments.has(environment)) {
@@ -476,6 +814,9 @@ exports.deleteVariation = async (flagId, environment, variationKey, userId) => {
     throw error;
   }
   
+  // Capture state for the audit trail
+  const before = auditService.snapshot(flag);
+  
   // Get current settings
   const currentSettings = flag.environments.get(environment);
   
@@ -490,6 +831,18 @@ exports.deleteVariation = async (flagId, environment, variationKey, userId) => {
     throw error;
   }
   
+  // Check if any rule still serves this variation
+  const servingRules = (currentSettings.rules || []).filter(
+    rule => Flag.getServedVariationKeys(rule).includes(variationKey)
+  );
+  
+  if (servingRules.length > 0) {
+    const ruleNames = servingRules.map(rule => rule.name || rule.type).join(', ');
+    const error = new Error(`Variation '${variationKey}' is served by rule(s): ${ruleNames}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
   // Check if it's the default variation
   if (currentSettings.defaultVariation === variationKey) {
     // Cannot delete default variation if it's the only one
@@ -512,27 +865,20 @@ exports.deleteVariation = async (flagId, environment, variationKey, userId) => {
   // Set updated settings
   flag.environments.set(environment, currentSettings);
   
-  // Update updatedBy field
-  flag.updatedBy = userId;
-  
-  // Save flag
-  await flag.save();
-  
-  return flag;
+  // Save the change, or propose it if the environment is protected
+  return commitEnvironmentChange(flag, environment, userId, 'variation.deleted', {
+    before, metadata: { variationKey },
+    description: options.changeDescription,
+    staged: Boolean(options.stagedFlag)
+  });
 };
 
 /**
  * Set default variation
  */
-exports.setDefaultVariation = async (flagId, environment, variationKey, userId) => {
-  // Find flag
-  const flag = await Flag.findById(flagId);
-  
-  if (!flag) {
-    const error = new Error('Flag not found');
-    error.statusCode = 404;
-    throw error;
-  }
+exports.setDefaultVariation = async (flagId, environment, variationKey, userId, options = {}) => {
+  // Find flag at the expected version, unless the change is staged on a flag in memory
+  const flag = options.stagedFlag || await findFlagForUpdate(flagId, options.expectedVersion);
   
   // Check if environment exists
   if (!flag.environments.has(environment)) {
@@ -541,6 +887,9 @@ exports.setDefaultVariation = async (flagId, environment, variationKey, userId)
     throw error;
   }
   
+  // Capture state for the audit trail
+  const before = auditService.snapshot(flag);
+  
   // Get current settings
   const currentSettings = flag.environments.get(environment);
   
@@ -561,11 +910,161 @@ exports.setDefaultVariation = async (flagId, environment, variationKey, userId)
   // Set updated settings
   flag.environments.set(environment, currentSettings);
   
+  // Save the change, or propose it if the environment is protected
+  return commitEnvironmentChange(flag, environment, userId, 'variation.default_set', {
+    before, metadata: { variationKey },
+    description: options.changeDescription,
+    staged: Boolean(options.stagedFlag)
+  });
+};
+
+/**
+ * Find a flag revision by number
+ */
+const findRevision = async (flagId, revision) => {
+  const flagRevision = await FlagRevision.findOne({ flag: flagId, revision })
+    .populate('actor', 'name email');
+  
+  if (!flagRevision) {
+    const error = new Error(`Revision ${revision} not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  return flagRevision;
+};
+
+/**
+ * Get the revisions of a flag, newest first (without their snapshots)
+ */
+exports.getFlagRevisions = async (flagId, options = {}) => {
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 500);
+  
+  const [revisions, total] = await Promise.all([
+    FlagRevision.find({ flag: flagId })
+      .select('-snapshot')
+      .sort({ revision: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actor', 'name email'),
+    FlagRevision.countDocuments({ flag: flagId })
+  ]);
+  
+  return {
+    revisions,
+    total,
+    page,
+    limit
+  };
+};
+
+/**
+ * Get a single flag revision with its snapshot
+ */
+exports.getFlagRevision = async (flagId, revision) => {
+  return findRevision(flagId, revision);
+};
+
+/**
+ * Compare two revisions of a flag
+ */
+exports.compareRevisions = async (flagId, from, to) => {
+  const [fromRevision, toRevision] = await Promise.all([
+    findRevision(flagId, from),
+    findRevision(flagId, to)
+  ]);
+  
+  return {
+    from,
+    to,
+    changes: diff(fromRevision.snapshot, toRevision.snapshot)
+  };
+};
+
+/**
+ * Restore a flag, or one of its environments, to a previous revision.
+ * The restore is saved as a new revision, so history is never rewritten.
+ */
+exports.restoreRevision = async (flagId, revision, userId, options = {}) => {
+  const { environment } = options;
+  
+  // Find flag at the expected version
+  const flag = await findFlagForUpdate(flagId, options.expectedVersion);
+  
+  const { snapshot } = await findRevision(flagId, revision);
+  
+  if (environment) {
+    if (!flag.environments.has(environment)) {
+      const error = new Error(`Environment '${environment}' not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    if (!snapshot.environments[environment]) {
+      const error = new Error(`Revision ${revision} has no settings for environment '${environment}'`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+  
+  // Restored prerequisites must still exist and must not create a cycle
+  const environments = environment ? [environment] : Array.from(flag.environments.keys());
+  for (const env of environments) {
+    if (snapshot.environments[env]) {
+      await validatePrerequisites(flag, env, snapshot.environments[env].prerequisites || []);
+    }
+  }
+  
+  // Protected environments can only be restored one at a time, through a change request
+  if (!environment) {
+    const project = await Project.findById(flag.project);
+    const current = flag.getRevisionSnapshot();
+    const protectedEnvironments = environments.filter(env => (
+      project.getEnvironmentProtection(env) &&
+      snapshot.environments[env] &&
+      diff(current.environments[env], snapshot.environments[env]).length > 0
+    ));
+    
+    if (protectedEnvironments.length > 0) {
+      const error = new Error(`Protected environment(s) ${protectedEnvironments.join(', ')} must be restored individually`);
+      error.statusCode = 403;
+      throw error;
+    }
+    
+    await assertHoldoutUnprotected(flag, snapshot.holdout);
+  }
+  
+  // Capture state for the audit trail
+  const before = auditService.snapshot(flag);
+  
+  // Restore configuration
+  flag.applyRevisionSnapshot(snapshot, environment);
+  flag.$locals.restoredFrom = revision;
+  
+  if (environment) {
+    // Save the change, or propose it if the environment is protected
+    return commitEnvironmentChange(flag, environment, userId, 'flag.restored', {
+      before,
+      metadata: { revision },
+      description: options.changeDescription
+    });
+  }
+  
   // Update updatedBy field
   flag.updatedBy = userId;
   
-  // Save flag
-  await flag.save();
+  // Save flag as a new revision
+  await saveFlag(flag);
+  
+  // Record change in audit log
+  await auditService.recordFlagChange(flag, 'flag.restored', userId, {
+    before,
+    metadata: { revision }
+  });
+  
+  // Notify streaming SDK clients
+  streamService.publishFlagChange(flag);
   
   return flag;
-};
\ No newline at end of file
+};
@@ -0,0 +1,132 @@
+// src/services/guard.service.js
+const Evaluation = require('../models/evaluation.model');
+const Flag = require('../models/flag.model');
+const eventService = require('./event.service');
+
+/**
+ * Guard metrics for progressive rollouts.
+ *
+ * While a rollout ramps, users served by its PERCENTAGE rule (treatment) are
+ * compared with the users who reached the rule but were bucketed out of it
+ * (control): those who fell through or matched a rule ranked below it. Users
+ * served by a rule ranked above it never reach the rollout and are left out.
+ * Groups are built from the evaluations recorded since the rollout started,
+ * and a user who was served by the rule at least once counts as treatment. Each guard
+ * aggregates one event key per group:
+ *   - rate: share of users with at least one event (e.g. errors)
+ *   - mean: average event value per user (e.g. latency or revenue)
+ * A guard is breached when both groups have `minSampleSize` users and the
+ * treatment is worse than the control by more than `threshold` percent. If
+ * the control value is 0, any worse treatment value is a breach.
+ */
+
+/**
+ * Get the IDs of the rollout's rule and of the rules evaluated after it, in the current rule order
+ */
+const getReachedRuleIds = async (rollout) => {
+  const flag = await Flag.findById(rollout.flag);
+  const envSettings = flag && flag.environments.get(rollout.environment);
+  const ruleIds = [...(envSettings ? envSettings.rules : [])]
+    .sort((a, b) => b.priority - a.priority)
+    .map(rule => rule._id.toString());
+  const position = ruleIds.indexOf(rollout.ruleId.toString());
+
+  return position === -1 ? [rollout.ruleId.toString()] : ruleIds.slice(position);
+};
+
+/**
+ * Split the users who reached the rollout's rule into treatment and control
+ */
+const getGroups = async (rollout) => {
+  const reachedRuleIds = await getReachedRuleIds(rollout);
+
+  const users = await Evaluation.aggregate([
+    {
+      $match: {
+        project: rollout.project,
+        flag: rollout.flag,
+        environment: rollout.environment,
+        userId: { $nin: [null, ''] },
+        $or: [
+          { 'reason.kind': 'FALLTHROUGH' },
+          { 'reason.kind': 'RULE_MATCH', 'reason.ruleId': { $in: reachedRuleIds } }
+        ],
+        timestamp: { $gte: rollout.createdAt }
+      }
+    },
+    {
+      $group: {
+        _id: '$userId',
+        treated: { $max: { $cond: [{ $eq: ['$reason.ruleId', rollout.ruleId] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return {
+    treatment: users.filter(user => user.treated === 1).map(user => user._id),
+    control: users.filter(user => user.treated === 0).map(user => user._id)
+  };
+};
+
+/**
+ * Aggregate a guard's metric over a group of users
+ */
+const measure = (guard, userIds, totals) => {
+  let value = 0;
+
+  if (userIds.length > 0) {
+    const userTotals = userIds.map(userId => totals.get(userId)).filter(Boolean);
+    value = guard.aggregation === 'mean'
+      ? userTotals.reduce((sum, total) => sum + total.sum, 0) / userIds.length
+      : userTotals.filter(total => total.count > 0).length / userIds.length;
+  }
+
+  return { users: userIds.length, value };
+};
+
+/**
+ * Compare treatment against control for every guard of a rollout.
+ * Returns one result per guard: { eventKey, treatment, control, change, breached },
+ * where `change` is the relative difference in percent (null if control is 0).
+ */
+exports.evaluateGuards = async (rollout) => {
+  const groups = await getGroups(rollout);
+  const results = [];
+
+  for (const guard of rollout.guards) {
+    const totals = await eventService.getUserTotals(
+      rollout.project,
+      rollout.environment,
+      guard.eventKey,
+      rollout.createdAt
+    );
+
+    const treatment = measure(guard, groups.treatment, totals);
+    const control = measure(guard, groups.control, totals);
+
+    const change = control.value === 0
+      ? null
+      : ((treatment.value - control.value) / control.value) * 100;
+
+    // Positive when the treatment is worse
+    const regression = guard.direction === 'decrease'
+      ? control.value - treatment.value
+      : treatment.value - control.value;
+    const relativeRegression = change === null
+      ? (regression > 0 ? Infinity : 0)
+      : (guard.direction === 'decrease' ? -change : change);
+
+    const hasSamples = treatment.users >= guard.minSampleSize && control.users >= guard.minSampleSize;
+
+    results.push({
+      eventKey: guard.eventKey,
+      aggregation: guard.aggregation,
+      treatment,
+      control,
+      change,
+      breached: hasSamples && relativeRegression > guard.threshold
+    });
+  }
+
+  return results;
+};
@@ -0,0 +1,231 @@
+// src/services/holdout.service.js
+const crypto = require('crypto');
+const Project = require('../models/project.model');
+const Flag = require('../models/flag.model');
+const Evaluation = require('../models/evaluation.model');
+const eventService = require('./event.service');
+const auditService = require('./audit.service');
+const streamService = require('./stream.service');
+const stats = require('../utils/stats');
+
+/**
+ * Global holdout.
+ *
+ * A project's holdout is a share of its users, bucketed with the project's own
+ * salt, who get the default value of every flag opted into it (`Flag#holdout`),
+ * with the reason HOLDOUT. Comparing them with everyone else exposed to those
+ * flags measures the combined impact of what the flags ship.
+ *
+ * Changing the holdout moves users of every opted-in flag, which cannot go
+ * through a change request, so it is refused while protected environments
+ * have opted-in flags. For the same reason, flags of protected environments
+ * cannot be opted in or out, directly or by restoring a revision (see
+ * flag.service.js).
+ *
+ * Results count the users with a recorded evaluation of an opted-in flag in the
+ * window, which starts when the holdout's users last changed. Evaluations of
+ * flags that were off or failed are left out, since they return before the
+ * holdout is checked. A user counts for the holdout if any of their evaluations
+ * was held out. Metrics are built from custom events as for experiments, only
+ * counting a user's events after their first evaluation, and the population is
+ * compared with the holdout as control.
+ */
+
+/**
+ * Find a project
+ */
+const findProject = async (projectId) => {
+  const project = await Project.findById(projectId);
+
+  if (!project) {
+    const error = new Error('Project not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return project;
+};
+
+/**
+ * Reject holdout changes while opted-in flags are served in a protected environment, whose changes need approval
+ */
+const assertUnprotected = async (project) => {
+  const protectedEnvironments = project.environments.filter(environment => project.getEnvironmentProtection(environment));
+
+  if (protectedEnvironments.length === 0) {
+    return;
+  }
+
+  const hasFlags = await Flag.exists({ project: project._id, holdout: true });
+
+  if (hasFlags) {
+    const error = new Error(
+      `Environment '${protectedEnvironments[0]}' is protected, so the holdout cannot change while flags are opted into it`
+    );
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+/**
+ * Get each user evaluated for an opted-in flag in a window, with whether they were held out.
+ * Returns a Map of userId to { heldOut, exposedAt }.
+ */
+const getExposures = async (projectId, flagIds, environment, start, end) => {
+  const users = await Evaluation.aggregate([
+    {
+      $match: {
+        project: projectId,
+        flag: { $in: flagIds },
+        environment,
+        userId: { $nin: [null, ''] },
+        // Off flags and errors return before the holdout is checked
+        'reason.kind': { $nin: ['OFF', 'ERROR'] },
+        timestamp: { $gte: start, $lte: end }
+      }
+    },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: '$userId',
+        heldOut: { $max: { $eq: ['$reason.kind', 'HOLDOUT'] } },
+        exposedAt: { $first: '$timestamp' }
+      }
+    }
+  ]).allowDiskUse(true);
+
+  return new Map(users.map(({ _id, heldOut, exposedAt }) => [_id, { heldOut, exposedAt }]));
+};
+
+/**
+ * Get a project's holdout settings and the flags opted into it
+ */
+exports.getHoldout = async (projectId) => {
+  const project = await findProject(projectId);
+  const flags = await Flag.find({ project: project._id, holdout: true })
+    .select('key')
+    .sort({ key: 1 });
+
+  return {
+    percentage: project.holdout.percentage,
+    bucketBy: project.holdout.bucketBy,
+    startedAt: project.holdout.startedAt || null,
+    flags: flags.map(flag => ({ _id: flag._id, key: flag.key }))
+  };
+};
+
+/**
+ * Change the share of users held out, or the attribute they are bucketed by.
+ * Either change moves users in or out of the holdout, so results start over.
+ */
+exports.updateHoldout = async (projectId, userId, { percentage, bucketBy }) => {
+  const project = await findProject(projectId);
+  const before = auditService.snapshot(project);
+  const { holdout } = project;
+
+  const isChanged = (percentage !== undefined && percentage !== holdout.percentage) ||
+    (bucketBy !== undefined && bucketBy !== holdout.bucketBy);
+
+  if (!isChanged) {
+    return exports.getHoldout(projectId);
+  }
+
+  await assertUnprotected(project);
+
+  if (percentage !== undefined) {
+    holdout.percentage = percentage;
+  }
+  if (bucketBy !== undefined) {
+    holdout.bucketBy = bucketBy;
+  }
+  if (!holdout.salt) {
+    holdout.salt = crypto.randomBytes(8).toString('hex');
+  }
+  holdout.startedAt = new Date();
+
+  await project.save();
+
+  await auditService.recordProjectChange(project, 'holdout.updated', userId, {
+    before,
+    metadata: { percentage: holdout.percentage, bucketBy: holdout.bucketBy }
+  });
+
+  // Every opted-in flag changes, so SDK clients get the full rule sets
+  await streamService.publishRuleset(project._id, project.environments);
+
+  return exports.getHoldout(projectId);
+};
+
+/**
+ * Compare a metric between the holdout and the rest of the users exposed to opted-in flags
+ */
+exports.getResults = async (projectId, options) => {
+  const {
+    environment,
+    eventKey,
+    aggregation = 'rate',
+    direction = 'increase',
+    confidenceLevel = 95
+  } = options;
+  const project = await findProject(projectId);
+
+  if (!project.environments.includes(environment)) {
+    const error = new Error(`Environment '${environment}' does not exist`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const window = {
+    start: options.startDate ? new Date(options.startDate) : (project.holdout.startedAt || project.createdAt),
+    end: options.endDate ? new Date(options.endDate) : new Date()
+  };
+
+  const flagIds = await Flag.find({ project: project._id, holdout: true }).distinct('_id');
+  const [exposures, userEvents] = await Promise.all([
+    getExposures(project._id, flagIds, environment, window.start, window.end),
+    eventService.getUserEvents(project._id, environment, eventKey, window.start, window.end)
+  ]);
+
+  // Per-user outcome, from events after the user's first evaluation
+  const outcomes = { holdout: [], population: [] };
+
+  for (const [userId, exposure] of exposures) {
+    const events = (userEvents.get(userId) || []).filter(event => event.timestamp >= exposure.exposedAt);
+    const outcome = aggregation === 'mean'
+      ? events.reduce((sum, event) => sum + (typeof event.value === 'number' ? event.value : 0), 0)
+      : Number(events.length > 0);
+
+    outcomes[exposure.heldOut ? 'holdout' : 'population'].push(outcome);
+  }
+
+  const confidence = confidenceLevel / 100;
+  const summarize = (values) => (aggregation === 'mean'
+    ? stats.summarizeMean(values, confidence)
+    : stats.summarizeRate(values.filter(Boolean).length, values.length, confidence));
+  const compare = aggregation === 'mean' ? stats.compareMeans : stats.compareRates;
+
+  const holdout = summarize(outcomes.holdout);
+  const population = summarize(outcomes.population);
+  const { pValue, probabilityToBeatControl } = compare(holdout, population);
+
+  return {
+    environment,
+    window,
+    holdout: {
+      percentage: project.holdout.percentage,
+      startedAt: project.holdout.startedAt || null,
+      flags: flagIds.length
+    },
+    metric: { eventKey, aggregation, direction },
+    confidenceLevel,
+    groups: { holdout, population },
+    // Relative difference of the population from the holdout in percent (null if the holdout is 0)
+    change: holdout.value === 0 ? null : ((population.value - holdout.value) / holdout.value) * 100,
+    pValue,
+    // Probability that the population does better than the holdout in the metric's direction
+    probabilityToBeatHoldout: probabilityToBeatControl === null || direction === 'increase'
+      ? probabilityToBeatControl
+      : 1 - probabilityToBeatControl,
+    significant: pValue !== null && pValue < 1 - confidence
+  };
+};
@@ -0,0 +1,476 @@
+// src/services/layer.service.js
+const Layer = require('../models/layer.model');
+const Flag = require('../models/flag.model');
+const Project = require('../models/project.model');
+const auditService = require('./audit.service');
+const streamService = require('./stream.service');
+const { BUCKET_SCALE, percentageToBuckets } = require('../utils/bucketing');
+
+/**
+ * Layers of mutually exclusive flags.
+ *
+ * A layer hashes every context onto BUCKET_SCALE buckets with its own salt and
+ * gives each of its flags a slice: ranges of buckets that no other slice of the
+ * layer uses. The bucketed rules of a flag in a layer (percentage rollouts and
+ * weighted splits) only apply to contexts in its slice, so a user lands in at
+ * most one flag of the layer. Other rules, such as targeting specific
+ * segments, are not affected.
+ *
+ * Slices take the first free buckets and keep them while they exist: growing a
+ * slice adds free buckets, shrinking it gives up its last ones, so users only
+ * move in or out of a flag when its own slice changes. Each flag copies its
+ * slice (see Flag#layer), which lets flags be evaluated on their own.
+ *
+ * Copies are saved through the flag, so they get a revision and an audit entry.
+ * A copy never holds buckets its slice does not: slices grow before their copy
+ * and shrink after it, so a failed save leaves buckets unused rather than
+ * shared. A slice change moves users in every environment of the flag and
+ * cannot go through a change request, so it is refused for flags in a
+ * protected environment.
+ */
+
+// Fields that can be changed after a layer is created (the salt and bucket-by attribute are fixed)
+const EDITABLE_FIELDS = ['name', 'description'];
+
+/**
+ * Find a layer in a project
+ */
+const findLayer = async (projectId, layerId) => {
+  const layer = await Layer.findOne({ _id: layerId, project: projectId });
+
+  if (!layer) {
+    const error = new Error('Layer not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return layer;
+};
+
+/**
+ * Find a flag in a project
+ */
+const findFlag = async (projectId, flagId) => {
+  const flag = await Flag.findOne({ _id: flagId, project: projectId });
+
+  if (!flag) {
+    const error = new Error('Flag not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return flag;
+};
+
+/**
+ * Find a flag's slice in a layer
+ */
+const findSlice = (layer, flagId) => {
+  const slice = layer.slices.find(entry => entry.flag.toString() === flagId.toString());
+
+  if (!slice) {
+    const error = new Error('Flag is not in this layer');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return slice;
+};
+
+/**
+ * Count the buckets in a list of ranges
+ */
+const countBuckets = (ranges) => ranges.reduce((sum, range) => sum + range.end - range.start, 0);
+
+/**
+ * Get the bucket ranges no slice uses, in order
+ */
+const getFreeRanges = (slices) => {
+  const used = slices
+    .flatMap(slice => slice.ranges)
+    .sort((a, b) => a.start - b.start);
+  const free = [];
+  let start = 0;
+
+  for (const range of used) {
+    if (range.start > start) {
+      free.push({ start, end: range.start });
+    }
+    start = Math.max(start, range.end);
+  }
+
+  if (start < BUCKET_SCALE) {
+    free.push({ start, end: BUCKET_SCALE });
+  }
+
+  return free;
+};
+
+/**
+ * Take a number of buckets from the first free ranges
+ */
+const allocate = (freeRanges, buckets) => {
+  const ranges = [];
+  let remaining = buckets;
+
+  for (const range of freeRanges) {
+    if (remaining === 0) {
+      break;
+    }
+
+    const end = Math.min(range.end, range.start + remaining);
+    ranges.push({ start: range.start, end });
+    remaining -= end - range.start;
+  }
+
+  return ranges;
+};
+
+/**
+ * Sort ranges and join the adjacent ones
+ */
+const mergeRanges = (ranges) => [...ranges]
+  .sort((a, b) => a.start - b.start)
+  .reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+
+    if (last && last.end === range.start) {
+      last.end = range.end;
+    } else {
+      merged.push({ start: range.start, end: range.end });
+    }
+
+    return merged;
+  }, []);
+
+/**
+ * Keep the first buckets of a slice's ranges
+ */
+const truncate = (ranges, buckets) => {
+  const kept = [];
+  let remaining = buckets;
+
+  for (const range of ranges) {
+    if (remaining === 0) {
+      break;
+    }
+
+    const end = Math.min(range.end, range.start + remaining);
+    kept.push({ start: range.start, end });
+    remaining -= end - range.start;
+  }
+
+  return kept;
+};
+
+/**
+ * Check a layer has enough free buckets
+ */
+const assertFreeBuckets = (layer, freeRanges, buckets) => {
+  const free = countBuckets(freeRanges);
+
+  if (buckets > free) {
+    const error = new Error(
+      `Layer '${layer.key}' only has ${free / (BUCKET_SCALE / 100)}% of its traffic free`
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+/**
+ * Build the copy of a flag's slice stored on the flag
+ */
+const toFlagSlice = (layer, slice) => ({
+  key: layer.key,
+  salt: layer.salt,
+  bucketBy: layer.bucketBy,
+  ranges: slice.ranges.map(({ start, end }) => ({ start, end }))
+});
+
+/**
+ * Reject slice changes of flags in protected environments, whose changes need approval
+ */
+const assertUnprotected = async (flag) => {
+  const project = await Project.findById(flag.project);
+  const environment = Array.from(flag.environments.keys())
+    .find(env => project.getEnvironmentProtection(env));
+
+  if (environment) {
+    const error = new Error(`Environment '${environment}' is protected, so flag '${flag.key}' cannot change its layer slice`);
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+/**
+ * Save a flag's slice on the flag (null to remove it), audit it and notify streaming SDK clients
+ */
+const syncFlag = async (flag, layer, flagSlice, userId) => {
+  const before = auditService.snapshot(flag);
+
+  flag.layer = flagSlice;
+  flag.updatedBy = userId;
+  await flag.save();
+
+  await auditService.recordFlagChange(flag, 'flag.updated', userId, {
+    before,
+    metadata: { layer: layer.key }
+  });
+  streamService.publishFlagChange(flag);
+};
+
+/**
+ * Remove a slice that could not be copied to its flag
+ */
+const releaseSlice = (layer, slice) => Layer.updateOne(
+  { _id: layer._id },
+  { $pull: { slices: { flag: slice.flag } }, $inc: { __v: 1 } }
+);
+
+/**
+ * Record a layer action in the audit log
+ */
+const recordEvent = (layer, action, userId, { flag, before = null, metadata } = {}) => auditService.record({
+  projectId: layer.project,
+  flag,
+  action: `layer.${action}`,
+  userId,
+  before,
+  after: action === 'deleted' ? null : auditService.snapshot(layer),
+  metadata: { layerKey: layer.key, ...metadata }
+});
+
+/**
+ * Describe how a layer's traffic is allocated
+ */
+const getAllocation = (layer) => {
+  const freeRanges = getFreeRanges(layer.slices);
+  const allocated = BUCKET_SCALE - countBuckets(freeRanges);
+
+  return {
+    // Percentages of the layer's traffic
+    allocated: allocated / (BUCKET_SCALE / 100),
+    free: (BUCKET_SCALE - allocated) / (BUCKET_SCALE / 100),
+    freeRanges
+  };
+};
+
+/**
+ * Create a layer
+ */
+exports.createLayer = async (projectId, userId, data) => {
+  const existing = await Layer.exists({ project: projectId, key: data.key });
+
+  if (existing) {
+    const error = new Error(`Layer with key '${data.key}' already exists`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const layer = await Layer.create({
+    key: data.key,
+    name: data.name,
+    description: data.description,
+    project: projectId,
+    bucketBy: data.bucketBy,
+    createdBy: userId,
+    updatedBy: userId
+  });
+
+  await recordEvent(layer, 'created', userId);
+
+  return layer;
+};
+
+/**
+ * Get the layers of a project with their allocation
+ */
+exports.getLayers = async (projectId) => {
+  const layers = await Layer.find({ project: projectId }).sort({ key: 1 });
+
+  return layers.map(layer => ({ ...layer.toJSON(), allocation: getAllocation(layer) }));
+};
+
+/**
+ * Get a layer with its allocation
+ */
+exports.getLayerById = async (projectId, layerId) => {
+  const layer = await Layer.findOne({ _id: layerId, project: projectId })
+    .populate('createdBy', 'name email')
+    .populate('updatedBy', 'name email');
+
+  if (!layer) {
+    const error = new Error('Layer not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return { ...layer.toJSON(), allocation: getAllocation(layer) };
+};
+
+/**
+ * Update a layer's name or description
+ */
+exports.updateLayer = async (projectId, layerId, userId, data) => {
+  const layer = await findLayer(projectId, layerId);
+  const before = auditService.snapshot(layer);
+
+  for (const field of EDITABLE_FIELDS) {
+    if (data[field] !== undefined) {
+      layer[field] = data[field];
+    }
+  }
+  layer.updatedBy = userId;
+
+  await layer.save();
+  await recordEvent(layer, 'updated', userId, { before });
+
+  return exports.getLayerById(projectId, layerId);
+};
+
+/**
+ * Delete a layer without flags
+ */
+exports.deleteLayer = async (projectId, layerId, userId) => {
+  const layer = await findLayer(projectId, layerId);
+
+  if (layer.slices.length > 0) {
+    const flagKeys = layer.slices.map(slice => slice.flagKey).join(', ');
+    const error = new Error(`Layer '${layer.key}' still has flag(s): ${flagKeys}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const before = auditService.snapshot(layer);
+
+  // Delete layer, unless a flag was added since it was loaded
+  const { deletedCount } = await Layer.deleteOne({ _id: layer._id, __v: layer.__v });
+
+  if (deletedCount === 0) {
+    const error = new Error('This resource was modified by another request. Reload it and try again');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  await recordEvent(layer, 'deleted', userId, { before });
+
+  return { success: true };
+};
+
+/**
+ * Add a flag to a layer with a share of its free traffic. A flag belongs to one layer at most.
+ */
+exports.addFlag = async (projectId, layerId, userId, { flag: flagId, percentage }) => {
+  const layer = await findLayer(projectId, layerId);
+  const flag = await findFlag(projectId, flagId);
+
+  if (flag.layer) {
+    const error = new Error(`Flag '${flag.key}' is already in layer '${flag.layer.key}'`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const buckets = percentageToBuckets(percentage);
+  const freeRanges = getFreeRanges(layer.slices);
+  assertFreeBuckets(layer, freeRanges, buckets);
+
+  await assertUnprotected(flag);
+
+  layer.slices.push({
+    flag: flag._id,
+    flagKey: flag.key,
+    percentage,
+    ranges: allocate(freeRanges, buckets)
+  });
+  layer.updatedBy = userId;
+  const slice = layer.slices[layer.slices.length - 1];
+
+  await layer.save();
+
+  // The flag's version check keeps it from joining two layers at once
+  try {
+    await syncFlag(flag, layer, toFlagSlice(layer, slice), userId);
+  } catch (error) {
+    await releaseSlice(layer, slice);
+    throw error;
+  }
+
+  await recordEvent(layer, 'flag_added', userId, { flag, metadata: { percentage } });
+
+  return exports.getLayerById(projectId, layerId);
+};
+
+/**
+ * Change the share of a layer's traffic assigned to a flag
+ */
+exports.updateFlag = async (projectId, layerId, flagId, userId, { percentage }) => {
+  const layer = await findLayer(projectId, layerId);
+  const slice = findSlice(layer, flagId);
+  const flag = await findFlag(projectId, flagId);
+  const previous = slice.percentage;
+
+  await assertUnprotected(flag);
+
+  const buckets = percentageToBuckets(percentage);
+  const current = countBuckets(slice.ranges);
+
+  if (buckets > current) {
+    const freeRanges = getFreeRanges(layer.slices);
+    assertFreeBuckets(layer, freeRanges, buckets - current);
+    slice.ranges = mergeRanges([...slice.ranges, ...allocate(freeRanges, buckets - current)]);
+  } else {
+    slice.ranges = truncate(slice.ranges, buckets);
+  }
+  slice.percentage = percentage;
+  layer.updatedBy = userId;
+
+  // Growing slices are saved before the flag and shrinking ones after it
+  if (buckets > current) {
+    await layer.save();
+    await syncFlag(flag, layer, toFlagSlice(layer, slice), userId);
+  } else {
+    await syncFlag(flag, layer, toFlagSlice(layer, slice), userId);
+    await layer.save();
+  }
+
+  await recordEvent(layer, 'flag_updated', userId, {
+    flag: { _id: slice.flag, key: slice.flagKey },
+    metadata: { percentage, previousPercentage: previous }
+  });
+
+  return exports.getLayerById(projectId, layerId);
+};
+
+/**
+ * Remove a flag from a layer, freeing its traffic
+ */
+exports.removeFlag = async (projectId, layerId, flagId, userId) => {
+  const layer = await findLayer(projectId, layerId);
+  const slice = findSlice(layer, flagId);
+  const flag = await findFlag(projectId, flagId);
+
+  await assertUnprotected(flag);
+
+  layer.slices = layer.slices.filter(entry => entry !== slice);
+  layer.updatedBy = userId;
+
+  await syncFlag(flag, layer, null, userId);
+  await layer.save();
+  await recordEvent(layer, 'flag_removed', userId, {
+    flag: { _id: slice.flag, key: slice.flagKey },
+    metadata: { percentage: slice.percentage }
+  });
+
+  return exports.getLayerById(projectId, layerId);
+};
+
+/**
+ * Free the slice of a deleted flag
+ */
+exports.releaseFlag = async (flag) => {
+  await Layer.updateOne(
+    { project: flag.project, 'slices.flag': flag._id },
+    { $pull: { slices: { flag: flag._id } }, $inc: { __v: 1 } }
+  );
+};
@@ -2,6 +2,67 @@
 // src/services/project.service.js
 const Project = require('../models/project.model');
 const Flag = require('../models/flag.model');
+const Segment = require('../models/segment.model');
+const Evaluation = require('../models/evaluation.model');
+const FlagRevision = require('../models/revision.model');
+const ChangeRequest = require('../models/changeRequest.model');
+const Layer = require('../models/layer.model');
+const Webhook = require('../models/webhook.model');
+const SrmCheck = require('../models/srmCheck.model');
+const Event = require('../models/event.model');
+const StreamEvent = require('../models/streamEvent.model');
+const auditService = require('./audit.service');
+const flagService = require('./flag.service');
+
+/**
+ * Give every flag in a project settings for an environment, optionally cloned
+ * from a source environment. Returns the number of flags seeded.
+ */
+const seedFlagEnvironments = async (projectId, environment, userId, sourceEnvironment) => {
+  const flags = await Flag.find({ project: projectId });
+  
+  for (const flag of flags) {
+    const before = auditService.snapshot(flag);
+    
+    flag.seedEnvironment(environment, sourceEnvironment);
+    flag.updatedBy = userId;
+    await flag.save();
+    
+    await auditService.recordFlagChange(flag, 'flag.environment_added', userId, {
+      environment,
+      before,
+      metadata: sourceEnvironment ? { cloneFrom: sourceEnvironment } : undefined
+    });
+  }
+  
+  return flags.length;
+};
+
+/**
+ * Remove an environment's settings from every flag in a project.
+ * Returns the number of flags updated.
+ */
+const removeFlagEnvironments = async (projectId, environment, userId) => {
+  const flags = await Flag.find({ project: projectId });
+  let updated = 0;
+  
+  for (const flag of flags) {
+    if (!flag.environments.has(environment)) {
+      continue;
+    }
+    
+    const before = auditService.snapshot(flag);
+    
+    flag.environments.delete(environment);
+    flag.updatedBy = userId;
+    await flag.save();
+    
+    await auditService.recordFlagChange(flag, 'flag.environment_removed', userId, { environment, before });
+    updated += 1;
+  }
+  
+  return updated;
+};
 
 /**
  * Create a new project
@@ -17,6 +78,9 @@ exports.createProject = async (userId, projectData) => {
     owner: userId
   });
   
+  // Record change in audit log
+  await auditService.recordProjectChange(project, 'project.created', userId);
+  
   return project;
 };
 
@@ -55,15 +119,11 @@ exports.getProjectById = async (projectId) => {
 /**
  * Update project
  */
-exports.updateProject = async (projectId, updateData) => {
+exports.updateProject = async (projectId, userId, updateData) => {
   const { name, description } = updateData;
   
-  // Find project and update
-  const project = await Project.findByIdAndUpdate(
-    projectId,
-    { name, description },
-    { new: true, runValidators: true }
-  );
+  // Find project
+  const project = await Project.findById(projectId);
   
   if (!project) {
     const error = new Error('Project not found');
@@ -71,13 +131,26 @@ exports.updateProject = async (projectId, updateData) => {
     throw error;
   }
   
+  // Capture state for the audit trail
+  const before = auditService.snapshot(project);
+  
+  // Update provided fields
+  if (name !== undefined) project.name = name;
+  if (description !== undefined) project.description = description;
+  
+  // Save project
+  await project.save();
+  
+  // Record change in audit log
+  await auditService.recordProjectChange(project, 'project.updated', userId, { before });
+  
   return project;
 };
 
 /**
  * Delete project
  */
-exports.deleteProject = async (projectId) => {
+exports.deleteProject = async (projectId, userId) => {
   // Find project and delete
   const project = await Project.findByIdAndDelete(projectId);
   
@@ -90,13 +163,45 @@ exports.deleteProject = async (projectId) => {
   // Delete all flags associated with project
   await Flag.deleteMany({ project: projectId });
   
+  // Delete all segments associated with project
+  await Segment.deleteMany({ project: projectId });
+  
+  // Stop scheduled changes, rollouts and experiments, whose flags are gone
+  const stopped = await flagService.cancelPendingWork({ project: project._id }, userId, `Project '${project.name}' was deleted`);
+  
+  // Delete the rest of the project's data but keep its audit log. Revisions are
+  // append-only, so they bypass the model's middleware.
+  const cleanup = { project: project._id };
+  await Promise.all([
+    Layer.deleteMany(cleanup),
+    Webhook.deleteMany(cleanup),
+    ChangeRequest.deleteMany(cleanup),
+    SrmCheck.deleteMany(cleanup),
+    Evaluation.deleteMany(cleanup),
+    Event.deleteMany(cleanup),
+    StreamEvent.deleteMany(cleanup),
+    FlagRevision.collection.deleteMany(cleanup)
+  ]);
+  
+  // Record change in audit log
+  await auditService.record({
+    projectId: project._id,
+    action: 'project.deleted',
+    userId,
+    before: auditService.snapshot(project),
+    metadata: stopped
+  });
+  
   return { success: true };
 };
 
 /**
- * Add environment to project
+ * Add environment to project and seed it on every flag.
+ * Pass `options.cloneFrom` to copy each flag's settings from an existing environment.
  */
-exports.addEnvironment = async (projectId, environment) => {
+exports.addEnvironment = async (projectId, environment, userId, options = {}) => {
+  const { cloneFrom } = options;
+  
   // Find project
   const project = await Project.findById(projectId);
   
@@ -106,6 +211,15 @@ exports.addEnvironment = async (projectId, environment) => {
     throw error;
   }
   
+  if (cloneFrom && !project.environments.includes(cloneFrom)) {
+    const error = new Error(`Source environment '${cloneFrom}' does not exist`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  // Capture state for the audit trail
+  const before = auditService.snapshot(project);
+  
   try {
     // Add environment
     const apiKey = project.addEnvironment(environment);
@@ -113,9 +227,20 @@ exports.addEnvironment = async (projectId, environment) => {
     // Save project
     await project.save();
     
+    // Seed every flag, replacing any settings left over from an environment with the same name
+    const flagsSeeded = await seedFlagEnvironments(project._id, environment, userId, cloneFrom);
+    
+    // Record change in audit log
+    await auditService.recordProjectChange(project, 'environment.added', userId, {
+      environment,
+      before,
+      metadata: { cloneFrom: cloneFrom || null, flagsSeeded }
+    });
+    
     return {
       environment,
-      apiKey
+      apiKey,
+      flagsSeeded
     };
   } catch (error) {
     // Pass through error from model method
@@ -124,9 +249,9 @@ exports.addEnvironment = async (projectId, environment) => {
 };
 
 /**
- * Remove environment from project
+ * Remove environment from project, along with its flag settings and evaluations
  */
-exports.removeEnvironment = async (projectId, environment) => {
+exports.removeEnvironment = async (projectId, environment, userId) => {
   // Find project
   const project = await Project.findById(projectId);
   
@@ -136,6 +261,9 @@ exports.removeEnvironment = async (projectId, environment) => {
     throw error;
   }
   
+  // Capture state for the audit trail
+  const before = auditService.snapshot(project);
+  
   try {
     // Remove environment
     project.removeEnvironment(environment);
@@ -143,6 +271,17 @@ exports.removeEnvironment = async (projectId, environment) => {
     // Save project
     await project.save();
     
+    // Clean up flag settings and evaluation history
+    const flagsUpdated = await removeFlagEnvironments(project._id, environment, userId);
+    const { deletedCount } = await Evaluation.deleteMany({ project: project._id, environment });
+    
+    // Record change in audit log
+    await auditService.recordProjectChange(project, 'environment.removed', userId, {
+      environment,
+      before,
+      metadata: { flagsUpdated, evaluationsDeleted: deletedCount }
+    });
+    
     return { success: true };
   } catch (error) {
     // Pass through error from model method
@@ -150,10 +289,145 @@ exports.removeEnvironment = async (projectId, environment) => {
   }
 };
 
+/**
+ * Make API keys, flag settings and evaluations consistent with the project's environments
+ */
+exports.repairEnvironments = async (projectId, userId) => {
+  // Find project
+  const project = await Project.findById(projectId);
+  
+  if (!project) {
+    const error = new Error('Project not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  const report = {
+    apiKeysAdded: [],
+    apiKeysRemoved: [],
+    flags: [],
+    evaluationsDeleted: 0
+  };
+  
+  // Every environment needs an API key, and keys of unknown environments are revoked
+  const before = auditService.snapshot(project);
+  
+  for (const environment of project.environments) {
+    if (!project.apiKeys.has(environment)) {
+      project.regenerateApiKey(environment);
+      report.apiKeysAdded.push(environment);
+    }
+  }
+  
+  for (const environment of Array.from(project.apiKeys.keys())) {
+    if (!project.environments.includes(environment)) {
+      project.apiKeys.delete(environment);
+      report.apiKeysRemoved.push(environment);
+    }
+  }
+  
+  if (report.apiKeysAdded.length > 0 || report.apiKeysRemoved.length > 0) {
+    await project.save();
+  }
+  
+  // Flags get settings for missing environments and lose settings for unknown ones
+  const flags = await Flag.find({ project: project._id });
+  
+  for (const flag of flags) {
+    const flagEnvironments = Array.from(flag.environments.keys());
+    const added = project.environments.filter(environment => !flag.environments.has(environment));
+    const removed = flagEnvironments.filter(environment => !project.environments.includes(environment));
+    
+    if (added.length === 0 && removed.length === 0) {
+      continue;
+    }
+    
+    const flagBefore = auditService.snapshot(flag);
+    
+    added.forEach(environment => flag.seedEnvironment(environment));
+    removed.forEach(environment => flag.environments.delete(environment));
+    flag.updatedBy = userId;
+    await flag.save();
+    
+    await auditService.recordFlagChange(flag, 'flag.environments_repaired', userId, {
+      before: flagBefore,
+      metadata: { added, removed }
+    });
+    
+    report.flags.push({ key: flag.key, added, removed });
+  }
+  
+  // Evaluations of environments that no longer exist
+  const { deletedCount } = await Evaluation.deleteMany({
+    project: project._id,
+    environment: { $nin: [...project.environments] }
+  });
+  report.evaluationsDeleted = deletedCount;
+  
+  // Record change in audit log if anything had to be fixed
+  const repaired = report.apiKeysAdded.length > 0 || report.apiKeysRemoved.length > 0 ||
+    report.flags.length > 0 || report.evaluationsDeleted > 0;
+  
+  if (repaired) {
+    await auditService.recordProjectChange(project, 'environments.repaired', userId, {
+      before,
+      metadata: report
+    });
+  }
+  
+  return report;
+};
+
+/**
+ * Protect an environment so flag changes need approved change requests, or unprotect it
+ */
+exports.setEnvironmentProtection = async (projectId, environment, userId, settings) => {
+  const { requiredApprovals = 1, approverRoles = ['admin'] } = settings;
+  
+  // Find project
+  const project = await Project.findById(projectId);
+  
+  if (!project) {
+    const error = new Error('Project not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  if (!project.environments.includes(environment)) {
+    const error = new Error(`Environment '${environment}' does not exist`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  // Capture state for the audit trail
+  const before = auditService.snapshot(project);
+  
+  // Replace any existing protection settings
+  project.protectedEnvironments = project.protectedEnvironments.filter(
+    protection => protection.environment !== environment
+  );
+  
+  if (settings.protected) {
+    project.protectedEnvironments.push({ environment, requiredApprovals, approverRoles });
+  }
+  
+  // Save project
+  await project.save();
+  
+  // Record change in audit log
+  await auditService.recordProjectChange(project, 'environment.protection_updated', userId, {
+    environment,
+    before,
+    metadata: settings.protected ? { requiredApprovals, approverRoles } : { protected: false }
+  });
+  
+  return project.getEnvironmentProtection(environment) || { environment, protected: false };
+};
+
 /**
  * Generate new API key for environment
  */
-exports.regenerateApiKey = async (projectId, environment) => {
+exports.regenerateApiKey = async (projectId, environment, userId) => {
   // Find project
   const project = await Project.findById(projectId);
   
@@ -163,6 +437,9 @@ exports.regenerateApiKey = async (projectId, environment) => {
     throw error;
   }
   
+  // Capture state for the audit trail
+  const before = auditService.snapshot(project);
+  
   try {
     // Regenerate API key
     const apiKey = project.regenerateApiKey(environment);
@@ -170,6 +447,9 @@ exports.regenerateApiKey = async (projectId, environment) => {
     // Save project
     await project.save();
     
+    // Record change in audit log
+    await auditService.recordProjectChange(project, 'api_key.regenerated', userId, { environment, before });
+    
     return {
       environment,
       apiKey
@@ -183,7 +463,7 @@ exports.regenerateApiKey = async (projectId, environment) => {
 /**
  * Add member to project
  */
-exports.addProjectMember = async (projectId, memberData) => {
+exports.addProjectMember = async (projectId, userId, memberData) => {
   const { email, role } = memberData;
   
   // Find user by email
@@ -216,6 +496,9 @@ exports.addProjectMember = async (projectId, memberData) => {
     throw error;
   }
   
+  // Capture state for the audit trail
+  const before = auditService.snapshot(project);
+  
   // Add member
   project.members.push({
     user: user._id,
@@ -225,6 +508,12 @@ exports.addProjectMember = async (projectId, memberData) => {
   // Save project
   await project.save();
   
+  // Record change in audit log
+  await auditService.recordProjectChange(project, 'member.added', userId, {
+    before,
+    metadata: { member: user._id, role: role || 'viewer' }
+  });
+  
   return {
     user: {
       _id: user._id,
@@ -238,7 +527,7 @@ exports.addProjectMember = async (projectId, memberData) => {
 /**
  * Update member role
  */
-exports.updateMemberRole = async (projectId, memberId, role) => {
+exports.updateMemberRole = async (projectId, memberId, userId, role) => {
   // Find project
   const project = await Project.findById(projectId);
   
@@ -259,12 +548,21 @@ exports.updateMemberRole = async (projectId, memberId, role) => {
     throw error;
   }
   
+  // Capture state for the audit trail
+  const before = auditService.snapshot(project);
+  
   // Update role
   project.members[memberIndex].role = role;
   
   // Save project
   await project.save();
   
+  // Record change in audit log
+  await auditService.recordProjectChange(project, 'member.role_updated', userId, {
+    before,
+    metadata: { member: memberId, role }
+  });
+  
   return {
     user: project.members[memberIndex].user,
     role
@@ -274,7 +572,7 @@ exports.updateMemberRole = async (projectId, memberId, role) => {
 /**
  * Remove member from project
  */
-exports.removeMember = async (projectId, memberId) => {
+exports.removeMember = async (projectId, memberId, userId) => {
   // Find project
   const project = await Project.findById(projectId);
   
@@ -291,6 +589,9 @@ exports.removeMember = async (projectId, memberId) => {
     throw error;
   }
   
+  // Capture state for the audit trail
+  const before = auditService.snapshot(project);
+  
   // Filter out member
   project.members = project.members.filter(member => 
     member.user.toString() !== memberId
@@ -299,5 +600,11 @@ exports.removeMember = async (projectId, memberId) => {
   // Save project
   await project.save();
   
+  // Record change in audit log
+  await auditService.recordProjectChange(project, 'member.removed', userId, {
+    before,
+    metadata: { member: memberId }
+  });
+  
   return { success: true };
 };
\ No newline at end of file
@@ -0,0 +1,236 @@
+// src/services/promotion.service.js
+const crypto = require('crypto');
+const Flag = require('../models/flag.model');
+const Project = require('../models/project.model');
+const auditService = require('./audit.service');
+const changeRequestService = require('./changeRequest.service');
+const { diff } = require('../utils/diff');
+
+/**
+ * Load the project and check both environments of a promotion
+ */
+const loadProject = async (projectId, from, to) => {
+  const project = await Project.findById(projectId);
+
+  if (!project) {
+    const error = new Error('Project not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  for (const environment of [from, to]) {
+    if (!project.environments.includes(environment)) {
+      const error = new Error(`Environment '${environment}' does not exist`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  if (from === to) {
+    const error = new Error('Source and target environments must be different');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return project;
+};
+
+/**
+ * Find the flags selected by key and/or tag
+ */
+const selectFlags = async (projectId, { flagKeys, tags }) => {
+  if (!flagKeys && !tags) {
+    const error = new Error('Select the flags to promote with flagKeys or tags');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const query = { project: projectId };
+  if (flagKeys) {
+    query.key = { $in: flagKeys };
+  }
+  if (tags) {
+    query.tags = { $in: tags };
+  }
+
+  const flags = await Flag.find(query).sort({ key: 1 });
+
+  if (flagKeys) {
+    const found = flags.map(flag => flag.key);
+    const missing = flagKeys.filter(key => !found.includes(key));
+
+    if (missing.length > 0) {
+      const error = new Error(`Flag(s) not found: ${missing.join(', ')}`);
+      error.statusCode = 404;
+      throw error;
+    }
+  }
+
+  return flags;
+};
+
+/**
+ * Compute what a promotion would change for every selected flag.
+ * The checksum covers both sides, so it changes if either environment is edited.
+ */
+const planPromotion = async (projectId, options) => {
+  const { from, to, parts = Flag.ENVIRONMENT_PARTS } = options;
+
+  const project = await loadProject(projectId, from, to);
+  const flags = await selectFlags(projectId, options);
+
+  const plan = flags.map(flag => {
+    const source = flag.getEnvironmentParts(from, parts);
+    const target = flag.getEnvironmentParts(to, parts);
+
+    if (!source || !target) {
+      const missing = source ? to : from;
+      const error = new Error(`Flag '${flag.key}' has no settings for environment '${missing}'`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return {
+      flag,
+      source,
+      target,
+      changes: diff(target, source)
+    };
+  });
+
+  const checksum = crypto
+    .createHash('sha1')
+    .update(JSON.stringify(plan.map(({ flag, source, target }) => [flag.key, source, target])))
+    .digest('hex');
+
+  return { project, from, to, parts, checksum, plan };
+};
+
+/**
+ * Preview a promotion: the changes each selected flag would receive
+ */
+exports.previewPromotion = async (projectId, options) => {
+  const { from, to, parts, checksum, plan } = await planPromotion(projectId, options);
+
+  return {
+    from,
+    to,
+    parts,
+    checksum,
+    flags: plan.map(({ flag, changes }) => ({
+      key: flag.key,
+      changes
+    }))
+  };
+};
+
+/**
+ * Compare the settings of every flag in two environments of a project.
+ * Each change is { path, from, to } with the values in the respective environments.
+ */
+exports.compareEnvironments = async (projectId, from, to) => {
+  await loadProject(projectId, from, to);
+  const flags = await Flag.find({ project: projectId }).sort({ key: 1 });
+
+  const results = flags.map(flag => {
+    const source = flag.getEnvironmentParts(from);
+    const target = flag.getEnvironmentParts(to);
+
+    // Flags without settings for one side cannot be compared
+    if (!source || !target) {
+      return {
+        key: flag.key,
+        name: flag.name,
+        status: 'missing',
+        missingIn: [source ? null : from, target ? null : to].filter(Boolean),
+        changes: []
+      };
+    }
+
+    const changes = diff(source, target).map(({ path, before, after }) => ({
+      path,
+      from: before,
+      to: after
+    }));
+
+    return {
+      key: flag.key,
+      name: flag.name,
+      status: changes.length > 0 ? 'changed' : 'unchanged',
+      changes
+    };
+  });
+
+  const countStatus = status => results.filter(result => result.status === status).length;
+
+  return {
+    from,
+    to,
+    summary: {
+      total: results.length,
+      changed: countStatus('changed'),
+      unchanged: countStatus('unchanged'),
+      missing: countStatus('missing')
+    },
+    flags: results
+  };
+};
+
+/**
+ * Copy the selected parts of the selected flags' settings from one environment to another.
+ * `options.checksum` must match the preview, so nothing is applied that was not reviewed.
+ * Promotions into protected environments return a change request instead.
+ */
+exports.promote = async (projectId, userId, options) => {
+  const { project, from, to, parts, checksum, plan } = await planPromotion(projectId, options);
+
+  if (options.checksum !== checksum) {
+    const error = new Error('Flag settings changed since the preview. Preview the promotion again');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const changed = plan.filter(({ changes }) => changes.length > 0);
+
+  // Promotions into protected environments need approval
+  if (project.getEnvironmentProtection(to)) {
+    return changeRequestService.proposeChanges(project, to, userId, {
+      changes: changed.map(({ flag, source, target }) => ({ flag, parts, before: target, after: source })),
+      action: 'flag.promoted',
+      metadata: { from, to, parts },
+      description: options.description || `Promote ${changed.length} flag(s) from ${from} to ${to}`
+    });
+  }
+
+  await changeRequestService.applyEnvironmentChanges(
+    projectId,
+    to,
+    userId,
+    changed.map(({ flag, source }) => ({ flag, after: source })),
+    { action: 'flag.promoted', metadata: { from, to, parts } }
+  );
+
+  // Record the promotion as a whole in the project's history
+  await auditService.record({
+    projectId,
+    environment: to,
+    action: 'promotion.applied',
+    userId,
+    metadata: {
+      from,
+      to,
+      parts,
+      flags: changed.map(({ flag }) => flag.key)
+    }
+  });
+
+  return {
+    from,
+    to,
+    parts,
+    flags: changed.map(({ flag, changes }) => ({
+      key: flag.key,
+      changes
+    }))
+  };
+};
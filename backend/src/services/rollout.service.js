@@ -0,0 +1,532 @@
+// src/services/rollout.service.js
+const Flag = require('../models/flag.model');
+const Project = require('../models/project.model');
+const RolloutPlan = require('../models/rolloutPlan.model');
+const flagService = require('./flag.service');
+const auditService = require('./audit.service');
+const changeRequestService = require('./changeRequest.service');
+const guardService = require('./guard.service');
+const webhookService = require('./webhook.service');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Progressive rollouts.
+ *
+ * A rollout plan drives the value of a PERCENTAGE rule through a list of steps,
+ * each held for its duration. Steps are applied through the flag service, so
+ * every change creates a revision, is audited and reaches streaming SDKs. The
+ * scheduler advances due rollouts (see scheduler.service.js), claiming each step
+ * by clearing `nextStepAt` so only one instance applies it.
+ *
+ * Rollouts can have guards, metrics that compare users served by the rule with
+ * the other users (see guard.service.js). The scheduler checks them every
+ * `guardCheckInterval` and rolls the rollout back when one is breached, then
+ * notifies the project's webhooks.
+ */
+
+// Rollouts left mid-step for longer than this are considered interrupted (milliseconds)
+const STALE_AFTER = 10 * 60 * 1000;
+
+const IN_PROGRESS = ['active', 'paused'];
+
+/**
+ * Find a rollout plan in a project
+ */
+const findRollout = async (projectId, rolloutId) => {
+  const rollout = await RolloutPlan.findOne({
+    _id: rolloutId,
+    project: projectId
+  });
+
+  if (!rollout) {
+    const error = new Error('Rollout not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return rollout;
+};
+
+/**
+ * Build the error for an action that does not fit the rollout's current state
+ */
+const stateConflict = (rollout, action) => {
+  const state = rollout.status === 'active' && !rollout.nextStepAt ? 'applying a step' : rollout.status;
+  const error = new Error(`Cannot ${action} a rollout that is ${state}`);
+  error.statusCode = 409;
+  return error;
+};
+
+/**
+ * Record a rollout event in the rollout's history and the audit log
+ */
+const recordEvent = (rollout, action, userId, extra = {}) => {
+  rollout.history.push({
+    action,
+    step: rollout.currentStep,
+    percentage: rollout.currentStep >= 0 ? rollout.steps[rollout.currentStep].percentage : 0,
+    user: userId,
+    ...extra
+  });
+
+  return auditService.record({
+    projectId: rollout.project,
+    flag: { _id: rollout.flag, key: rollout.flagKey },
+    environment: rollout.environment,
+    action: `rollout.${action}`,
+    userId: userId || rollout.createdBy,
+    metadata: {
+      rollout: rollout._id,
+      ruleId: rollout.ruleId,
+      step: rollout.currentStep,
+      ...extra
+    }
+  });
+};
+
+/**
+ * Reject rollouts in protected environments, whose changes need approval
+ */
+const assertUnprotected = (project, environment) => {
+  if (project.getEnvironmentProtection(environment)) {
+    const error = new Error(`Environment '${environment}' is protected, so its changes need a change request`);
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+/**
+ * Set the rule to a step's percentage and schedule the next step
+ */
+const applyStep = async (rollout, index, userId) => {
+  const step = rollout.steps[index];
+
+  await flagService.updateRule(rollout.flag, rollout.environment, rollout.ruleId, userId || rollout.createdBy, {
+    value: step.percentage
+  });
+
+  const isLast = index === rollout.steps.length - 1;
+
+  rollout.currentStep = index;
+  rollout.status = isLast ? 'completed' : 'active';
+  rollout.nextStepAt = isLast ? undefined : new Date(Date.now() + step.duration * 60 * 1000);
+};
+
+/**
+ * Apply the next step of a claimed rollout, failing the rollout if it cannot be applied
+ */
+const advanceRollout = async (rollout) => {
+  const index = rollout.currentStep + 1;
+
+  try {
+    const project = await Project.findById(rollout.project);
+    assertUnprotected(project, rollout.environment);
+
+    await applyStep(rollout, index);
+    await recordEvent(rollout, 'advanced');
+
+    if (rollout.status === 'completed') {
+      await recordEvent(rollout, 'completed');
+    }
+  } catch (error) {
+    logger.error(`Rollout ${rollout._id} failed: ${error.message}`);
+    rollout.status = 'failed';
+    rollout.nextStepAt = undefined;
+    rollout.error = error.message;
+    await recordEvent(rollout, 'failed', null, { error: error.message });
+  }
+
+  await rollout.save();
+};
+
+/**
+ * Start a rollout of a PERCENTAGE rule, applying its first step now
+ */
+exports.createRollout = async (projectId, userId, data) => {
+  const { flag: flagId, environment, ruleId, steps, guards, onRegression } = data;
+
+  const flag = await Flag.findOne({ _id: flagId, project: projectId });
+
+  if (!flag) {
+    const error = new Error('Flag not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!flag.environments.has(environment)) {
+    const error = new Error(`Environment '${environment}' not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const rule = flag.environments.get(environment).rules.find(envRule => envRule._id.toString() === ruleId);
+
+  if (!rule) {
+    const error = new Error('Rule not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (rule.type !== 'PERCENTAGE') {
+    const error = new Error('Only PERCENTAGE rules can be rolled out progressively');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const project = await Project.findById(projectId);
+  assertUnprotected(project, environment);
+
+  const running = await RolloutPlan.exists({ flag: flag._id, environment, ruleId, status: { $in: IN_PROGRESS } });
+
+  if (running) {
+    const error = new Error('This rule already has a rollout in progress');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const rollout = new RolloutPlan({
+    project: projectId,
+    flag: flag._id,
+    flagKey: flag.key,
+    environment,
+    ruleId,
+    steps,
+    guards,
+    onRegression,
+    createdBy: userId
+  });
+
+  // Check the steps before changing the rule
+  await rollout.validate();
+
+  await applyStep(rollout, 0, userId);
+  await recordEvent(rollout, 'started', userId);
+
+  if (rollout.status === 'completed') {
+    await recordEvent(rollout, 'completed', userId);
+  }
+
+  await rollout.save();
+
+  return rollout;
+};
+
+/**
+ * Get the rollouts of a project, newest first
+ */
+exports.getRollouts = async (projectId, filters = {}) => {
+  const { flag, environment, status } = filters;
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 500);
+
+  const query = { project: projectId };
+  if (flag) {
+    query.flag = flag;
+  }
+  if (environment) {
+    query.environment = environment;
+  }
+  if (status) {
+    query.status = status;
+  }
+
+  const [rollouts, total] = await Promise.all([
+    RolloutPlan.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('createdBy', 'name email'),
+    RolloutPlan.countDocuments(query)
+  ]);
+
+  return {
+    rollouts,
+    total,
+    page,
+    limit
+  };
+};
+
+/**
+ * Get a rollout with its history
+ */
+exports.getRolloutById = async (projectId, rolloutId) => {
+  await findRollout(projectId, rolloutId);
+
+  return RolloutPlan.findById(rolloutId)
+    .populate('createdBy', 'name email')
+    .populate('history.user', 'name email');
+};
+
+/**
+ * Pause an active rollout, keeping the time left in its current step
+ */
+exports.pauseRollout = async (projectId, rolloutId, userId) => {
+  const rollout = await findRollout(projectId, rolloutId);
+
+  if (rollout.status !== 'active' || !rollout.nextStepAt) {
+    throw stateConflict(rollout, 'pause');
+  }
+
+  // Only pause if the scheduler has not claimed the next step in the meantime
+  const paused = await RolloutPlan.findOneAndUpdate(
+    { _id: rollout._id, status: 'active', nextStepAt: rollout.nextStepAt },
+    {
+      $set: { status: 'paused', remainingMs: Math.max(rollout.nextStepAt.getTime() - Date.now(), 0) },
+      $unset: { nextStepAt: 1 }
+    },
+    { new: true }
+  );
+
+  if (!paused) {
+    throw stateConflict(await findRollout(projectId, rolloutId), 'pause');
+  }
+
+  await recordEvent(paused, 'paused', userId);
+  await paused.save();
+
+  return exports.getRolloutById(projectId, rolloutId);
+};
+
+/**
+ * Resume a paused rollout where it left off
+ */
+exports.resumeRollout = async (projectId, rolloutId, userId) => {
+  const rollout = await findRollout(projectId, rolloutId);
+
+  if (rollout.status !== 'paused') {
+    throw stateConflict(rollout, 'resume');
+  }
+
+  const project = await Project.findById(projectId);
+  assertUnprotected(project, rollout.environment);
+
+  const resumed = await RolloutPlan.findOneAndUpdate(
+    { _id: rollout._id, status: 'paused' },
+    {
+      $set: { status: 'active', nextStepAt: new Date(Date.now() + (rollout.remainingMs || 0)) },
+      $unset: { remainingMs: 1 }
+    },
+    { new: true }
+  );
+
+  if (!resumed) {
+    throw stateConflict(await findRollout(projectId, rolloutId), 'resume');
+  }
+
+  await recordEvent(resumed, 'resumed', userId);
+  await resumed.save();
+
+  return exports.getRolloutById(projectId, rolloutId);
+};
+
+/**
+ * Replace the guards of a rollout in progress
+ */
+exports.updateGuards = async (projectId, rolloutId, userId, data) => {
+  const rollout = await findRollout(projectId, rolloutId);
+
+  if (!IN_PROGRESS.includes(rollout.status)) {
+    throw stateConflict(rollout, 'change the guards of');
+  }
+
+  rollout.guards = data.guards;
+  if (data.onRegression) {
+    rollout.onRegression = data.onRegression;
+  }
+
+  // Check the new guards on the next run
+  rollout.guardsCheckedAt = undefined;
+  rollout.guardResults = [];
+
+  await rollout.save();
+
+  // Record change in audit log
+  await auditService.record({
+    projectId,
+    flag: { _id: rollout.flag, key: rollout.flagKey },
+    environment: rollout.environment,
+    action: 'rollout.guards_updated',
+    userId,
+    metadata: {
+      rollout: rollout._id,
+      guards: rollout.guards.map(guard => guard.eventKey),
+      onRegression: rollout.onRegression
+    }
+  });
+
+  return exports.getRolloutById(projectId, rolloutId);
+};
+
+/**
+ * Abort a rollout and set its rule back to 0%, or propose doing so in a protected environment
+ */
+exports.abortRollout = async (projectId, rolloutId, userId) => {
+  const rollout = await findRollout(projectId, rolloutId);
+
+  // Active rollouts can only be aborted between steps, not while one is being applied
+  const aborted = await RolloutPlan.findOneAndUpdate(
+    {
+      _id: rollout._id,
+      $or: [
+        { status: 'paused' },
+        { status: 'active', nextStepAt: { $ne: null } }
+      ]
+    },
+    { $set: { status: 'aborted' }, $unset: { nextStepAt: 1, remainingMs: 1 } },
+    { new: true }
+  );
+
+  if (!aborted) {
+    throw stateConflict(rollout, 'abort');
+  }
+
+  try {
+    const result = await flagService.updateRule(aborted.flag, aborted.environment, aborted.ruleId, userId, { value: 0 });
+
+    // Protected environments only get a proposal to reset the rule
+    if (changeRequestService.isChangeRequest(result)) {
+      aborted.error = `Environment '${aborted.environment}' is protected: change request ${result._id} proposes resetting the rule to 0%`;
+      await recordEvent(aborted, 'aborted', userId, { error: aborted.error });
+    } else {
+      await recordEvent(aborted, 'aborted', userId, { percentage: 0 });
+    }
+  } catch (error) {
+    aborted.error = `Could not reset the rule to 0%: ${error.message}`;
+    await recordEvent(aborted, 'aborted', userId, { error: aborted.error });
+    await aborted.save();
+    throw error;
+  }
+
+  await aborted.save();
+
+  return exports.getRolloutById(projectId, rolloutId);
+};
+
+/**
+ * Apply every due rollout step, claiming them one at a time.
+ * Returns the number of steps this instance processed.
+ */
+exports.advanceDueRollouts = async () => {
+  // Never retry steps interrupted mid-way; they may already have been applied
+  const stale = await RolloutPlan.find({
+    status: 'active',
+    nextStepAt: null,
+    updatedAt: { $lte: new Date(Date.now() - STALE_AFTER) }
+  });
+
+  for (const rollout of stale) {
+    rollout.status = 'failed';
+    rollout.error = 'Interrupted while applying a step';
+    await recordEvent(rollout, 'failed', null, { error: rollout.error });
+    await rollout.save();
+  }
+
+  let processed = 0;
+
+  for (;;) {
+    const rollout = await RolloutPlan.findOneAndUpdate(
+      { status: 'active', nextStepAt: { $lte: new Date() } },
+      { $unset: { nextStepAt: 1 } },
+      { sort: { nextStepAt: 1 }, new: true }
+    );
+
+    if (!rollout) {
+      return processed;
+    }
+
+    await advanceRollout(rollout);
+    processed += 1;
+  }
+};
+
+/**
+ * Roll back a rollout whose guard was breached and notify the project
+ */
+const rollBack = async (rollout, results, breach) => {
+  // Claim the rollback, unless a step is being applied or the rollout was stopped meanwhile
+  const claimed = await RolloutPlan.findOneAndUpdate(
+    { _id: rollout._id, status: 'active', nextStepAt: { $ne: null } },
+    { $set: { status: 'rolled_back', guardResults: results }, $unset: { nextStepAt: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return;
+  }
+
+  const { flag, environment, ruleId, createdBy } = claimed;
+
+  try {
+    const result = claimed.onRegression === 'disable'
+      ? await flagService.toggleFlag(flag, environment, createdBy, false)
+      : await flagService.updateRule(flag, environment, ruleId, createdBy, { value: 0 });
+
+    if (changeRequestService.isChangeRequest(result)) {
+      claimed.error = `Environment '${environment}' is protected: change request ${result._id} proposes the rollback`;
+    }
+  } catch (error) {
+    claimed.error = `Could not roll back: ${error.message}`;
+  }
+
+  if (claimed.error) {
+    logger.error(`Rollout ${claimed._id}: ${claimed.error}`);
+  }
+
+  await recordEvent(claimed, 'rolled_back', null, {
+    eventKey: breach.eventKey,
+    change: breach.change,
+    ...(claimed.onRegression === 'rollback' && !claimed.error && { percentage: 0 }),
+    ...(claimed.error && { error: claimed.error })
+  });
+  await claimed.save();
+
+  await webhookService.dispatch(claimed.project, 'rollout.rolled_back', {
+    rollout: claimed._id,
+    flag: claimed.flagKey,
+    environment,
+    ruleId,
+    action: claimed.onRegression,
+    guard: breach,
+    error: claimed.error
+  });
+};
+
+/**
+ * Check the guards of every active rollout not checked within `guardCheckInterval`,
+ * claiming them one at a time. Returns the number of rollouts checked.
+ */
+exports.checkGuards = async () => {
+  let checked = 0;
+
+  for (;;) {
+    const rollout = await RolloutPlan.findOneAndUpdate(
+      {
+        status: 'active',
+        'guards.0': { $exists: true },
+        $or: [
+          { guardsCheckedAt: null },
+          { guardsCheckedAt: { $lte: new Date(Date.now() - config.guardCheckInterval) } }
+        ]
+      },
+      { $set: { guardsCheckedAt: new Date() } },
+      { sort: { guardsCheckedAt: 1 }, new: true }
+    );
+
+    if (!rollout) {
+      return checked;
+    }
+
+    const results = await guardService.evaluateGuards(rollout);
+    const breach = results.find(result => result.breached);
+
+    if (breach) {
+      await rollBack(rollout, results, breach);
+    } else {
+      await RolloutPlan.updateOne({ _id: rollout._id }, { $set: { guardResults: results } });
+    }
+
+    checked += 1;
+  }
+};
@@ -0,0 +1,374 @@
+// src/services/scheduler.service.js
+const crypto = require('crypto');
+const Flag = require('../models/flag.model');
+const Project = require('../models/project.model');
+const ScheduledChange = require('../models/scheduledChange.model');
+const flagService = require('./flag.service');
+const changeRequestService = require('./changeRequest.service');
+const rolloutService = require('./rollout.service');
+const srmService = require('./srm.service');
+const auditService = require('./audit.service');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Scheduled flag changes.
+ *
+ * Change sets are stored in MongoDB and run through the regular flag service
+ * functions, staged on a copy of the flag: once when they are scheduled, to
+ * reject operations the flag would not accept, and again once due. The staged
+ * environment is then saved in one transaction, so a change set is applied
+ * whole or not at all, and audited like a manual edit.
+ * Every API instance polls for due changes; a change is claimed by atomically
+ * moving it from `pending` to `running`, so only one instance ever applies it.
+ * A change left `running` by an instance that stopped mid-way is marked failed
+ * instead of being retried.
+ * The same polling loop advances progressive rollouts, checks their guards
+ * (see rollout.service.js) and checks traffic splits (see srm.service.js).
+ */
+
+// Running changes older than this are considered interrupted (milliseconds)
+const STALE_AFTER = 10 * 60 * 1000;
+
+// Identifies this process in claimed changes
+const instanceId = crypto.randomBytes(4).toString('hex');
+
+// Polling timer while the scheduler is running
+let timer = null;
+
+/**
+ * Find a scheduled change in a project
+ */
+const findScheduledChange = async (projectId, scheduledChangeId) => {
+  const scheduledChange = await ScheduledChange.findOne({
+    _id: scheduledChangeId,
+    project: projectId
+  });
+
+  if (!scheduledChange) {
+    const error = new Error('Scheduled change not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return scheduledChange;
+};
+
+/**
+ * Record a scheduled change event in the audit log
+ */
+const recordEvent = (scheduledChange, action, userId, metadata = {}) => {
+  return auditService.record({
+    projectId: scheduledChange.project,
+    flag: { _id: scheduledChange.flag, key: scheduledChange.flagKey },
+    environment: scheduledChange.environment,
+    action,
+    userId,
+    metadata: {
+      scheduledChange: scheduledChange._id,
+      runAt: scheduledChange.runAt,
+      ...metadata
+    }
+  });
+};
+
+/**
+ * Stage one operation on a flag in memory through the flag service
+ */
+const runOperation = (operation, flag, environment, userId) => {
+  const options = { stagedFlag: flag };
+
+  switch (operation.type) {
+    case 'toggle':
+      return flagService.toggleFlag(flag._id, environment, userId, operation.enabled, options);
+    case 'updateSettings':
+      return flagService.updateEnvironmentSettings(flag._id, environment, userId, operation.data, options);
+    case 'addRule':
+      return flagService.addFlagRule(flag._id, environment, userId, operation.data, options);
+    case 'updateRule':
+      return flagService.updateRule(flag._id, environment, operation.ruleId, userId, operation.data, options);
+    case 'deleteRule':
+      return flagService.deleteRule(flag._id, environment, operation.ruleId, userId, options);
+    case 'addVariation':
+      return flagService.addVariation(flag._id, environment, userId, operation.data, options);
+    case 'updateVariation':
+      return flagService.updateVariation(flag._id, environment, operation.variationKey, userId, operation.data, options);
+    case 'deleteVariation':
+      return flagService.deleteVariation(flag._id, environment, operation.variationKey, userId, options);
+    case 'setDefaultVariation':
+      return flagService.setDefaultVariation(flag._id, environment, operation.variationKey, userId, options);
+    default:
+      throw new Error(`Unknown operation '${operation.type}'`);
+  }
+};
+
+/**
+ * Run a change set's operations in order on a copy of a flag, and validate the result.
+ * Returns the copy. Operations the flag does not accept are rejected with a 400.
+ */
+const stageOperations = async (flag, environment, operations, userId) => {
+  const staged = Flag.hydrate(flag.toObject({ virtuals: false }));
+
+  for (const [index, operation] of operations.entries()) {
+    try {
+      await runOperation(operation, staged, environment, userId);
+    } catch (error) {
+      error.message = `Operation ${index + 1} (${operation.type}): ${error.message}`;
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  await staged.validate();
+
+  return staged;
+};
+
+/**
+ * Reject scheduling for protected environments, whose changes need approval
+ */
+const assertUnprotected = (project, environment) => {
+  if (project.getEnvironmentProtection(environment)) {
+    const error = new Error(`Environment '${environment}' is protected, so its changes need a change request`);
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+/**
+ * Apply all of a claimed change's operations in one transaction, or none of them
+ */
+const applyScheduledChange = async (scheduledChange) => {
+  const { environment, createdBy, operations } = scheduledChange;
+
+  try {
+    const project = await Project.findById(scheduledChange.project);
+    assertUnprotected(project, environment);
+
+    const flag = await Flag.findOne({ _id: scheduledChange.flag, project: project._id });
+    if (!flag) {
+      throw new Error('Flag not found');
+    }
+
+    const staged = await stageOperations(flag, environment, operations, createdBy);
+
+    await changeRequestService.applyEnvironmentChanges(
+      project._id,
+      environment,
+      createdBy,
+      [{ flag, after: staged.getEnvironmentParts(environment) }],
+      {
+        action: 'flag.scheduled_change_applied',
+        metadata: {
+          scheduledChange: scheduledChange._id,
+          operations: operations.map(operation => operation.type)
+        }
+      }
+    );
+
+    scheduledChange.operationsApplied = operations.length;
+    scheduledChange.status = 'applied';
+  } catch (error) {
+    logger.error(`Scheduled change ${scheduledChange._id} failed: ${error.message}`);
+    scheduledChange.status = 'failed';
+    scheduledChange.error = error.message;
+  }
+
+  scheduledChange.finishedAt = new Date();
+  await scheduledChange.save();
+
+  await recordEvent(scheduledChange, `scheduled_change.${scheduledChange.status}`, createdBy, {
+    operationsApplied: scheduledChange.operationsApplied,
+    ...(scheduledChange.error && { error: scheduledChange.error })
+  });
+};
+
+/**
+ * Schedule a change set for a flag environment
+ */
+exports.createScheduledChange = async (projectId, userId, data) => {
+  const { flag: flagId, environment, runAt, operations, description } = data;
+
+  const flag = await Flag.findOne({ _id: flagId, project: projectId });
+
+  if (!flag) {
+    const error = new Error('Flag not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!flag.environments.has(environment)) {
+    const error = new Error(`Environment '${environment}' not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const project = await Project.findById(projectId);
+  assertUnprotected(project, environment);
+
+  if (new Date(runAt) <= new Date()) {
+    const error = new Error('Run time must be in the future');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Reject operations the flag does not accept now, rather than when they are due
+  await stageOperations(flag, environment, operations, userId);
+
+  const scheduledChange = await ScheduledChange.create({
+    project: projectId,
+    flag: flag._id,
+    flagKey: flag.key,
+    environment,
+    description,
+    runAt,
+    operations,
+    createdBy: userId
+  });
+
+  // Record change in audit log
+  await recordEvent(scheduledChange, 'scheduled_change.created', userId, {
+    operations: scheduledChange.operations.map(operation => operation.type)
+  });
+
+  return scheduledChange;
+};
+
+/**
+ * Get the scheduled changes of a project, soonest first
+ */
+exports.getScheduledChanges = async (projectId, filters = {}) => {
+  const { flag, environment, status } = filters;
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 500);
+
+  const query = { project: projectId };
+  if (flag) {
+    query.flag = flag;
+  }
+  if (environment) {
+    query.environment = environment;
+  }
+  if (status) {
+    query.status = status;
+  }
+
+  const [scheduledChanges, total] = await Promise.all([
+    ScheduledChange.find(query)
+      .sort({ runAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('createdBy', 'name email'),
+    ScheduledChange.countDocuments(query)
+  ]);
+
+  return {
+    scheduledChanges,
+    total,
+    page,
+    limit
+  };
+};
+
+/**
+ * Get a scheduled change
+ */
+exports.getScheduledChangeById = async (projectId, scheduledChangeId) => {
+  return findScheduledChange(projectId, scheduledChangeId);
+};
+
+/**
+ * Cancel a scheduled change that has not started yet
+ */
+exports.cancelScheduledChange = async (projectId, scheduledChangeId, userId) => {
+  // Only a pending change can be cancelled, even if the scheduler claims it concurrently
+  const scheduledChange = await ScheduledChange.findOneAndUpdate(
+    { _id: scheduledChangeId, project: projectId, status: 'pending' },
+    { $set: { status: 'cancelled', cancelledBy: userId, finishedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!scheduledChange) {
+    const existing = await findScheduledChange(projectId, scheduledChangeId);
+    const error = new Error(`Scheduled change is already ${existing.status}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  // Record change in audit log
+  await recordEvent(scheduledChange, 'scheduled_change.cancelled', userId);
+
+  return scheduledChange;
+};
+
+/**
+ * Apply every due change, claiming them one at a time.
+ * Returns the number of changes this instance processed.
+ */
+exports.runDueChanges = async () => {
+  // Never retry changes interrupted mid-way, as they may be partially applied
+  await ScheduledChange.updateMany(
+    { status: 'running', startedAt: { $lte: new Date(Date.now() - STALE_AFTER) } },
+    { $set: { status: 'failed', error: 'Interrupted while running', finishedAt: new Date() } }
+  );
+
+  let processed = 0;
+
+  for (;;) {
+    const scheduledChange = await ScheduledChange.findOneAndUpdate(
+      { status: 'pending', runAt: { $lte: new Date() } },
+      { $set: { status: 'running', lockedBy: instanceId, startedAt: new Date() } },
+      { sort: { runAt: 1 }, new: true }
+    );
+
+    if (!scheduledChange) {
+      return processed;
+    }
+
+    await applyScheduledChange(scheduledChange);
+    processed += 1;
+  }
+};
+
+/**
+ * Start polling for due changes and rollout steps
+ */
+exports.start = () => {
+  if (timer) {
+    return;
+  }
+
+  let running = false;
+
+  timer = setInterval(async () => {
+    // Skip a tick if the previous run is still going
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await exports.runDueChanges();
+      await rolloutService.advanceDueRollouts();
+      await rolloutService.checkGuards();
+      await srmService.runChecks();
+    } catch (error) {
+      logger.error(`Scheduler run failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  }, config.schedulerInterval);
+
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+
+  logger.info(`Scheduler started (instance ${instanceId})`);
+};
+
+/**
+ * Stop polling for due changes and rollout steps
+ */
+exports.stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
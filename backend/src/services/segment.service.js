@@ -0,0 +1,203 @@
+// src/services/segment.service.js
+const Segment = require('../models/segment.model');
+const Flag = require('../models/flag.model');
+const Project = require('../models/project.model');
+const auditService = require('./audit.service');
+const streamService = require('./stream.service');
+
+/**
+ * Find the flags in a project whose rules reference a segment
+ */
+const findFlagsUsingSegment = async (projectId, segmentKey) => {
+  const flags = await Flag.find({ project: projectId });
+  
+  return flags.filter(flag => flag.getSegmentKeys().includes(segmentKey));
+};
+
+/**
+ * Notify streaming SDK clients in every project environment of a segment change
+ */
+const notifySegmentChange = async (projectId, segmentKey, segment) => {
+  const project = await Project.findById(projectId);
+  
+  if (project) {
+    streamService.publishSegmentChange(projectId, project.environments, segmentKey, segment);
+  }
+};
+
+/**
+ * Create a new segment
+ */
+exports.createSegment = async (projectId, userId, segmentData) => {
+  const { key, name, description, included, excluded, rules } = segmentData;
+  
+  // Check if segment with same key already exists in project
+  const existingSegment = await Segment.findOne({
+    project: projectId,
+    key
+  });
+  
+  if (existingSegment) {
+    const error = new Error(`Segment with key '${key}' already exists`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  // Create segment
+  const segment = await Segment.create({
+    key,
+    name,
+    description,
+    project: projectId,
+    included: included || [],
+    excluded: excluded || [],
+    rules: rules || null,
+    createdBy: userId,
+    updatedBy: userId
+  });
+  
+  // Record change in audit log
+  await auditService.record({
+    projectId,
+    action: 'segment.created',
+    userId,
+    after: auditService.snapshot(segment),
+    metadata: { segmentKey: segment.key }
+  });
+  
+  // Notify streaming SDK clients
+  await notifySegmentChange(projectId, segment.key, segment);
+  
+  return segment;
+};
+
+/**
+ * Get all segments for a project
+ */
+exports.getProjectSegments = async (projectId) => {
+  const segments = await Segment.find({ project: projectId }).sort({ key: 1 });
+  
+  return segments;
+};
+
+/**
+ * Get segment by ID
+ */
+exports.getSegmentById = async (projectId, segmentId) => {
+  const segment = await Segment.findOne({ _id: segmentId, project: projectId })
+    .populate('createdBy', 'name email')
+    .populate('updatedBy', 'name email');
+  
+  if (!segment) {
+    const error = new Error('Segment not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  return segment;
+};
+
+/**
+ * Update segment
+ */
+exports.updateSegment = async (projectId, segmentId, userId, updateData) => {
+  const { name, description, included, excluded, rules } = updateData;
+  
+  // Find segment
+  const segment = await Segment.findOne({ _id: segmentId, project: projectId });
+  
+  if (!segment) {
+    const error = new Error('Segment not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  // Capture state for the audit trail
+  const before = auditService.snapshot(segment);
+  
+  // Update provided fields (the key is immutable because flags reference it)
+  if (name !== undefined) segment.name = name;
+  if (description !== undefined) segment.description = description;
+  if (included !== undefined) segment.included = included;
+  if (excluded !== undefined) segment.excluded = excluded;
+  if (rules !== undefined) segment.rules = rules;
+  
+  // Update updatedBy field
+  segment.updatedBy = userId;
+  
+  // Save segment
+  await segment.save();
+  
+  // Record change in audit log
+  await auditService.record({
+    projectId,
+    action: 'segment.updated',
+    userId,
+    before,
+    after: auditService.snapshot(segment),
+    metadata: { segmentKey: segment.key }
+  });
+  
+  // Notify streaming SDK clients
+  await notifySegmentChange(projectId, segment.key, segment);
+  
+  return segment;
+};
+
+/**
+ * Delete segment
+ */
+exports.deleteSegment = async (projectId, segmentId, userId) => {
+  // Find segment
+  const segment = await Segment.findOne({ _id: segmentId, project: projectId });
+  
+  if (!segment) {
+    const error = new Error('Segment not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  // Block deletion while flags still reference the segment
+  const flags = await findFlagsUsingSegment(projectId, segment.key);
+  
+  if (flags.length > 0) {
+    const flagKeys = flags.map(flag => flag.key).join(', ');
+    const error = new Error(`Segment '${segment.key}' is still used by flag(s): ${flagKeys}`);
+    error.statusCode = 409;
+    throw error;
+  }
+  
+  // Capture state for the audit trail
+  const before = auditService.snapshot(segment);
+  
+  // Delete segment
+  await segment.deleteOne();
+  
+  // Record change in audit log
+  await auditService.record({
+    projectId,
+    action: 'segment.deleted',
+    userId,
+    before,
+    metadata: { segmentKey: segment.key }
+  });
+  
+  // Notify streaming SDK clients
+  await notifySegmentChange(projectId, segment.key, null);
+  
+  return { success: true };
+};
+
+/**
+ * Get the flags that reference a segment
+ */
+exports.getSegmentUsage = async (projectId, segmentId) => {
+  const segment = await exports.getSegmentById(projectId, segmentId);
+  const flags = await findFlagsUsingSegment(projectId, segment.key);
+  
+  return flags.map(flag => ({
+    _id: flag._id,
+    key: flag.key,
+    name: flag.name
+  }));
+};
@@ -0,0 +1,291 @@
+// src/services/srm.service.js
+const Flag = require('../models/flag.model');
+const FlagRevision = require('../models/revision.model');
+const Evaluation = require('../models/evaluation.model');
+const Experiment = require('../models/experiment.model');
+const SrmCheck = require('../models/srmCheck.model');
+const webhookService = require('./webhook.service');
+const config = require('../config');
+const stats = require('../utils/stats');
+const { diff } = require('../utils/diff');
+
+/**
+ * Sample ratio mismatch (SRM) checks.
+ *
+ * A rule that splits users across variations by weight should serve each
+ * variation to about its share of users. A significant difference (chi-square
+ * p-value below `srmThreshold`, with at least `srmMinSampleSize` users) usually
+ * means broken bucketing or exposure logging, and makes experiment results
+ * unreliable. Each user counts once, for the first variation the rule served.
+ *
+ * The scheduler checks the weighted rules of enabled environments every
+ * `srmCheckInterval`, over the last `srmWindow` of exposures. In a flag
+ * environment with a running experiment, rules are checked over the exposures
+ * since the experiment started instead. Exposures from before the last revision
+ * that changed the environment's rules or variations are left out, since its
+ * weights may have changed. A mismatch is
+ * reported to the project's webhooks as `srm.detected`, once until it clears.
+ */
+
+// When this instance last ran the checks
+let lastRunAt = 0;
+
+/**
+ * Get the rules and variations of an environment in a revision snapshot
+ */
+const getBucketingParts = (revision, environment) => {
+  const envSettings = revision.snapshot.environments && revision.snapshot.environments[environment];
+
+  return envSettings
+    ? { rules: envSettings.rules || [], variations: envSettings.variations || [] }
+    : null;
+};
+
+/**
+ * Get the start of a check's window: the given time, or the time of the flag's last revision
+ * changing the environment's rules or variations if later
+ */
+const getWindowStart = async (flagId, environment, start) => {
+  // Revisions since the start, and the one in effect at the start to compare the first with
+  const [revisions, previous] = await Promise.all([
+    FlagRevision.find({ flag: flagId, timestamp: { $gt: start } })
+      .sort({ revision: -1 })
+      .select('timestamp snapshot'),
+    FlagRevision.findOne({ flag: flagId, timestamp: { $lte: start } })
+      .sort({ revision: -1 })
+      .select('snapshot')
+  ]);
+
+  for (let i = 0; i < revisions.length; i += 1) {
+    const before = revisions[i + 1] || previous;
+    const changed = !before || diff(
+      getBucketingParts(before, environment),
+      getBucketingParts(revisions[i], environment)
+    ).length > 0;
+
+    if (changed) {
+      return revisions[i].timestamp;
+    }
+  }
+
+  return start;
+};
+
+/**
+ * Compare the users a weighted rule served per variation with its weights
+ */
+const checkRule = async (flag, environment, rule, since, until) => {
+  const ruleId = rule._id.toString();
+
+  const counts = await Evaluation.aggregate([
+    {
+      $match: {
+        project: flag.project,
+        flag: flag._id,
+        environment,
+        userId: { $nin: [null, ''] },
+        'reason.kind': 'RULE_MATCH',
+        'reason.ruleId': ruleId,
+        timestamp: { $gte: since, $lte: until }
+      }
+    },
+    { $sort: { timestamp: 1 } },
+    { $group: { _id: '$userId', variation: { $first: '$variation' } } },
+    { $group: { _id: '$variation', users: { $sum: 1 } } }
+  ]).allowDiskUse(true);
+
+  // Configured weight per variation (a variation may appear in several entries)
+  const weights = new Map();
+  for (const entry of rule.serve.rollout) {
+    weights.set(entry.variation, (weights.get(entry.variation) || 0) + entry.weight);
+  }
+
+  // Variations served that the rule should not serve count with a weight of 0
+  const observed = new Map(counts.map(({ _id, users }) => [_id, users]));
+  for (const variation of observed.keys()) {
+    if (!weights.has(variation)) {
+      weights.set(variation, 0);
+    }
+  }
+
+  const variationKeys = [...weights.keys()];
+  const users = counts.reduce((sum, count) => sum + count.users, 0);
+  const test = stats.chiSquareTest(
+    variationKeys.map(variation => observed.get(variation) || 0),
+    variationKeys.map(variation => weights.get(variation))
+  );
+  const hasSamples = users >= config.srmMinSampleSize;
+
+  return {
+    ruleId,
+    ruleName: rule.name,
+    since,
+    users,
+    variations: variationKeys.map(variation => ({
+      variation,
+      users: observed.get(variation) || 0,
+      expectedShare: weights.get(variation),
+      observedShare: users > 0 ? ((observed.get(variation) || 0) / users) * 100 : 0
+    })),
+    ...test,
+    hasSamples,
+    mismatch: hasSamples && test.pValue < config.srmThreshold
+  };
+};
+
+/**
+ * Claim a check not run within `srmCheckInterval`, creating it on first use.
+ * Returns null if it was checked recently, possibly by another instance.
+ */
+const claimCheck = async (flag, key) => {
+  try {
+    return await SrmCheck.findOneAndUpdate(
+      { ...key, checkedAt: { $lte: new Date(Date.now() - config.srmCheckInterval) } },
+      {
+        $set: { checkedAt: new Date() },
+        $setOnInsert: { project: flag.project, flagKey: flag.key }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The check exists but is not due, so the upsert hit the unique index
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Run the check of a rule if it is due, storing the result and reporting a new mismatch
+ */
+const runCheck = async (flag, environment, rule, { experiment = null, since, until }) => {
+  const check = await claimCheck(flag, {
+    flag: flag._id,
+    environment,
+    ruleId: rule._id.toString(),
+    experiment: experiment ? experiment._id : null
+  });
+
+  if (!check) {
+    return false;
+  }
+
+  const result = await checkRule(flag, environment, rule, since, until);
+  const isNewMismatch = result.mismatch && !check.alertedAt;
+
+  await SrmCheck.updateOne(
+    { _id: check._id },
+    {
+      $set: { ...result, ...(isNewMismatch && { alertedAt: new Date() }) },
+      ...(!result.mismatch && { $unset: { alertedAt: 1 } })
+    }
+  );
+
+  if (isNewMismatch) {
+    await webhookService.dispatch(flag.project, 'srm.detected', {
+      flag: flag.key,
+      environment,
+      experiment: experiment ? experiment._id : null,
+      ...result
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Check the weighted rules of an experiment's flag environment over the experiment's exposures
+ */
+exports.checkExperiment = async (experiment, flag) => {
+  const since = await getWindowStart(flag._id, experiment.environment, experiment.startDate);
+  const until = experiment.endDate || new Date();
+  const results = [];
+
+  for (const rule of flag.getWeightedRules(experiment.environment)) {
+    results.push(await checkRule(flag, experiment.environment, rule, since, until));
+  }
+
+  return results;
+};
+
+/**
+ * Get the latest checks of a flag's current weighted rules, outside experiments
+ * or in running ones
+ */
+exports.getFlagChecks = async (flag, environment) => {
+  const query = { flag: flag._id };
+  if (environment) {
+    query.environment = environment;
+  }
+
+  const [checks, running] = await Promise.all([
+    SrmCheck.find(query).sort({ environment: 1, ruleId: 1 }),
+    Experiment.find({ ...query, status: 'running' }).distinct('_id')
+  ]);
+  const runningIds = running.map(String);
+
+  return checks.filter(check => {
+    const isCurrentRule = flag.environments.has(check.environment) &&
+      flag.getWeightedRules(check.environment).some(rule => rule._id.toString() === check.ruleId);
+    const isCurrentExperiment = !check.experiment || runningIds.includes(check.experiment.toString());
+
+    return isCurrentRule && isCurrentExperiment && check.users !== undefined;
+  });
+};
+
+/**
+ * Check every weighted rule that is due, at most once per `srmCheckInterval` on
+ * this instance. Returns the number of rules checked.
+ */
+exports.runChecks = async () => {
+  if (Date.now() - lastRunAt < config.srmCheckInterval) {
+    return 0;
+  }
+  lastRunAt = Date.now();
+
+  const now = new Date();
+  const covered = new Set();
+  let checked = 0;
+
+  // Rules of flag environments with a running experiment
+  const experiments = await Experiment.find({ status: 'running' });
+
+  for (const experiment of experiments) {
+    const flag = await Flag.findById(experiment.flag);
+
+    if (!flag || !flag.environments.has(experiment.environment)) {
+      continue;
+    }
+
+    covered.add(`${flag._id}:${experiment.environment}`);
+    const since = await getWindowStart(flag._id, experiment.environment, experiment.startDate);
+
+    for (const rule of flag.getWeightedRules(experiment.environment)) {
+      if (await runCheck(flag, experiment.environment, rule, { experiment, since, until: now })) {
+        checked += 1;
+      }
+    }
+  }
+
+  // Other weighted rules, over the last `srmWindow`
+  for await (const flag of Flag.find().select('project key environments').cursor()) {
+    for (const [environment, settings] of flag.environments) {
+      const rules = flag.getWeightedRules(environment);
+
+      if (!settings.enabled || rules.length === 0 || covered.has(`${flag._id}:${environment}`)) {
+        continue;
+      }
+
+      const since = await getWindowStart(flag._id, environment, new Date(now.getTime() - config.srmWindow));
+
+      for (const rule of rules) {
+        if (await runCheck(flag, environment, rule, { since, until: now })) {
+          checked += 1;
+        }
+      }
+    }
+  }
+
+  return checked;
+};
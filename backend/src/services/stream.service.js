@@ -0,0 +1,232 @@
+// src/services/stream.service.js
+const StreamEvent = require('../models/streamEvent.model');
+const evaluationService = require('./evaluation.service');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Server-sent events for flag changes.
+ *
+ * Each project environment is a channel. Clients receive a `put` event with the
+ * environment's full rule set when they connect, followed by `patch` and
+ * `delete` events as flags and segments change.
+ *
+ * Published events are stored in the StreamEvent collection, and every API
+ * instance watches it with a change stream to send them to its own clients, so
+ * clients hear about changes made through any instance. Event IDs are the
+ * stored events' IDs; a client reconnecting with a Last-Event-ID still held in
+ * its instance's history gets the missed events replayed, otherwise it
+ * receives a fresh snapshot.
+ */
+
+// Delay clients should wait before reconnecting (milliseconds)
+const RECONNECT_DELAY = 3000;
+
+// Delay before watching stored events again after the change stream fails (milliseconds)
+const FEED_RETRY_DELAY = 5000;
+
+// Channel state keyed by "<projectId>:<environment>"
+const channels = new Map();
+
+// Events are stored one after another, so this instance's events keep their order
+let pendingEvents = Promise.resolve();
+
+// Where the change stream resumes after an error
+let resumeToken = null;
+
+/**
+ * Get (or create) the channel for a project environment
+ */
+const getChannel = (projectId, environment) => {
+  const channelKey = `${projectId}:${environment}`;
+
+  if (!channels.has(channelKey)) {
+    channels.set(channelKey, {
+      sequence: 0,
+      history: [],
+      clients: new Set()
+    });
+  }
+
+  return channels.get(channelKey);
+};
+
+/**
+ * Write a single event to a client
+ */
+const writeEvent = (res, { id, event, data }) => {
+  if (id) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Send a stored event to this instance's clients of its project environment
+ */
+const deliver = (streamEvent) => {
+  const channel = getChannel(streamEvent.project.toString(), streamEvent.environment);
+
+  channel.sequence += 1;
+  const message = {
+    id: streamEvent._id.toString(),
+    sequence: channel.sequence,
+    event: streamEvent.event,
+    data: streamEvent.data
+  };
+
+  // Keep a bounded history for Last-Event-ID resume
+  channel.history.push(message);
+  if (channel.history.length > config.streamHistorySize) {
+    channel.history.shift();
+  }
+
+  for (const res of channel.clients) {
+    try {
+      writeEvent(res, message);
+    } catch (error) {
+      logger.warn(`Failed to write stream event: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Watch stored events and deliver them to this instance's clients, resuming after errors
+ */
+exports.start = () => {
+  const changeStream = StreamEvent.watch(
+    [{ $match: { operationType: 'insert' } }],
+    resumeToken ? { resumeAfter: resumeToken } : {}
+  );
+
+  changeStream.on('change', (change) => {
+    resumeToken = change._id;
+    deliver(change.fullDocument);
+  });
+
+  changeStream.on('error', (error) => {
+    logger.error(`Stream event feed failed: ${error.message}`);
+    changeStream.close().catch(() => {});
+    setTimeout(exports.start, FEED_RETRY_DELAY);
+  });
+};
+
+/**
+ * Publish an event to every client of a project environment, on every API instance.
+ * Failures are logged rather than thrown, since the change itself is already saved.
+ */
+exports.publish = (projectId, environment, event, data) => {
+  pendingEvents = pendingEvents
+    .then(() => StreamEvent.create({ project: projectId, environment, event, data }))
+    .catch(error => logger.error(`Failed to publish stream event: ${error.message}`));
+
+  return pendingEvents;
+};
+
+/**
+ * Publish a flag change to the given environments (all of the flag's by default)
+ */
+exports.publishFlagChange = (flag, environments) => {
+  const targets = environments || Array.from(flag.environments.keys());
+
+  for (const environment of targets) {
+    const payload = flag.toEnvironmentPayload(environment);
+    if (payload) {
+      exports.publish(flag.project.toString(), environment, 'patch', {
+        kind: 'flag',
+        key: flag.key,
+        data: payload
+      });
+    }
+  }
+};
+
+/**
+ * Publish a flag deletion to all of its environments
+ */
+exports.publishFlagDeletion = (flag) => {
+  for (const environment of flag.environments.keys()) {
+    exports.publish(flag.project.toString(), environment, 'delete', {
+      kind: 'flag',
+      key: flag.key
+    });
+  }
+};
+
+/**
+ * Publish a segment change (or deletion when `segment` is null) to all project environments
+ */
+exports.publishSegmentChange = (projectId, environments, segmentKey, segment) => {
+  for (const environment of environments) {
+    if (segment) {
+      exports.publish(projectId.toString(), environment, 'patch', {
+        kind: 'segment',
+        key: segmentKey,
+        data: segment.toDefinition()
+      });
+    } else {
+      exports.publish(projectId.toString(), environment, 'delete', {
+        kind: 'segment',
+        key: segmentKey
+      });
+    }
+  }
+};
+
+/**
+ * Publish the full rule set of each environment, for changes that affect every flag
+ */
+exports.publishRuleset = async (projectId, environments) => {
+  for (const environment of environments) {
+    const ruleset = await evaluationService.getRuleset(projectId, environment);
+    exports.publish(projectId.toString(), environment, 'put', ruleset);
+  }
+};
+
+/**
+ * Attach a client response to a project environment stream
+ */
+exports.subscribe = async (projectId, environment, res, lastEventId) => {
+  const channel = getChannel(projectId.toString(), environment);
+
+  // Tell the client how long to wait before reconnecting
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+  // Resume from the client's last event if it is still in this instance's history
+  const resumeIndex = lastEventId
+    ? channel.history.findIndex(message => message.id === lastEventId)
+    : -1;
+
+  if (resumeIndex !== -1) {
+    channel.history.slice(resumeIndex + 1).forEach(message => writeEvent(res, message));
+  } else {
+    const snapshotSequence = channel.sequence;
+    const lastMessage = channel.history[channel.history.length - 1];
+    const snapshot = await evaluationService.getRuleset(projectId, environment);
+
+    // Events after the snapshot's ID are replayed if the client reconnects
+    writeEvent(res, {
+      id: lastMessage ? lastMessage.id : null,
+      event: 'put',
+      data: snapshot
+    });
+
+    // Replay anything published while the snapshot was being built
+    channel.history
+      .filter(message => message.sequence > snapshotSequence)
+      .forEach(message => writeEvent(res, message));
+  }
+
+  channel.clients.add(res);
+
+  // Keep intermediaries from closing idle connections
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, config.streamHeartbeatInterval);
+
+  return () => {
+    clearInterval(heartbeat);
+    channel.clients.delete(res);
+  };
+};
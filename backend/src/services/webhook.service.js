@@ -0,0 +1,182 @@
+// src/services/webhook.service.js
+const crypto = require('crypto');
+const Webhook = require('../models/webhook.model');
+const auditService = require('./audit.service');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Project webhooks.
+ *
+ * Deliveries are POSTed as JSON: { id, event, project, timestamp, data }. The
+ * `X-Webhook-Signature` header holds `sha256=<hex>`, an HMAC of the raw body
+ * keyed with the webhook's secret. Failed deliveries are retried with backoff,
+ * and the outcome of the last one is stored on the webhook.
+ */
+
+// Delivery attempts per event
+const MAX_ATTEMPTS = 3;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Find a webhook in a project
+ */
+const findWebhook = async (projectId, webhookId) => {
+  const webhook = await Webhook.findOne({ _id: webhookId, project: projectId });
+
+  if (!webhook) {
+    const error = new Error('Webhook not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return webhook;
+};
+
+/**
+ * POST one event to a webhook, retrying failed attempts
+ */
+const deliver = async (webhook, event, body) => {
+  const signature = crypto.createHmac('sha256', webhook.secret).update(body).digest('hex');
+  const outcome = { event, timestamp: new Date() };
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'feature-flag-manager-webhooks',
+          'X-Webhook-Event': event,
+          'X-Webhook-Signature': `sha256=${signature}`
+        },
+        body,
+        signal: AbortSignal.timeout(config.webhookTimeout)
+      });
+
+      outcome.statusCode = response.status;
+      outcome.error = response.ok ? undefined : `Responded with ${response.status}`;
+    } catch (error) {
+      outcome.statusCode = undefined;
+      outcome.error = error.message;
+    }
+
+    if (!outcome.error) {
+      break;
+    }
+
+    if (attempt < MAX_ATTEMPTS) {
+      await wait(1000 * 2 ** (attempt - 1));
+    }
+  }
+
+  if (outcome.error) {
+    logger.warn(`Webhook ${webhook._id} delivery of '${event}' failed: ${outcome.error}`);
+  }
+
+  await Webhook.updateOne({ _id: webhook._id }, { $set: { lastDelivery: outcome } });
+};
+
+/**
+ * Send an event to every enabled webhook of a project subscribed to it.
+ * Never throws, so callers can notify without guarding against delivery errors.
+ */
+exports.dispatch = async (projectId, event, data) => {
+  try {
+    const webhooks = await Webhook.find({
+      project: projectId,
+      enabled: true,
+      $or: [{ events: event }, { events: { $size: 0 } }]
+    }).select('+secret');
+
+    const body = JSON.stringify({
+      id: crypto.randomUUID(),
+      event,
+      project: projectId,
+      timestamp: new Date(),
+      data
+    });
+
+    await Promise.all(webhooks.map(webhook => deliver(webhook, event, body)));
+  } catch (error) {
+    logger.error(`Failed to dispatch webhook event '${event}': ${error.message}`);
+  }
+};
+
+/**
+ * Get the webhooks of a project
+ */
+exports.getWebhooks = async (projectId) => {
+  return Webhook.find({ project: projectId }).sort({ createdAt: 1 });
+};
+
+/**
+ * Create a webhook. The response includes its secret, which is not returned again.
+ */
+exports.createWebhook = async (projectId, userId, data) => {
+  const { url, description, events, enabled } = data;
+
+  const webhook = await Webhook.create({
+    project: projectId,
+    url,
+    description,
+    events,
+    enabled,
+    createdBy: userId
+  });
+
+  // Record change in audit log
+  await auditService.record({
+    projectId,
+    action: 'webhook.created',
+    userId,
+    metadata: { webhook: webhook._id, url, events: webhook.events }
+  });
+
+  return webhook;
+};
+
+/**
+ * Update a webhook's URL, description, events or enabled state
+ */
+exports.updateWebhook = async (projectId, webhookId, userId, data) => {
+  const webhook = await findWebhook(projectId, webhookId);
+
+  for (const field of ['url', 'description', 'events', 'enabled']) {
+    if (data[field] !== undefined) {
+      webhook[field] = data[field];
+    }
+  }
+
+  await webhook.save();
+
+  // Record change in audit log
+  await auditService.record({
+    projectId,
+    action: 'webhook.updated',
+    userId,
+    metadata: { webhook: webhook._id, url: webhook.url, events: webhook.events, enabled: webhook.enabled }
+  });
+
+  return webhook;
+};
+
+/**
+ * Delete a webhook
+ */
+exports.deleteWebhook = async (projectId, webhookId, userId) => {
+  const webhook = await findWebhook(projectId, webhookId);
+
+  await webhook.deleteOne();
+
+  // Record change in audit log
+  await auditService.record({
+    projectId,
+    action: 'webhook.deleted',
+    userId,
+    metadata: { webhook: webhook._id, url: webhook.url }
+  });
+
+  return true;
+};
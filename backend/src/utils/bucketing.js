@@ -0,0 +1,128 @@
+// src/utils/bucketing.js
+const { getAttribute } = require('./targeting');
+
+/**
+ * Deterministic traffic bucketing.
+ *
+ * A context is hashed with MurmurHash3 (x86, 32-bit) over "<salt>.<value>",
+ * where the value is the rule's bucket-by attribute (userId by default), and
+ * mapped onto BUCKET_SCALE buckets, i.e. a resolution of 0.001%.
+ *
+ * The JavaScript SDK ships a line-by-line port of this module
+ * (sdk/javascript/src/bucketing.ts); both must produce identical buckets.
+ */
+
+// Number of buckets: 100% split into 0.001% steps
+const BUCKET_SCALE = 100000;
+
+// Attribute used when a rule does not specify one
+const DEFAULT_BUCKET_BY = 'userId';
+
+/**
+ * Encode a string as UTF-8 bytes
+ */
+const toBytes = (input) => Buffer.from(input, 'utf8');
+
+/**
+ * MurmurHash3 x86 32-bit hash of a string (unsigned result)
+ */
+const murmurhash3 = (input, seed = 0) => {
+  const bytes = toBytes(input);
+  const length = bytes.length;
+  const blockLength = length - (length % 4);
+  const c1 = 0xcc9e2d51;
+  const c2 = 0x1b873593;
+  let h1 = seed >>> 0;
+  let k1;
+
+  for (let i = 0; i < blockLength; i += 4) {
+    k1 = bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24);
+    k1 = Math.imul(k1, c1);
+    k1 = (k1 << 15) | (k1 >>> 17);
+    k1 = Math.imul(k1, c2);
+
+    h1 ^= k1;
+    h1 = (h1 << 13) | (h1 >>> 19);
+    h1 = (Math.imul(h1, 5) + 0xe6546b64) | 0;
+  }
+
+  // Mix in the remaining 1-3 bytes
+  k1 = 0;
+  const remainder = length & 3;
+  if (remainder === 3) k1 ^= bytes[blockLength + 2] << 16;
+  if (remainder >= 2) k1 ^= bytes[blockLength + 1] << 8;
+  if (remainder >= 1) {
+    k1 ^= bytes[blockLength];
+    k1 = Math.imul(k1, c1);
+    k1 = (k1 << 15) | (k1 >>> 17);
+    k1 = Math.imul(k1, c2);
+    h1 ^= k1;
+  }
+
+  // Finalization mix
+  h1 ^= length;
+  h1 ^= h1 >>> 16;
+  h1 = Math.imul(h1, 0x85ebca6b);
+  h1 ^= h1 >>> 13;
+  h1 = Math.imul(h1, 0xc2b2ae35);
+  h1 ^= h1 >>> 16;
+
+  return h1 >>> 0;
+};
+
+/**
+ * Get the value a context is bucketed by, or null if it cannot be bucketed
+ */
+const getBucketValue = (context, bucketBy = DEFAULT_BUCKET_BY) => {
+  const value = getAttribute(context || {}, bucketBy || DEFAULT_BUCKET_BY);
+
+  if (typeof value === 'string' && value !== '') {
+    return value;
+  }
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return String(value);
+  }
+
+  return null;
+};
+
+/**
+ * Map a salt and bucket value onto a bucket in [0, BUCKET_SCALE)
+ */
+const getBucket = (salt, value) => {
+  const hash = murmurhash3(`${salt}.${value}`);
+  return Math.floor((hash / 0x100000000) * BUCKET_SCALE);
+};
+
+/**
+ * Get the bucket for a context, or null if it lacks the bucket-by attribute
+ */
+const getContextBucket = (salt, context, bucketBy = DEFAULT_BUCKET_BY) => {
+  const value = getBucketValue(context, bucketBy);
+  return value === null ? null : getBucket(salt, value);
+};
+
+/**
+ * Convert a percentage (up to three decimals) into a number of buckets
+ */
+const percentageToBuckets = (percentage) => Math.round(percentage * (BUCKET_SCALE / 100));
+
+/**
+ * Check that a percentage uses at most three decimal places
+ */
+const hasValidResolution = (percentage) => {
+  const scaled = percentage * (BUCKET_SCALE / 100);
+  return Math.abs(scaled - Math.round(scaled)) < 1e-6;
+};
+
+module.exports = {
+  BUCKET_SCALE,
+  DEFAULT_BUCKET_BY,
+  murmurhash3,
+  getBucketValue,
+  getBucket,
+  getContextBucket,
+  percentageToBuckets,
+  hasValidResolution
+};
@@ -0,0 +1,62 @@
+// src/utils/diff.js
+
+/**
+ * Check if a value is a plain object (not an array, date or null)
+ */
+const isPlainObject = (value) => {
+  return value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date);
+};
+
+/**
+ * Compute a flat list of changes between two JSON values.
+ * Each change is { path, before, after } where path uses dot notation
+ * (array elements are addressed by index, e.g. `environments.production.rules.0.value`).
+ */
+const diff = (before, after, path = '') => {
+  // Identical primitives (or both missing) produce no change
+  if (before === after) {
+    return [];
+  }
+
+  // Recurse into objects present on both sides
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+
+    for (const key of keys) {
+      const childPath = path ? `${path}.${key}` : key;
+      changes.push(...diff(before[key], after[key], childPath));
+    }
+
+    return changes;
+  }
+
+  // Recurse into arrays present on both sides
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const changes = [];
+    const length = Math.max(before.length, after.length);
+
+    for (let i = 0; i < length; i++) {
+      const childPath = path ? `${path}.${i}` : String(i);
+      changes.push(...diff(before[i], after[i], childPath));
+    }
+
+    return changes;
+  }
+
+  // Compare anything else by its JSON representation
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+
+  return [{
+    path: path || '$',
+    before: before === undefined ? null : before,
+    after: after === undefined ? null : after
+  }];
+};
+
+module.exports = { diff, isPlainObject };
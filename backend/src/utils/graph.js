@@ -0,0 +1,37 @@
+// src/utils/graph.js
+
+/**
+ * Find a cycle that leads back to `startKey` in a directed graph.
+ * `getEdges(key)` returns the keys a node points to (unknown keys should return []).
+ * Returns the cycle as a list of keys starting and ending with `startKey`, or null.
+ */
+const findCycle = (startKey, getEdges) => {
+  // Nodes already known not to lead back to the start
+  const explored = new Set();
+
+  const visit = (path) => {
+    const current = path[path.length - 1];
+
+    for (const key of getEdges(current)) {
+      if (key === startKey) {
+        return [...path, key];
+      }
+
+      if (explored.has(key) || path.includes(key)) {
+        continue;
+      }
+
+      const cycle = visit([...path, key]);
+      if (cycle) {
+        return cycle;
+      }
+    }
+
+    explored.add(current);
+    return null;
+  };
+
+  return visit([startKey]);
+};
+
+module.exports = { findCycle };
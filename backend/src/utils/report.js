@@ -0,0 +1,73 @@
+// src/utils/report.js
+
+/**
+ * Render a value for a report line
+ */
+const formatValue = (value) => {
+  return value === null ? '(none)' : JSON.stringify(value);
+};
+
+/**
+ * Render an environment comparison as a plain text diff
+ */
+const formatComparisonText = ({ from, to, summary, flags }) => {
+  const lines = [
+    `Comparing ${from} -> ${to}`,
+    `${summary.changed} changed, ${summary.unchanged} unchanged, ${summary.missing} missing`
+  ];
+
+  for (const flag of flags) {
+    if (flag.status === 'missing') {
+      lines.push('', `! ${flag.key}: no settings in ${flag.missingIn.join(', ')}`);
+    } else if (flag.status === 'changed') {
+      lines.push('', `~ ${flag.key}`);
+      for (const change of flag.changes) {
+        lines.push(`    ${change.path}: ${formatValue(change.from)} -> ${formatValue(change.to)}`);
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Escape a value for a Markdown table cell
+ */
+const markdownCell = (value) => {
+  return `\`${formatValue(value).replace(/\|/g, '\\|').replace(/`/g, "'")}\``;
+};
+
+/**
+ * Render an environment comparison as Markdown
+ */
+const formatComparisonMarkdown = ({ from, to, summary, flags }) => {
+  const lines = [
+    `# Environment comparison: \`${from}\` → \`${to}\``,
+    '',
+    `${summary.changed} changed, ${summary.unchanged} unchanged, ${summary.missing} missing`
+  ];
+
+  for (const flag of flags) {
+    if (flag.status === 'missing') {
+      lines.push('', `## ${flag.key}`, '', `No settings in ${flag.missingIn.map(env => `\`${env}\``).join(', ')}.`);
+    } else if (flag.status === 'changed') {
+      lines.push('', `## ${flag.key}`, '', `| Setting | ${from} | ${to} |`, '| --- | --- | --- |');
+      for (const change of flag.changes) {
+        lines.push(`| \`${change.path}\` | ${markdownCell(change.from)} | ${markdownCell(change.to)} |`);
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Render an environment comparison as 'text' or 'markdown'
+ */
+const formatComparison = (comparison, format) => {
+  return format === 'markdown'
+    ? formatComparisonMarkdown(comparison)
+    : formatComparisonText(comparison);
+};
+
+module.exports = { formatComparison };
@@ -0,0 +1,428 @@
+// src/utils/schedule.js
+
+/**
+ * Schedules for SCHEDULED rules.
+ *
+ * A schedule is active between optional absolute bounds (startDate is required
+ * unless the schedule recurs):
+ *   { startDate: '2026-11-01T00:00:00Z', endDate: '2026-12-01T00:00:00Z' }
+ *
+ * It can also recur within those bounds, in the local time of an IANA timezone:
+ *   {
+ *     timezone: 'Europe/Berlin',
+ *     recurrence: {
+ *       frequency: 'weekly',   // 'daily' | 'weekly' | 'monthly'
+ *       daysOfWeek: ['mon', 'tue', 'wed', 'thu', 'fri'],
+ *       startTime: '09:00',
+ *       endTime: '17:00'
+ *     }
+ *   }
+ *
+ * Monthly schedules pick their days with `daysOfMonth` ([1, 15], -1 for the last
+ * day) or `weekdayOfMonth` ({ weekday: 'mon', week: 1 } is the first Monday,
+ * week -1 the last). A window whose end time is not after its start time ends on
+ * the next day, and an end time of '24:00' means midnight at the end of the day.
+ *
+ * Times are wall-clock times, so a 09:00 window starts at 09:00 local time on
+ * both sides of a DST change. A time skipped by a DST change moves forward by
+ * the gap, and a time that occurs twice uses its first occurrence. Dates without
+ * an offset are read in the schedule's timezone when it has one.
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How many days to look ahead for windows. Every valid recurrence has a window
+// within a few months, so this only bounds long previews.
+const MAX_SCAN_DAYS = 366 * 10;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// ISO dates without a UTC offset, e.g. 2026-11-01 or 2026-11-01T09:00
+const LOCAL_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+// Date formatters by timezone, as creating them is slow
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check if a string is an IANA timezone name known to the runtime
+ */
+const isValidTimezone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+const getOffset = (timestamp, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(timestamp))) {
+    parts[type] = Number(value);
+  }
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time (milliseconds, as if it were UTC) in a timezone to an instant
+ */
+const fromLocalTime = (local, timeZone) => {
+  const offsetBefore = getOffset(local - DAY_MS, timeZone);
+  const offsetAfter = getOffset(local + DAY_MS, timeZone);
+
+  if (offsetBefore === offsetAfter) {
+    return local - offsetBefore;
+  }
+
+  // The offset changes around this time: find which offsets actually give it
+  const candidates = [local - offsetBefore, local - offsetAfter]
+    .filter(timestamp => timestamp + getOffset(timestamp, timeZone) === local);
+
+  if (candidates.length > 0) {
+    return Math.min(...candidates);
+  }
+
+  // Skipped by the change: the old offset moves the time forward by the gap
+  return local - offsetBefore;
+};
+
+/**
+ * Local day number (days since 1970-01-01) of an instant in a timezone
+ */
+const getLocalDay = (timestamp, timeZone) => {
+  return Math.floor((timestamp + getOffset(timestamp, timeZone)) / DAY_MS);
+};
+
+/**
+ * Parse 'HH:mm' to minutes after midnight ('24:00' only if allowed)
+ */
+const parseTime = (input, allowMidnight = false) => {
+  if (allowMidnight && input === '24:00') {
+    return 24 * 60;
+  }
+
+  const match = typeof input === 'string' ? TIME_PATTERN.exec(input) : null;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * Parse a bound to a timestamp, reading dates without an offset in the timezone
+ */
+const parseDate = (input, timeZone) => {
+  const match = typeof input === 'string' && timeZone ? LOCAL_DATE_PATTERN.exec(input) : null;
+
+  if (match) {
+    const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1)
+      .filter(part => part !== undefined)
+      .map(Number);
+    const local = Date.UTC(year, month - 1, day, hour, minute, second);
+    return Number.isNaN(local) ? NaN : fromLocalTime(local, timeZone);
+  }
+
+  return new Date(input).getTime();
+};
+
+/**
+ * Get a schedule's absolute bounds as timestamps (infinite when not set)
+ */
+const getBounds = (schedule) => {
+  const timeZone = isValidTimezone(schedule.timezone) ? schedule.timezone : null;
+
+  return {
+    start: schedule.startDate ? parseDate(schedule.startDate, timeZone) : -Infinity,
+    end: schedule.endDate ? parseDate(schedule.endDate, timeZone) : Infinity
+  };
+};
+
+/**
+ * Check if a recurrence has a window starting on a local day
+ */
+const matchesDay = (recurrence, day) => {
+  const date = new Date(day * DAY_MS);
+  const weekday = WEEKDAYS[date.getUTCDay()];
+  const dayOfMonth = date.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+
+  switch (recurrence.frequency) {
+    case 'daily':
+      return true;
+
+    case 'weekly':
+      return recurrence.daysOfWeek.includes(weekday);
+
+    case 'monthly': {
+      if (recurrence.weekdayOfMonth) {
+        const { weekday: targetWeekday, week } = recurrence.weekdayOfMonth;
+        if (weekday !== targetWeekday) {
+          return false;
+        }
+        return week === -1 ? dayOfMonth + 7 > daysInMonth : Math.ceil(dayOfMonth / 7) === week;
+      }
+
+      return recurrence.daysOfMonth.some(target => (
+        target === -1 ? dayOfMonth === daysInMonth : dayOfMonth === target
+      ));
+    }
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Get the window a recurrence starts on a local day, as timestamps
+ */
+const getWindow = (recurrence, day, timeZone) => {
+  const startMinutes = parseTime(recurrence.startTime);
+  let endMinutes = parseTime(recurrence.endTime, true);
+
+  // Windows that end before they start continue into the next day
+  if (endMinutes <= startMinutes) {
+    endMinutes += 24 * 60;
+  }
+
+  return {
+    start: fromLocalTime(day * DAY_MS + startMinutes * 60 * 1000, timeZone),
+    end: fromLocalTime(day * DAY_MS + endMinutes * 60 * 1000, timeZone)
+  };
+};
+
+/**
+ * Check if a schedule is active at a time (now by default)
+ */
+const isActive = (schedule, at = new Date()) => {
+  const timestamp = new Date(at).getTime();
+  const bounds = getBounds(schedule);
+
+  // The end date is inclusive
+  if (timestamp < bounds.start || timestamp > bounds.end) {
+    return false;
+  }
+
+  const { recurrence } = schedule;
+  if (!recurrence) {
+    return true;
+  }
+
+  const timeZone = schedule.timezone || 'UTC';
+  const today = getLocalDay(timestamp, timeZone);
+
+  // A window that crosses midnight may have started the day before
+  return [today - 1, today].some(day => {
+    if (!matchesDay(recurrence, day)) {
+      return false;
+    }
+
+    const window = getWindow(recurrence, day, timeZone);
+    return timestamp >= window.start && timestamp < window.end;
+  });
+};
+
+/**
+ * Get up to `count` windows in which a schedule is active, starting with the one
+ * in progress at `from` (now by default). Each window is { start, end }, where
+ * `end` is null if the schedule never ends.
+ */
+const getNextWindows = (schedule, from = new Date(), count = 5) => {
+  const timestamp = new Date(from).getTime();
+  const bounds = getBounds(schedule);
+  const windows = [];
+
+  // Clip a window to the schedule's bounds and keep it unless it is over
+  const addWindow = (start, end) => {
+    const clippedStart = Math.max(start, bounds.start);
+    const clippedEnd = Math.min(end, bounds.end);
+
+    if (clippedEnd > clippedStart && clippedEnd > timestamp) {
+      windows.push({
+        start: new Date(clippedStart),
+        end: Number.isFinite(clippedEnd) ? new Date(clippedEnd) : null
+      });
+    }
+  };
+
+  const { recurrence } = schedule;
+  if (!recurrence) {
+    addWindow(bounds.start, bounds.end);
+    return windows.slice(0, count);
+  }
+
+  const timeZone = schedule.timezone || 'UTC';
+
+  // Start a day early for windows that cross midnight
+  const firstDay = getLocalDay(Math.max(timestamp, bounds.start), timeZone) - 1;
+
+  for (let day = firstDay; windows.length < count && day <= firstDay + MAX_SCAN_DAYS; day++) {
+    if (!matchesDay(recurrence, day)) {
+      continue;
+    }
+
+    const window = getWindow(recurrence, day, timeZone);
+    if (window.start > bounds.end) {
+      break;
+    }
+
+    addWindow(window.start, window.end);
+  }
+
+  return windows;
+};
+
+/**
+ * Validate a recurrence, returning a list of error messages
+ */
+const validateRecurrence = (recurrence, path) => {
+  if (recurrence === null || typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+    return [`${path} must be an object`];
+  }
+
+  const errors = [];
+  const { frequency, daysOfWeek, daysOfMonth, weekdayOfMonth, startTime, endTime } = recurrence;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    errors.push(`${path}.frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  // Times
+  const startMinutes = parseTime(startTime);
+  const endMinutes = parseTime(endTime, true);
+
+  if (startMinutes === null) {
+    errors.push(`${path}.startTime must be a time in HH:mm format`);
+  }
+  if (endMinutes === null) {
+    errors.push(`${path}.endTime must be a time in HH:mm format (or 24:00)`);
+  }
+  if (startMinutes !== null && endMinutes !== null && startMinutes === endMinutes) {
+    errors.push(`${path}.endTime must be different from startTime`);
+  }
+
+  // Days of the week (weekly)
+  if (frequency === 'weekly') {
+    if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0) {
+      errors.push(`${path}.daysOfWeek must be a non-empty array for weekly schedules`);
+    } else {
+      daysOfWeek
+        .filter(weekday => !WEEKDAYS.includes(weekday))
+        .forEach(weekday => errors.push(`${path}.daysOfWeek contains an unknown day '${weekday}'`));
+    }
+  } else if (daysOfWeek !== undefined) {
+    errors.push(`${path}.daysOfWeek only applies to weekly schedules`);
+  }
+
+  // Days of the month (monthly)
+  if (frequency === 'monthly') {
+    if ((daysOfMonth === undefined) === (weekdayOfMonth === undefined)) {
+      errors.push(`${path} must have either daysOfMonth or weekdayOfMonth for monthly schedules`);
+    }
+
+    if (daysOfMonth !== undefined) {
+      const valid = Array.isArray(daysOfMonth) && daysOfMonth.length > 0 && daysOfMonth.every(day => (
+        Number.isInteger(day) && (day === -1 || (day >= 1 && day <= 31))
+      ));
+      if (!valid) {
+        errors.push(`${path}.daysOfMonth must be a non-empty array of days from 1 to 31 (or -1 for the last day)`);
+      }
+    }
+
+    if (weekdayOfMonth !== undefined) {
+      const valid = weekdayOfMonth !== null && typeof weekdayOfMonth === 'object' &&
+        WEEKDAYS.includes(weekdayOfMonth.weekday) &&
+        [1, 2, 3, 4, 5, -1].includes(weekdayOfMonth.week);
+      if (!valid) {
+        errors.push(`${path}.weekdayOfMonth must have a weekday (sun to sat) and a week from 1 to 5 (or -1 for the last)`);
+      }
+    }
+  } else {
+    if (daysOfMonth !== undefined) {
+      errors.push(`${path}.daysOfMonth only applies to monthly schedules`);
+    }
+    if (weekdayOfMonth !== undefined) {
+      errors.push(`${path}.weekdayOfMonth only applies to monthly schedules`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validate a SCHEDULED rule value, returning a list of error messages
+ */
+const validateSchedule = (value) => {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return ['value must be an object with a startDate or a recurrence'];
+  }
+
+  const { startDate, endDate, timezone, recurrence } = value;
+  const errors = [];
+
+  if (!startDate && !recurrence) {
+    errors.push('value must have a startDate or a recurrence');
+  }
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    errors.push('value.timezone must be an IANA timezone such as Europe/Berlin');
+  }
+
+  const bounds = getBounds(value);
+
+  if (startDate && Number.isNaN(bounds.start)) {
+    errors.push('value.startDate must be a valid date');
+  }
+  if (endDate && Number.isNaN(bounds.end)) {
+    errors.push('value.endDate must be a valid date');
+  }
+  if (bounds.end <= bounds.start) {
+    errors.push('value.endDate must be after value.startDate');
+  }
+
+  if (recurrence !== undefined) {
+    errors.push(...validateRecurrence(recurrence, 'value.recurrence'));
+  }
+
+  // A recurrence that has no window between the dates would never activate
+  if (errors.length === 0 && recurrence && Number.isFinite(bounds.start) && Number.isFinite(bounds.end) &&
+    getNextWindows(value, bounds.start, 1).length === 0) {
+    errors.push('value never activates: no recurrence window falls between startDate and endDate');
+  }
+
+  return errors;
+};
+
+module.exports = {
+  WEEKDAYS,
+  FREQUENCIES,
+  isValidTimezone,
+  isActive,
+  getNextWindows,
+  validateSchedule
+};
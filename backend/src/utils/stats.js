@@ -0,0 +1,265 @@
+// src/utils/stats.js
+
+/**
+ * Statistics for experiment results.
+ *
+ * Rates (conversions out of users) use Wilson intervals and a two-proportion
+ * z-test. Means use normal intervals and Welch's z-test, which is accurate for
+ * the sample sizes experiments need. The probability to beat control compares
+ * normal approximations of each arm's posterior: Beta(1 + conversions,
+ * 1 + non-conversions) for rates, and the sampling distribution for means.
+ * Traffic splits are checked with Pearson's chi-square goodness-of-fit test.
+ */
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+ */
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Standard normal quantile (Acklam's rational approximation, relative error < 1.2e-9)
+ */
+const normalQuantile = (p) => {
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation)
+ */
+const logGamma = (x) => {
+  const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  const base = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  const series = coefficients.reduce((sum, coefficient, index) => sum + coefficient / (x + 1 + index), 1.000000000190015);
+
+  return -base + Math.log((2.5066282746310005 * series) / x);
+};
+
+/**
+ * Upper regularized incomplete gamma function Q(a, x), by its series below a + 1
+ * and its continued fraction above (Numerical Recipes gammq)
+ */
+const upperGamma = (a, x) => {
+  const EPSILON = 1e-14;
+  const TINY = 1e-300;
+
+  if (x <= 0) {
+    return 1;
+  }
+
+  const scale = Math.exp(-x + a * Math.log(x) - logGamma(a));
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 1000 && Math.abs(term) > Math.abs(sum) * EPSILON; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return Math.max(1 - sum * scale, 0);
+  }
+
+  let b = x + 1 - a;
+  let c = 1 / TINY;
+  let d = 1 / b;
+  let fraction = d;
+  for (let n = 1; n < 1000; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    d = Math.abs(d) < TINY ? TINY : d;
+    c = b + an / c;
+    c = Math.abs(c) < TINY ? TINY : c;
+    d = 1 / d;
+    const delta = d * c;
+    fraction *= delta;
+    if (Math.abs(delta - 1) < EPSILON) {
+      break;
+    }
+  }
+  return Math.min(fraction * scale, 1);
+};
+
+/**
+ * Two-sided p-value of a z statistic
+ */
+const twoSidedPValue = (z) => 2 * (1 - normalCdf(Math.abs(z)));
+
+/**
+ * Summarize a rate: { users, conversions, value, interval } with a Wilson interval
+ */
+const summarizeRate = (conversions, users, confidence = 0.95) => {
+  if (users === 0) {
+    return { users, conversions, value: 0, interval: [0, 0] };
+  }
+
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const p = conversions / users;
+  const denominator = 1 + (z * z) / users;
+  const center = (p + (z * z) / (2 * users)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / users + (z * z) / (4 * users * users))) / denominator;
+
+  return {
+    users,
+    conversions,
+    value: p,
+    interval: [Math.max(center - margin, 0), Math.min(center + margin, 1)]
+  };
+};
+
+/**
+ * Summarize a mean of per-user values: { users, value, standardDeviation, interval }
+ */
+const summarizeMean = (values, confidence = 0.95) => {
+  const users = values.length;
+
+  if (users === 0) {
+    return { users, value: 0, standardDeviation: 0, interval: [0, 0] };
+  }
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / users;
+  const variance = users > 1
+    ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (users - 1)
+    : 0;
+  const standardDeviation = Math.sqrt(variance);
+  const margin = normalQuantile(1 - (1 - confidence) / 2) * standardDeviation / Math.sqrt(users);
+
+  return {
+    users,
+    value: mean,
+    standardDeviation,
+    interval: [mean - margin, mean + margin]
+  };
+};
+
+/**
+ * Compare a treatment rate with the control rate.
+ * Returns { pValue, probabilityToBeatControl } (null when either arm has no users).
+ */
+const compareRates = (control, treatment) => {
+  if (control.users === 0 || treatment.users === 0) {
+    return { pValue: null, probabilityToBeatControl: null };
+  }
+
+  // Two-proportion z-test with a pooled standard error
+  const pooled = (control.conversions + treatment.conversions) / (control.users + treatment.users);
+  const pooledError = Math.sqrt(pooled * (1 - pooled) * (1 / control.users + 1 / treatment.users));
+  const pValue = pooledError === 0 ? 1 : twoSidedPValue((treatment.value - control.value) / pooledError);
+
+  // Beta posteriors with uniform priors, approximated as normals
+  const posterior = ({ conversions, users }) => {
+    const alpha = 1 + conversions;
+    const beta = 1 + users - conversions;
+    return {
+      mean: alpha / (alpha + beta),
+      variance: (alpha * beta) / ((alpha + beta) ** 2 * (alpha + beta + 1))
+    };
+  };
+  const a = posterior(control);
+  const b = posterior(treatment);
+  const probabilityToBeatControl = normalCdf((b.mean - a.mean) / Math.sqrt(a.variance + b.variance));
+
+  return { pValue, probabilityToBeatControl };
+};
+
+/**
+ * Compare a treatment mean with the control mean.
+ * Returns { pValue, probabilityToBeatControl } (null when either arm has fewer than 2 users).
+ */
+const compareMeans = (control, treatment) => {
+  if (control.users < 2 || treatment.users < 2) {
+    return { pValue: null, probabilityToBeatControl: null };
+  }
+
+  const standardError = Math.sqrt(
+    control.standardDeviation ** 2 / control.users + treatment.standardDeviation ** 2 / treatment.users
+  );
+
+  if (standardError === 0) {
+    const difference = treatment.value - control.value;
+    return {
+      pValue: difference === 0 ? 1 : 0,
+      probabilityToBeatControl: difference === 0 ? 0.5 : Number(difference > 0)
+    };
+  }
+
+  const z = (treatment.value - control.value) / standardError;
+
+  return {
+    pValue: twoSidedPValue(z),
+    probabilityToBeatControl: normalCdf(z)
+  };
+};
+
+/**
+ * Chi-square goodness-of-fit test of observed counts against expected shares (any scale).
+ * Categories expected to be empty are left out, unless they have observations,
+ * which makes the mismatch certain (p-value 0).
+ * Returns { statistic, degreesOfFreedom, pValue }.
+ */
+const chiSquareTest = (observed, expectedShares) => {
+  const total = observed.reduce((sum, count) => sum + count, 0);
+  const shareTotal = expectedShares.reduce((sum, share) => sum + share, 0);
+  let statistic = 0;
+  let categories = 0;
+  let impossible = false;
+
+  observed.forEach((count, index) => {
+    if (expectedShares[index] <= 0) {
+      impossible = impossible || count > 0;
+      return;
+    }
+
+    const expected = (total * expectedShares[index]) / shareTotal;
+    statistic += total > 0 ? (count - expected) ** 2 / expected : 0;
+    categories += 1;
+  });
+
+  const degreesOfFreedom = Math.max(categories - 1, 0);
+
+  if (impossible) {
+    return { statistic: null, degreesOfFreedom, pValue: 0 };
+  }
+
+  return {
+    statistic,
+    degreesOfFreedom,
+    pValue: degreesOfFreedom === 0 ? 1 : upperGamma(degreesOfFreedom / 2, statistic / 2)
+  };
+};
+
+module.exports = {
+  normalCdf,
+  normalQuantile,
+  upperGamma,
+  summarizeRate,
+  summarizeMean,
+  compareRates,
+  compareMeans,
+  chiSquareTest
+};
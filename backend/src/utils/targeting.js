@@ -0,0 +1,567 @@
+// src/utils/targeting.js
+
+/**
+ * Targeting clause language for USER_SEGMENT rules.
+ *
+ * A clause compares one context attribute against a list of values:
+ *   { attribute: 'country', operator: 'in', values: ['US', 'CA'], negate: false }
+ *
+ * Clauses are combined in groups, which can be nested:
+ *   { match: 'all' | 'any', clauses: [clause | group, ...] }
+ *
+ * A clause matches when the operator holds for at least one of its values.
+ * If the context does not have the attribute the clause never matches,
+ * regardless of `negate`.
+ *
+ * The `segmentMatch` operator takes no attribute and matches when the context
+ * belongs to any of the project segments whose keys are listed in `values`.
+ */
+
+const MAX_GROUP_DEPTH = 5;
+
+const SEGMENT_OPERATOR = 'segmentMatch';
+
+// Longest pattern accepted by the `matches` operator
+const MAX_PATTERN_LENGTH = 200;
+
+// Longest attribute value the `matches` operator tests; longer values do not match
+const MAX_MATCHED_LENGTH = 1000;
+
+// Compiled `matches` patterns, so evaluations do not recompile them
+const MAX_CACHED_PATTERNS = 1000;
+const patternCache = new Map();
+
+/**
+ * Parse a semantic version ("1.2.3", "v1.2", "1.2.3-beta.1+build")
+ */
+const parseSemver = (input) => {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(input.trim());
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2] || 0),
+    patch: Number(match[3] || 0),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+};
+
+/**
+ * Compare two parsed semantic versions (-1, 0 or 1)
+ */
+const compareSemver = (a, b) => {
+  for (const part of ['major', 'minor', 'patch']) {
+    if (a[part] !== b[part]) {
+      return a[part] < b[part] ? -1 : 1;
+    }
+  }
+
+  // A version without prerelease tags has higher precedence
+  if (a.prerelease.length === 0 && b.prerelease.length === 0) return 0;
+  if (a.prerelease.length === 0) return 1;
+  if (b.prerelease.length === 0) return -1;
+
+  const length = Math.max(a.prerelease.length, b.prerelease.length);
+  for (let i = 0; i < length; i++) {
+    const x = a.prerelease[i];
+    const y = b.prerelease[i];
+
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+
+    const xNumeric = /^\d+$/.test(x);
+    const yNumeric = /^\d+$/.test(y);
+
+    if (xNumeric && yNumeric) return Number(x) < Number(y) ? -1 : 1;
+    if (xNumeric) return -1;
+    if (yNumeric) return 1;
+    return x < y ? -1 : 1;
+  }
+
+  return 0;
+};
+
+/**
+ * Convert a value to a number, accepting numeric strings
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  return null;
+};
+
+/**
+ * Convert a value to a timestamp, accepting dates, ISO strings and epoch milliseconds
+ */
+const toTimestamp = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.getTime();
+  }
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  if (typeof value === 'string' && value.trim() !== '') {
+    const timestamp = Date.parse(value);
+    return Number.isNaN(timestamp) ? null : timestamp;
+  }
+
+  return null;
+};
+
+const compareNumbers = (compare) => (actual, expected) => {
+  const a = toNumber(actual);
+  const b = toNumber(expected);
+  return a !== null && b !== null && compare(a, b);
+};
+
+const compareVersions = (compare) => (actual, expected) => {
+  const a = parseSemver(actual);
+  const b = parseSemver(expected);
+  return a !== null && b !== null && compare(compareSemver(a, b));
+};
+
+const compareDates = (compare) => (actual, expected) => {
+  const a = toTimestamp(actual);
+  const b = toTimestamp(expected);
+  return a !== null && b !== null && compare(a, b);
+};
+
+const compareStrings = (compare) => (actual, expected) => {
+  return typeof actual === 'string' && typeof expected === 'string' && compare(actual, expected);
+};
+
+/**
+ * Check if a pattern repeats a group that contains an alternation or another
+ * quantifier, e.g. (a+)+, (a|a)+ or (a?b?)*, which can make matching take
+ * exponential time
+ */
+const hasUnsafeRepetition = (pattern) => {
+  // Whether each open group contains an alternation or a quantifier so far
+  const groups = [];
+  let lastGroupUnsafe = false;
+
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    const brace = char === '{' ? /^\{\d+(,\d*)?\}/.exec(pattern.slice(i)) : null;
+
+    if (char === '\\') {
+      i += 1;
+      lastGroupUnsafe = false;
+    } else if (char === '[') {
+      // Skip the character class, whose contents are literal
+      for (i += 1; i < pattern.length && pattern[i] !== ']'; i += 1) {
+        if (pattern[i] === '\\') {
+          i += 1;
+        }
+      }
+      lastGroupUnsafe = false;
+    } else if (char === '(') {
+      // Skip the group's prefix: (?: (?= (?! (?<= (?<! or (?<name>
+      const prefix = /^\(\?(?::|=|!|<=|<!|<[^>]*>)/.exec(pattern.slice(i));
+      if (prefix) {
+        i += prefix[0].length - 1;
+      }
+      groups.push(false);
+      lastGroupUnsafe = false;
+    } else if (char === ')') {
+      lastGroupUnsafe = groups.length > 0 && groups.pop();
+
+      // An unsafe group makes its enclosing group unsafe too
+      if (lastGroupUnsafe && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    } else if (char === '|') {
+      if (groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+      lastGroupUnsafe = false;
+    } else if (char === '*' || char === '+' || char === '?' || brace) {
+      // ? only makes an atom optional; every other quantifier repeats it
+      if (char !== '?' && lastGroupUnsafe) {
+        return true;
+      }
+      if (groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+      if (brace) {
+        i += brace[0].length - 1;
+      }
+      // Skip the lazy modifier of a quantifier
+      if (pattern[i + 1] === '?') {
+        i += 1;
+      }
+      lastGroupUnsafe = false;
+    } else {
+      lastGroupUnsafe = false;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Explain why a `matches` pattern cannot be used, or return null if it can
+ */
+const getPatternError = (pattern) => {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `cannot be longer than ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  if (hasUnsafeRepetition(pattern)) {
+    return 'cannot repeat a group that contains an alternation or a quantifier (e.g. (a+)+ or (a|b)*)';
+  }
+
+  try {
+    new RegExp(pattern);
+    return null;
+  } catch (error) {
+    return `is not a valid regular expression (${error.message})`;
+  }
+};
+
+/**
+ * Get the compiled regular expression of a `matches` pattern, throwing for unusable patterns
+ */
+const getPattern = (pattern) => {
+  let regex = patternCache.get(pattern);
+
+  if (!regex) {
+    const error = getPatternError(pattern);
+    if (error) {
+      throw new Error(`Pattern '${pattern}' ${error}`);
+    }
+
+    // Drop the oldest pattern once the cache is full
+    if (patternCache.size >= MAX_CACHED_PATTERNS) {
+      patternCache.delete(patternCache.keys().next().value);
+    }
+
+    regex = new RegExp(pattern);
+    patternCache.set(pattern, regex);
+  }
+
+  return regex;
+};
+
+// Operator implementations: (contextValue, clauseValue) => boolean
+const OPERATORS = {
+  in: (actual, expected) => actual === expected,
+  contains: compareStrings((a, b) => a.includes(b)),
+  startsWith: compareStrings((a, b) => a.startsWith(b)),
+  endsWith: compareStrings((a, b) => a.endsWith(b)),
+  matches: compareStrings((a, b) => {
+    const regex = getPattern(b);
+    return a.length <= MAX_MATCHED_LENGTH && regex.test(a);
+  }),
+  lt: compareNumbers((a, b) => a < b),
+  lte: compareNumbers((a, b) => a <= b),
+  gt: compareNumbers((a, b) => a > b),
+  gte: compareNumbers((a, b) => a >= b),
+  semverEq: compareVersions(result => result === 0),
+  semverLt: compareVersions(result => result < 0),
+  semverLte: compareVersions(result => result <= 0),
+  semverGt: compareVersions(result => result > 0),
+  semverGte: compareVersions(result => result >= 0),
+  before: compareDates((a, b) => a < b),
+  after: compareDates((a, b) => a > b)
+};
+
+// notIn and segmentMatch are handled separately
+const OPERATOR_NAMES = [...Object.keys(OPERATORS), 'notIn', SEGMENT_OPERATOR];
+
+// Expected clause value type for each operator family
+const VALUE_TYPES = {
+  contains: 'string',
+  startsWith: 'string',
+  endsWith: 'string',
+  matches: 'regex',
+  lt: 'number',
+  lte: 'number',
+  gt: 'number',
+  gte: 'number',
+  semverEq: 'semver',
+  semverLt: 'semver',
+  semverLte: 'semver',
+  semverGt: 'semver',
+  semverGte: 'semver',
+  before: 'date',
+  after: 'date',
+  [SEGMENT_OPERATOR]: 'segment'
+};
+
+/**
+ * Look up an attribute in the context, supporting dot paths ("user.plan")
+ */
+const getAttribute = (context, attribute) => {
+  if (!context || typeof attribute !== 'string') {
+    return undefined;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(context, attribute)) {
+    return context[attribute];
+  }
+
+  return attribute.split('.').reduce((value, key) => (
+    value !== null && value !== undefined && typeof value === 'object'
+      ? value[key]
+      : undefined
+  ), context);
+};
+
+/**
+ * Check if a value is a clause group rather than a single clause
+ */
+const isGroup = (node) => {
+  return node !== null && typeof node === 'object' && Array.isArray(node.clauses);
+};
+
+/**
+ * Evaluate a single clause against a context
+ */
+const matchesClause = (clause, context, options = {}) => {
+  // Segment references are resolved against the segments passed in by the caller
+  if (clause.operator === SEGMENT_OPERATOR) {
+    const segments = options.segments || {};
+    const result = (clause.values || []).some(key => (
+      Boolean(segments[key]) && isInSegment(segments[key], context)
+    ));
+    return clause.negate ? !result : result;
+  }
+
+  const actual = getAttribute(context, clause.attribute);
+
+  // Missing attributes never match
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+
+  const actualValues = Array.isArray(actual) ? actual : [actual];
+  const values = clause.values || [];
+  let result;
+
+  if (clause.operator === 'notIn') {
+    result = !actualValues.some(a => values.some(v => OPERATORS.in(a, v)));
+  } else {
+    const operator = OPERATORS[clause.operator];
+    result = Boolean(operator) && actualValues.some(a => values.some(v => operator(a, v)));
+  }
+
+  return clause.negate ? !result : result;
+};
+
+/**
+ * Evaluate a clause group (or a single clause) against a context
+ */
+const matchesGroup = (node, context, options = {}) => {
+  if (!isGroup(node)) {
+    return matchesClause(node, context, options);
+  }
+
+  const matchesChild = child => matchesGroup(child, context, options);
+
+  return node.match === 'any'
+    ? node.clauses.some(matchesChild)
+    : node.clauses.every(matchesChild);
+};
+
+/**
+ * Evaluate a USER_SEGMENT rule value: either a clause group or a legacy
+ * attribute map where every attribute must equal the given value
+ */
+const matchesSegment = (value, context, options = {}) => {
+  if (isGroup(value)) {
+    return matchesGroup(value, context, options);
+  }
+
+  return Object.entries(value || {}).every(([attribute, expected]) => {
+    const actual = getAttribute(context, attribute);
+    return actual !== undefined && actual === expected;
+  });
+};
+
+/**
+ * Check if a context belongs to a project segment.
+ * Excluded user IDs win over included ones; everyone else is matched
+ * against the segment's attribute rules, if any.
+ */
+const isInSegment = (segment, context) => {
+  const userId = context ? context.userId : undefined;
+
+  if (userId !== undefined && userId !== null) {
+    if ((segment.excluded || []).includes(String(userId))) {
+      return false;
+    }
+
+    if ((segment.included || []).includes(String(userId))) {
+      return true;
+    }
+  }
+
+  if (segment.rules && isGroup(segment.rules)) {
+    return matchesGroup(segment.rules, context);
+  }
+
+  return false;
+};
+
+/**
+ * Collect the segment keys referenced by a rule value or clause group
+ */
+const getSegmentKeys = (node) => {
+  if (!node || typeof node !== 'object') {
+    return [];
+  }
+
+  if (isGroup(node)) {
+    return [...new Set(node.clauses.flatMap(getSegmentKeys))];
+  }
+
+  return node.operator === SEGMENT_OPERATOR && Array.isArray(node.values)
+    ? node.values.filter(value => typeof value === 'string')
+    : [];
+};
+
+/**
+ * Validate a single clause value for an operator
+ */
+const validateClauseValue = (operator, value) => {
+  switch (VALUE_TYPES[operator]) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'regex':
+      if (typeof value !== 'string') {
+        return 'must be a regular expression string';
+      }
+      return getPatternError(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+    case 'semver':
+      return parseSemver(value) ? null : 'must be a semantic version (e.g. 1.2.3)';
+    case 'date':
+      return toTimestamp(value) !== null ? null : 'must be an ISO 8601 date or epoch milliseconds';
+    case 'segment':
+      return typeof value === 'string' && value.trim() !== '' ? null : 'must be a segment key';
+    default:
+      // in / notIn accept any JSON primitive
+      return value === null || typeof value !== 'object' ? null : 'must be a string, number or boolean';
+  }
+};
+
+/**
+ * Validate a clause group, returning a list of error messages.
+ * Pass `allowSegments: false` to reject segment references (e.g. inside segments).
+ */
+const validateGroup = (node, path = 'value', depth = 0, options = {}) => {
+  const errors = [];
+  const { allowSegments = true } = options;
+
+  if (node === null || typeof node !== 'object' || Array.isArray(node)) {
+    return [`${path} must be an object`];
+  }
+
+  if (isGroup(node)) {
+    if (depth >= MAX_GROUP_DEPTH) {
+      return [`${path} exceeds the maximum nesting depth of ${MAX_GROUP_DEPTH}`];
+    }
+
+    if (node.match !== undefined && !['all', 'any'].includes(node.match)) {
+      errors.push(`${path}.match must be 'all' or 'any'`);
+    }
+
+    if (node.clauses.length === 0) {
+      errors.push(`${path}.clauses must contain at least one clause`);
+    }
+
+    node.clauses.forEach((child, index) => {
+      errors.push(...validateGroup(child, `${path}.clauses[${index}]`, depth + 1, options));
+    });
+
+    return errors;
+  }
+
+  const { attribute, operator, values, negate } = node;
+  const isSegmentOperator = operator === SEGMENT_OPERATOR;
+
+  if (!OPERATOR_NAMES.includes(operator)) {
+    errors.push(`${path}.operator '${operator}' is not supported. Use one of: ${OPERATOR_NAMES.join(', ')}`);
+  }
+
+  if (isSegmentOperator && !allowSegments) {
+    errors.push(`${path}.operator '${SEGMENT_OPERATOR}' cannot be used here`);
+  }
+
+  if (!isSegmentOperator && (typeof attribute !== 'string' || attribute.trim() === '')) {
+    errors.push(`${path}.attribute must be a non-empty string`);
+  }
+
+  if (!Array.isArray(values) || values.length === 0) {
+    errors.push(`${path}.values must be a non-empty array`);
+  } else if (OPERATOR_NAMES.includes(operator)) {
+    values.forEach((value, index) => {
+      const message = validateClauseValue(operator, value);
+      if (message) {
+        errors.push(`${path}.values[${index}] ${message} for operator '${operator}'`);
+      }
+    });
+  }
+
+  if (negate !== undefined && typeof negate !== 'boolean') {
+    errors.push(`${path}.negate must be a boolean`);
+  }
+
+  return errors;
+};
+
+/**
+ * Validate a USER_SEGMENT rule value, returning a list of error messages
+ */
+const validateSegmentValue = (value, options = {}) => {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return ['value must be an object with clauses or attribute conditions'];
+  }
+
+  if (isGroup(value)) {
+    return validateGroup(value, 'value', 0, options);
+  }
+
+  // Legacy attribute map: values must be primitives compared by equality
+  if (Object.keys(value).length === 0) {
+    return ['value must contain at least one attribute condition'];
+  }
+
+  return Object.entries(value)
+    .filter(([, expected]) => expected !== null && typeof expected === 'object')
+    .map(([attribute]) => `value.${attribute} must be a string, number or boolean`);
+};
+
+module.exports = {
+  OPERATOR_NAMES,
+  SEGMENT_OPERATOR,
+  getAttribute,
+  isGroup,
+  isInSegment,
+  getSegmentKeys,
+  matchesClause,
+  matchesGroup,
+  matchesSegment,
+  validateGroup,
+  validateSegmentValue,
+  parseSemver,
+  compareSemver
+};
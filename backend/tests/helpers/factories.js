@@ -0,0 +1,66 @@
+// tests/helpers/factories.js
+const mongoose = require('mongoose');
+const Flag = require('../../src/models/flag.model');
+const Project = require('../../src/models/project.model');
+
+/**
+ * Documents as loaded from the database, for service tests that stub the queries
+ */
+
+const id = () => new mongoose.Types.ObjectId();
+
+/**
+ * Build a loaded project with development, staging and production environments
+ */
+const buildProject = (overrides = {}) => Project.hydrate({
+  _id: id(),
+  name: 'Shop',
+  owner: id(),
+  environments: ['development', 'staging', 'production'],
+  apiKeys: { development: 'dev-key', staging: 'staging-key', production: 'production-key' },
+  protectedEnvironments: [],
+  holdout: { percentage: 0, bucketBy: 'userId' },
+  members: [],
+  ...overrides
+});
+
+/**
+ * Build a loaded BOOLEAN flag with on/off variations in every environment of its project
+ */
+const buildFlag = (overrides = {}) => {
+  const environments = {};
+
+  for (const environment of ['development', 'staging', 'production']) {
+    environments[environment] = {
+      enabled: false,
+      value: false,
+      rules: [],
+      prerequisites: [],
+      variations: [{ key: 'on', value: true }, { key: 'off', value: false }],
+      defaultVariation: 'off'
+    };
+  }
+
+  return Flag.hydrate({
+    _id: id(),
+    key: 'new-checkout',
+    name: 'New checkout',
+    type: 'BOOLEAN',
+    salt: 'salt',
+    tags: [],
+    holdout: false,
+    layer: null,
+    project: id(),
+    createdBy: id(),
+    revision: 1,
+    __v: 0,
+    environments,
+    ...overrides
+  });
+};
+
+module.exports = {
+  id,
+  buildProject,
+  buildFlag
+};
@@ -0,0 +1,50 @@
+// tests/models/flag.evaluation.test.js
+const mongoose = require('mongoose');
+const Flag = require('../../src/models/flag.model');
+const fixture = require('../../../fixtures/evaluation-cases.json');
+
+// The same table is evaluated by the SDK (sdk/javascript/tests/evaluation.test.ts)
+
+const { environment, holdout, segments, cases } = fixture;
+const project = new mongoose.Types.ObjectId();
+const createdBy = new mongoose.Types.ObjectId();
+
+// Build flag documents from the SDK payloads of the fixture
+const flags = Object.fromEntries(Object.entries(fixture.flags).map(([key, payload]) => [key, new Flag({
+  key,
+  name: key,
+  type: payload.type,
+  salt: payload.salt,
+  tags: payload.tags,
+  holdout: payload.holdout,
+  layer: payload.layer,
+  project,
+  createdBy,
+  environments: {
+    [environment]: {
+      enabled: payload.enabled,
+      rules: payload.rules,
+      prerequisites: payload.prerequisites,
+      variations: payload.variations,
+      defaultVariation: payload.defaultVariation
+    }
+  }
+})]));
+
+describe('Flag#evaluateDetail', () => {
+  it.each(Object.keys(flags))('builds valid documents matching the payload of %s', (key) => {
+    expect(flags[key].validateSync()).toBeUndefined();
+    expect(JSON.parse(JSON.stringify(flags[key].toEnvironmentPayload(environment))))
+      .toEqual({ ...fixture.flags[key], version: expect.any(Number) });
+  });
+
+  it.each(cases)('evaluates $flag for $context', ({ flag, context, expected }) => {
+    const detail = flags[flag].evaluateDetail(environment, context, { segments, flags, holdout });
+
+    expect(JSON.parse(JSON.stringify({
+      value: detail.value,
+      variation: detail.variation,
+      reason: detail.reason
+    }))).toEqual(expected);
+  });
+});
@@ -0,0 +1,101 @@
+// tests/models/flag.revisions.test.js
+const Flag = require('../../src/models/flag.model');
+const FlagRevision = require('../../src/models/revision.model');
+const { id, buildFlag } = require('../helpers/factories');
+
+describe('Flag revisions', () => {
+  let flag;
+  let calls;
+
+  beforeEach(() => {
+    flag = buildFlag();
+    calls = [];
+
+    jest.spyOn(FlagRevision, 'create').mockImplementation(async docs => {
+      calls.push('revision');
+      return docs.map(doc => new FlagRevision(doc));
+    });
+    jest.spyOn(FlagRevision.collection, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Flag.collection, 'updateOne').mockImplementation(async () => {
+      calls.push('flag');
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores the next revision before saving the flag', async () => {
+    flag.updatedBy = id();
+    flag.environments.get('production').enabled = true;
+
+    await flag.save();
+
+    expect(calls).toEqual(['revision', 'flag']);
+    expect(flag.revision).toBe(2);
+
+    const [[revision]] = FlagRevision.create.mock.calls[0];
+    expect(revision).toMatchObject({ flag: flag._id, flagKey: 'new-checkout', revision: 2, actor: flag.updatedBy, restoredFrom: null });
+    expect(revision.snapshot.environments.production.enabled).toBe(true);
+  });
+
+  it('records the revision a restore came from', async () => {
+    flag.environments.get('production').enabled = true;
+    flag.$locals.restoredFrom = 1;
+
+    await flag.save();
+
+    expect(FlagRevision.create.mock.calls[0][0][0].restoredFrom).toBe(1);
+  });
+
+  it('does not store a revision when nothing changed', async () => {
+    await flag.save();
+
+    expect(FlagRevision.create).not.toHaveBeenCalled();
+    expect(flag.revision).toBe(1);
+  });
+
+  it('removes the revision of a save that failed', async () => {
+    Flag.collection.updateOne.mockResolvedValue({ acknowledged: true, matchedCount: 0, modifiedCount: 0 });
+    flag.environments.get('production').enabled = true;
+
+    await expect(flag.save()).rejects.toMatchObject({ name: 'VersionError' });
+
+    const [created] = await FlagRevision.create.mock.results[0].value;
+    expect(FlagRevision.collection.deleteMany).toHaveBeenCalledWith({ _id: created._id }, {});
+    expect(flag.revision).toBe(1);
+  });
+
+  it('replaces a revision left behind by a failed save', async () => {
+    FlagRevision.create.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    jest.spyOn(Flag, 'findById').mockReturnValue({
+      select: () => ({ session: async () => Flag.hydrate({ _id: flag._id, revision: 1 }) })
+    });
+    flag.environments.get('production').enabled = true;
+
+    await flag.save();
+
+    expect(FlagRevision.collection.deleteMany).toHaveBeenCalledWith({ flag: flag._id, revision: { $gte: 2 } }, {});
+    expect(FlagRevision.create).toHaveBeenCalledTimes(2);
+    expect(flag.revision).toBe(2);
+  });
+
+  it('reports a conflict when another save stored the revision first', async () => {
+    FlagRevision.create.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    jest.spyOn(Flag, 'findById').mockReturnValue({
+      select: () => ({ session: async () => Flag.hydrate({ _id: flag._id, revision: 2 }) })
+    });
+    flag.environments.get('production').enabled = true;
+
+    await expect(flag.save()).rejects.toMatchObject({ name: 'VersionError' });
+
+    expect(Flag.collection.updateOne).not.toHaveBeenCalled();
+    expect(flag.revision).toBe(1);
+  });
+
+  it('keeps stored revisions append-only', async () => {
+    await expect(FlagRevision.updateOne({ flag: flag._id }, { revision: 5 })).rejects.toMatchObject({ statusCode: 405 });
+    await expect(FlagRevision.deleteMany({ flag: flag._id })).rejects.toMatchObject({ statusCode: 405 });
+  });
+});
@@ -0,0 +1,85 @@
+// tests/models/flag.segments.test.js
+const mongoose = require('mongoose');
+const Flag = require('../../src/models/flag.model');
+const Segment = require('../../src/models/segment.model');
+
+const segmentRule = (name, keys) => ({
+  type: 'USER_SEGMENT',
+  name,
+  value: { match: 'all', clauses: [{ operator: 'segmentMatch', values: keys }] }
+});
+
+// A flag as loaded from the database
+const loadFlag = (rules) => Flag.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  key: 'checkout',
+  name: 'Checkout',
+  type: 'BOOLEAN',
+  salt: 'salt',
+  project: new mongoose.Types.ObjectId(),
+  createdBy: new mongoose.Types.ObjectId(),
+  environments: {
+    production: { enabled: true, value: false, rules },
+    staging: { enabled: true, value: false, rules: [] }
+  }
+});
+
+describe('Flag segment references', () => {
+  let knownKeys;
+
+  beforeEach(() => {
+    knownKeys = ['vip'];
+    jest.spyOn(Segment, 'find').mockImplementation(() => ({
+      distinct: jest.fn().mockResolvedValue(knownKeys)
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts rules referencing existing segments', async () => {
+    const flag = loadFlag([]);
+    flag.environments.get('production').rules.push(segmentRule('VIPs', ['vip']));
+
+    await expect(flag.validate()).resolves.toBeUndefined();
+    expect(Segment.find).toHaveBeenCalledWith({ project: flag.project, key: { $in: ['vip'] } });
+  });
+
+  it('rejects unknown segments set through environment settings', async () => {
+    const flag = loadFlag([]);
+    flag.environments.set('staging', {
+      enabled: true,
+      value: false,
+      rules: [segmentRule('Beta', ['vip', 'beta'])]
+    });
+
+    await expect(flag.validate()).rejects.toThrow(
+      "Rule 'Beta' references unknown segment(s) beta in environment 'staging'"
+    );
+  });
+
+  it('rejects unknown segments on new flags', async () => {
+    const flag = new Flag({
+      key: 'checkout',
+      name: 'Checkout',
+      type: 'BOOLEAN',
+      project: new mongoose.Types.ObjectId(),
+      createdBy: new mongoose.Types.ObjectId(),
+      environments: {
+        production: { enabled: true, value: false, rules: [segmentRule('Beta', ['beta'])] }
+      }
+    });
+
+    await expect(flag.validate()).rejects.toThrow('references unknown segment(s) beta');
+  });
+
+  it('does not recheck environments whose rules did not change', async () => {
+    knownKeys = [];
+    const flag = loadFlag([segmentRule('VIPs', ['vip'])]);
+    flag.environments.get('staging').enabled = false;
+
+    await expect(flag.validate()).resolves.toBeUndefined();
+    expect(Segment.find).not.toHaveBeenCalled();
+  });
+});
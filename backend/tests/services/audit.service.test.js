@@ -0,0 +1,115 @@
+// tests/services/audit.service.test.js
+const AuditLog = require('../../src/models/audit.model');
+const auditService = require('../../src/services/audit.service');
+const logger = require('../../src/utils/logger');
+const { id, buildProject, buildFlag } = require('../helpers/factories');
+
+describe('auditService', () => {
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'create').mockImplementation(async data => new AuditLog(data));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('snapshot', () => {
+    it('masks API keys and leaves out fields that change on every save', () => {
+      const snapshot = auditService.snapshot(buildProject());
+
+      expect(snapshot.apiKeys).toEqual({ development: '****-key', staging: '****-key', production: '****-key' });
+      expect(snapshot).not.toHaveProperty('__v');
+      expect(snapshot).not.toHaveProperty('updatedAt');
+    });
+
+    it('turns maps, ObjectIds and dates into JSON', () => {
+      const flag = buildFlag();
+
+      const snapshot = auditService.snapshot(flag);
+
+      expect(snapshot._id).toBe(flag._id.toString());
+      expect(snapshot.environments.production).toMatchObject({ enabled: false, defaultVariation: 'off' });
+    });
+  });
+
+  describe('recordFlagChange', () => {
+    it('stores the snapshots and the changes between them', async () => {
+      const flag = buildFlag();
+      const userId = id();
+      const before = auditService.snapshot(flag);
+
+      flag.environments.get('production').enabled = true;
+      const entry = await auditService.recordFlagChange(flag, 'flag.toggled', userId, { environment: 'production', before });
+
+      expect(entry).toMatchObject({
+        project: flag.project,
+        flag: flag._id,
+        flagKey: 'new-checkout',
+        environment: 'production',
+        action: 'flag.toggled',
+        actor: userId
+      });
+      expect(entry.changes.map(change => change.toObject())).toEqual([
+        { path: 'environments.production.enabled', before: false, after: true }
+      ]);
+    });
+
+    it('never fails the change it records', async () => {
+      AuditLog.create.mockRejectedValue(new Error('connection lost'));
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+      await expect(auditService.recordFlagChange(buildFlag(), 'flag.updated', id())).resolves.toBeNull();
+
+      expect(logger.error).toHaveBeenCalledWith("Failed to record audit entry 'flag.updated': connection lost");
+    });
+  });
+
+  describe('getAuditLogs', () => {
+    let query;
+
+    beforeEach(() => {
+      query = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockResolvedValue([])
+      };
+      jest.spyOn(AuditLog, 'find').mockReturnValue(query);
+      jest.spyOn(AuditLog, 'countDocuments').mockResolvedValue(0);
+    });
+
+    it('filters flags by key, which survives the flag being deleted', async () => {
+      const projectId = id();
+
+      await auditService.getAuditLogs(projectId, { flag: 'new-checkout', action: 'flag.deleted' });
+
+      expect(AuditLog.find).toHaveBeenCalledWith({ project: projectId, flagKey: 'new-checkout', action: 'flag.deleted' });
+    });
+
+    it('filters flags by ID and caps the page size', async () => {
+      const projectId = id();
+      const flagId = id().toString();
+
+      const result = await auditService.getAuditLogs(projectId, { flag: flagId, limit: '5000', page: '3' });
+
+      expect(AuditLog.find).toHaveBeenCalledWith({ project: projectId, flag: flagId });
+      expect(query.skip).toHaveBeenCalledWith(1000);
+      expect(result).toMatchObject({ page: 3, limit: 500 });
+    });
+  });
+
+  describe('AuditLog', () => {
+    it('rejects updates and deletions of entries', async () => {
+      await expect(AuditLog.updateOne({}, { action: 'changed' })).rejects.toMatchObject({ statusCode: 405 });
+      await expect(AuditLog.deleteMany({})).rejects.toMatchObject({ statusCode: 405 });
+    });
+
+    it('rejects saving an existing entry again', async () => {
+      const entry = AuditLog.hydrate({ _id: id(), project: id(), action: 'flag.updated' });
+
+      entry.action = 'flag.deleted';
+
+      await expect(entry.save()).rejects.toMatchObject({ statusCode: 405 });
+    });
+  });
+});
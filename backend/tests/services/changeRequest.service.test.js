@@ -0,0 +1,222 @@
+// tests/services/changeRequest.service.test.js
+const mongoose = require('mongoose');
+const Flag = require('../../src/models/flag.model');
+const Project = require('../../src/models/project.model');
+const ChangeRequest = require('../../src/models/changeRequest.model');
+const auditService = require('../../src/services/audit.service');
+const streamService = require('../../src/services/stream.service');
+const changeRequestService = require('../../src/services/changeRequest.service');
+const { id, buildProject, buildFlag } = require('../helpers/factories');
+
+describe('changeRequestService', () => {
+  let project;
+  let flag;
+  let session;
+
+  beforeEach(() => {
+    project = buildProject({ protectedEnvironments: [{ environment: 'production', requiredApprovals: 2, approverRoles: ['admin'] }] });
+    flag = buildFlag({ project: project._id });
+
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn().mockResolvedValue(),
+      abortTransaction: jest.fn().mockResolvedValue(),
+      inTransaction: jest.fn().mockReturnValue(true),
+      endSession: jest.fn().mockResolvedValue()
+    };
+
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Project, 'findById').mockResolvedValue(project);
+    jest.spyOn(Flag, 'find').mockResolvedValue([flag]);
+    jest.spyOn(Flag.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+    jest.spyOn(streamService, 'publish').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('applyEnvironmentChanges', () => {
+    it('saves every flag in one transaction, then audits and publishes them', async () => {
+      const other = buildFlag({ key: 'dark-mode', project: project._id });
+      const after = { ...flag.getEnvironmentParts('production'), enabled: true };
+
+      await changeRequestService.applyEnvironmentChanges(project._id, 'production', id(), [
+        { flag, after },
+        { flag: other, after }
+      ], { action: 'flag.promoted' });
+
+      expect(Flag.prototype.save).toHaveBeenCalledTimes(2);
+      expect(Flag.prototype.save).toHaveBeenCalledWith({ session });
+      expect(session.commitTransaction).toHaveBeenCalled();
+      expect(flag.environments.get('production').enabled).toBe(true);
+      expect(auditService.record).toHaveBeenCalledTimes(2);
+      expect(streamService.publish).toHaveBeenCalledTimes(2);
+    });
+
+    it('saves none of the flags when one of them fails', async () => {
+      const other = buildFlag({ key: 'dark-mode', project: project._id });
+      const after = { ...flag.getEnvironmentParts('production'), enabled: true };
+      Flag.prototype.save.mockResolvedValueOnce(flag).mockRejectedValueOnce(new Error('write conflict'));
+
+      await expect(changeRequestService.applyEnvironmentChanges(project._id, 'production', id(), [
+        { flag, after },
+        { flag: other, after }
+      ], { action: 'flag.promoted' })).rejects.toThrow('write conflict');
+
+      expect(session.abortTransaction).toHaveBeenCalled();
+      expect(session.commitTransaction).not.toHaveBeenCalled();
+      expect(session.endSession).toHaveBeenCalled();
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+
+    it('validates every flag before saving any of them', async () => {
+      const after = { ...flag.getEnvironmentParts('production'), default: { value: null, defaultVariation: 'missing' } };
+
+      await expect(changeRequestService.applyEnvironmentChanges(project._id, 'production', id(), [{ flag, after }], {
+        action: 'variation.default_set'
+      })).rejects.toMatchObject({ name: 'ValidationError' });
+
+      expect(mongoose.startSession).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('proposeChanges', () => {
+    beforeEach(() => {
+      jest.spyOn(ChangeRequest, 'create').mockImplementation(async data => new ChangeRequest(data));
+    });
+
+    it('records the environment approval policy and the diff of each flag', async () => {
+      const before = flag.getEnvironmentParts('production');
+      const after = { ...before, enabled: true };
+
+      const changeRequest = await changeRequestService.proposeChanges(project, 'production', id(), {
+        changes: [{ flag, parts: Flag.ENVIRONMENT_PARTS, before, after }],
+        action: 'flag.toggled'
+      });
+
+      expect(changeRequest).toMatchObject({ status: 'pending', requiredApprovals: 2, approverRoles: ['admin'] });
+      expect(changeRequest.changes[0].diff.map(change => change.toObject())).toEqual([
+        { path: 'enabled', before: false, after: true }
+      ]);
+      expect(changeRequestService.isChangeRequest(changeRequest)).toBe(true);
+    });
+
+    it('rejects proposals that change nothing', async () => {
+      const parts = flag.getEnvironmentParts('production');
+
+      await expect(changeRequestService.proposeChanges(project, 'production', id(), {
+        changes: [{ flag, parts: Flag.ENVIRONMENT_PARTS, before: parts, after: parts }],
+        action: 'flag.toggled'
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('reviews', () => {
+    let author;
+    let admins;
+    let changeRequest;
+
+    beforeEach(() => {
+      author = id();
+      admins = [id(), id()];
+      project.members = [
+        { user: author, role: 'editor' },
+        { user: admins[0], role: 'admin' },
+        { user: admins[1], role: 'admin' }
+      ];
+
+      const before = flag.getEnvironmentParts('production');
+      changeRequest = ChangeRequest.hydrate({
+        _id: id(),
+        project: project._id,
+        environment: 'production',
+        action: 'flag.toggled',
+        status: 'pending',
+        changes: [{ flag: flag._id, flagKey: flag.key, parts: Flag.ENVIRONMENT_PARTS, before, after: { ...before, enabled: true } }],
+        requiredApprovals: 2,
+        approverRoles: ['admin'],
+        reviews: [],
+        requestedBy: author,
+        __v: 0
+      });
+
+      jest.spyOn(ChangeRequest, 'findOne').mockResolvedValue(changeRequest);
+      jest.spyOn(ChangeRequest, 'findById').mockReturnValue({
+        populate: () => ({ populate: async () => changeRequest })
+      });
+      jest.spyOn(ChangeRequest.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+      jest.spyOn(Flag, 'findOne').mockResolvedValue(flag);
+    });
+
+    it('applies the change once it has enough approvals', async () => {
+      await changeRequestService.reviewChangeRequest(project._id, changeRequest._id, admins[0], 'approved');
+
+      expect(changeRequest.status).toBe('pending');
+      expect(Flag.prototype.save).not.toHaveBeenCalled();
+
+      await changeRequestService.reviewChangeRequest(project._id, changeRequest._id, admins[1], 'approved');
+
+      expect(changeRequest.status).toBe('applied');
+      expect(flag.environments.get('production').enabled).toBe(true);
+      expect(Flag.prototype.save).toHaveBeenCalledWith({ session });
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'change_request.applied' }));
+    });
+
+    it('fails the request when its flag changed since it was made', async () => {
+      changeRequest.reviews.push({ user: admins[0], decision: 'approved' });
+      flag.environments.get('production').rules.push({ type: 'PERCENTAGE', name: 'Ramp', value: 10, serve: { variation: 'on' } });
+
+      await changeRequestService.reviewChangeRequest(project._id, changeRequest._id, admins[1], 'approved');
+
+      expect(changeRequest.status).toBe('failed');
+      expect(changeRequest.failureReason).toBe("Flag 'new-checkout' changed in 'production' since the change request was made");
+      expect(Flag.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('does not let authors or other roles approve', async () => {
+      await expect(changeRequestService.reviewChangeRequest(project._id, changeRequest._id, author, 'approved'))
+        .rejects.toMatchObject({ statusCode: 403 });
+
+      project.members.push({ user: id(), role: 'editor' });
+      const editor = project.members[project.members.length - 1].user;
+
+      await expect(changeRequestService.reviewChangeRequest(project._id, changeRequest._id, editor, 'approved'))
+        .rejects.toMatchObject({ statusCode: 403, message: "Only admin members can review changes to 'production'" });
+    });
+
+    it('counts one approval per reviewer', async () => {
+      changeRequest.reviews.push({ user: admins[0], decision: 'approved' });
+
+      await expect(changeRequestService.reviewChangeRequest(project._id, changeRequest._id, admins[0], 'approved'))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('closes the request when it is rejected', async () => {
+      await changeRequestService.reviewChangeRequest(project._id, changeRequest._id, admins[0], 'rejected', 'Not now');
+
+      expect(changeRequest.status).toBe('rejected');
+      expect(changeRequest.closedAt).toBeInstanceOf(Date);
+
+      await expect(changeRequestService.reviewChangeRequest(project._id, changeRequest._id, admins[1], 'approved'))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Change request is already rejected' });
+    });
+
+    it('lets the author or an admin cancel the request', async () => {
+      const viewer = id();
+      project.members.push({ user: viewer, role: 'viewer' });
+
+      await expect(changeRequestService.cancelChangeRequest(project._id, changeRequest._id, viewer))
+        .rejects.toMatchObject({ statusCode: 403 });
+
+      await changeRequestService.cancelChangeRequest(project._id, changeRequest._id, author);
+
+      expect(changeRequest.status).toBe('cancelled');
+    });
+  });
+});
@@ -0,0 +1,143 @@
+// tests/services/evaluation.service.test.js
+const mongoose = require('mongoose');
+const Flag = require('../../src/models/flag.model');
+const Evaluation = require('../../src/models/evaluation.model');
+const Segment = require('../../src/models/segment.model');
+const srmService = require('../../src/services/srm.service');
+const evaluationService = require('../../src/services/evaluation.service');
+
+const projectId = new mongoose.Types.ObjectId();
+
+const buildFlag = () => new Flag({
+  key: 'checkout',
+  name: 'Checkout',
+  type: 'BOOLEAN',
+  project: projectId,
+  createdBy: new mongoose.Types.ObjectId(),
+  environments: {
+    production: { enabled: true, value: false, rules: [{ type: 'DEFAULT', name: 'All', value: true }] }
+  }
+});
+
+describe('evaluationService.evaluateFlag', () => {
+  beforeEach(() => {
+    jest.spyOn(Evaluation, 'recordEvaluation').mockResolvedValue(null);
+    jest.spyOn(Flag, 'getPrerequisiteFlags').mockResolvedValue({});
+    jest.spyOn(Segment, 'getSegmentMap').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('evaluates the flag and records the evaluation', async () => {
+    const flag = buildFlag();
+    jest.spyOn(Flag, 'findOne').mockResolvedValue(flag);
+
+    const result = await evaluationService.evaluateFlag(projectId, 'production', 'checkout', { userId: 'u1' }, { detail: true });
+
+    expect(result).toMatchObject({ key: 'checkout', value: true, reason: { kind: 'RULE_MATCH', ruleName: 'All' } });
+    expect(Evaluation.recordEvaluation).toHaveBeenCalledWith(expect.objectContaining({
+      flag: flag._id,
+      userId: 'u1',
+      result: true,
+      reason: expect.objectContaining({ kind: 'RULE_MATCH' })
+    }));
+  });
+
+  it('reports and records unknown flags as FLAG_NOT_FOUND', async () => {
+    jest.spyOn(Flag, 'findOne').mockResolvedValue(null);
+
+    const result = await evaluationService.evaluateFlag(projectId, 'production', 'missing', { userId: 'u1' }, { detail: true });
+
+    expect(result).toEqual({
+      key: 'missing',
+      value: null,
+      variation: null,
+      reason: { kind: 'ERROR', errorKind: 'FLAG_NOT_FOUND', message: "Flag 'missing' not found" }
+    });
+    expect(Evaluation.recordEvaluation).toHaveBeenCalledWith(expect.objectContaining({
+      flag: null,
+      flagKey: 'missing',
+      result: null,
+      reason: result.reason
+    }));
+  });
+
+  it('reports and records environments without settings as ENVIRONMENT_NOT_FOUND', async () => {
+    const flag = buildFlag();
+    jest.spyOn(Flag, 'findOne').mockResolvedValue(flag);
+
+    const result = await evaluationService.evaluateFlag(projectId, 'staging', 'checkout', {}, { detail: true });
+
+    expect(result.reason).toMatchObject({ kind: 'ERROR', errorKind: 'ENVIRONMENT_NOT_FOUND' });
+    expect(Evaluation.recordEvaluation).toHaveBeenCalledWith(expect.objectContaining({
+      flag: flag._id,
+      environment: 'staging',
+      reason: result.reason
+    }));
+  });
+
+  it('answers 404 without details', async () => {
+    jest.spyOn(Flag, 'findOne').mockResolvedValue(buildFlag());
+
+    await expect(evaluationService.evaluateFlag(projectId, 'staging', 'checkout', {}))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(Evaluation.recordEvaluation).not.toHaveBeenCalled();
+  });
+});
+
+describe('Evaluation records of errors', () => {
+  it('do not need a flag or a result', () => {
+    const evaluation = new Evaluation({
+      project: projectId,
+      flag: null,
+      flagKey: 'missing',
+      environment: 'production',
+      result: null,
+      reason: { kind: 'ERROR', errorKind: 'FLAG_NOT_FOUND' }
+    });
+
+    expect(evaluation.validateSync()).toBeUndefined();
+  });
+
+  it('need both otherwise', () => {
+    const evaluation = new Evaluation({
+      project: projectId,
+      flagKey: 'checkout',
+      environment: 'production',
+      reason: { kind: 'FALLTHROUGH' }
+    });
+
+    expect(Object.keys(evaluation.validateSync().errors).sort()).toEqual(['flag', 'result']);
+  });
+});
+
+describe('evaluationService.getFlagAnalytics', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts distinct users per variation without collecting their ids in one group', async () => {
+    const flag = buildFlag();
+    const variations = [{ environment: 'production', variation: 'on', evaluations: 5, users: 2 }];
+
+    jest.spyOn(Flag, 'findOne').mockResolvedValue(flag);
+    jest.spyOn(srmService, 'getFlagChecks').mockResolvedValue([]);
+    jest.spyOn(Evaluation, 'aggregate')
+      .mockReturnValueOnce({ allowDiskUse: jest.fn().mockResolvedValue(variations) })
+      .mockResolvedValueOnce([]);
+
+    const analytics = await evaluationService.getFlagAnalytics(projectId, flag._id, { environment: 'production' });
+
+    const pipeline = Evaluation.aggregate.mock.calls[0][0];
+    const groups = pipeline.filter(stage => stage.$group).map(stage => stage.$group);
+
+    expect(JSON.stringify(pipeline)).not.toContain('$addToSet');
+    expect(groups).toHaveLength(2);
+    expect(groups[0]._id).toEqual({ environment: '$environment', variation: '$variation', userId: '$userId' });
+    expect(groups[1]._id).toEqual({ environment: '$_id.environment', variation: '$_id.variation' });
+    expect(groups[1].evaluations).toEqual({ $sum: '$evaluations' });
+    expect(analytics).toMatchObject({ evaluations: 5, variations });
+  });
+});
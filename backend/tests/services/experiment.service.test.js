@@ -0,0 +1,79 @@
+// tests/services/experiment.service.test.js
+const Flag = require('../../src/models/flag.model');
+const Evaluation = require('../../src/models/evaluation.model');
+const Experiment = require('../../src/models/experiment.model');
+const eventService = require('../../src/services/event.service');
+const srmService = require('../../src/services/srm.service');
+const experimentService = require('../../src/services/experiment.service');
+const { id, buildFlag } = require('../helpers/factories');
+
+describe('experimentService', () => {
+  let flag;
+  let experiment;
+  let split;
+
+  beforeEach(() => {
+    flag = buildFlag();
+
+    const production = flag.environments.get('production');
+    production.enabled = true;
+    production.rules.push(
+      {
+        type: 'USER_SEGMENT',
+        name: 'Staff',
+        value: { clauses: [{ attribute: 'email', operator: 'endsWith', values: ['@example.com'] }] },
+        serve: { variation: 'on' }
+      },
+      {
+        type: 'PERCENTAGE',
+        name: 'Split',
+        value: 100,
+        serve: { rollout: [{ variation: 'on', weight: 50 }, { variation: 'off', weight: 50 }] }
+      }
+    );
+    split = production.rules[1];
+
+    experiment = new Experiment({
+      project: flag.project,
+      flag: flag._id,
+      flagKey: flag.key,
+      environment: 'production',
+      name: 'Checkout',
+      primaryMetric: { eventKey: 'purchase' },
+      controlVariation: 'off',
+      status: 'running',
+      startDate: new Date(Date.now() - 60 * 60 * 1000),
+      createdBy: id()
+    });
+
+    jest.spyOn(Experiment, 'findOne').mockResolvedValue(experiment);
+    jest.spyOn(Flag, 'findById').mockResolvedValue(flag);
+    jest.spyOn(eventService, 'getUserEvents').mockResolvedValue(new Map());
+    jest.spyOn(srmService, 'checkExperiment').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getResults', () => {
+    it('only counts users a weighted rule assigned as exposed', async () => {
+      const aggregate = { allowDiskUse: jest.fn().mockResolvedValue([
+        { _id: 'user-1', variation: 'on', exposedAt: new Date() },
+        { _id: 'user-2', variation: 'off', exposedAt: new Date() }
+      ]) };
+      jest.spyOn(Evaluation, 'aggregate').mockReturnValue(aggregate);
+
+      const results = await experimentService.getResults(flag.project, experiment._id);
+
+      const [{ $match }] = Evaluation.aggregate.mock.calls[0][0];
+      expect($match).toMatchObject({
+        flag: flag._id,
+        environment: 'production',
+        'reason.kind': 'RULE_MATCH',
+        'reason.ruleId': { $in: [split._id.toString()] }
+      });
+      expect(results.exposures).toEqual({ on: 1, off: 1 });
+    });
+  });
+});
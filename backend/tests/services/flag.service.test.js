@@ -0,0 +1,282 @@
+// tests/services/flag.service.test.js
+const mongoose = require('mongoose');
+const Flag = require('../../src/models/flag.model');
+const Project = require('../../src/models/project.model');
+const ScheduledChange = require('../../src/models/scheduledChange.model');
+const RolloutPlan = require('../../src/models/rolloutPlan.model');
+const Experiment = require('../../src/models/experiment.model');
+const FlagRevision = require('../../src/models/revision.model');
+const changeRequestService = require('../../src/services/changeRequest.service');
+const auditService = require('../../src/services/audit.service');
+const streamService = require('../../src/services/stream.service');
+const flagService = require('../../src/services/flag.service');
+const { id, buildProject, buildFlag } = require('../helpers/factories');
+
+describe('flagService', () => {
+  let flag;
+
+  beforeEach(() => {
+    flag = buildFlag();
+
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+    jest.spyOn(streamService, 'publish').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('updateFlag', () => {
+    let project;
+
+    beforeEach(() => {
+      project = buildProject({ _id: flag.project });
+
+      jest.spyOn(Flag, 'findById').mockResolvedValue(flag);
+      jest.spyOn(Project, 'findById').mockResolvedValue(project);
+      jest.spyOn(Flag.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+    });
+
+    it('opts a flag into the holdout when no environment is protected', async () => {
+      const updated = await flagService.updateFlag(flag._id, id(), { holdout: true });
+
+      expect(updated.holdout).toBe(true);
+      expect(Flag.prototype.save).toHaveBeenCalled();
+    });
+
+    it('refuses holdout changes while an environment of the flag is protected', async () => {
+      project.protectedEnvironments = [{ environment: 'production', requiredApprovals: 1 }];
+
+      await expect(flagService.updateFlag(flag._id, id(), { name: 'Checkout', holdout: true })).rejects.toMatchObject({
+        statusCode: 403,
+        message: "Environment 'production' is protected, so flag 'new-checkout' cannot be opted in or out of the holdout"
+      });
+
+      expect(Flag.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('updates other fields of flags in protected environments', async () => {
+      project.protectedEnvironments = [{ environment: 'production', requiredApprovals: 1 }];
+
+      const updated = await flagService.updateFlag(flag._id, id(), { name: 'Checkout', holdout: false });
+
+      expect(updated.name).toBe('Checkout');
+      expect(Flag.prototype.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteFlag', () => {
+    beforeEach(() => {
+      jest.spyOn(Flag, 'findById').mockResolvedValue(flag);
+      jest.spyOn(Flag, 'find').mockResolvedValue([flag]);
+      jest.spyOn(Flag, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(ScheduledChange, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+      jest.spyOn(RolloutPlan, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Experiment, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('cancels the pending scheduled changes of the flag', async () => {
+      const userId = id();
+
+      await flagService.deleteFlag(flag._id, userId);
+
+      expect(ScheduledChange.updateMany).toHaveBeenCalledWith(
+        { flag: flag._id, status: 'pending' },
+        { $set: expect.objectContaining({ status: 'cancelled', cancelledBy: userId, error: "Flag 'new-checkout' was deleted" }) }
+      );
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'flag.deleted',
+        metadata: expect.objectContaining({ scheduledChangesCancelled: 2 })
+      }));
+    });
+
+    it('aborts the rollouts and stops the experiments of the flag', async () => {
+      const userId = id();
+
+      await flagService.deleteFlag(flag._id, userId);
+
+      expect(RolloutPlan.updateMany).toHaveBeenCalledWith(
+        { flag: flag._id, status: { $in: ['active', 'paused'] } },
+        expect.objectContaining({
+          $set: { status: 'aborted', error: "Flag 'new-checkout' was deleted" },
+          $unset: { nextStepAt: 1, remainingMs: 1 }
+        })
+      );
+      expect(Experiment.updateMany).toHaveBeenCalledWith(
+        { flag: flag._id, status: 'running' },
+        { $set: expect.objectContaining({ status: 'stopped', updatedBy: userId }) }
+      );
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        metadata: { scheduledChangesCancelled: 2, rolloutsAborted: 1, experimentsStopped: 1 }
+      }));
+    });
+
+    it('leaves scheduled work alone when the flag cannot be deleted', async () => {
+      const dependent = buildFlag({ key: 'checkout-banner', project: flag.project });
+      dependent.environments.get('production').prerequisites = [{ key: 'new-checkout', variation: 'on' }];
+      Flag.find.mockResolvedValue([flag, dependent]);
+
+      await expect(flagService.deleteFlag(flag._id, id())).rejects.toMatchObject({ statusCode: 409 });
+
+      expect(Flag.deleteOne).not.toHaveBeenCalled();
+      expect(ScheduledChange.updateMany).not.toHaveBeenCalled();
+      expect(RolloutPlan.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revisions', () => {
+    let project;
+    let revisions;
+
+    // Store the flag's current state as a revision
+    const storeRevision = (revision) => {
+      revisions.set(revision, FlagRevision.hydrate({
+        _id: id(),
+        project: flag.project,
+        flag: flag._id,
+        flagKey: flag.key,
+        revision,
+        snapshot: flag.getRevisionSnapshot()
+      }));
+    };
+
+    beforeEach(() => {
+      project = buildProject({ _id: flag.project });
+      revisions = new Map();
+
+      // Revision 1 served production and tagged the flag; the current revision does neither
+      flag.environments.get('production').enabled = true;
+      flag.environments.get('staging').enabled = true;
+      flag.tags = ['checkout'];
+      storeRevision(1);
+      flag.environments.get('production').enabled = false;
+      flag.environments.get('staging').enabled = false;
+      flag.tags = [];
+      flag.revision = 2;
+      storeRevision(2);
+
+      jest.spyOn(FlagRevision, 'findOne').mockImplementation(({ revision }) => ({
+        populate: async () => revisions.get(revision) || null
+      }));
+      jest.spyOn(Flag, 'findById').mockResolvedValue(flag);
+      jest.spyOn(Flag, 'find').mockResolvedValue([flag]);
+      jest.spyOn(Project, 'findById').mockResolvedValue(project);
+      jest.spyOn(Flag.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+    });
+
+    it('compares two revisions', async () => {
+      const comparison = await flagService.compareRevisions(flag._id, 1, 2);
+
+      expect(comparison.changes).toEqual([
+        { path: 'tags.0', before: 'checkout', after: null },
+        { path: 'environments.staging.enabled', before: true, after: false },
+        { path: 'environments.production.enabled', before: true, after: false }
+      ]);
+    });
+
+    it('restores a whole flag as a new revision', async () => {
+      const restored = await flagService.restoreRevision(flag._id, 1, id());
+
+      expect(restored.environments.get('production').enabled).toBe(true);
+      expect(restored.tags).toEqual(['checkout']);
+      expect(restored.$locals.restoredFrom).toBe(1);
+      expect(Flag.prototype.save).toHaveBeenCalled();
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'flag.restored',
+        metadata: { revision: 1 }
+      }));
+    });
+
+    it('restores a single environment', async () => {
+      const restored = await flagService.restoreRevision(flag._id, 1, id(), { environment: 'staging' });
+
+      expect(restored.environments.get('staging').enabled).toBe(true);
+      expect(restored.environments.get('production').enabled).toBe(false);
+      expect(restored.tags).toEqual([]);
+    });
+
+    it('reports revisions that do not exist', async () => {
+      await expect(flagService.restoreRevision(flag._id, 7, id())).rejects.toMatchObject({
+        statusCode: 404,
+        message: 'Revision 7 not found'
+      });
+    });
+
+    it('refuses restoring a holdout opt-in while an environment of the flag is protected', async () => {
+      project.protectedEnvironments = [{ environment: 'development', requiredApprovals: 1 }];
+      revisions.get(1).snapshot.holdout = true;
+
+      await expect(flagService.restoreRevision(flag._id, 1, id())).rejects.toMatchObject({
+        statusCode: 403,
+        message: "Environment 'development' is protected, so flag 'new-checkout' cannot be opted in or out of the holdout"
+      });
+
+      expect(Flag.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('only restores protected environments one at a time, through a change request', async () => {
+      project.protectedEnvironments = [{ environment: 'production', requiredApprovals: 1 }];
+      jest.spyOn(changeRequestService, 'proposeChanges').mockResolvedValue({ _id: id(), status: 'pending' });
+
+      await expect(flagService.restoreRevision(flag._id, 1, id())).rejects.toMatchObject({
+        statusCode: 403,
+        message: 'Protected environment(s) production must be restored individually'
+      });
+
+      const result = await flagService.restoreRevision(flag._id, 1, id(), { environment: 'production' });
+
+      expect(result.status).toBe('pending');
+      expect(Flag.prototype.save).not.toHaveBeenCalled();
+      expect(changeRequestService.proposeChanges).toHaveBeenCalledWith(project, 'production', expect.anything(), expect.objectContaining({
+        action: 'flag.restored',
+        metadata: { revision: 1 }
+      }));
+    });
+  });
+
+  describe('concurrent edits', () => {
+    let current;
+
+    beforeEach(() => {
+      current = buildFlag({ _id: flag._id, project: flag.project, revision: 4 });
+
+      jest.spyOn(Project, 'findById').mockResolvedValue(buildProject({ _id: flag.project }));
+      jest.spyOn(Flag, 'findById').mockResolvedValueOnce(flag).mockResolvedValue(current);
+    });
+
+    it('rejects edits based on an outdated version with the current flag', async () => {
+      flag.revision = 4;
+
+      await expect(flagService.toggleFlag(flag._id, 'production', id(), true, { expectedVersion: 3 })).rejects.toMatchObject({
+        statusCode: 409,
+        message: "Flag 'new-checkout' has been modified (current version 4)",
+        data: flag
+      });
+    });
+
+    it('reports a conflict when another request saved the flag first', async () => {
+      jest.spyOn(Flag.prototype, 'save').mockRejectedValue(new mongoose.Error.VersionError(flag, 0, []));
+
+      await expect(flagService.toggleFlag(flag._id, 'production', id(), true, { expectedVersion: 1 })).rejects.toMatchObject({
+        statusCode: 409,
+        message: "Flag 'new-checkout' has been modified (current version 4)",
+        data: current
+      });
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+
+    it('does not delete a flag modified since it was loaded', async () => {
+      jest.spyOn(Flag, 'find').mockResolvedValue([flag]);
+      jest.spyOn(Flag, 'deleteOne').mockResolvedValue({ deletedCount: 0 });
+
+      await expect(flagService.deleteFlag(flag._id, id())).rejects.toMatchObject({ statusCode: 409, data: current });
+
+      expect(Flag.deleteOne).toHaveBeenCalledWith({ _id: flag._id, __v: 0 });
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+  });
+});
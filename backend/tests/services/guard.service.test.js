@@ -0,0 +1,163 @@
+// tests/services/guard.service.test.js
+const Evaluation = require('../../src/models/evaluation.model');
+const Flag = require('../../src/models/flag.model');
+const RolloutPlan = require('../../src/models/rolloutPlan.model');
+const eventService = require('../../src/services/event.service');
+const guardService = require('../../src/services/guard.service');
+const { id, buildFlag } = require('../helpers/factories');
+
+/**
+ * Users `prefix-0` to `prefix-<count - 1>`
+ */
+const users = (prefix, count) => Array.from({ length: count }, (value, index) => `${prefix}-${index}`);
+
+describe('guardService', () => {
+  let flag;
+  let rollout;
+  let ruleIds;
+
+  beforeEach(() => {
+    flag = buildFlag();
+    ruleIds = { above: id().toString(), rollout: id().toString(), below: id().toString() };
+
+    const rules = flag.environments.get('production').rules;
+    rules.push({ _id: ruleIds.below, type: 'PERCENTAGE', name: 'Beta', priority: 5, value: 50, serve: { variation: 'on' } });
+    rules.push({ _id: ruleIds.above, type: 'USER_SEGMENT', name: 'Staff', priority: 20, value: { plan: 'staff' }, serve: { variation: 'on' } });
+    rules.push({ _id: ruleIds.rollout, type: 'PERCENTAGE', name: 'Ramp', priority: 10, value: 20, serve: { variation: 'on' } });
+
+    rollout = RolloutPlan.hydrate({
+      _id: id(),
+      project: flag.project,
+      flag: flag._id,
+      flagKey: flag.key,
+      environment: 'production',
+      ruleId: ruleIds.rollout,
+      steps: [{ percentage: 20, duration: 60 }, { percentage: 100 }],
+      status: 'active',
+      currentStep: 0,
+      guards: [{ eventKey: 'checkout-error', aggregation: 'rate', direction: 'increase', threshold: 20, minSampleSize: 100 }],
+      createdAt: new Date('2026-01-01T00:00:00Z')
+    });
+
+    jest.spyOn(Flag, 'findById').mockResolvedValue(flag);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Stub the users who reached the rule and the event totals of each user
+   */
+  const stubUsers = (treatment, control, totals) => {
+    jest.spyOn(Evaluation, 'aggregate').mockResolvedValue([
+      ...treatment.map(userId => ({ _id: userId, treated: 1 })),
+      ...control.map(userId => ({ _id: userId, treated: 0 }))
+    ]);
+    jest.spyOn(eventService, 'getUserTotals').mockResolvedValue(new Map(totals));
+  };
+
+  it('compares users served by the rule with users who reached it and were bucketed out', async () => {
+    stubUsers([], [], []);
+
+    await guardService.evaluateGuards(rollout);
+
+    const [{ $match: match }, { $group: group }] = Evaluation.aggregate.mock.calls[0][0];
+    expect(match).toMatchObject({
+      project: rollout.project,
+      flag: rollout.flag,
+      environment: 'production',
+      timestamp: { $gte: rollout.createdAt }
+    });
+    expect(match.$or).toEqual([
+      { 'reason.kind': 'FALLTHROUGH' },
+      { 'reason.kind': 'RULE_MATCH', 'reason.ruleId': { $in: [ruleIds.rollout, ruleIds.below] } }
+    ]);
+    expect(group.treated).toEqual({ $max: { $cond: [{ $eq: ['$reason.ruleId', ruleIds.rollout] }, 1, 0] } });
+    expect(eventService.getUserTotals)
+      .toHaveBeenCalledWith(rollout.project, 'production', 'checkout-error', rollout.createdAt);
+  });
+
+  it('breaches a rate guard when the treatment is worse by more than the threshold', async () => {
+    const treatment = users('t', 100);
+    const control = users('c', 100);
+    // 10% of the treatment and 5% of the control had an error
+    stubUsers(treatment, control, [
+      ...treatment.slice(0, 10).map(userId => [userId, { count: 2, sum: 0 }]),
+      ...control.slice(0, 5).map(userId => [userId, { count: 1, sum: 0 }])
+    ]);
+
+    const [result] = await guardService.evaluateGuards(rollout);
+
+    expect(result).toEqual({
+      eventKey: 'checkout-error',
+      aggregation: 'rate',
+      treatment: { users: 100, value: 0.1 },
+      control: { users: 100, value: 0.05 },
+      change: 100,
+      breached: true
+    });
+  });
+
+  it('does not breach a guard before both groups have enough users', async () => {
+    const treatment = users('t', 99);
+    const control = users('c', 500);
+    stubUsers(treatment, control, treatment.map(userId => [userId, { count: 1, sum: 0 }]));
+
+    const [result] = await guardService.evaluateGuards(rollout);
+
+    expect(result.treatment).toEqual({ users: 99, value: 1 });
+    expect(result.breached).toBe(false);
+  });
+
+  it('does not breach a guard within its threshold', async () => {
+    const treatment = users('t', 100);
+    const control = users('c', 100);
+    stubUsers(treatment, control, [
+      ...treatment.slice(0, 11).map(userId => [userId, { count: 1, sum: 0 }]),
+      ...control.slice(0, 10).map(userId => [userId, { count: 1, sum: 0 }])
+    ]);
+
+    const [result] = await guardService.evaluateGuards(rollout);
+
+    expect(result.change).toBeCloseTo(10);
+    expect(result.breached).toBe(false);
+  });
+
+  it('averages event values per user for mean guards that must not decrease', async () => {
+    rollout.guards = [{ eventKey: 'revenue', aggregation: 'mean', direction: 'decrease', threshold: 10, minSampleSize: 2 }];
+    stubUsers(['t-0', 't-1'], ['c-0', 'c-1'], [
+      ['t-0', { count: 1, sum: 60 }],
+      ['c-0', { count: 2, sum: 100 }],
+      ['c-1', { count: 1, sum: 100 }]
+    ]);
+
+    const [result] = await guardService.evaluateGuards(rollout);
+
+    expect(result.treatment).toEqual({ users: 2, value: 30 });
+    expect(result.control).toEqual({ users: 2, value: 100 });
+    expect(result.change).toBe(-70);
+    expect(result.breached).toBe(true);
+  });
+
+  it('breaches a guard on any regression when the control value is 0', async () => {
+    rollout.guards[0].minSampleSize = 1;
+    stubUsers(['t-0', 't-1'], ['c-0'], [['t-0', { count: 1, sum: 0 }]]);
+
+    const [result] = await guardService.evaluateGuards(rollout);
+
+    expect(result.control.value).toBe(0);
+    expect(result.change).toBeNull();
+    expect(result.breached).toBe(true);
+  });
+
+  it('only counts the rollout rule when it is no longer on the flag', async () => {
+    flag.environments.get('production').rules = [];
+    stubUsers([], [], []);
+
+    await guardService.evaluateGuards(rollout);
+
+    const [{ $match: match }] = Evaluation.aggregate.mock.calls[0][0];
+    expect(match.$or[1]).toEqual({ 'reason.kind': 'RULE_MATCH', 'reason.ruleId': { $in: [ruleIds.rollout] } });
+  });
+});
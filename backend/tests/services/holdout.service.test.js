@@ -0,0 +1,201 @@
+// tests/services/holdout.service.test.js
+const Project = require('../../src/models/project.model');
+const Flag = require('../../src/models/flag.model');
+const Evaluation = require('../../src/models/evaluation.model');
+const eventService = require('../../src/services/event.service');
+const auditService = require('../../src/services/audit.service');
+const streamService = require('../../src/services/stream.service');
+const holdoutService = require('../../src/services/holdout.service');
+const { id, buildProject } = require('../helpers/factories');
+
+const at = (minute) => new Date(Date.UTC(2026, 0, 1, 0, minute));
+
+describe('holdoutService', () => {
+  let project;
+  let userId;
+
+  beforeEach(() => {
+    project = buildProject({ holdout: { percentage: 5, bucketBy: 'userId', salt: 'holdout-salt', startedAt: at(0) } });
+    userId = id();
+
+    jest.spyOn(Project, 'findById').mockResolvedValue(project);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('updateHoldout', () => {
+    beforeEach(() => {
+      jest.spyOn(Flag, 'exists').mockResolvedValue(null);
+      jest.spyOn(Project.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+      jest.spyOn(holdoutService, 'getHoldout').mockImplementation(async () => project.holdout);
+      jest.spyOn(auditService, 'recordProjectChange').mockResolvedValue(null);
+      jest.spyOn(streamService, 'publishRuleset').mockResolvedValue();
+    });
+
+    it('restarts the results and sends SDK clients every rule set', async () => {
+      await holdoutService.updateHoldout(project._id, userId, { percentage: 10 });
+
+      expect(project.holdout.percentage).toBe(10);
+      expect(project.holdout.salt).toBe('holdout-salt');
+      expect(project.holdout.startedAt.getTime()).toBeGreaterThan(at(0).getTime());
+      expect(Project.prototype.save).toHaveBeenCalled();
+      expect(auditService.recordProjectChange).toHaveBeenCalledWith(project, 'holdout.updated', userId, expect.objectContaining({
+        metadata: { percentage: 10, bucketBy: 'userId' }
+      }));
+      expect(streamService.publishRuleset).toHaveBeenCalledWith(project._id, ['development', 'staging', 'production']);
+    });
+
+    it('gives the holdout a salt when it is first set up', async () => {
+      project.holdout.salt = undefined;
+
+      await holdoutService.updateHoldout(project._id, userId, { bucketBy: 'accountId' });
+
+      expect(project.holdout.bucketBy).toBe('accountId');
+      expect(project.holdout.salt).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    it('leaves the holdout alone when nothing changes', async () => {
+      await holdoutService.updateHoldout(project._id, userId, { percentage: 5, bucketBy: 'userId' });
+
+      expect(project.holdout.startedAt).toEqual(at(0));
+      expect(Project.prototype.save).not.toHaveBeenCalled();
+      expect(streamService.publishRuleset).not.toHaveBeenCalled();
+    });
+
+    it('refuses changes while flags of a protected environment are opted in', async () => {
+      project.protectedEnvironments.push({ environment: 'production' });
+      Flag.exists.mockResolvedValue({ _id: id() });
+
+      await expect(holdoutService.updateHoldout(project._id, userId, { percentage: 10 })).rejects.toMatchObject({
+        statusCode: 403,
+        message: "Environment 'production' is protected, so the holdout cannot change while flags are opted into it"
+      });
+
+      expect(Flag.exists).toHaveBeenCalledWith({ project: project._id, holdout: true });
+      expect(project.holdout.percentage).toBe(5);
+      expect(Project.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('allows changes in protected environments without opted-in flags', async () => {
+      project.protectedEnvironments.push({ environment: 'production' });
+
+      await holdoutService.updateHoldout(project._id, userId, { percentage: 10 });
+
+      expect(Project.prototype.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('getResults', () => {
+    let flagIds;
+
+    /**
+     * Stub the users evaluated for opted-in flags and their events
+     */
+    const stubUsers = (exposures, events) => {
+      jest.spyOn(Evaluation, 'aggregate').mockReturnValue({
+        allowDiskUse: jest.fn().mockResolvedValue(exposures)
+      });
+      jest.spyOn(eventService, 'getUserEvents').mockResolvedValue(new Map(events));
+    };
+
+    beforeEach(() => {
+      flagIds = [id(), id()];
+      jest.spyOn(Flag, 'find').mockReturnValue({ distinct: jest.fn().mockResolvedValue(flagIds) });
+    });
+
+    it('counts the users of opted-in flags since the holdout last changed', async () => {
+      stubUsers([], []);
+
+      const results = await holdoutService.getResults(project._id, { environment: 'production', eventKey: 'purchase' });
+
+      const [{ $match: match }, , { $group: group }] = Evaluation.aggregate.mock.calls[0][0];
+      expect(match).toMatchObject({
+        project: project._id,
+        flag: { $in: flagIds },
+        environment: 'production',
+        'reason.kind': { $nin: ['OFF', 'ERROR'] },
+        timestamp: { $gte: at(0), $lte: expect.any(Date) }
+      });
+      expect(group.heldOut).toEqual({ $max: { $eq: ['$reason.kind', 'HOLDOUT'] } });
+      expect(results.window.start).toEqual(at(0));
+      expect(results.holdout).toEqual({ percentage: 5, startedAt: at(0), flags: 2 });
+    });
+
+    it('compares the conversion rate of the population with the holdout', async () => {
+      stubUsers([
+        { _id: 'held-1', heldOut: true, exposedAt: at(1) },
+        { _id: 'held-2', heldOut: true, exposedAt: at(1) },
+        { _id: 'user-1', heldOut: false, exposedAt: at(1) },
+        { _id: 'user-2', heldOut: false, exposedAt: at(5) }
+      ], [
+        ['held-1', [{ timestamp: at(2) }]],
+        ['user-1', [{ timestamp: at(2) }]],
+        // Before the user's first evaluation
+        ['user-2', [{ timestamp: at(3) }]]
+      ]);
+
+      const results = await holdoutService.getResults(project._id, { environment: 'production', eventKey: 'purchase' });
+
+      expect(results.groups.holdout).toMatchObject({ users: 2, conversions: 1, value: 0.5 });
+      expect(results.groups.population).toMatchObject({ users: 2, conversions: 1, value: 0.5 });
+      expect(results.change).toBe(0);
+      expect(results.significant).toBe(false);
+    });
+
+    it('averages event values per user for mean metrics', async () => {
+      stubUsers([
+        { _id: 'held-1', heldOut: true, exposedAt: at(1) },
+        { _id: 'held-2', heldOut: true, exposedAt: at(1) },
+        { _id: 'user-1', heldOut: false, exposedAt: at(1) },
+        { _id: 'user-2', heldOut: false, exposedAt: at(1) }
+      ], [
+        ['held-1', [{ timestamp: at(2), value: 10 }]],
+        ['user-1', [{ timestamp: at(2), value: 20 }, { timestamp: at(3), value: 10 }]],
+        ['user-2', [{ timestamp: at(2), value: 10 }, { timestamp: at(3) }]]
+      ]);
+
+      const results = await holdoutService.getResults(project._id, {
+        environment: 'production',
+        eventKey: 'revenue',
+        aggregation: 'mean'
+      });
+
+      expect(results.groups.holdout.value).toBe(5);
+      expect(results.groups.population.value).toBe(20);
+      expect(results.change).toBe(300);
+    });
+
+    it('reports the probability to beat the holdout in the direction of the metric', async () => {
+      const exposures = [];
+      const events = [];
+      for (let index = 0; index < 200; index++) {
+        const heldOut = index < 100;
+        exposures.push({ _id: `user-${index}`, heldOut, exposedAt: at(1) });
+        // 10% of the holdout and 40% of the population have an error
+        if (index % 100 < (heldOut ? 10 : 40)) {
+          events.push([`user-${index}`, [{ timestamp: at(2) }]]);
+        }
+      }
+      stubUsers(exposures, events);
+
+      const results = await holdoutService.getResults(project._id, {
+        environment: 'production',
+        eventKey: 'error',
+        direction: 'decrease'
+      });
+
+      expect(results.change).toBeCloseTo(300);
+      expect(results.significant).toBe(true);
+      expect(results.probabilityToBeatHoldout).toBeLessThan(0.01);
+    });
+
+    it('refuses environments the project does not have', async () => {
+      await expect(holdoutService.getResults(project._id, { environment: 'qa', eventKey: 'purchase' }))
+        .rejects.toMatchObject({ statusCode: 404, message: "Environment 'qa' does not exist" });
+    });
+  });
+});
@@ -0,0 +1,227 @@
+// tests/services/layer.service.test.js
+const Layer = require('../../src/models/layer.model');
+const Flag = require('../../src/models/flag.model');
+const Project = require('../../src/models/project.model');
+const auditService = require('../../src/services/audit.service');
+const streamService = require('../../src/services/stream.service');
+const layerService = require('../../src/services/layer.service');
+const { id, buildProject, buildFlag } = require('../helpers/factories');
+
+describe('layerService', () => {
+  let project;
+  let flags;
+  let layer;
+  let userId;
+
+  /**
+   * Build a loaded layer; slices are { flag, percentage, ranges }
+   */
+  const buildLayer = (slices = []) => Layer.hydrate({
+    _id: id(),
+    key: 'checkout',
+    name: 'Checkout',
+    project: project._id,
+    salt: 'layer-salt',
+    bucketBy: 'userId',
+    slices: slices.map(({ flag, percentage, ranges }) => ({ flag: flag._id, flagKey: flag.key, percentage, ranges })),
+    createdBy: id(),
+    __v: 0
+  });
+
+  const sliceOf = (flag) => layer.slices.find(slice => slice.flag.equals(flag._id));
+  const ranges = (slice) => slice.ranges.map(({ start, end }) => ({ start, end }));
+
+  beforeEach(() => {
+    project = buildProject();
+    flags = ['new-checkout', 'one-click-buy', 'express-shipping']
+      .map(key => buildFlag({ key, project: project._id }));
+    layer = buildLayer();
+    userId = id();
+
+    jest.spyOn(Project, 'findById').mockResolvedValue(project);
+    jest.spyOn(Layer, 'findOne').mockImplementation(async () => layer);
+    jest.spyOn(Flag, 'findOne').mockImplementation(async ({ _id }) => flags.find(flag => flag._id.equals(_id)) || null);
+    jest.spyOn(Layer.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(Flag.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(layerService, 'getLayerById').mockImplementation(async () => layer);
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+    jest.spyOn(auditService, 'recordFlagChange').mockResolvedValue(null);
+    jest.spyOn(streamService, 'publishFlagChange').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('addFlag', () => {
+    it('gives flags the first free buckets and copies their slice to them', async () => {
+      await layerService.addFlag(project._id, layer._id, userId, { flag: flags[0]._id, percentage: 30 });
+      await layerService.addFlag(project._id, layer._id, userId, { flag: flags[1]._id, percentage: 20.5 });
+
+      expect(ranges(sliceOf(flags[0]))).toEqual([{ start: 0, end: 30000 }]);
+      expect(ranges(sliceOf(flags[1]))).toEqual([{ start: 30000, end: 50500 }]);
+      expect(flags[1].layer.toObject()).toEqual({
+        key: 'checkout',
+        salt: 'layer-salt',
+        bucketBy: 'userId',
+        ranges: [{ start: 30000, end: 50500 }]
+      });
+      expect(streamService.publishFlagChange).toHaveBeenCalledWith(flags[1]);
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'layer.flag_added',
+        metadata: { layerKey: 'checkout', percentage: 20.5 }
+      }));
+    });
+
+    it('fills the gaps left by removed flags first', async () => {
+      layer = buildLayer([
+        { flag: flags[1], percentage: 40, ranges: [{ start: 20000, end: 60000 }] }
+      ]);
+
+      await layerService.addFlag(project._id, layer._id, userId, { flag: flags[0]._id, percentage: 30 });
+
+      expect(ranges(sliceOf(flags[0]))).toEqual([{ start: 0, end: 20000 }, { start: 60000, end: 70000 }]);
+    });
+
+    it('refuses more traffic than the layer has free', async () => {
+      layer = buildLayer([
+        { flag: flags[1], percentage: 60, ranges: [{ start: 0, end: 60000 }] }
+      ]);
+
+      await expect(layerService.addFlag(project._id, layer._id, userId, { flag: flags[0]._id, percentage: 50 }))
+        .rejects.toMatchObject({ statusCode: 409, message: "Layer 'checkout' only has 40% of its traffic free" });
+      expect(Layer.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses flags that are already in a layer', async () => {
+      flags[0].layer = { key: 'search', salt: 'salt', bucketBy: 'userId', ranges: [] };
+
+      await expect(layerService.addFlag(project._id, layer._id, userId, { flag: flags[0]._id, percentage: 10 }))
+        .rejects.toMatchObject({ statusCode: 409, message: "Flag 'new-checkout' is already in layer 'search'" });
+    });
+
+    it('refuses flags in a protected environment', async () => {
+      project.protectedEnvironments.push({ environment: 'production' });
+
+      await expect(layerService.addFlag(project._id, layer._id, userId, { flag: flags[0]._id, percentage: 10 }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(Layer.prototype.save).not.toHaveBeenCalled();
+      expect(Flag.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('releases the slice when the flag cannot be saved', async () => {
+      const conflict = Object.assign(new Error('No matching document found'), { name: 'VersionError' });
+      Flag.prototype.save.mockRejectedValue(conflict);
+      jest.spyOn(Layer, 'updateOne').mockResolvedValue({ acknowledged: true });
+
+      await expect(layerService.addFlag(project._id, layer._id, userId, { flag: flags[0]._id, percentage: 10 }))
+        .rejects.toBe(conflict);
+
+      expect(Layer.updateOne).toHaveBeenCalledWith(
+        { _id: layer._id },
+        { $pull: { slices: { flag: flags[0]._id } }, $inc: { __v: 1 } }
+      );
+    });
+  });
+
+  describe('updateFlag', () => {
+    beforeEach(() => {
+      layer = buildLayer([
+        { flag: flags[0], percentage: 20, ranges: [{ start: 0, end: 20000 }] },
+        { flag: flags[1], percentage: 30, ranges: [{ start: 20000, end: 50000 }] }
+      ]);
+    });
+
+    it('grows a slice with free buckets, saving the layer before the flag', async () => {
+      await layerService.updateFlag(project._id, layer._id, flags[0]._id, userId, { percentage: 25 });
+
+      expect(ranges(sliceOf(flags[0]))).toEqual([{ start: 0, end: 20000 }, { start: 50000, end: 55000 }]);
+      expect(flags[0].layer.ranges.map(({ start, end }) => ({ start, end })))
+        .toEqual([{ start: 0, end: 20000 }, { start: 50000, end: 55000 }]);
+      expect(Layer.prototype.save.mock.invocationCallOrder[0])
+        .toBeLessThan(Flag.prototype.save.mock.invocationCallOrder[0]);
+    });
+
+    it('shrinks a slice by giving up its last buckets, saving the flag before the layer', async () => {
+      await layerService.updateFlag(project._id, layer._id, flags[1]._id, userId, { percentage: 10 });
+
+      expect(ranges(sliceOf(flags[1]))).toEqual([{ start: 20000, end: 30000 }]);
+      expect(Flag.prototype.save.mock.invocationCallOrder[0])
+        .toBeLessThan(Layer.prototype.save.mock.invocationCallOrder[0]);
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'layer.flag_updated',
+        metadata: { layerKey: 'checkout', percentage: 10, previousPercentage: 30 }
+      }));
+    });
+
+    it('joins a grown slice with its adjacent free buckets', async () => {
+      layer.slices.pop();
+
+      await layerService.updateFlag(project._id, layer._id, flags[0]._id, userId, { percentage: 35 });
+
+      expect(ranges(sliceOf(flags[0]))).toEqual([{ start: 0, end: 35000 }]);
+    });
+
+    it('refuses flags that are not in the layer', async () => {
+      await expect(layerService.updateFlag(project._id, layer._id, flags[2]._id, userId, { percentage: 10 }))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Flag is not in this layer' });
+    });
+  });
+
+  describe('removeFlag', () => {
+    it('frees the slice and removes the copy from the flag', async () => {
+      layer = buildLayer([
+        { flag: flags[0], percentage: 20, ranges: [{ start: 0, end: 20000 }] }
+      ]);
+      flags[0].layer = { key: 'checkout', salt: 'layer-salt', bucketBy: 'userId', ranges: [{ start: 0, end: 20000 }] };
+
+      await layerService.removeFlag(project._id, layer._id, flags[0]._id, userId);
+
+      expect(layer.slices).toHaveLength(0);
+      expect(flags[0].layer).toBeNull();
+      expect(Flag.prototype.save.mock.invocationCallOrder[0])
+        .toBeLessThan(Layer.prototype.save.mock.invocationCallOrder[0]);
+    });
+  });
+
+  describe('deleteLayer', () => {
+    it('refuses layers that still have flags', async () => {
+      layer = buildLayer([
+        { flag: flags[0], percentage: 20, ranges: [{ start: 0, end: 20000 }] }
+      ]);
+
+      await expect(layerService.deleteLayer(project._id, layer._id, userId))
+        .rejects.toMatchObject({ statusCode: 409, message: "Layer 'checkout' still has flag(s): new-checkout" });
+    });
+
+    it('does not delete a layer a flag was added to since it was loaded', async () => {
+      jest.spyOn(Layer, 'deleteOne').mockResolvedValue({ deletedCount: 0 });
+
+      await expect(layerService.deleteLayer(project._id, layer._id, userId)).rejects.toMatchObject({ statusCode: 409 });
+      expect(Layer.deleteOne).toHaveBeenCalledWith({ _id: layer._id, __v: 0 });
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getLayers', () => {
+    it('describes how the traffic of each layer is allocated', async () => {
+      layer = buildLayer([
+        { flag: flags[0], percentage: 20, ranges: [{ start: 0, end: 20000 }] },
+        { flag: flags[1], percentage: 12.5, ranges: [{ start: 50000, end: 62500 }] }
+      ]);
+      jest.spyOn(Layer, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([layer]) });
+
+      const [result] = await layerService.getLayers(project._id);
+
+      expect(result.allocation).toEqual({
+        allocated: 32.5,
+        free: 67.5,
+        freeRanges: [{ start: 20000, end: 50000 }, { start: 62500, end: 100000 }]
+      });
+    });
+  });
+});
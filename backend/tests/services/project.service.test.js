@@ -0,0 +1,171 @@
+// tests/services/project.service.test.js
+const Project = require('../../src/models/project.model');
+const Flag = require('../../src/models/flag.model');
+const Segment = require('../../src/models/segment.model');
+const ScheduledChange = require('../../src/models/scheduledChange.model');
+const RolloutPlan = require('../../src/models/rolloutPlan.model');
+const Experiment = require('../../src/models/experiment.model');
+const Evaluation = require('../../src/models/evaluation.model');
+const FlagRevision = require('../../src/models/revision.model');
+const ChangeRequest = require('../../src/models/changeRequest.model');
+const Layer = require('../../src/models/layer.model');
+const Webhook = require('../../src/models/webhook.model');
+const SrmCheck = require('../../src/models/srmCheck.model');
+const Event = require('../../src/models/event.model');
+const StreamEvent = require('../../src/models/streamEvent.model');
+const auditService = require('../../src/services/audit.service');
+const projectService = require('../../src/services/project.service');
+const { id, buildProject, buildFlag } = require('../helpers/factories');
+
+describe('projectService', () => {
+  let project;
+
+  beforeEach(() => {
+    project = buildProject();
+
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('deleteProject', () => {
+    beforeEach(() => {
+      jest.spyOn(Project, 'findByIdAndDelete').mockResolvedValue(project);
+      jest.spyOn(Flag, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+      jest.spyOn(Segment, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(ScheduledChange, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+      jest.spyOn(RolloutPlan, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+      jest.spyOn(Experiment, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+      for (const Model of [Evaluation, ChangeRequest, Layer, Webhook, SrmCheck, Event, StreamEvent]) {
+        jest.spyOn(Model, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      }
+      jest.spyOn(FlagRevision.collection, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    });
+
+    it('cancels the pending scheduled changes of the project', async () => {
+      const userId = id();
+
+      await projectService.deleteProject(project._id, userId);
+
+      expect(ScheduledChange.updateMany).toHaveBeenCalledWith(
+        { project: project._id, status: 'pending' },
+        { $set: expect.objectContaining({ status: 'cancelled', cancelledBy: userId, error: "Project 'Shop' was deleted" }) }
+      );
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'project.deleted',
+        metadata: expect.objectContaining({ scheduledChangesCancelled: 4 })
+      }));
+    });
+
+    it('aborts rollouts, stops experiments and deletes the data the project owns', async () => {
+      await projectService.deleteProject(project._id, id());
+
+      expect(RolloutPlan.updateMany).toHaveBeenCalledWith(
+        { project: project._id, status: { $in: ['active', 'paused'] } },
+        expect.objectContaining({ $set: { status: 'aborted', error: "Project 'Shop' was deleted" } })
+      );
+      expect(Experiment.updateMany).toHaveBeenCalledWith(
+        { project: project._id, status: 'running' },
+        expect.anything()
+      );
+
+      for (const Model of [Evaluation, ChangeRequest, Layer, Webhook, SrmCheck, Event, StreamEvent]) {
+        expect(Model.deleteMany).toHaveBeenCalledWith({ project: project._id });
+      }
+      expect(FlagRevision.collection.deleteMany).toHaveBeenCalledWith({ project: project._id });
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        metadata: { scheduledChangesCancelled: 4, rolloutsAborted: 2, experimentsStopped: 1 }
+      }));
+    });
+
+    it('reports a missing project without touching other collections', async () => {
+      Project.findByIdAndDelete.mockResolvedValue(null);
+
+      await expect(projectService.deleteProject(id(), id())).rejects.toMatchObject({ statusCode: 404 });
+
+      expect(ScheduledChange.updateMany).not.toHaveBeenCalled();
+      expect(Layer.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('environments', () => {
+    let flags;
+
+    beforeEach(() => {
+      flags = [buildFlag({ project: project._id }), buildFlag({ key: 'dark-mode', project: project._id })];
+      flags[0].environments.get('staging').enabled = true;
+      flags[0].environments.get('staging').rules.push({ type: 'PERCENTAGE', name: 'Ramp', value: 20, serve: { variation: 'on' } });
+
+      jest.spyOn(Project, 'findById').mockResolvedValue(project);
+      jest.spyOn(Project.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+      jest.spyOn(Flag, 'find').mockResolvedValue(flags);
+      jest.spyOn(Flag.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+      jest.spyOn(Evaluation, 'deleteMany').mockResolvedValue({ deletedCount: 7 });
+    });
+
+    it('adds an environment with its own API key to the project and every flag', async () => {
+      const result = await projectService.addEnvironment(project._id, 'qa', id());
+
+      expect(result).toMatchObject({ environment: 'qa', flagsSeeded: 2 });
+      expect(project.environments).toContain('qa');
+      expect(project.apiKeys.get('qa')).toBe(result.apiKey);
+      for (const flag of flags) {
+        expect(flag.environments.get('qa')).toMatchObject({ enabled: false, value: false, rules: [] });
+      }
+    });
+
+    it('clones flag settings from a source environment with new rule IDs', async () => {
+      await projectService.addEnvironment(project._id, 'qa', id(), { cloneFrom: 'staging' });
+
+      const source = flags[0].environments.get('staging').rules[0];
+      const clone = flags[0].environments.get('qa').rules[0];
+
+      expect(flags[0].environments.get('qa').enabled).toBe(true);
+      expect(clone).toMatchObject({ name: 'Ramp', value: 20 });
+      expect(clone._id.toString()).not.toBe(source._id.toString());
+    });
+
+    it('rejects cloning from an environment that does not exist', async () => {
+      await expect(projectService.addEnvironment(project._id, 'qa', id(), { cloneFrom: 'uat' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      expect(Project.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('removes an environment from the project, its flags and its evaluations', async () => {
+      project.protectedEnvironments = [{ environment: 'staging', requiredApprovals: 1 }];
+
+      await projectService.removeEnvironment(project._id, 'staging', id());
+
+      expect(project.environments).toEqual(['development', 'production']);
+      expect(project.apiKeys.has('staging')).toBe(false);
+      expect(project.getEnvironmentProtection('staging')).toBeNull();
+      expect(flags.every(flag => !flag.environments.has('staging'))).toBe(true);
+      expect(Evaluation.deleteMany).toHaveBeenCalledWith({ project: project._id, environment: 'staging' });
+    });
+
+    it('repairs flags and API keys that drifted from the project environments', async () => {
+      project.apiKeys.delete('staging');
+      project.apiKeys.set('legacy', 'legacy-key');
+      flags[1].environments.delete('development');
+      flags[1].environments.set('legacy', flags[1].environments.get('production').toObject());
+
+      const report = await projectService.repairEnvironments(project._id, id());
+
+      expect(report).toMatchObject({
+        apiKeysAdded: ['staging'],
+        apiKeysRemoved: ['legacy'],
+        flags: [{ key: 'dark-mode', added: ['development'], removed: ['legacy'] }],
+        evaluationsDeleted: 7
+      });
+      expect(Array.from(flags[1].environments.keys()).sort()).toEqual(['development', 'production', 'staging']);
+    });
+  });
+});
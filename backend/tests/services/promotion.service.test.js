@@ -0,0 +1,148 @@
+// tests/services/promotion.service.test.js
+const Flag = require('../../src/models/flag.model');
+const Project = require('../../src/models/project.model');
+const auditService = require('../../src/services/audit.service');
+const changeRequestService = require('../../src/services/changeRequest.service');
+const promotionService = require('../../src/services/promotion.service');
+const { id, buildProject, buildFlag } = require('../helpers/factories');
+
+describe('promotionService', () => {
+  let project;
+  let flags;
+
+  beforeEach(() => {
+    project = buildProject();
+    flags = [buildFlag({ key: 'dark-mode', project: project._id }), buildFlag({ project: project._id })];
+
+    // new-checkout was ramped up in staging
+    const staging = flags[1].environments.get('staging');
+    staging.enabled = true;
+    staging.rules.push({ type: 'PERCENTAGE', name: 'Ramp', value: 50, serve: { variation: 'on' } });
+
+    jest.spyOn(Project, 'findById').mockResolvedValue(project);
+    jest.spyOn(Flag, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue(flags) });
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('previewPromotion', () => {
+    it('lists the changes each selected flag would receive', async () => {
+      const preview = await promotionService.previewPromotion(project._id, {
+        from: 'staging',
+        to: 'production',
+        tags: ['checkout']
+      });
+
+      expect(Flag.find).toHaveBeenCalledWith({ project: project._id, tags: { $in: ['checkout'] } });
+      expect(preview.flags).toEqual([
+        { key: 'dark-mode', changes: [] },
+        {
+          key: 'new-checkout',
+          changes: [
+            { path: 'enabled', before: false, after: true },
+            { path: 'rules.0', before: null, after: expect.objectContaining({ name: 'Ramp', value: 50 }) }
+          ]
+        }
+      ]);
+      expect(preview.checksum).toMatch(/^[0-9a-f]{40}$/);
+    });
+
+    it('reports selected flags that do not exist', async () => {
+      await expect(promotionService.previewPromotion(project._id, {
+        from: 'staging',
+        to: 'production',
+        flagKeys: ['new-checkout', 'old-checkout']
+      })).rejects.toMatchObject({ statusCode: 404, message: 'Flag(s) not found: old-checkout' });
+    });
+
+    it('rejects promoting an environment into itself', async () => {
+      await expect(promotionService.previewPromotion(project._id, {
+        from: 'staging',
+        to: 'staging',
+        tags: ['checkout']
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('promote', () => {
+    let options;
+
+    beforeEach(async () => {
+      options = { from: 'staging', to: 'production', flagKeys: ['dark-mode', 'new-checkout'] };
+      const { checksum } = await promotionService.previewPromotion(project._id, options);
+      options.checksum = checksum;
+
+      jest.spyOn(changeRequestService, 'applyEnvironmentChanges').mockResolvedValue([]);
+      jest.spyOn(changeRequestService, 'proposeChanges').mockResolvedValue({ _id: id(), status: 'pending' });
+    });
+
+    it('applies the previewed changes to the flags that differ', async () => {
+      const userId = id();
+
+      const result = await promotionService.promote(project._id, userId, options);
+
+      const [, environment, actor, changes] = changeRequestService.applyEnvironmentChanges.mock.calls[0];
+      expect(environment).toBe('production');
+      expect(actor).toBe(userId);
+      expect(changes).toEqual([{ flag: flags[1], after: flags[1].getEnvironmentParts('staging') }]);
+      expect(result.flags.map(flag => flag.key)).toEqual(['new-checkout']);
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'promotion.applied',
+        metadata: expect.objectContaining({ flags: ['new-checkout'] })
+      }));
+    });
+
+    it('refuses to apply changes that were not previewed', async () => {
+      flags[0].environments.get('staging').enabled = true;
+
+      await expect(promotionService.promote(project._id, id(), options)).rejects.toMatchObject({ statusCode: 409 });
+
+      expect(changeRequestService.applyEnvironmentChanges).not.toHaveBeenCalled();
+    });
+
+    it('proposes the changes when the target environment is protected', async () => {
+      project.protectedEnvironments = [{ environment: 'production', requiredApprovals: 1 }];
+
+      const result = await promotionService.promote(project._id, id(), options);
+
+      expect(result.status).toBe('pending');
+      expect(changeRequestService.applyEnvironmentChanges).not.toHaveBeenCalled();
+      expect(changeRequestService.proposeChanges).toHaveBeenCalledWith(project, 'production', expect.anything(), expect.objectContaining({
+        action: 'flag.promoted',
+        changes: [expect.objectContaining({ flag: flags[1], before: flags[1].getEnvironmentParts('production') })]
+      }));
+    });
+  });
+
+  describe('compareEnvironments', () => {
+    it('reports changed, unchanged and missing flags', async () => {
+      const legacy = buildFlag({ key: 'legacy', project: project._id });
+      legacy.environments.delete('production');
+      flags.push(legacy);
+
+      const comparison = await promotionService.compareEnvironments(project._id, 'staging', 'production');
+
+      expect(comparison.summary).toEqual({ total: 3, changed: 1, unchanged: 1, missing: 1 });
+      expect(comparison.flags).toEqual([
+        expect.objectContaining({ key: 'dark-mode', status: 'unchanged', changes: [] }),
+        expect.objectContaining({
+          key: 'new-checkout',
+          status: 'changed',
+          changes: [
+            { path: 'enabled', from: true, to: false },
+            { path: 'rules.0', from: expect.objectContaining({ name: 'Ramp' }), to: null }
+          ]
+        }),
+        expect.objectContaining({ key: 'legacy', status: 'missing', missingIn: ['production'] })
+      ]);
+    });
+
+    it('rejects environments the project does not have', async () => {
+      await expect(promotionService.compareEnvironments(project._id, 'staging', 'uat'))
+        .rejects.toMatchObject({ statusCode: 400, message: "Environment 'uat' does not exist" });
+    });
+  });
+});
@@ -0,0 +1,440 @@
+// tests/services/rollout.service.test.js
+const Flag = require('../../src/models/flag.model');
+const Project = require('../../src/models/project.model');
+const RolloutPlan = require('../../src/models/rolloutPlan.model');
+const ChangeRequest = require('../../src/models/changeRequest.model');
+const flagService = require('../../src/services/flag.service');
+const auditService = require('../../src/services/audit.service');
+const guardService = require('../../src/services/guard.service');
+const webhookService = require('../../src/services/webhook.service');
+const logger = require('../../src/utils/logger');
+const rolloutService = require('../../src/services/rollout.service');
+const { id, buildProject, buildFlag } = require('../helpers/factories');
+
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+describe('rolloutService', () => {
+  let project;
+  let flag;
+  let ruleId;
+
+  const buildRollout = (overrides = {}) => RolloutPlan.hydrate({
+    _id: id(),
+    project: project._id,
+    flag: flag._id,
+    flagKey: flag.key,
+    environment: 'production',
+    ruleId,
+    steps: [{ percentage: 10, duration: 60 }, { percentage: 50, duration: 60 }, { percentage: 100 }],
+    status: 'active',
+    currentStep: 0,
+    nextStepAt: inMinutes(30),
+    guards: [],
+    onRegression: 'rollback',
+    guardResults: [],
+    history: [],
+    createdBy: id(),
+    updatedAt: new Date(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    project = buildProject();
+    flag = buildFlag({ project: project._id });
+    ruleId = id().toString();
+
+    flag.environments.get('production').rules.push({
+      _id: ruleId,
+      type: 'PERCENTAGE',
+      name: 'Ramp',
+      value: 0,
+      serve: { variation: 'on' }
+    });
+
+    jest.spyOn(Project, 'findById').mockResolvedValue(project);
+    jest.spyOn(flagService, 'updateRule').mockResolvedValue(flag);
+    jest.spyOn(RolloutPlan.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(rolloutService, 'getRolloutById').mockImplementation(async (projectId, rolloutId) => rolloutId);
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createRollout', () => {
+    beforeEach(() => {
+      jest.spyOn(Flag, 'findOne').mockResolvedValue(flag);
+      jest.spyOn(RolloutPlan, 'exists').mockResolvedValue(null);
+    });
+
+    it('applies the first step and schedules the next one', async () => {
+      const userId = id();
+
+      const rollout = await rolloutService.createRollout(project._id, userId, {
+        flag: flag._id,
+        environment: 'production',
+        ruleId,
+        steps: [{ percentage: 10, duration: 60 }, { percentage: 100 }]
+      });
+
+      expect(flagService.updateRule).toHaveBeenCalledWith(flag._id, 'production', ruleId, userId, { value: 10 });
+      expect(rollout.status).toBe('active');
+      expect(rollout.currentStep).toBe(0);
+      expect(rollout.nextStepAt.getTime()).toBeGreaterThan(inMinutes(59).getTime());
+      expect(rollout.history.map(event => event.action)).toEqual(['started']);
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'rollout.started' }));
+    });
+
+    it('completes a rollout with a single step', async () => {
+      const rollout = await rolloutService.createRollout(project._id, id(), {
+        flag: flag._id,
+        environment: 'production',
+        ruleId,
+        steps: [{ percentage: 100 }]
+      });
+
+      expect(rollout.status).toBe('completed');
+      expect(rollout.nextStepAt).toBeUndefined();
+      expect(rollout.history.map(event => event.action)).toEqual(['started', 'completed']);
+    });
+
+    it('checks the steps before changing the rule', async () => {
+      await expect(rolloutService.createRollout(project._id, id(), {
+        flag: flag._id,
+        environment: 'production',
+        ruleId,
+        steps: [{ percentage: 50, duration: 60 }, { percentage: 20 }]
+      })).rejects.toMatchObject({ name: 'ValidationError' });
+
+      expect(flagService.updateRule).not.toHaveBeenCalled();
+    });
+
+    it('only rolls out PERCENTAGE rules', async () => {
+      const userRuleId = id().toString();
+      flag.environments.get('production').rules.push({
+        _id: userRuleId,
+        type: 'USER_SEGMENT',
+        name: 'Staff',
+        value: { plan: 'staff' },
+        serve: { variation: 'on' }
+      });
+
+      await expect(rolloutService.createRollout(project._id, id(), {
+        flag: flag._id,
+        environment: 'production',
+        ruleId: userRuleId,
+        steps: [{ percentage: 100 }]
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('refuses protected environments', async () => {
+      project.protectedEnvironments.push({ environment: 'production' });
+
+      await expect(rolloutService.createRollout(project._id, id(), {
+        flag: flag._id,
+        environment: 'production',
+        ruleId,
+        steps: [{ percentage: 100 }]
+      })).rejects.toMatchObject({ statusCode: 403 });
+
+      expect(flagService.updateRule).not.toHaveBeenCalled();
+    });
+
+    it('refuses a second rollout of the same rule', async () => {
+      RolloutPlan.exists.mockResolvedValue({ _id: id() });
+
+      await expect(rolloutService.createRollout(project._id, id(), {
+        flag: flag._id,
+        environment: 'production',
+        ruleId,
+        steps: [{ percentage: 100 }]
+      })).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('pauseRollout and resumeRollout', () => {
+    it('pauses an active rollout, keeping the time left in its step', async () => {
+      const rollout = buildRollout();
+      jest.spyOn(RolloutPlan, 'findOne').mockResolvedValue(rollout);
+      jest.spyOn(RolloutPlan, 'findOneAndUpdate').mockImplementation(async (filter, update) =>
+        buildRollout({ _id: rollout._id, nextStepAt: undefined, ...update.$set }));
+
+      await rolloutService.pauseRollout(project._id, rollout._id, id());
+
+      const [filter, update] = RolloutPlan.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ _id: rollout._id, status: 'active', nextStepAt: rollout.nextStepAt });
+      expect(update.$set.status).toBe('paused');
+      expect(update.$set.remainingMs).toBeGreaterThan(29 * 60 * 1000);
+      expect(update.$set.remainingMs).toBeLessThanOrEqual(30 * 60 * 1000);
+      expect(update.$unset).toEqual({ nextStepAt: 1 });
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'rollout.paused' }));
+    });
+
+    it('does not pause a rollout whose step is being applied', async () => {
+      const rollout = buildRollout();
+      jest.spyOn(RolloutPlan, 'findOne')
+        .mockResolvedValueOnce(rollout)
+        .mockResolvedValueOnce(buildRollout({ _id: rollout._id, nextStepAt: undefined }));
+      jest.spyOn(RolloutPlan, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(rolloutService.pauseRollout(project._id, rollout._id, id()))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Cannot pause a rollout that is applying a step' });
+    });
+
+    it('resumes a paused rollout where it left off', async () => {
+      const rollout = buildRollout({ status: 'paused', nextStepAt: undefined, remainingMs: 10 * 60 * 1000 });
+      jest.spyOn(RolloutPlan, 'findOne').mockResolvedValue(rollout);
+      jest.spyOn(RolloutPlan, 'findOneAndUpdate').mockImplementation(async (filter, update) =>
+        buildRollout({ _id: rollout._id, ...update.$set }));
+
+      await rolloutService.resumeRollout(project._id, rollout._id, id());
+
+      const [filter, update] = RolloutPlan.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ _id: rollout._id, status: 'paused' });
+      expect(update.$set.status).toBe('active');
+      expect(update.$set.nextStepAt.getTime()).toBeGreaterThan(inMinutes(9).getTime());
+      expect(update.$set.nextStepAt.getTime()).toBeLessThanOrEqual(inMinutes(10).getTime());
+      expect(update.$unset).toEqual({ remainingMs: 1 });
+    });
+
+    it('does not resume rollouts in protected environments', async () => {
+      project.protectedEnvironments.push({ environment: 'production' });
+      jest.spyOn(RolloutPlan, 'findOne').mockResolvedValue(buildRollout({ status: 'paused', nextStepAt: undefined }));
+      jest.spyOn(RolloutPlan, 'findOneAndUpdate');
+
+      await expect(rolloutService.resumeRollout(project._id, id(), id())).rejects.toMatchObject({ statusCode: 403 });
+      expect(RolloutPlan.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('only resumes paused rollouts', async () => {
+      jest.spyOn(RolloutPlan, 'findOne').mockResolvedValue(buildRollout({ status: 'completed', nextStepAt: undefined }));
+
+      await expect(rolloutService.resumeRollout(project._id, id(), id()))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Cannot resume a rollout that is completed' });
+    });
+  });
+
+  describe('abortRollout', () => {
+    let rollout;
+
+    beforeEach(() => {
+      rollout = buildRollout();
+      jest.spyOn(RolloutPlan, 'findOne').mockResolvedValue(rollout);
+      jest.spyOn(RolloutPlan, 'findOneAndUpdate').mockImplementation(async (filter, update) =>
+        buildRollout({ _id: rollout._id, nextStepAt: undefined, ...update.$set }));
+    });
+
+    it('sets the rule back to 0%', async () => {
+      const userId = id();
+
+      await rolloutService.abortRollout(project._id, rollout._id, userId);
+
+      expect(flagService.updateRule).toHaveBeenCalledWith(flag._id, 'production', ruleId, userId, { value: 0 });
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'rollout.aborted',
+        metadata: expect.objectContaining({ percentage: 0 })
+      }));
+    });
+
+    it('records the change request proposing the reset in protected environments', async () => {
+      const changeRequest = new ChangeRequest({ _id: id() });
+      flagService.updateRule.mockResolvedValue(changeRequest);
+
+      await rolloutService.abortRollout(project._id, rollout._id, id());
+
+      const [aborted] = RolloutPlan.prototype.save.mock.contexts;
+      expect(aborted.status).toBe('aborted');
+      expect(aborted.error).toBe(`Environment 'production' is protected: change request ${changeRequest._id} proposes resetting the rule to 0%`);
+    });
+
+    it('records and rethrows errors resetting the rule', async () => {
+      flagService.updateRule.mockRejectedValue(new Error('Rule not found'));
+
+      await expect(rolloutService.abortRollout(project._id, rollout._id, id())).rejects.toThrow('Rule not found');
+
+      const [aborted] = RolloutPlan.prototype.save.mock.contexts;
+      expect(aborted.status).toBe('aborted');
+      expect(aborted.error).toBe('Could not reset the rule to 0%: Rule not found');
+    });
+
+    it('does not abort a rollout whose step is being applied', async () => {
+      RolloutPlan.findOneAndUpdate.mockResolvedValue(null);
+      rollout.nextStepAt = undefined;
+
+      await expect(rolloutService.abortRollout(project._id, rollout._id, id()))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Cannot abort a rollout that is applying a step' });
+      expect(flagService.updateRule).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('advanceDueRollouts', () => {
+    beforeEach(() => {
+      jest.spyOn(RolloutPlan, 'find').mockResolvedValue([]);
+    });
+
+    it('applies due steps one rollout at a time', async () => {
+      const first = buildRollout({ nextStepAt: undefined });
+      const last = buildRollout({ nextStepAt: undefined, currentStep: 1 });
+      jest.spyOn(RolloutPlan, 'findOneAndUpdate')
+        .mockResolvedValueOnce(first)
+        .mockResolvedValueOnce(last)
+        .mockResolvedValueOnce(null);
+
+      await expect(rolloutService.advanceDueRollouts()).resolves.toBe(2);
+
+      expect(RolloutPlan.findOneAndUpdate).toHaveBeenCalledWith(
+        { status: 'active', nextStepAt: { $lte: expect.any(Date) } },
+        { $unset: { nextStepAt: 1 } },
+        { sort: { nextStepAt: 1 }, new: true }
+      );
+      expect(flagService.updateRule).toHaveBeenNthCalledWith(1, flag._id, 'production', ruleId, first.createdBy, { value: 50 });
+      expect(flagService.updateRule).toHaveBeenNthCalledWith(2, flag._id, 'production', ruleId, last.createdBy, { value: 100 });
+      expect(first.status).toBe('active');
+      expect(first.currentStep).toBe(1);
+      expect(first.nextStepAt.getTime()).toBeGreaterThan(inMinutes(59).getTime());
+      expect(last.status).toBe('completed');
+      expect(last.history.map(event => event.action)).toEqual(['advanced', 'completed']);
+    });
+
+    it('fails rollouts whose environment became protected', async () => {
+      project.protectedEnvironments.push({ environment: 'production' });
+      const rollout = buildRollout({ nextStepAt: undefined });
+      jest.spyOn(RolloutPlan, 'findOneAndUpdate')
+        .mockResolvedValueOnce(rollout)
+        .mockResolvedValueOnce(null);
+
+      await rolloutService.advanceDueRollouts();
+
+      expect(flagService.updateRule).not.toHaveBeenCalled();
+      expect(rollout.status).toBe('failed');
+      expect(rollout.error).toBe("Environment 'production' is protected, so its changes need a change request");
+      expect(RolloutPlan.prototype.save).toHaveBeenCalled();
+    });
+
+    it('fails rollouts interrupted mid-step instead of retrying them', async () => {
+      const stale = buildRollout({ nextStepAt: undefined, updatedAt: inMinutes(-15) });
+      RolloutPlan.find.mockResolvedValue([stale]);
+      jest.spyOn(RolloutPlan, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(rolloutService.advanceDueRollouts()).resolves.toBe(0);
+
+      const [filter] = RolloutPlan.find.mock.calls[0];
+      expect(filter).toMatchObject({ status: 'active', nextStepAt: null });
+      expect(filter.updatedAt.$lte.getTime()).toBeLessThanOrEqual(inMinutes(-10).getTime());
+      expect(stale.status).toBe('failed');
+      expect(stale.error).toBe('Interrupted while applying a step');
+      expect(flagService.updateRule).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkGuards', () => {
+    const breach = {
+      eventKey: 'checkout-error',
+      aggregation: 'rate',
+      treatment: { users: 100, value: 0.1 },
+      control: { users: 100, value: 0.05 },
+      change: 100,
+      breached: true
+    };
+
+    let rollout;
+
+    beforeEach(() => {
+      rollout = buildRollout({
+        guards: [{ eventKey: 'checkout-error', threshold: 20 }]
+      });
+
+      jest.spyOn(RolloutPlan, 'findOneAndUpdate')
+        .mockResolvedValueOnce(rollout)
+        .mockResolvedValueOnce(null);
+      jest.spyOn(RolloutPlan, 'updateOne').mockResolvedValue({ acknowledged: true });
+      jest.spyOn(guardService, 'evaluateGuards').mockResolvedValue([breach]);
+      jest.spyOn(flagService, 'toggleFlag').mockResolvedValue(flag);
+      jest.spyOn(webhookService, 'dispatch').mockResolvedValue();
+    });
+
+    it('keeps the results of guards that hold', async () => {
+      const results = [{ ...breach, change: 5, breached: false }];
+      guardService.evaluateGuards.mockResolvedValue(results);
+
+      await expect(rolloutService.checkGuards()).resolves.toBe(1);
+
+      expect(RolloutPlan.updateOne).toHaveBeenCalledWith({ _id: rollout._id }, { $set: { guardResults: results } });
+      expect(flagService.updateRule).not.toHaveBeenCalled();
+      expect(webhookService.dispatch).not.toHaveBeenCalled();
+    });
+
+    it('sets the rule back to 0% and notifies the project when a guard is breached', async () => {
+      const claimed = buildRollout({ _id: rollout._id, status: 'rolled_back', nextStepAt: undefined });
+      RolloutPlan.findOneAndUpdate.mockReset()
+        .mockResolvedValueOnce(rollout)
+        .mockResolvedValueOnce(claimed)
+        .mockResolvedValueOnce(null);
+
+      await expect(rolloutService.checkGuards()).resolves.toBe(1);
+
+      expect(RolloutPlan.findOneAndUpdate).toHaveBeenNthCalledWith(2,
+        { _id: rollout._id, status: 'active', nextStepAt: { $ne: null } },
+        { $set: { status: 'rolled_back', guardResults: [breach] }, $unset: { nextStepAt: 1 } },
+        { new: true }
+      );
+      expect(flagService.updateRule).toHaveBeenCalledWith(flag._id, 'production', ruleId, claimed.createdBy, { value: 0 });
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'rollout.rolled_back',
+        metadata: expect.objectContaining({ eventKey: 'checkout-error', change: 100, percentage: 0 })
+      }));
+      expect(webhookService.dispatch).toHaveBeenCalledWith(project._id, 'rollout.rolled_back', expect.objectContaining({
+        rollout: rollout._id,
+        flag: 'new-checkout',
+        action: 'rollback',
+        guard: breach
+      }));
+    });
+
+    it('turns the flag off when the rollout disables it on regression', async () => {
+      const claimed = buildRollout({ _id: rollout._id, status: 'rolled_back', nextStepAt: undefined, onRegression: 'disable' });
+      RolloutPlan.findOneAndUpdate.mockReset()
+        .mockResolvedValueOnce(rollout)
+        .mockResolvedValueOnce(claimed)
+        .mockResolvedValueOnce(null);
+
+      await rolloutService.checkGuards();
+
+      expect(flagService.toggleFlag).toHaveBeenCalledWith(flag._id, 'production', claimed.createdBy, false);
+      expect(flagService.updateRule).not.toHaveBeenCalled();
+    });
+
+    it('records the change request proposing the rollback in protected environments', async () => {
+      const claimed = buildRollout({ _id: rollout._id, status: 'rolled_back', nextStepAt: undefined });
+      const changeRequest = new ChangeRequest({ _id: id() });
+      RolloutPlan.findOneAndUpdate.mockReset()
+        .mockResolvedValueOnce(rollout)
+        .mockResolvedValueOnce(claimed)
+        .mockResolvedValueOnce(null);
+      flagService.updateRule.mockResolvedValue(changeRequest);
+
+      await rolloutService.checkGuards();
+
+      expect(claimed.error).toBe(`Environment 'production' is protected: change request ${changeRequest._id} proposes the rollback`);
+      expect(webhookService.dispatch).toHaveBeenCalledWith(project._id, 'rollout.rolled_back', expect.objectContaining({
+        error: claimed.error
+      }));
+    });
+
+    it('leaves rollouts alone that were stopped or are applying a step', async () => {
+      RolloutPlan.findOneAndUpdate.mockReset()
+        .mockResolvedValueOnce(rollout)
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(null);
+
+      await expect(rolloutService.checkGuards()).resolves.toBe(1);
+
+      expect(flagService.updateRule).not.toHaveBeenCalled();
+      expect(webhookService.dispatch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,180 @@
+// tests/services/scheduler.service.test.js
+const Flag = require('../../src/models/flag.model');
+const Project = require('../../src/models/project.model');
+const ScheduledChange = require('../../src/models/scheduledChange.model');
+const auditService = require('../../src/services/audit.service');
+const changeRequestService = require('../../src/services/changeRequest.service');
+const logger = require('../../src/utils/logger');
+const schedulerService = require('../../src/services/scheduler.service');
+const { id, buildProject, buildFlag } = require('../helpers/factories');
+
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+describe('schedulerService', () => {
+  let project;
+  let flag;
+
+  beforeEach(() => {
+    project = buildProject();
+    flag = buildFlag({ project: project._id });
+
+    jest.spyOn(Project, 'findById').mockResolvedValue(project);
+    jest.spyOn(auditService, 'record').mockResolvedValue(null);
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createScheduledChange', () => {
+    beforeEach(() => {
+      jest.spyOn(Flag, 'findOne').mockResolvedValue(flag);
+      jest.spyOn(ScheduledChange, 'create').mockImplementation(async data => new ScheduledChange(data));
+    });
+
+    it('schedules operations the flag accepts, without changing it', async () => {
+      const operations = [
+        { type: 'addRule', data: { type: 'PERCENTAGE', name: 'Ramp', value: 10, serve: { variation: 'on' } } },
+        { type: 'toggle', enabled: true }
+      ];
+
+      const scheduledChange = await schedulerService.createScheduledChange(project._id, id(), {
+        flag: flag._id,
+        environment: 'production',
+        runAt: inAnHour(),
+        operations
+      });
+
+      expect(scheduledChange.operations).toHaveLength(2);
+      expect(flag.environments.get('production').rules).toHaveLength(0);
+      expect(flag.environments.get('production').enabled).toBe(false);
+    });
+
+    it('rejects operations on rules that do not exist', async () => {
+      await expect(schedulerService.createScheduledChange(project._id, id(), {
+        flag: flag._id,
+        environment: 'production',
+        runAt: inAnHour(),
+        operations: [{ type: 'toggle', enabled: true }, { type: 'updateRule', ruleId: id().toString(), data: { value: 20 } }]
+      })).rejects.toMatchObject({ statusCode: 400, message: 'Operation 2 (updateRule): Rule not found' });
+
+      expect(ScheduledChange.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects rules the flag model does not accept', async () => {
+      await expect(schedulerService.createScheduledChange(project._id, id(), {
+        flag: flag._id,
+        environment: 'production',
+        runAt: inAnHour(),
+        operations: [{ type: 'addRule', data: { type: 'PERCENTAGE', name: 'Ramp', value: 10, serve: { variation: 'blue' } } }]
+      })).rejects.toMatchObject({ name: 'ValidationError' });
+
+      expect(ScheduledChange.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses protected environments', async () => {
+      project.protectedEnvironments.push({ environment: 'production' });
+
+      await expect(schedulerService.createScheduledChange(project._id, id(), {
+        flag: flag._id,
+        environment: 'production',
+        runAt: inAnHour(),
+        operations: [{ type: 'toggle', enabled: true }]
+      })).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('runDueChanges', () => {
+    let scheduledChange;
+
+    const claim = (change) => {
+      jest.spyOn(ScheduledChange, 'findOneAndUpdate')
+        .mockResolvedValueOnce(change)
+        .mockResolvedValue(null);
+    };
+
+    beforeEach(() => {
+      jest.spyOn(ScheduledChange, 'updateMany').mockResolvedValue({});
+      jest.spyOn(ScheduledChange.prototype, 'save').mockImplementation(async function() { return this; });
+      jest.spyOn(Flag, 'findOne').mockResolvedValue(flag);
+      jest.spyOn(changeRequestService, 'applyEnvironmentChanges').mockResolvedValue([flag]);
+
+      scheduledChange = ScheduledChange.hydrate({
+        _id: id(),
+        project: project._id,
+        flag: flag._id,
+        flagKey: flag.key,
+        environment: 'production',
+        runAt: new Date(),
+        status: 'running',
+        operationsApplied: 0,
+        createdBy: id(),
+        operations: [
+          { type: 'addRule', data: { type: 'PERCENTAGE', name: 'Ramp', value: 10, serve: { variation: 'on' } } },
+          { type: 'toggle', enabled: true }
+        ]
+      });
+    });
+
+    it('claims pending due changes atomically, so one instance applies each', async () => {
+      claim(scheduledChange);
+
+      await expect(schedulerService.runDueChanges()).resolves.toBe(1);
+
+      const [filter, update] = ScheduledChange.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ status: 'pending', runAt: { $lte: expect.any(Date) } });
+      expect(update.$set).toMatchObject({ status: 'running' });
+    });
+
+    it('does nothing when another instance claimed the change', async () => {
+      claim(null);
+
+      await expect(schedulerService.runDueChanges()).resolves.toBe(0);
+      expect(changeRequestService.applyEnvironmentChanges).not.toHaveBeenCalled();
+    });
+
+    it('applies every operation in one transaction', async () => {
+      claim(scheduledChange);
+
+      await schedulerService.runDueChanges();
+
+      expect(changeRequestService.applyEnvironmentChanges).toHaveBeenCalledTimes(1);
+      const [, environment, userId, changes, { action }] = changeRequestService.applyEnvironmentChanges.mock.calls[0];
+      expect(environment).toBe('production');
+      expect(userId).toEqual(scheduledChange.createdBy);
+      expect(action).toBe('flag.scheduled_change_applied');
+      expect(changes).toHaveLength(1);
+      expect(changes[0].flag).toBe(flag);
+      expect(changes[0].after.enabled).toBe(true);
+      expect(changes[0].after.rules).toEqual([expect.objectContaining({ name: 'Ramp', value: 10 })]);
+
+      expect(scheduledChange.status).toBe('applied');
+      expect(scheduledChange.operationsApplied).toBe(2);
+    });
+
+    it('applies nothing when an operation fails', async () => {
+      scheduledChange.operations.push({ type: 'deleteVariation', variationKey: 'missing' });
+      claim(scheduledChange);
+
+      await schedulerService.runDueChanges();
+
+      expect(changeRequestService.applyEnvironmentChanges).not.toHaveBeenCalled();
+      expect(scheduledChange.status).toBe('failed');
+      expect(scheduledChange.operationsApplied).toBe(0);
+      expect(scheduledChange.error).toBe("Operation 3 (deleteVariation): Variation with key 'missing' not found");
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'scheduled_change.failed' }));
+    });
+
+    it('marks the change failed when the transaction fails', async () => {
+      changeRequestService.applyEnvironmentChanges.mockRejectedValue(new Error('Transaction aborted'));
+      claim(scheduledChange);
+
+      await schedulerService.runDueChanges();
+
+      expect(scheduledChange.status).toBe('failed');
+      expect(scheduledChange.operationsApplied).toBe(0);
+      expect(scheduledChange.error).toBe('Transaction aborted');
+    });
+  });
+});
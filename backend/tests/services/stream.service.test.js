@@ -0,0 +1,115 @@
+// tests/services/stream.service.test.js
+const { EventEmitter } = require('events');
+const StreamEvent = require('../../src/models/streamEvent.model');
+const evaluationService = require('../../src/services/evaluation.service');
+const streamService = require('../../src/services/stream.service');
+const logger = require('../../src/utils/logger');
+const { id } = require('../helpers/factories');
+
+/**
+ * A response collecting what the stream writes
+ */
+const buildResponse = () => {
+  const chunks = [];
+
+  return {
+    chunks,
+    write: chunk => chunks.push(chunk),
+    events: () => chunks.join('').split('\n\n')
+      .filter(block => block.includes('event: '))
+      .map(block => {
+        const lines = block.split('\n');
+        const idLine = lines.find(line => line.startsWith('id: '));
+        return {
+          id: idLine ? idLine.slice(4) : null,
+          event: lines.find(line => line.startsWith('event: ')).slice(7),
+          data: JSON.parse(lines.find(line => line.startsWith('data: ')).slice(6))
+        };
+      })
+  };
+};
+
+describe('streamService', () => {
+  let feeds;
+  let projectId;
+
+  // Deliver an event stored by any instance, as the change stream would
+  const store = (event, data) => {
+    const streamEvent = { _id: id(), project: projectId, environment: 'production', event, data };
+    feeds[feeds.length - 1].emit('change', { _id: { token: streamEvent._id.toString() }, fullDocument: streamEvent });
+    return streamEvent._id.toString();
+  };
+
+  beforeEach(() => {
+    feeds = [];
+    projectId = id();
+
+    jest.spyOn(StreamEvent, 'watch').mockImplementation(() => {
+      const feed = new EventEmitter();
+      feed.close = jest.fn().mockResolvedValue();
+      feeds.push(feed);
+      return feed;
+    });
+    jest.spyOn(evaluationService, 'getRuleset').mockResolvedValue({ version: 'v1', flags: {}, segments: {} });
+
+    streamService.start();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('sends a snapshot to new clients, then the events stored after it', async () => {
+    const res = buildResponse();
+
+    const unsubscribe = await streamService.subscribe(projectId, 'production', res);
+    const eventId = store('patch', { kind: 'flag', key: 'new-checkout' });
+    unsubscribe();
+
+    expect(res.chunks[0]).toBe('retry: 3000\n\n');
+    expect(res.events()).toEqual([
+      { id: null, event: 'put', data: { version: 'v1', flags: {}, segments: {} } },
+      { id: eventId, event: 'patch', data: { kind: 'flag', key: 'new-checkout' } }
+    ]);
+  });
+
+  it('replays the events a reconnecting client missed', async () => {
+    const seen = store('patch', { kind: 'flag', key: 'first' });
+    const missed = store('delete', { kind: 'flag', key: 'second' });
+    const res = buildResponse();
+
+    const unsubscribe = await streamService.subscribe(projectId, 'production', res, seen);
+    unsubscribe();
+
+    expect(evaluationService.getRuleset).not.toHaveBeenCalled();
+    expect(res.events()).toEqual([{ id: missed, event: 'delete', data: { kind: 'flag', key: 'second' } }]);
+  });
+
+  it('sends a snapshot, tagged with the latest event, when the last event ID is unknown', async () => {
+    const latest = store('patch', { kind: 'flag', key: 'first' });
+    const res = buildResponse();
+
+    const unsubscribe = await streamService.subscribe(projectId, 'production', res, 'expired');
+    unsubscribe();
+
+    expect(res.events()).toEqual([{ id: latest, event: 'put', data: { version: 'v1', flags: {}, segments: {} } }]);
+  });
+
+  it('resumes watching stored events after the change stream fails', () => {
+    jest.useFakeTimers();
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    const eventId = store('patch', { kind: 'flag', key: 'first' });
+    const feed = feeds[feeds.length - 1];
+
+    feed.emit('error', new Error('connection lost'));
+    jest.advanceTimersByTime(5000);
+
+    expect(feed.close).toHaveBeenCalled();
+    expect(StreamEvent.watch).toHaveBeenLastCalledWith(
+      [{ $match: { operationType: 'insert' } }],
+      { resumeAfter: { token: eventId } }
+    );
+  });
+});
@@ -0,0 +1,56 @@
+// tests/utils/report.test.js
+const { formatComparison } = require('../../src/utils/report');
+
+const comparison = {
+  from: 'staging',
+  to: 'production',
+  summary: { total: 3, changed: 1, unchanged: 1, missing: 1 },
+  flags: [
+    { key: 'dark-mode', status: 'unchanged', changes: [] },
+    {
+      key: 'new-checkout',
+      status: 'changed',
+      changes: [
+        { path: 'enabled', from: true, to: false },
+        { path: 'default.value', from: 'a|b', to: null }
+      ]
+    },
+    { key: 'legacy', status: 'missing', missingIn: ['production'], changes: [] }
+  ]
+};
+
+describe('formatComparison', () => {
+  it('renders a plain text diff of the changed and missing flags', () => {
+    expect(formatComparison(comparison, 'text')).toBe([
+      'Comparing staging -> production',
+      '1 changed, 1 unchanged, 1 missing',
+      '',
+      '~ new-checkout',
+      '    enabled: true -> false',
+      '    default.value: "a|b" -> (none)',
+      '',
+      '! legacy: no settings in production',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders Markdown tables with escaped cells', () => {
+    expect(formatComparison(comparison, 'markdown')).toBe([
+      '# Environment comparison: `staging` → `production`',
+      '',
+      '1 changed, 1 unchanged, 1 missing',
+      '',
+      '## new-checkout',
+      '',
+      '| Setting | staging | production |',
+      '| --- | --- | --- |',
+      '| `enabled` | `true` | `false` |',
+      '| `default.value` | `"a\\|b"` | `(none)` |',
+      '',
+      '## legacy',
+      '',
+      'No settings in `production`.',
+      ''
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,99 @@
+// tests/utils/stats.test.js
+const stats = require('../../src/utils/stats');
+
+// Reference values computed with SciPy (scipy.stats and scipy.special)
+
+describe('normalCdf', () => {
+  it.each([
+    [0, 0.5],
+    [1.96, 0.9750021048517796],
+    [-1, 0.15865525393145707]
+  ])('normalCdf(%p) is %p', (z, expected) => {
+    expect(stats.normalCdf(z)).toBeCloseTo(expected, 6);
+  });
+});
+
+describe('normalQuantile', () => {
+  it.each([
+    [0.5, 0],
+    [0.975, 1.9599639845400536],
+    [0.01, -2.3263478740408408],
+    [0.999, 3.090232306167813]
+  ])('normalQuantile(%p) is %p', (p, expected) => {
+    expect(stats.normalQuantile(p)).toBeCloseTo(expected, 8);
+  });
+});
+
+describe('upperGamma', () => {
+  it.each([
+    // Series branch (x < a + 1)
+    [5, 2, 0.9473469826562889],
+    [0.5, 1, 0.15729920705028513],
+    // Continued fraction branch
+    [1, 2, 0.1353352832366127],
+    [5, 9.1535, 0.05000058909139812]
+  ])('upperGamma(%p, %p) is %p', (a, x, expected) => {
+    expect(stats.upperGamma(a, x)).toBeCloseTo(expected, 9);
+  });
+});
+
+describe('summarizeRate', () => {
+  it('gives the Wilson interval', () => {
+    const rate = stats.summarizeRate(10, 100);
+
+    expect(rate.value).toBeCloseTo(0.1, 12);
+    expect(rate.interval[0]).toBeCloseTo(0.0552291370606751, 6);
+    expect(rate.interval[1]).toBeCloseTo(0.17436566150491345, 6);
+  });
+
+  it('keeps the interval above 0 without conversions', () => {
+    const rate = stats.summarizeRate(0, 20);
+
+    expect(rate.value).toBe(0);
+    expect(rate.interval[0]).toBeCloseTo(0, 12);
+    expect(rate.interval[1]).toBeCloseTo(0.1611251580528193, 6);
+  });
+});
+
+describe('summarizeMean', () => {
+  it('gives the sample standard deviation and normal interval', () => {
+    const mean = stats.summarizeMean([1, 2, 3, 4, 5]);
+
+    expect(mean.value).toBe(3);
+    expect(mean.standardDeviation).toBeCloseTo(1.5811388300841898, 12);
+    expect(mean.interval[0]).toBeCloseTo(1.6140961756503225, 6);
+    expect(mean.interval[1]).toBeCloseTo(4.385903824349677, 6);
+  });
+});
+
+describe('compareRates', () => {
+  it('gives the two-proportion z-test and probability to beat control', () => {
+    const control = stats.summarizeRate(100, 1000);
+    const treatment = stats.summarizeRate(130, 1000);
+    const { pValue, probabilityToBeatControl } = stats.compareRates(control, treatment);
+
+    expect(pValue).toBeCloseTo(0.03548845046647475, 6);
+    expect(probabilityToBeatControl).toBeCloseTo(0.9820434347936662, 6);
+  });
+
+  it('has no result without users', () => {
+    const control = stats.summarizeRate(0, 0);
+    const treatment = stats.summarizeRate(5, 10);
+
+    expect(stats.compareRates(control, treatment)).toEqual({ pValue: null, probabilityToBeatControl: null });
+  });
+});
+
+describe('chiSquareTest', () => {
+  it('compares observed counts with expected shares', () => {
+    const result = stats.chiSquareTest([60, 40], [50, 50]);
+
+    expect(result.statistic).toBeCloseTo(4, 12);
+    expect(result.degreesOfFreedom).toBe(1);
+    expect(result.pValue).toBeCloseTo(0.045500263896358396, 6);
+  });
+
+  it('is certain of a mismatch when an empty category has observations', () => {
+    expect(stats.chiSquareTest([90, 10], [100, 0]).pValue).toBe(0);
+  });
+});
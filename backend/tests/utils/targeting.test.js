@@ -0,0 +1,49 @@
+// tests/utils/targeting.test.js
+const targeting = require('../../src/utils/targeting');
+
+const matchesClause = (pattern) => ({
+  match: 'all',
+  clauses: [{ attribute: 'email', operator: 'matches', values: [pattern] }]
+});
+
+describe('matches patterns', () => {
+  it.each([
+    '(a+)+',
+    '^(a|a)+$',
+    '(a|aa)*',
+    '(a?b?)*',
+    '((ab)*c)+',
+    '(?:x|y){2,}',
+    '(?<name>a|b)+'
+  ])('rejects %s, which can take exponential time', (pattern) => {
+    const errors = targeting.validateSegmentValue(matchesClause(pattern));
+
+    expect(errors).toEqual([
+      expect.stringContaining('cannot repeat a group that contains an alternation or a quantifier')
+    ]);
+    expect(() => targeting.matchesSegment(matchesClause(pattern), { email: 'a' }))
+      .toThrow('cannot repeat a group');
+  });
+
+  it.each([
+    '^user-\\d+$',
+    '@example\\.(com|org)$',
+    '(?:ab)+',
+    '^[a-z]+@[a-z(|)+]+\\.com$',
+    '(a|b)?c',
+    '\\(a|b\\)+'
+  ])('accepts %s', (pattern) => {
+    expect(targeting.validateSegmentValue(matchesClause(pattern))).toEqual([]);
+  });
+
+  it('rejects patterns longer than 200 characters', () => {
+    expect(targeting.validateSegmentValue(matchesClause('a'.repeat(201)))).toEqual([
+      expect.stringContaining('cannot be longer than 200 characters')
+    ]);
+  });
+
+  it('does not test values longer than 1000 characters', () => {
+    expect(targeting.matchesSegment(matchesClause('^a+$'), { email: 'a'.repeat(1000) })).toBe(true);
+    expect(targeting.matchesSegment(matchesClause('^a+$'), { email: 'a'.repeat(1001) })).toBe(false);
+  });
+});
@@ -0,0 +1,7 @@
+// Used by jest to run the TypeScript tests
+module.exports = {
+  presets: [
+    ['@babel/preset-env', { targets: { node: 'current' } }],
+    '@babel/preset-typescript'
+  ]
+};
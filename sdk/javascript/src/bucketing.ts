@@ -0,0 +1,129 @@
+// sdk/javascript/src/bucketing.ts
+import { getAttribute } from './targeting';
+
+/**
+ * Deterministic traffic bucketing.
+ *
+ * This is a port of the backend's bucketing module (backend/src/utils/bucketing.js)
+ * and must produce identical buckets: a context is hashed with MurmurHash3
+ * (x86, 32-bit) over "<salt>.<value>", where the value is the rule's bucket-by
+ * attribute (userId by default), and mapped onto BUCKET_SCALE buckets,
+ * i.e. a resolution of 0.001%.
+ */
+
+// Number of buckets: 100% split into 0.001% steps
+export const BUCKET_SCALE = 100000;
+
+// Attribute used when a rule does not specify one
+export const DEFAULT_BUCKET_BY = 'userId';
+
+/**
+ * Encode a string as UTF-8 bytes.
+ */
+function toBytes(input: string): Uint8Array {
+  return new TextEncoder().encode(input);
+}
+
+/**
+ * MurmurHash3 x86 32-bit hash of a string (unsigned result).
+ *
+ * @param input - The string to hash
+ * @param seed - Optional hash seed
+ * @returns The unsigned 32-bit hash
+ */
+export function murmurhash3(input: string, seed = 0): number {
+  const bytes = toBytes(input);
+  const length = bytes.length;
+  const blockLength = length - (length % 4);
+  const c1 = 0xcc9e2d51;
+  const c2 = 0x1b873593;
+  let h1 = seed >>> 0;
+  let k1: number;
+
+  for (let i = 0; i < blockLength; i += 4) {
+    k1 = bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24);
+    k1 = Math.imul(k1, c1);
+    k1 = (k1 << 15) | (k1 >>> 17);
+    k1 = Math.imul(k1, c2);
+
+    h1 ^= k1;
+    h1 = (h1 << 13) | (h1 >>> 19);
+    h1 = (Math.imul(h1, 5) + 0xe6546b64) | 0;
+  }
+
+  // Mix in the remaining 1-3 bytes
+  k1 = 0;
+  const remainder = length & 3;
+  if (remainder === 3) k1 ^= bytes[blockLength + 2] << 16;
+  if (remainder >= 2) k1 ^= bytes[blockLength + 1] << 8;
+  if (remainder >= 1) {
+    k1 ^= bytes[blockLength];
+    k1 = Math.imul(k1, c1);
+    k1 = (k1 << 15) | (k1 >>> 17);
+    k1 = Math.imul(k1, c2);
+    h1 ^= k1;
+  }
+
+  // Finalization mix
+  h1 ^= length;
+  h1 ^= h1 >>> 16;
+  h1 = Math.imul(h1, 0x85ebca6b);
+  h1 ^= h1 >>> 13;
+  h1 = Math.imul(h1, 0xc2b2ae35);
+  h1 ^= h1 >>> 16;
+
+  return h1 >>> 0;
+}
+
+/**
+ * Get the value a context is bucketed by.
+ *
+ * @param context - The evaluation context
+ * @param bucketBy - The attribute to bucket by
+ * @returns The bucket value, or null if the context cannot be bucketed
+ */
+export function getBucketValue(
+  context: Record<string, any> | null | undefined,
+  bucketBy: string = DEFAULT_BUCKET_BY
+): string | null {
+  const value = getAttribute(context || {}, bucketBy || DEFAULT_BUCKET_BY);
+
+  if (typeof value === 'string' && value !== '') {
+    return value;
+  }
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return String(value);
+  }
+
+  return null;
+}
+
+/**
+ * Map a salt and bucket value onto a bucket in [0, BUCKET_SCALE).
+ */
+export function getBucket(salt: string, value: string): number {
+  const hash = murmurhash3(`${salt}.${value}`);
+  return Math.floor((hash / 0x100000000) * BUCKET_SCALE);
+}
+
+/**
+ * Get the bucket for a context.
+ *
+ * @returns The bucket, or null if the context lacks the bucket-by attribute
+ */
+export function getContextBucket(
+  salt: string,
+  context: Record<string, any> | null | undefined,
+  bucketBy: string = DEFAULT_BUCKET_BY
+): number | null {
+  const value = getBucketValue(context, bucketBy);
+  return value === null ? null : getBucket(salt, value);
+}
+
+/**
+ * Convert a percentage (up to three decimals) into a number of buckets.
+ */
+export function percentageToBuckets(percentage: number): number {
+  return Math.round(percentage * (BUCKET_SCALE / 100));
+}
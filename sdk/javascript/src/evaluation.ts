@@ -0,0 +1,385 @@
+// sdk/javascript/src/evaluation.ts
+import { getContextBucket, percentageToBuckets } from './bucketing';
+import { matchesSegment, SegmentsMap } from './targeting';
+import { isScheduleActive } from './schedule';
+
+/**
+ * Local flag evaluation.
+ *
+ * This mirrors `Flag.evaluateDetail` in the backend (backend/src/models/flag.model.js)
+ * step for step, operating on the evaluation-ready payloads served by
+ * `GET /api/sdk/:environment/ruleset`.
+ */
+
+export interface RolloutEntry {
+  variation: string;
+  weight: number;
+}
+
+export interface FlagRule {
+  _id?: string;
+  type: 'PERCENTAGE' | 'USER_SEGMENT' | 'SCHEDULED' | 'DEFAULT';
+  name?: string;
+  priority?: number;
+  value?: any;
+  bucketBy?: string;
+  serve?: {
+    variation?: string;
+    rollout?: RolloutEntry[];
+  };
+}
+
+export interface Prerequisite {
+  key: string;
+  value: any;
+}
+
+export interface LayerSlice {
+  key: string;
+  salt: string;
+  bucketBy?: string;
+  ranges: Array<{ start: number; end: number }>;
+}
+
+export interface HoldoutConfig {
+  percentage: number;
+  salt: string;
+  bucketBy?: string;
+}
+
+export interface FlagConfig {
+  key: string;
+  type: 'BOOLEAN' | 'STRING' | 'NUMBER' | 'JSON';
+  salt: string;
+  version: number;
+  tags?: string[];
+  holdout?: boolean;
+  enabled: boolean;
+  rules: FlagRule[];
+  prerequisites: Prerequisite[];
+  value?: any;
+  variations: Array<{ key: string; value: any }>;
+  defaultVariation: string | null;
+  layer?: LayerSlice | null;
+}
+
+export interface Ruleset {
+  environment: string;
+  version: string;
+  flags: Record<string, FlagConfig>;
+  segments: SegmentsMap;
+  holdout?: HoldoutConfig | null;
+}
+
+export interface EvaluationReason {
+  kind: 'OFF' | 'HOLDOUT' | 'FALLTHROUGH' | 'RULE_MATCH' | 'PREREQUISITE_FAILED' | 'ERROR';
+  ruleId?: string | null;
+  ruleName?: string | null;
+  ruleIndex?: number;
+  prerequisiteKey?: string;
+  errorKind?: string;
+  message?: string;
+}
+
+interface RuleOutcome {
+  value: any;
+  variation: string | null;
+}
+
+export interface EvaluationDetail extends RuleOutcome {
+  reason: EvaluationReason;
+}
+
+/**
+ * Resolve a variation key to its value.
+ */
+function resolveVariation(flag: FlagConfig, variationKey: string): RuleOutcome {
+  const variation = (flag.variations || []).find(v => v.key === variationKey);
+
+  return {
+    value: variation ? variation.value : null,
+    variation: variation ? variation.key : null
+  };
+}
+
+/**
+ * Get the value and variation served when no rule matches.
+ */
+function getDefaultOutcome(flag: FlagConfig): RuleOutcome {
+  if (flag.type === 'BOOLEAN') {
+    return {
+      value: flag.value !== undefined ? flag.value : false,
+      variation: null
+    };
+  }
+
+  // For multivariate flags, return the default variation
+  if (flag.variations && flag.variations.length > 0) {
+    const defaultKey = flag.defaultVariation || flag.variations[0].key;
+    return resolveVariation(flag, defaultKey);
+  }
+
+  return {
+    value: flag.value !== undefined ? flag.value : null,
+    variation: null
+  };
+}
+
+/**
+ * Build an evaluation detail serving the default value.
+ */
+function getDefaultDetail(flag: FlagConfig, reason: EvaluationReason): EvaluationDetail {
+  return { ...getDefaultOutcome(flag), reason };
+}
+
+/**
+ * Compare a served value with a required value (JSON values compare structurally).
+ */
+function isSameValue(actual: any, expected: any): boolean {
+  if (actual === expected) {
+    return true;
+  }
+
+  return actual !== null && expected !== null &&
+    typeof actual === 'object' && typeof expected === 'object' &&
+    JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+/**
+ * Find the first prerequisite that is not on and serving its required value.
+ */
+function findFailedPrerequisite(
+  flag: FlagConfig,
+  context: Record<string, any>,
+  segments: SegmentsMap,
+  flags: Record<string, FlagConfig>,
+  path: string[],
+  holdout: HoldoutConfig | null
+): Prerequisite | null {
+  const prerequisites = flag.prerequisites || [];
+
+  if (prerequisites.length === 0) {
+    return null;
+  }
+
+  // Keys on the current evaluation path, to guard against cycles
+  const currentPath = [...path, flag.key];
+
+  const isMet = ({ key, value }: Prerequisite) => {
+    const parent = flags[key];
+
+    if (!parent || currentPath.includes(key) || !parent.enabled) {
+      return false;
+    }
+
+    return isSameValue(evaluateFlagConfig(parent, context, segments, flags, currentPath, holdout), value);
+  };
+
+  return prerequisites.find(prerequisite => !isMet(prerequisite)) || null;
+}
+
+/**
+ * Get a stable bucket for a context (null if it lacks the bucket-by attribute).
+ */
+function getBucket(flag: FlagConfig, context: Record<string, any>, bucketBy?: string, seed = ''): number | null {
+  return getContextBucket(`${flag.salt || flag.key}${seed}`, context, bucketBy);
+}
+
+/**
+ * Check if a context is in the project's holdout (contexts that cannot be bucketed are not).
+ */
+function isHeldOut(holdout: HoldoutConfig | null, context: Record<string, any>): boolean {
+  if (!holdout || !(holdout.percentage > 0)) {
+    return false;
+  }
+
+  const bucket = getContextBucket(holdout.salt, context, holdout.bucketBy);
+  return bucket !== null && bucket < percentageToBuckets(holdout.percentage);
+}
+
+/**
+ * Check if a rule splits traffic by bucket (percentage rollouts and weighted splits).
+ */
+function isBucketedRule(rule: FlagRule): boolean {
+  return rule.type === 'PERCENTAGE' || Boolean(rule.serve && rule.serve.rollout && rule.serve.rollout.length > 0);
+}
+
+/**
+ * Check if a context falls in the flag's slice of its layer.
+ */
+function isInLayerSlice(flag: FlagConfig, context: Record<string, any>): boolean {
+  const { layer } = flag;
+  if (!layer) {
+    return true;
+  }
+
+  const bucket = getContextBucket(layer.salt, context, layer.bucketBy);
+  return bucket !== null && layer.ranges.some(range => bucket >= range.start && bucket < range.end);
+}
+
+/**
+ * Check if a rule's condition matches a context.
+ */
+function ruleMatches(
+  flag: FlagConfig,
+  rule: FlagRule,
+  context: Record<string, any>,
+  segments: SegmentsMap
+): boolean {
+  switch (rule.type) {
+    case 'PERCENTAGE': {
+      // Percentage rollout: contexts without the bucket-by attribute are excluded
+      const bucket = getBucket(flag, context, rule.bucketBy);
+      return bucket !== null && bucket < percentageToBuckets(rule.value);
+    }
+
+    case 'USER_SEGMENT':
+      return matchesSegment(rule.value, context, segments);
+
+    case 'SCHEDULED':
+      // Check if current time is within one of the scheduled windows
+      return isScheduleActive(rule.value);
+
+    case 'DEFAULT':
+      return true;
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Resolve what a matching rule serves (null if it cannot be bucketed).
+ */
+function getRuleOutcome(flag: FlagConfig, rule: FlagRule, context: Record<string, any>): RuleOutcome | null {
+  const { serve } = rule;
+
+  // Serve a single variation
+  if (serve && serve.variation) {
+    return resolveVariation(flag, serve.variation);
+  }
+
+  // Split users across variations by weight
+  if (serve && serve.rollout && serve.rollout.length > 0) {
+    // Use a separate seed so the split is independent of percentage bucketing
+    const bucket = getBucket(flag, context, rule.bucketBy, '.rollout');
+    if (bucket === null) {
+      return null;
+    }
+
+    let cumulative = 0;
+    for (const entry of serve.rollout) {
+      cumulative += percentageToBuckets(entry.weight);
+      if (bucket < cumulative) {
+        return resolveVariation(flag, entry.variation);
+      }
+    }
+
+    // Guard against rounding: fall back to the last variation
+    return resolveVariation(flag, serve.rollout[serve.rollout.length - 1].variation);
+  }
+
+  // Rules without a variation serve their literal value (DEFAULT) or true
+  return {
+    value: rule.type === 'DEFAULT' ? rule.value : true,
+    variation: null
+  };
+}
+
+/**
+ * Evaluate a flag configuration for a context and explain the result.
+ *
+ * @param flag - The flag's configuration for one environment
+ * @param context - The evaluation context
+ * @param segments - Segment definitions referenced by `segmentMatch` clauses
+ * @param flags - Flag configurations of the environment, used for prerequisites
+ * @param path - Flag keys already being evaluated (prerequisite chain)
+ * @param holdout - The project's holdout, applied to flags opted into it
+ * @returns The value, the variation served and the reason
+ */
+export function evaluateFlagDetail(
+  flag: FlagConfig,
+  context: Record<string, any> = {},
+  segments: SegmentsMap = {},
+  flags: Record<string, FlagConfig> = {},
+  path: string[] = [],
+  holdout: HoldoutConfig | null = null
+): EvaluationDetail {
+  if (!flag.enabled) {
+    return getDefaultDetail(flag, { kind: 'OFF' });
+  }
+
+  // Users in the project's holdout get the default value of flags opted into it
+  if (flag.holdout && isHeldOut(holdout, context)) {
+    return getDefaultDetail(flag, { kind: 'HOLDOUT' });
+  }
+
+  try {
+    const failedPrerequisite = findFailedPrerequisite(flag, context, segments, flags, path, holdout);
+    if (failedPrerequisite) {
+      return getDefaultDetail(flag, {
+        kind: 'PREREQUISITE_FAILED',
+        prerequisiteKey: failedPrerequisite.key
+      });
+    }
+
+    // Sort rules by priority (higher priority first), remembering their position
+    const sortedRules = (flag.rules || [])
+      .map((rule, index) => ({ rule, index }))
+      .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0));
+
+    for (const { rule, index } of sortedRules) {
+      // Bucketed rules of a flag in a layer only apply to the flag's slice of the layer
+      if (flag.layer && isBucketedRule(rule) && !isInLayerSlice(flag, context)) {
+        continue;
+      }
+
+      if (!ruleMatches(flag, rule, context, segments)) {
+        continue;
+      }
+
+      const outcome = getRuleOutcome(flag, rule, context);
+      if (outcome) {
+        return {
+          ...outcome,
+          reason: {
+            kind: 'RULE_MATCH',
+            ruleId: rule._id || null,
+            ruleName: rule.name || null,
+            ruleIndex: index
+          }
+        };
+      }
+    }
+
+    return getDefaultDetail(flag, { kind: 'FALLTHROUGH' });
+  } catch (error) {
+    return getDefaultDetail(flag, {
+      kind: 'ERROR',
+      errorKind: 'EXCEPTION',
+      message: error instanceof Error ? error.message : String(error)
+    });
+  }
+}
+
+/**
+ * Evaluate a flag configuration for a context.
+ *
+ * @param flag - The flag's configuration for one environment
+ * @param context - The evaluation context
+ * @param segments - Segment definitions referenced by `segmentMatch` clauses
+ * @param flags - Flag configurations of the environment, used for prerequisites
+ * @param path - Flag keys already being evaluated (prerequisite chain)
+ * @param holdout - The project's holdout, applied to flags opted into it
+ * @returns The evaluated flag value
+ */
+export function evaluateFlagConfig(
+  flag: FlagConfig,
+  context: Record<string, any> = {},
+  segments: SegmentsMap = {},
+  flags: Record<string, FlagConfig> = {},
+  path: string[] = [],
+  holdout: HoldoutConfig | null = null
+): any {
+  return evaluateFlagDetail(flag, context, segments, flags, path, holdout).value;
+}
@@ -0,0 +1,190 @@
+// sdk/javascript/src/events.ts
+import { EvaluationReason } from './evaluation';
+
+/**
+ * Queue for the custom events reported with FlagManager#track, and for the
+ * exposures of flags evaluated with `localEvaluation`.
+ *
+ * Events are kept in memory and sent in batches, when `flushSize` events are
+ * waiting or every `flushInterval` milliseconds. The timer only runs while
+ * events are waiting, so an idle queue does not keep the process alive. A
+ * batch that fails to send is retried with exponential backoff, unless the
+ * server rejected it as invalid.
+ * Every event carries an ID, so the server ignores copies of events it already
+ * stored from an attempt that only seemed to fail. When retries run out the
+ * batch is dropped, and when the queue is full the oldest event is dropped.
+ */
+
+export interface TrackedEvent {
+  id: string;
+  // Exposures report a local evaluation of the flag `key`; other events are custom
+  kind?: 'exposure';
+  key: string;
+  userId: string;
+  value?: number;
+  metadata?: Record<string, any>;
+  // Exposures: what the evaluation served, and why
+  result?: any;
+  variation?: string | null;
+  reason?: EvaluationReason;
+  timestamp: string;
+}
+
+export interface EventQueueOptions {
+  flushInterval: number;
+  flushSize: number;
+  maxQueueSize: number;
+  maxRetries: number;
+  retryDelay: number;
+}
+
+interface SendError extends Error {
+  status?: number;
+}
+
+type SendBatch = (events: TrackedEvent[]) => Promise<void>;
+
+/**
+ * Create a unique ID for an event.
+ */
+export function generateEventId(): string {
+  const cryptoApi = (globalThis as any).crypto;
+  if (cryptoApi && typeof cryptoApi.randomUUID === 'function') {
+    return cryptoApi.randomUUID();
+  }
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Check if sending a batch again could succeed: network errors, rate limits and server errors.
+ */
+function isRetryable(error: SendError): boolean {
+  return error.status === undefined || error.status === 429 || error.status >= 500;
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class EventQueue {
+  private send: SendBatch;
+  private options: EventQueueOptions;
+  private queue: TrackedEvent[];
+  private timer: ReturnType<typeof setInterval> | null;
+  private flushing: Promise<void> | null;
+
+  constructor(send: SendBatch, options: EventQueueOptions) {
+    this.send = send;
+    this.options = options;
+    this.queue = [];
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Add an event to the queue, sending a batch if it is full.
+   */
+  push(event: TrackedEvent): void {
+    if (this.queue.length >= this.options.maxQueueSize) {
+      this.queue.shift();
+      console.warn('Event queue is full, dropping the oldest event');
+    }
+
+    this.queue.push(event);
+
+    if (this.queue.length >= this.options.flushSize) {
+      this.flush();
+    } else {
+      this.startTimer();
+    }
+  }
+
+  /**
+   * Send every queued event. Never rejects: batches that cannot be sent are dropped.
+   */
+  flush(): Promise<void> {
+    // Wait for a flush in progress, so batches are sent one at a time and in order
+    const flushing = (this.flushing || Promise.resolve()).then(() => this.sendQueued());
+    this.flushing = flushing;
+
+    return flushing.finally(() => {
+      if (this.flushing === flushing) {
+        this.flushing = null;
+      }
+    });
+  }
+
+  /**
+   * Stop the flush timer and send the remaining events.
+   */
+  async close(): Promise<void> {
+    this.stopTimer();
+    await this.flush();
+  }
+
+  /**
+   * Flush periodically while events are waiting.
+   *
+   * @private
+   */
+  private startTimer(): void {
+    if (this.timer || this.options.flushInterval <= 0) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      if (this.queue.length === 0) {
+        this.stopTimer();
+        return;
+      }
+
+      this.flush();
+    }, this.options.flushInterval);
+  }
+
+  /**
+   * Stop the periodic flush.
+   *
+   * @private
+   */
+  private stopTimer(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Send the queued events in batches of at most `flushSize`.
+   *
+   * @private
+   */
+  private async sendQueued(): Promise<void> {
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.options.flushSize);
+      await this.sendBatch(batch);
+    }
+  }
+
+  /**
+   * Send a batch, retrying with exponential backoff.
+   *
+   * @private
+   */
+  private async sendBatch(batch: TrackedEvent[]): Promise<void> {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this.send(batch);
+        return;
+      } catch (error) {
+        if (attempt >= this.options.maxRetries || !isRetryable(error as SendError)) {
+          console.error(`Dropping ${batch.length} events that could not be sent:`, error);
+          return;
+        }
+
+        await sleep(this.options.retryDelay * 2 ** attempt);
+      }
+    }
+  }
+}
@@ -1,5 +1,7 @@
 // sdk/javascript/src/index.ts
 import 'cross-fetch/polyfill';
+import { evaluateFlagDetail, EvaluationDetail, EvaluationReason, Ruleset } from './evaluation';
+import { EventQueue, TrackedEvent, generateEventId } from './events';
 
 interface FlagManagerOptions {
   apiKey: string;
@@ -10,6 +12,15 @@ interface FlagManagerOptions {
   cacheTtl?: number;
   bootstrap?: Record<string, any>;
   offline?: boolean;
+  streaming?: boolean;
+  streamReconnectDelay?: number;
+  localEvaluation?: boolean;
+  pollInterval?: number;
+  eventFlushInterval?: number;
+  eventFlushSize?: number;
+  eventQueueSize?: number;
+  eventMaxRetries?: number;
+  eventRetryDelay?: number;
 }
 
 interface EvaluationContext {
@@ -17,23 +28,93 @@ interface EvaluationContext {
   [key: string]: any;
 }
 
-interface FlagEvaluation {
+interface FlagEvaluation extends EvaluationDetail {
   key: string;
-  value: any;
+}
+
+interface EvaluationError extends Error {
+  errorKind?: string;
 }
 
 type FlagsMap = Record<string, any>;
 
+interface FlagSelection {
+  flagKeys?: string[];
+  tags?: string[];
+}
+
+type FlagChangeListener = (flagKey: string | null) => void;
+
+/**
+ * Create an error tagged with the errorKind reported in evaluation details.
+ */
+function evaluationError(errorKind: string, message: string): EvaluationError {
+  return Object.assign(new Error(message), { errorKind });
+}
+
+// Upper bound for the stream reconnection backoff
+const MAX_STREAM_RECONNECT_DELAY = 30000;
+
+// The events endpoint accepts at most this many events per request
+const MAX_EVENT_BATCH_SIZE = 1000;
+
+// A user served the same variation again within this window is not reported again
+const EXPOSURE_DEDUPE_WINDOW = 5 * 60 * 1000;
+
+// Most recent exposures remembered for de-duplication
+const MAX_TRACKED_EXPOSURES = 10000;
+
+/**
+ * Iterate over the chunks of a fetch response body, supporting both
+ * WHATWG streams (browsers) and Node.js readable streams (node-fetch).
+ */
+async function* readBody(body: any): AsyncGenerator<Uint8Array | string> {
+  if (typeof body.getReader === 'function') {
+    const reader = body.getReader();
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          return;
+        }
+        yield value;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  for await (const chunk of body) {
+    yield chunk;
+  }
+}
+
 class FlagManager {
   private apiKey: string;
   private environment: string;
   private baseUrl: string;
   private defaultFlagValue: any;
-  private cache: Map<string, { value: any; timestamp: number }>;
+  private cache: Map<string, { detail: EvaluationDetail; timestamp: number }>;
   private enableCache: boolean;
   private cacheTtl: number;
   private bootstrap: FlagsMap | null;
   private offline: boolean;
+  private streaming: boolean;
+  private streamConnected: boolean;
+  private streamReconnectDelay: number;
+  private streamRetryDelay: number;
+  private streamAbort: AbortController | null;
+  private streamTimer: ReturnType<typeof setTimeout> | null;
+  private lastEventId: string | null;
+  private closed: boolean;
+  private listeners: Set<FlagChangeListener>;
+  private localEvaluation: boolean;
+  private pollInterval: number;
+  private pollTimer: ReturnType<typeof setInterval> | null;
+  private ruleset: Ruleset | null;
+  private rulesetRequest: Promise<void> | null;
+  private events: EventQueue;
+  private exposures: Map<string, number>;
 
   /**
    * Creates a new instance of the Feature Flag Manager SDK.
@@ -48,6 +129,42 @@ class FlagManager {
     this.bootstrap = options.bootstrap || null;
     this.offline = options.offline || false;
     this.cache = new Map();
+    this.streaming = options.streaming || false;
+    this.streamConnected = false;
+    this.streamReconnectDelay = options.streamReconnectDelay || 1000;
+    this.streamRetryDelay = this.streamReconnectDelay;
+    this.streamAbort = null;
+    this.streamTimer = null;
+    this.lastEventId = null;
+    this.closed = false;
+    this.listeners = new Set();
+    this.localEvaluation = options.localEvaluation || false;
+    this.pollInterval = options.pollInterval !== undefined ? options.pollInterval : 30000;
+    this.pollTimer = null;
+    this.ruleset = null;
+    this.rulesetRequest = null;
+    this.events = new EventQueue(batch => this.sendEvents(batch), {
+      flushInterval: options.eventFlushInterval !== undefined ? options.eventFlushInterval : 10000,
+      flushSize: Math.min(options.eventFlushSize || 100, MAX_EVENT_BATCH_SIZE),
+      maxQueueSize: options.eventQueueSize || 10000,
+      maxRetries: options.eventMaxRetries !== undefined ? options.eventMaxRetries : 3,
+      retryDelay: options.eventRetryDelay || 1000
+    });
+    this.exposures = new Map();
+
+    // Keep flags up to date over server-sent events
+    if (this.streaming && !this.offline) {
+      this.startStreaming();
+    }
+
+    // Download the rule set up front and keep it fresh
+    if (this.localEvaluation && !this.offline) {
+      this.loadRuleset().catch(error => console.error('Error loading flag rule set:', error));
+
+      if (!this.streaming && this.pollInterval > 0) {
+        this.startPolling();
+      }
+    }
   }
 
   /**
@@ -63,14 +180,51 @@ class FlagManager {
     context: EvaluationContext = {},
     defaultValue?: any
   ): Promise<any> {
+    const detail = await this.getValueDetail(flagKey, context, defaultValue);
+    return detail.value;
+  }
+
+  /**
+   * Get the value of a specific flag along with the variation served
+   * and the reason it was served.
+   * 
+   * @param flagKey - The key of the flag to evaluate
+   * @param context - The evaluation context (e.g., user attributes)
+   * @param defaultValue - Optional default value if flag cannot be evaluated
+   * @returns The evaluation detail
+   */
+  async getValueDetail(
+    flagKey: string,
+    context: EvaluationContext = {},
+    defaultValue?: any
+  ): Promise<EvaluationDetail> {
+    const fallbackValue = defaultValue !== undefined ? defaultValue : this.defaultFlagValue;
+
     try {
       // Check if offline mode is enabled
       if (this.offline) {
         // Use bootstrap values if available
-        if (this.bootstrap && this.bootstrap[flagKey] !== undefined) {
-          return this.bootstrap[flagKey];
+        const hasBootstrapValue = this.bootstrap !== null && this.bootstrap[flagKey] !== undefined;
+        return {
+          value: hasBootstrapValue ? (this.bootstrap as FlagsMap)[flagKey] : fallbackValue,
+          variation: null,
+          reason: { kind: 'ERROR', errorKind: 'OFFLINE' }
+        };
+      }
+
+      // Evaluate in-process against the downloaded rule set
+      if (this.localEvaluation) {
+        const ruleset = await this.getRuleset();
+        const flag = ruleset.flags[flagKey];
+
+        if (!flag) {
+          throw evaluationError('FLAG_NOT_FOUND', `Flag '${flagKey}' not found`);
         }
-        return defaultValue !== undefined ? defaultValue : this.defaultFlagValue;
+
+        const detail = evaluateFlagDetail(flag, context, ruleset.segments, ruleset.flags, [], ruleset.holdout);
+        this.recordExposure(flagKey, context, detail);
+
+        return detail;
       }
 
       // Check cache if enabled
@@ -78,27 +232,46 @@ class FlagManager {
         const cacheKey = this.getCacheKey(flagKey, context);
         const cachedValue = this.cache.get(cacheKey);
         
-        if (cachedValue && Date.now() - cachedValue.timestamp < this.cacheTtl) {
-          return cachedValue.value;
+        // While streaming, entries stay valid until a change event invalidates them
+        const isFresh = cachedValue &&
+          (this.streamConnected || Date.now() - cachedValue.timestamp < this.cacheTtl);
+
+        if (cachedValue && isFresh) {
+          return cachedValue.detail;
         }
       }
 
       // Evaluate flag
-      const result = await this.evaluateFlag(flagKey, context);
+      const { value, variation, reason } = await this.evaluateFlag(flagKey, context);
+
+      // Flags the server cannot evaluate are reported with an ERROR reason
+      if (reason && reason.kind === 'ERROR') {
+        return { value: fallbackValue, variation: null, reason };
+      }
+
+      const detail: EvaluationDetail = { value, variation, reason };
       
       // Update cache
       if (this.enableCache) {
         const cacheKey = this.getCacheKey(flagKey, context);
         this.cache.set(cacheKey, {
-          value: result.value,
+          detail,
           timestamp: Date.now()
         });
       }
       
-      return result.value;
+      return detail;
     } catch (error) {
       console.error(`Error evaluating flag '${flagKey}':`, error);
-      return defaultValue !== undefined ? defaultValue : this.defaultFlagValue;
+      return {
+        value: fallbackValue,
+        variation: null,
+        reason: {
+          kind: 'ERROR',
+          errorKind: (error as EvaluationError).errorKind || 'EXCEPTION',
+          message: error instanceof Error ? error.message : String(error)
+        }
+      };
     }
   }
 
@@ -123,47 +296,116 @@ class FlagManager {
    * Get all flags for the current context.
    * 
    * @param context - The evaluation context (e.g., user attributes)
+   * @param options - Optionally restrict the result to some flag keys or tags
    * @returns A map of all flag values
    */
-  async getAllFlags(context: EvaluationContext = {}): Promise<FlagsMap> {
+  async getAllFlags(context: EvaluationContext = {}, options: FlagSelection = {}): Promise<FlagsMap> {
+    // Check if offline mode is enabled
+    if (this.offline) {
+      return this.bootstrap || {};
+    }
+
     try {
-      // Check if offline mode is enabled
-      if (this.offline) {
-        return this.bootstrap || {};
-      }
+      const details = await this.evaluateAllFlags(context, options);
+      const flags: FlagsMap = {};
 
-      // Build URL and query string
-      let url = `${this.baseUrl}/sdk/${this.environment}/flags`;
-      
-      // Add query parameters for context
-      if (context.userId) {
-        url += `?userId=${encodeURIComponent(context.userId)}`;
-      }
-      
-      // Make request
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-API-Key': this.apiKey
-        }
-      });
-      
-      // Check if response is OK
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.message || 'Failed to get flags');
+      for (const [key, detail] of Object.entries(details)) {
+        flags[key] = detail.value;
       }
-      
-      // Parse response
-      const result = await response.json();
-      return result.data || {};
+
+      return flags;
     } catch (error) {
       console.error('Error getting all flags:', error);
       return this.bootstrap || {};
     }
   }
 
+  /**
+   * Get all flags for the current context, with the variation served
+   * and the reason for each.
+   * 
+   * @param context - The evaluation context (e.g., user attributes)
+   * @param options - Optionally restrict the result to some flag keys or tags
+   * @returns A map of flag keys to evaluation details
+   */
+  async getAllFlagsDetail(
+    context: EvaluationContext = {},
+    options: FlagSelection = {}
+  ): Promise<Record<string, EvaluationDetail>> {
+    // Check if offline mode is enabled
+    if (this.offline) {
+      return this.getBootstrapDetails({ kind: 'ERROR', errorKind: 'OFFLINE' });
+    }
+
+    try {
+      return await this.evaluateAllFlags(context, options);
+    } catch (error) {
+      console.error('Error getting all flags:', error);
+      return this.getBootstrapDetails({
+        kind: 'ERROR',
+        errorKind: (error as EvaluationError).errorKind || 'EXCEPTION',
+        message: error instanceof Error ? error.message : String(error)
+      });
+    }
+  }
+
+  /**
+   * Report a custom event, such as a conversion or a metric value. Events are
+   * queued and sent in batches; the server joins them with the flag
+   * evaluations of the same user for experiments and guarded rollouts.
+   * 
+   * @param eventKey - The event name, e.g. 'checkout.completed'
+   * @param context - The context of the user the event belongs to (must have a userId)
+   * @param value - Optional numeric value, e.g. revenue or a duration
+   * @param metadata - Optional additional information stored with the event
+   */
+  track(
+    eventKey: string,
+    context: EvaluationContext = {},
+    value?: number,
+    metadata?: Record<string, any>
+  ): void {
+    // Events are not reported in offline mode or after closing
+    if (this.offline || this.closed) {
+      return;
+    }
+
+    if (!eventKey) {
+      console.error('Cannot track an event without a key');
+      return;
+    }
+
+    if (context.userId === undefined || context.userId === null || context.userId === '') {
+      console.error(`Cannot track event '${eventKey}' without a userId in the context`);
+      return;
+    }
+
+    const event: TrackedEvent = {
+      id: generateEventId(),
+      key: eventKey,
+      userId: String(context.userId),
+      timestamp: new Date().toISOString()
+    };
+
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      event.value = value;
+    }
+    if (metadata) {
+      event.metadata = metadata;
+    }
+
+    this.events.push(event);
+  }
+
+  /**
+   * Send all queued events now.
+   *
+   * @returns Resolves once the queued events were sent (or dropped after retries)
+   */
+  async flush(): Promise<void> {
+    await this.events.flush();
+  }
+
   /**
    * Clear the cache for a specific flag or all flags.
    * 
@@ -196,6 +438,315 @@ class FlagManager {
     }
   }
 
+  /**
+   * Wait until the rule set has been downloaded (local evaluation mode).
+   *
+   * @returns Resolves once flags can be evaluated locally
+   */
+  async waitForInitialization(): Promise<void> {
+    if (this.localEvaluation && !this.offline) {
+      await this.getRuleset();
+    }
+  }
+
+  /**
+   * Register a listener for flag changes received over the stream,
+   * or picked up by rule set polling.
+   *
+   * @param listener - Called with the changed flag key, or null when all flags may have changed
+   * @returns A function that removes the listener
+   */
+  onChange(listener: FlagChangeListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Stop streaming and polling, send the queued events and release resources.
+   *
+   * @returns Resolves once the queued events were sent
+   */
+  async close(): Promise<void> {
+    this.closed = true;
+    this.streamConnected = false;
+
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    if (this.streamTimer) {
+      clearTimeout(this.streamTimer);
+      this.streamTimer = null;
+    }
+
+    if (this.streamAbort) {
+      this.streamAbort.abort();
+      this.streamAbort = null;
+    }
+
+    await this.events.close();
+  }
+
+  /**
+   * Get the current rule set, downloading it first if needed.
+   *
+   * @private
+   */
+  private async getRuleset(): Promise<Ruleset> {
+    if (!this.ruleset) {
+      await this.loadRuleset();
+    }
+
+    return this.ruleset as Ruleset;
+  }
+
+  /**
+   * Download the rule set, sharing the request between concurrent callers.
+   *
+   * @private
+   */
+  private async loadRuleset(): Promise<void> {
+    if (!this.rulesetRequest) {
+      this.rulesetRequest = this.fetchRuleset();
+    }
+
+    try {
+      await this.rulesetRequest;
+    } finally {
+      this.rulesetRequest = null;
+    }
+  }
+
+  /**
+   * Fetch the rule set from the server and apply it if it changed.
+   *
+   * @private
+   */
+  private async fetchRuleset(): Promise<void> {
+    const url = `${this.baseUrl}/sdk/${this.environment}/ruleset`;
+
+    // Make request
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-API-Key': this.apiKey
+      }
+    });
+
+    // Check if response is OK
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.message || 'Failed to get flag rule set');
+    }
+
+    // Parse response
+    const result = await response.json();
+    const ruleset = result.data as Ruleset;
+
+    if (!this.ruleset || this.ruleset.version !== ruleset.version) {
+      const isUpdate = this.ruleset !== null;
+      this.ruleset = ruleset;
+
+      if (isUpdate) {
+        this.listeners.forEach(listener => listener(null));
+      }
+    }
+  }
+
+  /**
+   * Refresh the rule set periodically.
+   *
+   * @private
+   */
+  private startPolling(): void {
+    this.pollTimer = setInterval(() => {
+      this.loadRuleset().catch(error => console.error('Error refreshing flag rule set:', error));
+    }, this.pollInterval);
+  }
+
+  /**
+   * Connect to the flag stream and reconnect with backoff when it drops.
+   *
+   * @private
+   */
+  private startStreaming(): void {
+    const connect = () => {
+      if (this.closed) {
+        return;
+      }
+
+      this.runStream()
+        .catch((error) => {
+          if (!this.closed) {
+            console.error('Flag stream error:', error);
+          }
+        })
+        .then(() => {
+          this.streamConnected = false;
+
+          if (this.closed) {
+            return;
+          }
+
+          // Reconnect with exponential backoff
+          const delay = this.streamRetryDelay;
+          this.streamRetryDelay = Math.min(delay * 2, MAX_STREAM_RECONNECT_DELAY);
+          this.streamTimer = setTimeout(connect, delay);
+        });
+    };
+
+    connect();
+  }
+
+  /**
+   * Open the flag stream and process events until it closes.
+   *
+   * @private
+   */
+  private async runStream(): Promise<void> {
+    const url = `${this.baseUrl}/sdk/${this.environment}/stream`;
+    const headers: Record<string, string> = {
+      'Accept': 'text/event-stream',
+      'X-API-Key': this.apiKey
+    };
+
+    // Resume from the last event we processed
+    if (this.lastEventId) {
+      headers['Last-Event-ID'] = this.lastEventId;
+    }
+
+    this.streamAbort = typeof AbortController !== 'undefined' ? new AbortController() : null;
+
+    const response = await fetch(url, {
+      method: 'GET',
+      headers,
+      signal: this.streamAbort ? this.streamAbort.signal : undefined
+    });
+
+    if (!response.ok || !response.body) {
+      throw new Error(`Failed to open flag stream (status ${response.status})`);
+    }
+
+    this.streamConnected = true;
+    this.streamRetryDelay = this.streamReconnectDelay;
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of readBody(response.body)) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+      // Events are separated by a blank line
+      let match = /\r?\n\r?\n/.exec(buffer);
+      while (match) {
+        const block = buffer.slice(0, match.index);
+        buffer = buffer.slice(match.index + match[0].length);
+        this.handleStreamBlock(block);
+        match = /\r?\n\r?\n/.exec(buffer);
+      }
+    }
+  }
+
+  /**
+   * Parse a single server-sent event block.
+   *
+   * @param block - The raw event text
+   * @private
+   */
+  private handleStreamBlock(block: string): void {
+    let event = 'message';
+    const data: string[] = [];
+
+    for (const line of block.split(/\r?\n/)) {
+      // Lines starting with a colon are comments (heartbeats)
+      if (!line || line.startsWith(':')) {
+        continue;
+      }
+
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+      if (field === 'id') {
+        this.lastEventId = value;
+      } else if (field === 'event') {
+        event = value;
+      } else if (field === 'data') {
+        data.push(value);
+      }
+    }
+
+    if (data.length === 0) {
+      return;
+    }
+
+    try {
+      this.handleStreamEvent(event, JSON.parse(data.join('\n')));
+    } catch (error) {
+      console.error('Failed to process flag stream event:', error);
+    }
+  }
+
+  /**
+   * Apply a stream event: invalidate cached values and notify listeners.
+   *
+   * @param event - The event type (put, patch or delete)
+   * @param data - The event payload
+   * @private
+   */
+  private handleStreamEvent(event: string, data: any): void {
+    let changedKey: string | null = null;
+
+    if ((event === 'patch' || event === 'delete') && data && data.kind === 'flag') {
+      changedKey = data.key;
+    } else if (event !== 'put' && event !== 'patch' && event !== 'delete') {
+      return;
+    }
+
+    // Keep the local rule set in sync
+    if (this.localEvaluation) {
+      this.applyStreamEvent(event, data);
+    }
+
+    // Segments and prerequisites mean any change can affect other flags
+    this.clearCache();
+    this.listeners.forEach(listener => listener(changedKey));
+  }
+
+  /**
+   * Apply a stream event to the local rule set.
+   *
+   * @param event - The event type (put, patch or delete)
+   * @param data - The event payload
+   * @private
+   */
+  private applyStreamEvent(event: string, data: any): void {
+    // A put carries the full rule set
+    if (event === 'put') {
+      this.ruleset = data as Ruleset;
+      return;
+    }
+
+    // Incremental updates only apply on top of a full rule set
+    if (!this.ruleset || !data) {
+      return;
+    }
+
+    const collection: Record<string, any> = data.kind === 'segment'
+      ? this.ruleset.segments
+      : this.ruleset.flags;
+
+    if (event === 'patch') {
+      collection[data.key] = data.data;
+    } else {
+      delete collection[data.key];
+    }
+  }
+
   /**
    * Evaluate a flag on the server.
    * 
@@ -208,7 +759,7 @@ class FlagManager {
     flagKey: string,
     context: EvaluationContext = {}
   ): Promise<FlagEvaluation> {
-    const url = `${this.baseUrl}/sdk/${this.environment}/evaluate`;
+    const url = `${this.baseUrl}/sdk/${this.environment}/evaluate?detail=true`;
     
     // Make request
     const response = await fetch(url, {
@@ -221,12 +772,17 @@ class FlagManager {
         flagKey,
         context
       })
+    }).catch((error) => {
+      throw evaluationError('REQUEST_FAILED', error.message || 'Failed to evaluate flag');
     });
     
     // Check if response is OK
     if (!response.ok) {
       const error = await response.json();
-      throw new Error(error.message || 'Failed to evaluate flag');
+      throw evaluationError(
+        response.status === 404 ? 'FLAG_NOT_FOUND' : 'REQUEST_FAILED',
+        error.message || 'Failed to evaluate flag'
+      );
     }
     
     // Parse response
@@ -234,6 +790,156 @@ class FlagManager {
     return result.data as FlagEvaluation;
   }
 
+  /**
+   * Evaluate all (or selected) flags, locally or in a single request.
+   * 
+   * @param context - The evaluation context
+   * @param options - Flag keys and/or tags to restrict the result to
+   * @returns A map of flag keys to evaluation details
+   * @private
+   */
+  private async evaluateAllFlags(
+    context: EvaluationContext,
+    options: FlagSelection
+  ): Promise<Record<string, EvaluationDetail>> {
+    const { flagKeys, tags } = options;
+
+    // Evaluate every selected flag in the downloaded rule set
+    if (this.localEvaluation) {
+      const ruleset = await this.getRuleset();
+      const details: Record<string, EvaluationDetail> = {};
+
+      for (const [key, flag] of Object.entries(ruleset.flags)) {
+        const isSelected = (!flagKeys || flagKeys.includes(key)) &&
+          (!tags || tags.some(tag => (flag.tags || []).includes(tag)));
+
+        if (isSelected) {
+          details[key] = evaluateFlagDetail(flag, context, ruleset.segments, ruleset.flags, [], ruleset.holdout);
+          this.recordExposure(key, context, details[key]);
+        }
+      }
+
+      return details;
+    }
+
+    const url = `${this.baseUrl}/sdk/${this.environment}/flags`;
+
+    // Make request with the full context
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-API-Key': this.apiKey
+      },
+      body: JSON.stringify({
+        context,
+        flagKeys,
+        tags
+      })
+    }).catch((error) => {
+      throw evaluationError('REQUEST_FAILED', error.message || 'Failed to get flags');
+    });
+
+    // Check if response is OK
+    if (!response.ok) {
+      const error = await response.json();
+      throw evaluationError('REQUEST_FAILED', error.message || 'Failed to get flags');
+    }
+
+    // Parse response
+    const result = await response.json();
+    return result.data || {};
+  }
+
+  /**
+   * Queue the exposure of a locally evaluated flag, so the server records it
+   * like its own evaluations. Contexts without a userId are not reported, and
+   * neither are repeats of an exposure within `EXPOSURE_DEDUPE_WINDOW`.
+   *
+   * @param flagKey - The key of the evaluated flag
+   * @param context - The evaluation context
+   * @param detail - The evaluation detail served
+   * @private
+   */
+  private recordExposure(flagKey: string, context: EvaluationContext, detail: EvaluationDetail): void {
+    if (this.closed || context.userId === undefined || context.userId === null || context.userId === '') {
+      return;
+    }
+
+    const userId = String(context.userId);
+    const now = Date.now();
+
+    // The rule is part of the key, so exposures keep counting for the rule that served them
+    const exposureKey = JSON.stringify([userId, flagKey, detail.variation, detail.reason.kind, detail.reason.ruleId]);
+    const reportedAt = this.exposures.get(exposureKey);
+
+    if (reportedAt !== undefined && now - reportedAt < EXPOSURE_DEDUPE_WINDOW) {
+      return;
+    }
+
+    // Maps iterate in insertion order, so re-inserting keeps the oldest exposure first
+    this.exposures.delete(exposureKey);
+    this.exposures.set(exposureKey, now);
+
+    if (this.exposures.size > MAX_TRACKED_EXPOSURES) {
+      this.exposures.delete(this.exposures.keys().next().value as string);
+    }
+
+    this.events.push({
+      id: generateEventId(),
+      kind: 'exposure',
+      key: flagKey,
+      userId,
+      result: detail.value,
+      variation: detail.variation,
+      reason: detail.reason,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Send a batch of events to the server.
+   *
+   * @param events - The events to send
+   * @private
+   */
+  private async sendEvents(events: TrackedEvent[]): Promise<void> {
+    const url = `${this.baseUrl}/sdk/${this.environment}/events`;
+
+    // Make request
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-API-Key': this.apiKey
+      },
+      body: JSON.stringify({ events })
+    });
+
+    // Check if response is OK
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw Object.assign(new Error(error.message || 'Failed to send events'), { status: response.status });
+    }
+  }
+
+  /**
+   * Build evaluation details from the bootstrap values.
+   * 
+   * @param reason - The reason reported for every value
+   * @returns A map of flag keys to evaluation details
+   * @private
+   */
+  private getBootstrapDetails(reason: EvaluationReason): Record<string, EvaluationDetail> {
+    const details: Record<string, EvaluationDetail> = {};
+
+    for (const [key, value] of Object.entries(this.bootstrap || {})) {
+      details[key] = { value, variation: null, reason };
+    }
+
+    return details;
+  }
+
   /**
    * Generate a cache key for a flag and context.
    * 
@@ -248,5 +954,9 @@ class FlagManager {
   }
 }
 
-export { FlagManager, type FlagManagerOptions, type EvaluationContext, type FlagsMap };
+export { FlagManager, type FlagManagerOptions, type EvaluationContext, type FlagsMap, type FlagSelection, type FlagChangeListener };
+export { BUCKET_SCALE, getBucket, getContextBucket } from './bucketing';
+export { evaluateFlagConfig, evaluateFlagDetail, type EvaluationDetail, type EvaluationReason, type FlagConfig, type FlagRule, type HoldoutConfig, type Prerequisite, type Ruleset } from './evaluation';
+export { type SegmentDefinition } from './targeting';
+export { isScheduleActive, type Recurrence, type Schedule } from './schedule';
 export default FlagManager;
\ No newline at end of file
@@ -0,0 +1,212 @@
+// sdk/javascript/src/schedule.ts
+
+/**
+ * Schedule matching for SCHEDULED rules.
+ *
+ * This is a port of the matching half of the backend's schedule module
+ * (backend/src/utils/schedule.js) and must give identical results. Schedule
+ * validation and window previews only happen on the server, so they are not
+ * included here.
+ */
+
+export interface Recurrence {
+  frequency: 'daily' | 'weekly' | 'monthly';
+  daysOfWeek?: string[];
+  daysOfMonth?: number[];
+  weekdayOfMonth?: { weekday: string; week: number };
+  startTime: string;
+  endTime: string;
+}
+
+export interface Schedule {
+  startDate?: string;
+  endDate?: string;
+  timezone?: string;
+  recurrence?: Recurrence;
+}
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// ISO dates without a UTC offset, e.g. 2026-11-01 or 2026-11-01T09:00
+const LOCAL_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+// Date formatters by timezone, as creating them is slow
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+function getFormatter(timeZone: string): Intl.DateTimeFormat {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    } as Intl.DateTimeFormatOptions);
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+function isValidTimezone(timeZone: unknown): timeZone is string {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds.
+ */
+function getOffset(timestamp: number, timeZone: string): number {
+  const parts: Record<string, number> = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(timestamp))) {
+    parts[type] = Number(value);
+  }
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time (milliseconds, as if it were UTC) in a timezone to an instant.
+ */
+function fromLocalTime(local: number, timeZone: string): number {
+  const offsetBefore = getOffset(local - DAY_MS, timeZone);
+  const offsetAfter = getOffset(local + DAY_MS, timeZone);
+
+  if (offsetBefore === offsetAfter) {
+    return local - offsetBefore;
+  }
+
+  // The offset changes around this time: find which offsets actually give it
+  const candidates = [local - offsetBefore, local - offsetAfter]
+    .filter(timestamp => timestamp + getOffset(timestamp, timeZone) === local);
+
+  if (candidates.length > 0) {
+    return Math.min(...candidates);
+  }
+
+  // Skipped by the change: the old offset moves the time forward by the gap
+  return local - offsetBefore;
+}
+
+function getLocalDay(timestamp: number, timeZone: string): number {
+  return Math.floor((timestamp + getOffset(timestamp, timeZone)) / DAY_MS);
+}
+
+function parseTime(input: unknown, allowMidnight = false): number | null {
+  if (allowMidnight && input === '24:00') {
+    return 24 * 60;
+  }
+
+  const match = typeof input === 'string' ? TIME_PATTERN.exec(input) : null;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function parseDate(input: string, timeZone: string | null): number {
+  const match = typeof input === 'string' && timeZone ? LOCAL_DATE_PATTERN.exec(input) : null;
+
+  if (match && timeZone) {
+    const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1)
+      .filter(part => part !== undefined)
+      .map(Number);
+    const local = Date.UTC(year, month - 1, day, hour, minute, second);
+    return Number.isNaN(local) ? NaN : fromLocalTime(local, timeZone);
+  }
+
+  return new Date(input).getTime();
+}
+
+function matchesDay(recurrence: Recurrence, day: number): boolean {
+  const date = new Date(day * DAY_MS);
+  const weekday = WEEKDAYS[date.getUTCDay()];
+  const dayOfMonth = date.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+
+  switch (recurrence.frequency) {
+    case 'daily':
+      return true;
+
+    case 'weekly':
+      return (recurrence.daysOfWeek || []).includes(weekday);
+
+    case 'monthly': {
+      if (recurrence.weekdayOfMonth) {
+        const { weekday: targetWeekday, week } = recurrence.weekdayOfMonth;
+        if (weekday !== targetWeekday) {
+          return false;
+        }
+        return week === -1 ? dayOfMonth + 7 > daysInMonth : Math.ceil(dayOfMonth / 7) === week;
+      }
+
+      return (recurrence.daysOfMonth || []).some(target => (
+        target === -1 ? dayOfMonth === daysInMonth : dayOfMonth === target
+      ));
+    }
+
+    default:
+      return false;
+  }
+}
+
+function getWindow(recurrence: Recurrence, day: number, timeZone: string): { start: number; end: number } {
+  const startMinutes = parseTime(recurrence.startTime) as number;
+  let endMinutes = parseTime(recurrence.endTime, true) as number;
+
+  // Windows that end before they start continue into the next day
+  if (endMinutes <= startMinutes) {
+    endMinutes += 24 * 60;
+  }
+
+  return {
+    start: fromLocalTime(day * DAY_MS + startMinutes * 60 * 1000, timeZone),
+    end: fromLocalTime(day * DAY_MS + endMinutes * 60 * 1000, timeZone)
+  };
+}
+
+/**
+ * Check if a schedule is active at a time (now by default).
+ */
+export function isScheduleActive(schedule: Schedule, at: Date = new Date()): boolean {
+  const timestamp = at.getTime();
+  const timeZone = isValidTimezone(schedule.timezone) ? schedule.timezone : null;
+  const start = schedule.startDate ? parseDate(schedule.startDate, timeZone) : -Infinity;
+  const end = schedule.endDate ? parseDate(schedule.endDate, timeZone) : Infinity;
+
+  // The end date is inclusive
+  if (timestamp < start || timestamp > end) {
+    return false;
+  }
+
+  const { recurrence } = schedule;
+  if (!recurrence) {
+    return true;
+  }
+
+  const recurrenceTimeZone = schedule.timezone || 'UTC';
+  const today = getLocalDay(timestamp, recurrenceTimeZone);
+
+  // A window that crosses midnight may have started the day before
+  return [today - 1, today].some(day => {
+    if (!matchesDay(recurrence, day)) {
+      return false;
+    }
+
+    const window = getWindow(recurrence, day, recurrenceTimeZone);
+    return timestamp >= window.start && timestamp < window.end;
+  });
+}
@@ -0,0 +1,410 @@
+// sdk/javascript/src/targeting.ts
+
+/**
+ * Targeting clause matching.
+ *
+ * This is a port of the matching half of the backend's targeting module
+ * (backend/src/utils/targeting.js) and must give identical results. Rule
+ * validation only happens on the server, so it is not included here.
+ */
+
+export interface Clause {
+  attribute?: string;
+  operator: string;
+  values: any[];
+  negate?: boolean;
+}
+
+export interface ClauseGroup {
+  match?: 'all' | 'any';
+  clauses: Array<Clause | ClauseGroup>;
+}
+
+export interface SegmentDefinition {
+  key: string;
+  included: string[];
+  excluded: string[];
+  rules: ClauseGroup | null;
+}
+
+export type SegmentsMap = Record<string, SegmentDefinition>;
+
+interface Semver {
+  major: number;
+  minor: number;
+  patch: number;
+  prerelease: string[];
+}
+
+type Operator = (actual: any, expected: any) => boolean;
+
+const SEGMENT_OPERATOR = 'segmentMatch';
+
+// Longest pattern accepted by the `matches` operator
+const MAX_PATTERN_LENGTH = 200;
+
+// Longest attribute value the `matches` operator tests; longer values do not match
+const MAX_MATCHED_LENGTH = 1000;
+
+// Compiled `matches` patterns, so evaluations do not recompile them
+const MAX_CACHED_PATTERNS = 1000;
+const patternCache = new Map<string, RegExp>();
+
+/**
+ * Parse a semantic version ("1.2.3", "v1.2", "1.2.3-beta.1+build").
+ */
+function parseSemver(input: any): Semver | null {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(input.trim());
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2] || 0),
+    patch: Number(match[3] || 0),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+/**
+ * Compare two parsed semantic versions (-1, 0 or 1).
+ */
+function compareSemver(a: Semver, b: Semver): number {
+  for (const part of ['major', 'minor', 'patch'] as const) {
+    if (a[part] !== b[part]) {
+      return a[part] < b[part] ? -1 : 1;
+    }
+  }
+
+  // A version without prerelease tags has higher precedence
+  if (a.prerelease.length === 0 && b.prerelease.length === 0) return 0;
+  if (a.prerelease.length === 0) return 1;
+  if (b.prerelease.length === 0) return -1;
+
+  const length = Math.max(a.prerelease.length, b.prerelease.length);
+  for (let i = 0; i < length; i++) {
+    const x = a.prerelease[i];
+    const y = b.prerelease[i];
+
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+
+    const xNumeric = /^\d+$/.test(x);
+    const yNumeric = /^\d+$/.test(y);
+
+    if (xNumeric && yNumeric) return Number(x) < Number(y) ? -1 : 1;
+    if (xNumeric) return -1;
+    if (yNumeric) return 1;
+    return x < y ? -1 : 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Convert a value to a number, accepting numeric strings.
+ */
+function toNumber(value: any): number | null {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  return null;
+}
+
+/**
+ * Convert a value to a timestamp, accepting dates, ISO strings and epoch milliseconds.
+ */
+function toTimestamp(value: any): number | null {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.getTime();
+  }
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  if (typeof value === 'string' && value.trim() !== '') {
+    const timestamp = Date.parse(value);
+    return Number.isNaN(timestamp) ? null : timestamp;
+  }
+
+  return null;
+}
+
+const compareNumbers = (compare: (a: number, b: number) => boolean): Operator => (actual, expected) => {
+  const a = toNumber(actual);
+  const b = toNumber(expected);
+  return a !== null && b !== null && compare(a, b);
+};
+
+const compareVersions = (compare: (result: number) => boolean): Operator => (actual, expected) => {
+  const a = parseSemver(actual);
+  const b = parseSemver(expected);
+  return a !== null && b !== null && compare(compareSemver(a, b));
+};
+
+const compareDates = (compare: (a: number, b: number) => boolean): Operator => (actual, expected) => {
+  const a = toTimestamp(actual);
+  const b = toTimestamp(expected);
+  return a !== null && b !== null && compare(a, b);
+};
+
+const compareStrings = (compare: (a: string, b: string) => boolean): Operator => (actual, expected) => {
+  return typeof actual === 'string' && typeof expected === 'string' && compare(actual, expected);
+};
+
+/**
+ * Check if a pattern repeats a group that contains an alternation or another
+ * quantifier, e.g. (a+)+, (a|a)+ or (a?b?)*, which can make matching take
+ * exponential time.
+ */
+function hasUnsafeRepetition(pattern: string): boolean {
+  // Whether each open group contains an alternation or a quantifier so far
+  const groups: boolean[] = [];
+  let lastGroupUnsafe = false;
+
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    const brace = char === '{' ? /^\{\d+(,\d*)?\}/.exec(pattern.slice(i)) : null;
+
+    if (char === '\\') {
+      i += 1;
+      lastGroupUnsafe = false;
+    } else if (char === '[') {
+      // Skip the character class, whose contents are literal
+      for (i += 1; i < pattern.length && pattern[i] !== ']'; i += 1) {
+        if (pattern[i] === '\\') {
+          i += 1;
+        }
+      }
+      lastGroupUnsafe = false;
+    } else if (char === '(') {
+      // Skip the group's prefix: (?: (?= (?! (?<= (?<! or (?<name>
+      const prefix = /^\(\?(?::|=|!|<=|<!|<[^>]*>)/.exec(pattern.slice(i));
+      if (prefix) {
+        i += prefix[0].length - 1;
+      }
+      groups.push(false);
+      lastGroupUnsafe = false;
+    } else if (char === ')') {
+      lastGroupUnsafe = groups.length > 0 && (groups.pop() as boolean);
+
+      // An unsafe group makes its enclosing group unsafe too
+      if (lastGroupUnsafe && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    } else if (char === '|') {
+      if (groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+      lastGroupUnsafe = false;
+    } else if (char === '*' || char === '+' || char === '?' || brace) {
+      // ? only makes an atom optional; every other quantifier repeats it
+      if (char !== '?' && lastGroupUnsafe) {
+        return true;
+      }
+      if (groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+      if (brace) {
+        i += brace[0].length - 1;
+      }
+      // Skip the lazy modifier of a quantifier
+      if (pattern[i + 1] === '?') {
+        i += 1;
+      }
+      lastGroupUnsafe = false;
+    } else {
+      lastGroupUnsafe = false;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Get the compiled regular expression of a `matches` pattern, throwing for unusable patterns.
+ */
+function getPattern(pattern: string): RegExp {
+  let regex = patternCache.get(pattern);
+
+  if (!regex) {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      throw new Error(`Pattern '${pattern}' cannot be longer than ${MAX_PATTERN_LENGTH} characters`);
+    }
+    if (hasUnsafeRepetition(pattern)) {
+      throw new Error(`Pattern '${pattern}' cannot repeat a group that contains an alternation or a quantifier (e.g. (a+)+ or (a|b)*)`);
+    }
+
+    // Drop the oldest pattern once the cache is full
+    if (patternCache.size >= MAX_CACHED_PATTERNS) {
+      patternCache.delete(patternCache.keys().next().value as string);
+    }
+
+    regex = new RegExp(pattern);
+    patternCache.set(pattern, regex);
+  }
+
+  return regex;
+}
+
+// Operator implementations: (contextValue, clauseValue) => boolean
+const OPERATORS: Record<string, Operator> = {
+  in: (actual, expected) => actual === expected,
+  contains: compareStrings((a, b) => a.includes(b)),
+  startsWith: compareStrings((a, b) => a.startsWith(b)),
+  endsWith: compareStrings((a, b) => a.endsWith(b)),
+  matches: compareStrings((a, b) => {
+    const regex = getPattern(b);
+    return a.length <= MAX_MATCHED_LENGTH && regex.test(a);
+  }),
+  lt: compareNumbers((a, b) => a < b),
+  lte: compareNumbers((a, b) => a <= b),
+  gt: compareNumbers((a, b) => a > b),
+  gte: compareNumbers((a, b) => a >= b),
+  semverEq: compareVersions(result => result === 0),
+  semverLt: compareVersions(result => result < 0),
+  semverLte: compareVersions(result => result <= 0),
+  semverGt: compareVersions(result => result > 0),
+  semverGte: compareVersions(result => result >= 0),
+  before: compareDates((a, b) => a < b),
+  after: compareDates((a, b) => a > b)
+};
+
+/**
+ * Look up an attribute in the context, supporting dot paths ("user.plan").
+ */
+export function getAttribute(context: Record<string, any> | null | undefined, attribute: any): any {
+  if (!context || typeof attribute !== 'string') {
+    return undefined;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(context, attribute)) {
+    return context[attribute];
+  }
+
+  return attribute.split('.').reduce<any>((value, key) => (
+    value !== null && value !== undefined && typeof value === 'object'
+      ? value[key]
+      : undefined
+  ), context);
+}
+
+/**
+ * Check if a value is a clause group rather than a single clause.
+ */
+export function isGroup(node: any): node is ClauseGroup {
+  return node !== null && typeof node === 'object' && Array.isArray(node.clauses);
+}
+
+/**
+ * Evaluate a single clause against a context.
+ */
+export function matchesClause(
+  clause: Clause,
+  context: Record<string, any>,
+  segments: SegmentsMap = {}
+): boolean {
+  // Segment references are resolved against the downloaded segments
+  if (clause.operator === SEGMENT_OPERATOR) {
+    const result = (clause.values || []).some(key => (
+      Boolean(segments[key]) && isInSegment(segments[key], context)
+    ));
+    return clause.negate ? !result : result;
+  }
+
+  const actual = getAttribute(context, clause.attribute);
+
+  // Missing attributes never match
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+
+  const actualValues: any[] = Array.isArray(actual) ? actual : [actual];
+  const values = clause.values || [];
+  let result: boolean;
+
+  if (clause.operator === 'notIn') {
+    result = !actualValues.some(a => values.some(v => OPERATORS.in(a, v)));
+  } else {
+    const operator = OPERATORS[clause.operator];
+    result = Boolean(operator) && actualValues.some(a => values.some(v => operator(a, v)));
+  }
+
+  return clause.negate ? !result : result;
+}
+
+/**
+ * Evaluate a clause group (or a single clause) against a context.
+ */
+export function matchesGroup(
+  node: Clause | ClauseGroup,
+  context: Record<string, any>,
+  segments: SegmentsMap = {}
+): boolean {
+  if (!isGroup(node)) {
+    return matchesClause(node, context, segments);
+  }
+
+  const matchesChild = (child: Clause | ClauseGroup) => matchesGroup(child, context, segments);
+
+  return node.match === 'any'
+    ? node.clauses.some(matchesChild)
+    : node.clauses.every(matchesChild);
+}
+
+/**
+ * Evaluate a USER_SEGMENT rule value: either a clause group or a legacy
+ * attribute map where every attribute must equal the given value.
+ */
+export function matchesSegment(
+  value: any,
+  context: Record<string, any>,
+  segments: SegmentsMap = {}
+): boolean {
+  if (isGroup(value)) {
+    return matchesGroup(value, context, segments);
+  }
+
+  return Object.entries(value || {}).every(([attribute, expected]) => {
+    const actual = getAttribute(context, attribute);
+    return actual !== undefined && actual === expected;
+  });
+}
+
+/**
+ * Check if a context belongs to a project segment.
+ * Excluded user IDs win over included ones; everyone else is matched
+ * against the segment's attribute rules, if any.
+ */
+export function isInSegment(segment: SegmentDefinition, context: Record<string, any>): boolean {
+  const userId = context ? context.userId : undefined;
+
+  if (userId !== undefined && userId !== null) {
+    if ((segment.excluded || []).includes(String(userId))) {
+      return false;
+    }
+
+    if ((segment.included || []).includes(String(userId))) {
+      return true;
+    }
+  }
+
+  if (segment.rules && isGroup(segment.rules)) {
+    return matchesGroup(segment.rules, context);
+  }
+
+  return false;
+}
@@ -0,0 +1,121 @@
+import { FlagManager } from '../src';
+
+const jsonResponse = (status: number, body: any) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body
+});
+
+describe('FlagManager remote evaluation', () => {
+  let fetchMock: jest.Mock;
+  let client: FlagManager;
+
+  beforeEach(() => {
+    fetchMock = jest.fn();
+    globalThis.fetch = fetchMock as any;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    client = new FlagManager({ apiKey: 'key', environment: 'production', eventFlushInterval: 0 });
+  });
+
+  afterEach(async () => {
+    await client.close();
+    jest.restoreAllMocks();
+  });
+
+  it('serves the default value for errors reported by the server', async () => {
+    const reason = { kind: 'ERROR', errorKind: 'ENVIRONMENT_NOT_FOUND', message: 'not found' };
+    fetchMock.mockResolvedValue(jsonResponse(200, {
+      status: 'success',
+      data: { key: 'checkout', value: null, variation: null, reason }
+    }));
+
+    await expect(client.getValueDetail('checkout', {}, 'fallback')).resolves.toEqual({
+      value: 'fallback',
+      variation: null,
+      reason
+    });
+  });
+
+  it('reports flags missing on the server as FLAG_NOT_FOUND', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(404, { message: "Flag 'checkout' not found" }));
+
+    const detail = await client.getValueDetail('checkout', {}, false);
+
+    expect(detail.value).toBe(false);
+    expect(detail.reason).toMatchObject({ kind: 'ERROR', errorKind: 'FLAG_NOT_FOUND' });
+  });
+});
+
+describe('FlagManager exposures', () => {
+  const ruleset = {
+    environment: 'production',
+    version: 'v1',
+    segments: {},
+    flags: {
+      checkout: {
+        key: 'checkout',
+        type: 'STRING',
+        salt: 'checkout-salt',
+        version: 1,
+        enabled: true,
+        rules: [],
+        prerequisites: [],
+        variations: [{ key: 'on', value: 'new' }, { key: 'off', value: 'old' }],
+        defaultVariation: 'on'
+      }
+    }
+  };
+
+  let fetchMock: jest.Mock;
+  let client: FlagManager;
+
+  const sentExposures = () => fetchMock.mock.calls
+    .filter(([url]) => url.endsWith('/events'))
+    .flatMap(([, init]) => JSON.parse(init.body).events);
+
+  beforeEach(() => {
+    fetchMock = jest.fn(async (url: string) => (url.endsWith('/ruleset')
+      ? jsonResponse(200, { status: 'success', data: ruleset })
+      : jsonResponse(200, { status: 'success' })));
+    globalThis.fetch = fetchMock as any;
+    client = new FlagManager({
+      apiKey: 'key',
+      environment: 'production',
+      localEvaluation: true,
+      pollInterval: 0,
+      eventFlushInterval: 0
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports a user served the same variation once per window', async () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    await client.getValue('checkout', { userId: 'user-1' });
+    await client.getValue('checkout', { userId: 'user-1' });
+    await client.getValue('checkout', { userId: 'user-2' });
+
+    clock.mockReturnValue(now + 5 * 60 * 1000);
+    await client.getValue('checkout', { userId: 'user-1' });
+
+    await client.close();
+
+    expect(sentExposures().map((event: any) => event.userId)).toEqual(['user-1', 'user-2', 'user-1']);
+  });
+
+  it('reports a user again when they are served another variation', async () => {
+    await client.getValue('checkout', { userId: 'user-1' });
+
+    ruleset.flags.checkout.defaultVariation = 'off';
+    await client.getValue('checkout', { userId: 'user-1' });
+    ruleset.flags.checkout.defaultVariation = 'on';
+
+    await client.close();
+
+    expect(sentExposures().map((event: any) => event.variation)).toEqual(['on', 'off']);
+  });
+});
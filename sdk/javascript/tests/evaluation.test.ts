@@ -0,0 +1,21 @@
+import { evaluateFlagDetail, FlagConfig, HoldoutConfig } from '../src/evaluation';
+import { SegmentsMap } from '../src/targeting';
+import fixture from '../../../fixtures/evaluation-cases.json';
+
+// The same table is evaluated by the backend (backend/tests/models/flag.evaluation.test.js)
+
+const flags = fixture.flags as unknown as Record<string, FlagConfig>;
+const segments = fixture.segments as unknown as SegmentsMap;
+const holdout = fixture.holdout as HoldoutConfig;
+
+describe('evaluateFlagDetail', () => {
+  it.each(fixture.cases)('evaluates $flag for $context', ({ flag, context, expected }) => {
+    const detail = evaluateFlagDetail(flags[flag], context, segments, flags, [], holdout);
+
+    expect(JSON.parse(JSON.stringify({
+      value: detail.value,
+      variation: detail.variation,
+      reason: detail.reason
+    }))).toEqual(expected);
+  });
+});
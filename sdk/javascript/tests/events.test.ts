@@ -0,0 +1,171 @@
+import { EventQueue, EventQueueOptions, TrackedEvent } from '../src/events';
+
+const options: EventQueueOptions = {
+  flushInterval: 0,
+  flushSize: 3,
+  maxQueueSize: 5,
+  maxRetries: 2,
+  retryDelay: 100
+};
+
+const event = (index: number): TrackedEvent => ({
+  id: `event-${index}`,
+  key: 'checkout',
+  userId: `user-${index}`,
+  timestamp: new Date(0).toISOString()
+});
+
+const sendError = (status?: number) => Object.assign(new Error('Request failed'), { status });
+
+describe('EventQueue', () => {
+  let send: jest.Mock;
+  let queue: EventQueue;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    send = jest.fn().mockResolvedValue(undefined);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await queue.close();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('sends a batch once flushSize events are waiting', async () => {
+    queue = new EventQueue(send, options);
+
+    queue.push(event(1));
+    queue.push(event(2));
+    expect(send).not.toHaveBeenCalled();
+
+    queue.push(event(3));
+    await queue.flush();
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith([event(1), event(2), event(3)]);
+  });
+
+  it('sends the waiting events every flushInterval', async () => {
+    queue = new EventQueue(send, { ...options, flushInterval: 1000 });
+
+    queue.push(event(1));
+    await jest.advanceTimersByTimeAsync(999);
+    expect(send).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(send).toHaveBeenCalledWith([event(1)]);
+  });
+
+  it('stops the timer while no events are waiting', async () => {
+    queue = new EventQueue(send, { ...options, flushInterval: 1000 });
+
+    queue.push(event(1));
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  it('sends batches one at a time and in order', async () => {
+    queue = new EventQueue(send, { ...options, maxQueueSize: 10 });
+    let finishFirst: () => void = () => {};
+    send.mockImplementationOnce(() => new Promise<void>(resolve => {
+      finishFirst = resolve;
+    }));
+
+    for (let index = 1; index <= 7; index++) {
+      queue.push(event(index));
+    }
+    const flushed = queue.flush();
+
+    await Promise.resolve();
+    expect(send).toHaveBeenCalledTimes(1);
+
+    finishFirst();
+    await flushed;
+
+    expect(send.mock.calls.map(([batch]) => batch.map((sent: TrackedEvent) => sent.id))).toEqual([
+      ['event-1', 'event-2', 'event-3'],
+      ['event-4', 'event-5', 'event-6'],
+      ['event-7']
+    ]);
+  });
+
+  it('retries failed batches with exponential backoff', async () => {
+    queue = new EventQueue(send, options);
+    send
+      .mockRejectedValueOnce(sendError(503))
+      .mockRejectedValueOnce(sendError())
+      .mockResolvedValueOnce(undefined);
+
+    queue.push(event(1));
+    const flushed = queue.flush();
+
+    await jest.advanceTimersByTimeAsync(99);
+    expect(send).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(send).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(200);
+    await flushed;
+
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(send.mock.calls.every(([batch]) => batch[0].id === 'event-1')).toBe(true);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('drops a batch once its retries run out', async () => {
+    queue = new EventQueue(send, options);
+    send.mockRejectedValue(sendError(500));
+
+    queue.push(event(1));
+    const flushed = queue.flush();
+    await jest.advanceTimersByTimeAsync(300);
+    await flushed;
+
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(console.error).toHaveBeenCalledWith('Dropping 1 events that could not be sent:', expect.any(Error));
+
+    send.mockClear();
+    await queue.flush();
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('does not retry batches the server rejected as invalid', async () => {
+    queue = new EventQueue(send, options);
+    send.mockRejectedValue(sendError(400));
+
+    queue.push(event(1));
+    await queue.flush();
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('retries batches that were rate limited', async () => {
+    queue = new EventQueue(send, options);
+    send.mockRejectedValueOnce(sendError(429));
+
+    queue.push(event(1));
+    const flushed = queue.flush();
+    await jest.advanceTimersByTimeAsync(100);
+    await flushed;
+
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  it('drops the oldest event when the queue is full', async () => {
+    queue = new EventQueue(send, { ...options, flushSize: 10 });
+
+    for (let index = 1; index <= 7; index++) {
+      queue.push(event(index));
+    }
+    await queue.flush();
+
+    expect(console.warn).toHaveBeenCalledTimes(2);
+    expect(send).toHaveBeenCalledWith([event(3), event(4), event(5), event(6), event(7)]);
+  });
+});
@@ -0,0 +1,23 @@
+import { ClauseGroup, matchesSegment } from '../src/targeting';
+
+const matchesClause = (pattern: string): ClauseGroup => ({
+  match: 'all',
+  clauses: [{ attribute: 'email', operator: 'matches', values: [pattern] }]
+});
+
+describe('matches patterns', () => {
+  it.each(['(a+)+', '^(a|a)+$', '(a|aa)*', '(a?b?)*'])('refuses to run %s', (pattern) => {
+    expect(() => matchesSegment(matchesClause(pattern), { email: `${'a'.repeat(26)}b` }))
+      .toThrow('cannot repeat a group that contains an alternation or a quantifier');
+  });
+
+  it('runs safe patterns', () => {
+    expect(matchesSegment(matchesClause('@example\\.(com|org)$'), { email: 'a@example.org' })).toBe(true);
+    expect(matchesSegment(matchesClause('(a|b)?c'), { email: 'd' })).toBe(false);
+  });
+
+  it('does not test values longer than 1000 characters', () => {
+    expect(matchesSegment(matchesClause('^a+$'), { email: 'a'.repeat(1000) })).toBe(true);
+    expect(matchesSegment(matchesClause('^a+$'), { email: 'a'.repeat(1001) })).toBe(false);
+  });
+});